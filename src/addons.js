@@ -0,0 +1,81 @@
+/**
+ * Service Add-ons
+ * Optional services and complexity multipliers priced on top of the base
+ * formula: percentage multipliers, per-minute surcharges and flat fees
+ */
+
+import { localizeTable } from "./i18n.js";
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+/** @constant {Object} ADDON_TYPES - Ways an add-on changes the price */
+export const ADDON_TYPES = localizeTable(
+  { percent: {}, "per-minute": {}, flat: {} },
+  "addonTypes",
+  ["name", "description"]
+);
+
+/**
+ * @constant {Object} ADDONS - Available add-ons, keyed by id, in display
+ * order. `value` is a percentage for "percent" add-ons and USD otherwise;
+ * names come from `addons` messages.
+ */
+export const ADDONS = localizeTable(
+  {
+    noise: { type: "percent", value: 25 },
+    speakers: { type: "percent", value: 15 },
+    music: { type: "per-minute", value: 0.01 },
+    rush: { type: "percent", value: 50 },
+    stems: { type: "flat", value: 15 },
+    transcript: { type: "per-minute", value: 0.02 },
+  },
+  "addons"
+);
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+/**
+ * Checks a list of add-on ids
+ * @param {*} addons - Candidate list
+ * @returns {string|null} Problem code ("type", "unknown" or "duplicate"),
+ *   or null if the list is valid
+ */
+export function validateAddons(addons) {
+  if (!Array.isArray(addons)) return "type";
+  if (addons.some((id) => !Object.hasOwn(ADDONS, id))) return "unknown";
+  if (new Set(addons).size !== addons.length) return "duplicate";
+  return null;
+}
+
+// =============================================================================
+// CALCULATIONS
+// =============================================================================
+
+/**
+ * Prices selected add-ons.
+ * Percentages all apply to the base formula price (base fee plus processing
+ * cost) and do not compound with each other or with surcharges.
+ * @param {number} minutes - Audio duration in minutes
+ * @param {number} basePrice - Base formula price in USD
+ * @param {string[]} addons - Selected add-on ids
+ * @returns {{id: string, name: string, type: string, value: number, cost: number}[]}
+ *   One line per add-on, in ADDONS order, with the cost in USD
+ * @throws {Error} If the add-on list is invalid
+ */
+export function calculateAddons(minutes, basePrice, addons) {
+  const problem = validateAddons(addons);
+  if (problem) throw new Error(`Invalid add-ons: ${problem}`);
+
+  return Object.entries(ADDONS)
+    .filter(([id]) => addons.includes(id))
+    .map(([id, addon]) => {
+      let cost = addon.value;
+      if (addon.type === "percent") cost = (basePrice * addon.value) / 100;
+      if (addon.type === "per-minute") cost = minutes * addon.value;
+      return { id, ...addon, cost };
+    });
+}
@@ -0,0 +1,242 @@
+/**
+ * Formula Analysis
+ * Marginal and average cost curves, detection of durations where the total
+ * price falls, and parameter bounds that keep built-in formulas increasing
+ */
+
+import {
+  DEFAULT_CURVE_MAX,
+  LOGARITHMIC_FLOOR,
+  createPricingConfig,
+  createPriceCalculator,
+  resolveFormula,
+  getCurveStep,
+  getFormula,
+} from "./pricing.js";
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+/** @constant {number} DECREASE_TOLERANCE - Relative drop ignored as float noise */
+const DECREASE_TOLERANCE = 1e-9;
+
+/**
+ * @constant {Object} SAFE_PARAM_BOUNDS - Per formula, bounds on parameters
+ * under which the total never falls as minutes grow, given the current
+ * parameters and the longest duration. Formulas missing here have no closed
+ * form region (custom, tiered) or need none (hyperbolic).
+ */
+const SAFE_PARAM_BOUNDS = {
+  hyperbolic: () => ({}),
+  // Total A × x^(1-B) + fee grows only while 1 - B ≥ 0
+  power: () => ({ B: { max: 1 } }),
+  // d/dx of x × (A - B ln x) is A - B (ln x + 1). It must stay non-negative
+  // up to the end of the range or to where the rate hits its floor, whichever
+  // comes first; at the floor it equals FLOOR - B.
+  logarithmic: ({ A }, max) => ({
+    B: { max: Math.max(LOGARITHMIC_FLOOR, A / (1 + Math.log(max))) },
+  }),
+};
+
+// =============================================================================
+// CURVES
+// =============================================================================
+
+/**
+ * Samples the marginal and average cost of a config
+ * @param {Object} config - Pricing config
+ * @param {Object} [options] - Sampling options
+ * @param {number} [options.max] - Upper bound in minutes
+ * @param {number} [options.step] - Sampling step in minutes (see getCurveStep)
+ * @returns {{x: number, marginal: number, average: number|null}[]} Cost of
+ *   minute x + 1 and average cost per minute at x (null at 0), in the config
+ *   currency before rounding
+ */
+export function buildCostCurves(
+  config,
+  { max = DEFAULT_CURVE_MAX, step = getCurveStep(max) } = {}
+) {
+  const totalAt = createTotalCalculator(config);
+  const points = [];
+  for (let x = 0; x <= max; x += step) {
+    const total = totalAt(x);
+    points.push({
+      x,
+      marginal: totalAt(x + 1) - total,
+      average: x > 0 ? total / x : null,
+    });
+  }
+  return points;
+}
+
+/**
+ * Finds duration ranges where the total price falls.
+ *
+ * Pricing every minute of a wide scale is too slow for slider input, so
+ * whether the total falls is checked just after and at the end of each
+ * sample interval: getCurveStep steps, plus powers of two, since rates in x
+ * change fastest near zero. Where the two differ, the switch is found by
+ * bisection; where they agree but the interval's end points do not, the
+ * interval is scanned minute by minute. Tier bounds and the promo code's
+ * minimum duration, where the total can jump, are sampled on both sides. A
+ * dip that starts and ends between two samples of an otherwise rising curve
+ * can go unnoticed.
+ *
+ * @param {Object} config - Pricing config
+ * @param {Object} [options] - Search options
+ * @param {number} [options.max] - Upper bound in minutes
+ * @param {number} [options.step] - Sampling step in minutes (see getCurveStep)
+ * @returns {{from: number, to: number, drop: number}[]} Ranges in whole
+ *   minutes where each extra minute costs less than nothing, with the fall
+ *   in total from `from` to `to` in the config currency before rounding
+ */
+export function findDecreasingRanges(
+  config,
+  { max = DEFAULT_CURVE_MAX, step = getCurveStep(max) } = {}
+) {
+  const calculateTotal = createTotalCalculator(config);
+  const totals = new Map();
+  const totalAt = (minutes) => {
+    if (!totals.has(minutes)) totals.set(minutes, calculateTotal(minutes));
+    return totals.get(minutes);
+  };
+  const fallsBetween = (from, to) => {
+    const previous = totalAt(from);
+    return (
+      totalAt(to) <
+      previous - DECREASE_TOLERANCE * Math.max(1, Math.abs(previous))
+    );
+  };
+  // Whether the total falls on the minute ending at `minutes`
+  const fallsAt = (minutes) => fallsBetween(minutes - 1, minutes);
+
+  const ranges = [];
+  let current = null;
+  // Records whether the total falls on each minute ending in from..to
+  const mark = (from, to, falls) => {
+    if (!falls) {
+      current = null;
+    } else if (current) {
+      current.to = to;
+    } else {
+      current = { from: from - 1, to };
+      ranges.push(current);
+    }
+  };
+
+  const samples = new Set();
+  for (let x = 0; x < max; x += step) samples.add(x);
+  for (let x = 1; x < max; x *= 2) samples.add(x);
+  samples.add(max);
+  for (const point of getJumpPoints(config)) {
+    if (point > 0 && point < max) samples.add(point);
+  }
+  const points = [...samples].sort((a, b) => a - b);
+
+  for (let i = 1; i < points.length; i++) {
+    const start = points[i - 1];
+    const end = points[i];
+    const first = end - start > 1 && fallsAt(start + 1);
+    const last = fallsAt(end);
+
+    if (end - start <= 2) {
+      for (let x = start + 1; x <= end; x++) mark(x, x, fallsAt(x));
+    } else if (first !== last) {
+      let low = start + 1;
+      let high = end;
+      while (high - low > 1) {
+        const middle = Math.floor((low + high) / 2);
+        if (fallsAt(middle) === first) low = middle;
+        else high = middle;
+      }
+      mark(start + 1, low, first);
+      mark(high, end, last);
+    } else if (fallsBetween(start, end) === last) {
+      mark(start + 1, end, last);
+    } else {
+      for (let x = start + 1; x <= end; x++) mark(x, x, fallsAt(x));
+    }
+  }
+
+  for (const range of ranges) {
+    range.drop = totalAt(range.from) - totalAt(range.to);
+  }
+  return ranges;
+}
+
+/**
+ * Lists durations around which the total can jump rather than change
+ * smoothly: both sides of tier bounds and of the promo code's minimum
+ * duration
+ * @param {Object} config - Pricing config
+ * @returns {number[]} Durations in minutes
+ */
+function getJumpPoints(config) {
+  const normalized = createPricingConfig(config);
+  const points = [...(resolveFormula(normalized).breakpoints ?? [])];
+  const threshold = normalized.promo?.minMinutes;
+  if (threshold > 0) points.push(threshold - 1, threshold);
+  return points;
+}
+
+/**
+ * Creates a function returning converted totals before rounding
+ * @param {Object} config - Pricing config
+ * @returns {function(number): number} Total by minutes
+ */
+function createTotalCalculator(config) {
+  const priceAt = createPriceCalculator(config);
+  return (minutes) => {
+    const price = priceAt(minutes);
+    return price.total * price.exchangeRate;
+  };
+}
+
+// =============================================================================
+// SAFE PARAMETERS
+// =============================================================================
+
+/**
+ * Gets slider bounds that keep a built-in formula's total from falling
+ * @param {string} formulaId - Formula identifier
+ * @param {Object} params - Current parameter values
+ * @param {Object} [options] - Options
+ * @param {number} [options.max] - Longest duration in minutes
+ * @returns {Object|null} `{ min, max }` by parameter name, within the
+ *   formula's slider bounds (empty if nothing needs constraining), or null if
+ *   the formula has no known safe region
+ */
+export function getSafeParamBounds(
+  formulaId,
+  params,
+  { max = DEFAULT_CURVE_MAX } = {}
+) {
+  const region = SAFE_PARAM_BOUNDS[formulaId];
+  if (!region) return null;
+
+  const formula = getFormula(formulaId);
+  const bounds = {};
+  for (const [name, limits] of Object.entries(region(params, max))) {
+    const spec = formula.params[name];
+    bounds[name] = {
+      min: Math.max(spec.min, limits.min ?? spec.min),
+      max: Math.min(spec.max, limits.max ?? spec.max),
+    };
+  }
+  return bounds;
+}
+
+/**
+ * Clamps parameters into safe bounds
+ * @param {Object} params - Parameter values
+ * @param {Object} bounds - Bounds from getSafeParamBounds
+ * @returns {Object} Clamped parameter values
+ */
+export function clampParams(params, bounds) {
+  const clamped = { ...params };
+  for (const [name, { min, max }] of Object.entries(bounds)) {
+    clamped[name] = Math.min(max, Math.max(min, clamped[name]));
+  }
+  return clamped;
+}
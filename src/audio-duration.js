@@ -0,0 +1,441 @@
+/**
+ * Audio Durations
+ * Reads the duration of local audio files (WAV, MP3, FLAC, OGG, M4A) from their
+ * container headers, without decoding and without uploading anything
+ */
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+/** @constant {string[]} AUDIO_FORMATS - Formats whose headers can be parsed */
+export const AUDIO_FORMATS = ["wav", "mp3", "flac", "ogg", "m4a"];
+
+/** @constant {number} MP3_SYNC_SEARCH_BYTES - How far to look for the first MP3 frame */
+const MP3_SYNC_SEARCH_BYTES = 64 * 1024;
+
+/** @constant {number} OGG_TAIL_BYTES - Tail size that always holds the last Ogg page */
+const OGG_TAIL_BYTES = 65536 + 282;
+
+/** @constant {number[][]} MP3_BITRATES - kbps by [MPEG-1 L1, L2, L3, MPEG-2 L1, L2/L3][index] */
+const MP3_BITRATES = [
+  [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+];
+
+/** @constant {number[]} MP3_SAMPLE_RATES - MPEG-1 sample rates (halved for MPEG-2, quartered for 2.5) */
+const MP3_SAMPLE_RATES = [44100, 48000, 32000];
+
+/** @constant {number} OPUS_SAMPLE_RATE - Rate of Opus granule positions */
+const OPUS_SAMPLE_RATE = 48000;
+
+// =============================================================================
+// ERRORS
+// =============================================================================
+
+/**
+ * Error raised when a file's duration cannot be read from its headers
+ * @property {string} code - "unsupported" (format not recognised),
+ *   "corrupt" (malformed or truncated headers) or "no-duration"
+ *   (headers carry no length, e.g. a live stream)
+ */
+export class AudioDurationError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "AudioDurationError";
+    this.code = code;
+  }
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Reads a byte range of a file
+ * @param {Blob} file - File to read
+ * @param {number} offset - Start offset
+ * @param {number} length - Number of bytes (fewer are returned at end of file)
+ * @returns {Promise<DataView>} Bytes read
+ */
+async function readBytes(file, offset, length) {
+  const buffer = await file.slice(offset, offset + length).arrayBuffer();
+  return new DataView(buffer);
+}
+
+/**
+ * Decodes ASCII characters from a view
+ * @param {DataView} view - Bytes
+ * @param {number} offset - Start offset
+ * @param {number} length - Number of characters
+ * @returns {string} Decoded text ("" if the view is too short)
+ */
+function readAscii(view, offset, length) {
+  if (offset + length > view.byteLength) return "";
+  let text = "";
+  for (let i = 0; i < length; i++) {
+    text += String.fromCharCode(view.getUint8(offset + i));
+  }
+  return text;
+}
+
+/**
+ * Throws a "corrupt" error unless a condition holds
+ * @param {boolean} condition - Condition to check
+ * @param {string} message - Error message
+ */
+function ensure(condition, message) {
+  if (!condition) throw new AudioDurationError("corrupt", message);
+}
+
+/**
+ * Checks whether a duration is usable
+ * @param {number} seconds - Duration
+ * @returns {number} The duration
+ * @throws {AudioDurationError} "no-duration" for zero or non-finite values
+ */
+function checkDuration(seconds) {
+  if (!Number.isFinite(seconds) || seconds <= 0) {
+    throw new AudioDurationError("no-duration", "File has no known duration");
+  }
+  return seconds;
+}
+
+// =============================================================================
+// FORMAT DETECTION
+// =============================================================================
+
+/**
+ * Detects an audio container from its first bytes
+ * @param {DataView} head - First bytes of the file (at least 12)
+ * @returns {string|null} One of AUDIO_FORMATS, or null
+ */
+export function detectAudioFormat(head) {
+  if (readAscii(head, 0, 4) === "RIFF" && readAscii(head, 8, 4) === "WAVE") {
+    return "wav";
+  }
+  if (readAscii(head, 0, 4) === "fLaC") return "flac";
+  if (readAscii(head, 0, 4) === "OggS") return "ogg";
+  if (readAscii(head, 4, 4) === "ftyp") return "m4a";
+  if (readAscii(head, 0, 3) === "ID3") return "mp3";
+  if (
+    head.byteLength >= 2 &&
+    head.getUint8(0) === 0xff &&
+    (head.getUint8(1) & 0xe0) === 0xe0
+  ) {
+    return "mp3";
+  }
+  return null;
+}
+
+// =============================================================================
+// WAV
+// =============================================================================
+
+/**
+ * Reads the duration of a RIFF/WAVE file from its fmt and data chunks
+ * @param {Blob} file - WAV file
+ * @returns {Promise<number>} Duration in seconds
+ */
+async function readWavDuration(file) {
+  let offset = 12;
+  let byteRate = null;
+
+  while (offset + 8 <= file.size) {
+    const header = await readBytes(file, offset, 20);
+    const id = readAscii(header, 0, 4);
+    const size = header.getUint32(4, true);
+
+    if (id === "fmt ") {
+      ensure(header.byteLength >= 20, "Truncated fmt chunk");
+      byteRate = header.getUint32(16, true);
+    } else if (id === "data") {
+      ensure(byteRate !== null, "data chunk before fmt chunk");
+      ensure(byteRate > 0, "Invalid byte rate");
+      // Streaming writers leave the size at 0 or 0xFFFFFFFF; use the file length
+      const available = file.size - offset - 8;
+      const dataSize = size === 0 || size > available ? available : size;
+      return checkDuration(dataSize / byteRate);
+    }
+
+    offset += 8 + size + (size % 2);
+  }
+
+  throw new AudioDurationError("corrupt", "WAV file has no data chunk");
+}
+
+// =============================================================================
+// FLAC
+// =============================================================================
+
+/**
+ * Reads the duration of a FLAC file from its STREAMINFO block
+ * @param {Blob} file - FLAC file
+ * @returns {Promise<number>} Duration in seconds
+ */
+async function readFlacDuration(file) {
+  const view = await readBytes(file, 4, 38);
+  ensure(view.byteLength >= 38, "Truncated STREAMINFO block");
+  ensure((view.getUint8(0) & 0x7f) === 0, "First block is not STREAMINFO");
+
+  // STREAMINFO bytes 10..17: sample rate (20 bits), channels (3), bits (5),
+  // total samples (36)
+  const info = 4 + 10;
+  const sampleRate =
+    (view.getUint8(info) << 12) |
+    (view.getUint8(info + 1) << 4) |
+    (view.getUint8(info + 2) >> 4);
+  const totalSamples =
+    (view.getUint8(info + 3) & 0x0f) * 2 ** 32 + view.getUint32(info + 4);
+
+  ensure(sampleRate > 0, "Invalid sample rate");
+  return checkDuration(totalSamples / sampleRate);
+}
+
+// =============================================================================
+// OGG
+// =============================================================================
+
+/**
+ * Reads the duration of an Ogg Vorbis or Opus file from the granule
+ * position of its last page
+ * @param {Blob} file - Ogg file
+ * @returns {Promise<number>} Duration in seconds
+ */
+async function readOggDuration(file) {
+  const head = await readBytes(file, 0, 282 + 19);
+  ensure(head.byteLength >= 28, "Truncated Ogg page");
+  const segments = head.getUint8(26);
+  const packet = 27 + segments;
+
+  let sampleRate;
+  let preSkip = 0;
+  if (readAscii(head, packet, 7) === "\x01vorbis") {
+    ensure(head.byteLength >= packet + 16, "Truncated Vorbis header");
+    sampleRate = head.getUint32(packet + 12, true);
+  } else if (readAscii(head, packet, 8) === "OpusHead") {
+    ensure(head.byteLength >= packet + 12, "Truncated Opus header");
+    sampleRate = OPUS_SAMPLE_RATE;
+    preSkip = head.getUint16(packet + 10, true);
+  } else {
+    throw new AudioDurationError("unsupported", "Unsupported Ogg codec");
+  }
+  ensure(sampleRate > 0, "Invalid sample rate");
+
+  const tailStart = Math.max(0, file.size - OGG_TAIL_BYTES);
+  const tail = await readBytes(file, tailStart, OGG_TAIL_BYTES);
+  for (let i = tail.byteLength - 14; i >= 0; i--) {
+    if (readAscii(tail, i, 4) !== "OggS") continue;
+    const low = tail.getUint32(i + 6, true);
+    const high = tail.getUint32(i + 10, true);
+    // -1 marks pages on which no packet ends
+    if (low === 0xffffffff && high === 0xffffffff) continue;
+    return checkDuration((high * 2 ** 32 + low - preSkip) / sampleRate);
+  }
+
+  throw new AudioDurationError("corrupt", "Last Ogg page not found");
+}
+
+// =============================================================================
+// MP3
+// =============================================================================
+
+/**
+ * Parses an MPEG audio frame header
+ * @param {DataView} view - Bytes
+ * @param {number} offset - Header offset
+ * @returns {Object|null} Frame info, or null if the bytes are not a valid header
+ */
+function parseMp3Frame(view, offset) {
+  if (offset + 4 > view.byteLength) return null;
+  const header = view.getUint32(offset);
+  if ((header & 0xffe00000) >>> 0 !== 0xffe00000) return null;
+
+  const versionBits = (header >> 19) & 3; // 0: 2.5, 2: 2, 3: 1
+  const layerBits = (header >> 17) & 3; // 1: III, 2: II, 3: I
+  const bitrateIndex = (header >> 12) & 15;
+  const sampleRateIndex = (header >> 10) & 3;
+  if (versionBits === 1 || layerBits === 0) return null;
+  if (bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const mpeg1 = versionBits === 3;
+  const layer = 4 - layerBits;
+  const table = mpeg1 ? layer - 1 : layer === 1 ? 3 : 4;
+  const divisor = mpeg1 ? 1 : versionBits === 2 ? 2 : 4;
+  const mono = ((header >> 6) & 3) === 3;
+
+  return {
+    mpeg1,
+    bitrate: MP3_BITRATES[table][bitrateIndex] * 1000,
+    sampleRate: MP3_SAMPLE_RATES[sampleRateIndex] / divisor,
+    samplesPerFrame: layer === 1 ? 384 : layer === 3 && !mpeg1 ? 576 : 1152,
+    sideInfoSize: mpeg1 ? (mono ? 17 : 32) : mono ? 9 : 17,
+  };
+}
+
+/**
+ * Reads the duration of an MP3 file from its Xing/Info or VBRI header, or
+ * from the bitrate of the first frame for constant-bitrate files
+ * @param {Blob} file - MP3 file
+ * @returns {Promise<number>} Duration in seconds
+ */
+async function readMp3Duration(file) {
+  let start = 0;
+  const id3 = await readBytes(file, 0, 10);
+  if (readAscii(id3, 0, 3) === "ID3") {
+    ensure(id3.byteLength === 10, "Truncated ID3 tag");
+    const size =
+      ((id3.getUint8(6) & 0x7f) << 21) |
+      ((id3.getUint8(7) & 0x7f) << 14) |
+      ((id3.getUint8(8) & 0x7f) << 7) |
+      (id3.getUint8(9) & 0x7f);
+    const footer = id3.getUint8(5) & 0x10 ? 10 : 0;
+    start = 10 + size + footer;
+  }
+
+  const view = await readBytes(file, start, MP3_SYNC_SEARCH_BYTES);
+  let offset = 0;
+  let frame = null;
+  for (; offset < view.byteLength - 4; offset++) {
+    frame = parseMp3Frame(view, offset);
+    if (frame) break;
+  }
+  ensure(frame !== null, "No MPEG audio frame found");
+
+  const frameSeconds = frame.samplesPerFrame / frame.sampleRate;
+  const xing = offset + 4 + frame.sideInfoSize;
+  const tag = readAscii(view, xing, 4);
+  if ((tag === "Xing" || tag === "Info") && view.getUint32(xing + 4) & 1) {
+    return checkDuration(view.getUint32(xing + 8) * frameSeconds);
+  }
+  if (readAscii(view, offset + 36, 4) === "VBRI") {
+    return checkDuration(view.getUint32(offset + 36 + 14) * frameSeconds);
+  }
+
+  let audioBytes = file.size - start - offset;
+  const trailer = await readBytes(file, Math.max(0, file.size - 128), 3);
+  if (readAscii(trailer, 0, 3) === "TAG") audioBytes -= 128;
+  return checkDuration((audioBytes * 8) / frame.bitrate);
+}
+
+// =============================================================================
+// M4A
+// =============================================================================
+
+/**
+ * Finds a box among the children of a byte range of an ISO media file
+ * @param {Blob} file - File
+ * @param {number} start - Range start
+ * @param {number} end - Range end
+ * @param {string} type - Box type to find
+ * @returns {Promise<{offset: number, size: number, header: number}|null>}
+ *   Box position and header length, or null
+ */
+async function findBox(file, start, end, type) {
+  let offset = start;
+  while (offset + 8 <= end) {
+    const view = await readBytes(file, offset, 16);
+    let size = view.getUint32(0);
+    let header = 8;
+    if (size === 1) {
+      ensure(view.byteLength >= 16, "Truncated box header");
+      size = view.getUint32(8) * 2 ** 32 + view.getUint32(12);
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    ensure(size >= header, "Invalid box size");
+
+    if (readAscii(view, 4, 4) === type) return { offset, size, header };
+    offset += size;
+  }
+  return null;
+}
+
+/**
+ * Reads the duration of an MP4/M4A file from its movie header (mvhd)
+ * @param {Blob} file - M4A file
+ * @returns {Promise<number>} Duration in seconds
+ */
+async function readM4aDuration(file) {
+  const moov = await findBox(file, 0, file.size, "moov");
+  ensure(moov !== null, "moov box not found");
+
+  const mvhd = await findBox(
+    file,
+    moov.offset + moov.header,
+    moov.offset + moov.size,
+    "mvhd"
+  );
+  ensure(mvhd !== null, "mvhd box not found");
+
+  const view = await readBytes(file, mvhd.offset + mvhd.header, 32);
+  ensure(view.byteLength >= 20, "Truncated mvhd box");
+  const version = view.getUint8(0);
+
+  let timescale;
+  let duration;
+  if (version === 1) {
+    ensure(view.byteLength >= 32, "Truncated mvhd box");
+    timescale = view.getUint32(20);
+    duration = view.getUint32(24) * 2 ** 32 + view.getUint32(28);
+  } else {
+    timescale = view.getUint32(12);
+    duration = view.getUint32(16);
+  }
+
+  ensure(timescale > 0, "Invalid timescale");
+  return checkDuration(duration / timescale);
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/** @constant {Object} READERS - Duration readers keyed by format */
+const READERS = {
+  wav: readWavDuration,
+  mp3: readMp3Duration,
+  flac: readFlacDuration,
+  ogg: readOggDuration,
+  m4a: readM4aDuration,
+};
+
+/**
+ * Reads the duration of an audio file from its container headers
+ * @param {Blob} file - Audio file (only the needed byte ranges are read)
+ * @returns {Promise<{format: string, seconds: number}>} Detected format and duration
+ * @throws {AudioDurationError} With code "unsupported", "corrupt" or "no-duration"
+ */
+export async function readAudioDuration(file) {
+  const head = await readBytes(file, 0, 12);
+  const format = detectAudioFormat(head);
+  if (!format) {
+    throw new AudioDurationError("unsupported", "Unrecognised audio format");
+  }
+
+  try {
+    return { format, seconds: await READERS[format](file) };
+  } catch (error) {
+    if (error instanceof AudioDurationError) throw error;
+    // DataView reads past the end of a truncated file throw RangeError
+    throw new AudioDurationError("corrupt", error.message);
+  }
+}
+
+/**
+ * Sums file durations into billable minutes
+ * @param {number[]} durations - Durations in seconds
+ * @returns {{seconds: number, minutes: number}} Total seconds and whole
+ *   minutes, rounded up so partial minutes are billed
+ */
+export function sumDurations(durations) {
+  const seconds = durations.reduce((sum, value) => sum + value, 0);
+  // Round to milliseconds first so float noise does not bill an extra minute
+  return { seconds, minutes: Math.ceil(Math.round(seconds * 1000) / 60000) };
+}
@@ -0,0 +1,89 @@
+/**
+ * Budget Calculator
+ * Inverts a pricing config: finds how many whole minutes a budget buys
+ */
+
+import { DEFAULT_CURVE_MAX, createPriceCalculator } from "./pricing.js";
+import { findDecreasingRanges } from "./analysis.js";
+
+// =============================================================================
+// CALCULATIONS
+// =============================================================================
+
+/**
+ * Finds the longest whole-minute order that fits a budget.
+ *
+ * Totals are compared after add-ons, discounts, tax, currency conversion and
+ * rounding, exactly as quoted. Custom formulas, all-units tiers and promo
+ * thresholds can make the total fall as minutes grow, so a plain bisection
+ * over the whole range could miss longer orders that fit. The range is
+ * instead split at the falling stretches findDecreasingRanges finds (rounding
+ * never adds any); between them the total does not fall, so each rising
+ * stretch is bisected, latest first. That prices a few hundred durations
+ * rather than every minute up to `max`. It misses only the dips
+ * findDecreasingRanges misses, and `gaps` ignores single durations where a
+ * broken custom expression gives no price.
+ *
+ * @param {number} budget - Budget in the config currency
+ * @param {Object} config - Pricing config
+ * @param {Object} [options] - Search options
+ * @param {number} [options.max] - Longest duration considered, in minutes
+ * @returns {{minutes: number|null, total: number|null, minimum: number, capped: boolean, gaps: boolean}}
+ *   Longest affordable duration and its total (null if even an empty order
+ *   costs more than the budget), the total of an empty order (base fee and
+ *   flat charges), whether the search stopped at `max`, and whether some
+ *   shorter durations cost more than the budget
+ */
+export function findAffordableMinutes(
+  budget,
+  config,
+  { max = DEFAULT_CURVE_MAX } = {}
+) {
+  const priceAt = createPriceCalculator(config);
+  const totalAt = (minutes) => priceAt(minutes).converted.total;
+  // NaN totals (broken custom expressions) never fit
+  const fits = (minutes) => totalAt(minutes) <= budget;
+
+  const falling = findDecreasingRanges(config, { max });
+  const stretches = [];
+  let start = 0;
+  for (const { from, to } of falling) {
+    if (from > start) stretches.push({ from: start, to: from, rising: true });
+    stretches.push({ from, to, rising: false });
+    start = to;
+  }
+  if (start < max || stretches.length === 0) {
+    stretches.push({ from: start, to: max, rising: true });
+  }
+
+  let minutes = null;
+  for (const stretch of stretches.reverse()) {
+    if (fits(stretch.to)) {
+      minutes = stretch.to;
+      break;
+    }
+    // A falling stretch costs most at its start, a rising one at its end
+    if (stretch.rising && fits(stretch.from)) {
+      let low = stretch.from;
+      let high = stretch.to;
+      while (high - low > 1) {
+        const middle = Math.floor((low + high) / 2);
+        if (fits(middle)) low = middle;
+        else high = middle;
+      }
+      minutes = low;
+      break;
+    }
+  }
+
+  return {
+    minutes,
+    total: minutes === null ? null : totalAt(minutes),
+    minimum: totalAt(0),
+    capped: minutes === max,
+    // Earlier stretches peak where a falling one starts
+    gaps:
+      minutes !== null &&
+      falling.some(({ from }) => from < minutes && !fits(from)),
+  };
+}
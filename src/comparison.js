@@ -0,0 +1,100 @@
+/**
+ * Price Comparison
+ * Pinned pricing series and price differences at reference durations
+ */
+
+import { DURATION_PRESETS, calculatePrice } from "./pricing.js";
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+/** @constant {number[]} COMPARISON_DURATIONS - Durations compared in the table (the presets), in minutes */
+export const COMPARISON_DURATIONS = DURATION_PRESETS;
+
+/** @constant {string[]} SERIES_COLORS - Line colors of pinned series */
+export const SERIES_COLORS = [
+  "#e74c3c",
+  "#8e44ad",
+  "#27ae60",
+  "#f39c12",
+  "#16a085",
+  "#d35400",
+];
+
+/** @constant {number} MAX_PINNED_SERIES - Maximum number of pinned series */
+export const MAX_PINNED_SERIES = SERIES_COLORS.length;
+
+// =============================================================================
+// SERIES
+// =============================================================================
+
+/**
+ * Creates a pinned series
+ * @param {string} name - Series name shown in the legend and table
+ * @param {Object} config - Pricing config (see createPricingConfig)
+ * @param {Object[]} existing - Already pinned series, used to pick a free color
+ * @returns {{name: string, config: Object, color: string}} Pinned series
+ * @throws {Error} If MAX_PINNED_SERIES series are already pinned
+ */
+export function createSeries(name, config, existing = []) {
+  if (existing.length >= MAX_PINNED_SERIES) {
+    throw new Error(`At most ${MAX_PINNED_SERIES} series can be pinned`);
+  }
+  const used = new Set(existing.map((series) => series.color));
+  const color = SERIES_COLORS.find((c) => !used.has(c));
+  return { name, config: structuredClone(config), color };
+}
+
+/**
+ * Suggests a unique default name for a new series
+ * @param {string} base - Preferred name
+ * @param {Object[]} existing - Already pinned series
+ * @returns {string} `base`, or `base (2)`, `base (3)`... if taken
+ */
+export function uniqueSeriesName(base, existing) {
+  const names = new Set(existing.map((series) => series.name));
+  if (!names.has(base)) return base;
+  let index = 2;
+  while (names.has(`${base} (${index})`)) index++;
+  return `${base} (${index})`;
+}
+
+// =============================================================================
+// COMPARISON
+// =============================================================================
+
+/**
+ * Compares pinned series with a reference configuration at fixed durations
+ * @param {Object} reference - Reference pricing config (current calculator state)
+ * @param {Object[]} series - Pinned series
+ * @param {number[]} [durations] - Durations in minutes
+ * @returns {{minutes: number, reference: number, series: {name: string, total: number, difference: number, percent: number|null}[]}[]}
+ *   One row per duration; totals are converted (and rounded) totals, so
+ *   USD unless the configs carry a currency, `difference` is series minus
+ *   reference and `percent` is relative to the reference total
+ */
+export function compareAtDurations(
+  reference,
+  series,
+  durations = COMPARISON_DURATIONS
+) {
+  return durations.map((minutes) => {
+    const referenceTotal = calculatePrice(minutes, reference).converted.total;
+    return {
+      minutes,
+      reference: referenceTotal,
+      series: series.map(({ name, config }) => {
+        const total = calculatePrice(minutes, config).converted.total;
+        const difference = total - referenceTotal;
+        return {
+          name,
+          total,
+          difference,
+          percent:
+            referenceTotal !== 0 ? (difference / referenceTotal) * 100 : null,
+        };
+      }),
+    };
+  });
+}
@@ -0,0 +1,322 @@
+/**
+ * Pricing Configuration File
+ * Loads pricing.config.json (formulas and slider bounds, defaults, presets,
+ * currencies and fallback rates) and checks it against
+ * pricing.config.schema.json. The Vite plugin in vite-plugin-pricing-config.js
+ * runs the same checks so an invalid file fails the build.
+ */
+
+import configData from "./pricing.config.json" with { type: "json" };
+import configSchema from "./pricing.config.schema.json" with { type: "json" };
+import { compileExpression } from "./expression.js";
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+/** @constant {Object} CONFIG - Contents of pricing.config.json */
+export const CONFIG = configData;
+
+/** @constant {Object} CONFIG_SCHEMA - JSON Schema of pricing.config.json */
+export const CONFIG_SCHEMA = configSchema;
+
+/** @constant {string} CONFIG_FILE - File name used in error messages */
+export const CONFIG_FILE = "pricing.config.json";
+
+// =============================================================================
+// SCHEMA
+// =============================================================================
+
+/**
+ * Checks whether a value is a plain JSON object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for non-null, non-array objects
+ */
+export function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Gets the JSON type of a value as named by JSON Schema
+ * @param {*} value - Parsed JSON value
+ * @returns {string} "null", "array", "integer", "number", "string",
+ *   "boolean" or "object"
+ */
+function getJsonType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+/**
+ * Joins a property name onto a dotted path
+ * @param {string} path - Parent path, empty for the document
+ * @param {string|number} key - Property name or array index
+ * @returns {string} Child path, e.g. "formulas.power" or "presets[2]"
+ */
+function joinPath(path, key) {
+  if (typeof key === "number") return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validates a value against a JSON Schema. Supports the subset
+ * pricing.config.schema.json uses: type, enum, required, properties,
+ * additionalProperties, propertyNames, items, minItems, uniqueItems,
+ * minLength, pattern, minimum, maximum, exclusiveMinimum and local $ref.
+ * @param {*} value - Parsed JSON value
+ * @param {Object} schema - Schema of the value
+ * @param {Object} [root] - Document schema that `#/$defs/...` refers to
+ * @param {string} [path] - Path of the value, for messages
+ * @returns {{path: string, message: string}[]} Problems found
+ */
+export function validateSchema(value, schema, root = schema, path = "") {
+  if (schema.$ref) {
+    const target = schema.$ref
+      .replace(/^#\//, "")
+      .split("/")
+      .reduce((node, key) => node?.[key], root);
+    if (!target) throw new Error(`Unresolved schema reference: ${schema.$ref}`);
+    return validateSchema(value, target, root, path);
+  }
+
+  const errors = [];
+  const fail = (message) => errors.push({ path, message });
+  const type = getJsonType(value);
+
+  if (schema.type) {
+    const types = [schema.type].flat();
+    const matches =
+      types.includes(type) || (type === "integer" && types.includes("number"));
+    if (!matches) {
+      fail(`must be ${types.join(" or ")}, got ${type}`);
+      return errors;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(
+      `must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`
+    );
+    return errors;
+  }
+
+  if (type === "integer" || type === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be at most ${schema.maximum}`);
+    }
+    if (
+      schema.exclusiveMinimum !== undefined &&
+      value <= schema.exclusiveMinimum
+    ) {
+      fail(`must be greater than ${schema.exclusiveMinimum}`);
+    }
+  }
+
+  if (type === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail("must not be empty");
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, "u").test(value)) {
+      fail(`must match ${schema.pattern}`);
+    }
+  }
+
+  if (type === "array") {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.uniqueItems) {
+      const seen = new Set();
+      value.forEach((item, index) => {
+        const key = JSON.stringify(item);
+        if (seen.has(key)) fail(`repeats ${key} at index ${index}`);
+        seen.add(key);
+      });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(
+          ...validateSchema(item, schema.items, root, joinPath(path, index))
+        );
+      });
+    }
+  }
+
+  if (type === "object") {
+    for (const name of schema.required ?? []) {
+      if (!Object.hasOwn(value, name)) {
+        errors.push({ path: joinPath(path, name), message: "is required" });
+      }
+    }
+    for (const [name, item] of Object.entries(value)) {
+      const itemPath = joinPath(path, name);
+      if (schema.propertyNames) {
+        for (const error of validateSchema(
+          name,
+          schema.propertyNames,
+          root,
+          itemPath
+        )) {
+          errors.push({ path: itemPath, message: `name ${error.message}` });
+        }
+      }
+      if (schema.properties && Object.hasOwn(schema.properties, name)) {
+        errors.push(
+          ...validateSchema(item, schema.properties[name], root, itemPath)
+        );
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: itemPath, message: "is not a known setting" });
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(
+          ...validateSchema(item, schema.additionalProperties, root, itemPath)
+        );
+      }
+    }
+  }
+
+  return errors;
+}
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+/**
+ * Checks the bounds of a slider setting
+ * @param {Object} slider - `{ min, max, default, step }`
+ * @param {string} path - Path of the setting
+ * @returns {{path: string, message: string}[]} Problems found
+ */
+function checkSlider(slider, path) {
+  const errors = [];
+  if (slider.min >= slider.max) {
+    errors.push({
+      path,
+      message: `min (${slider.min}) must be below max (${slider.max})`,
+    });
+  } else if (slider.default < slider.min || slider.default > slider.max) {
+    errors.push({
+      path: joinPath(path, "default"),
+      message: `${slider.default} is outside ${slider.min}–${slider.max}`,
+    });
+  }
+  return errors;
+}
+
+/**
+ * Checks how settings relate to each other, after the schema passed
+ * @param {Object} data - Schema-valid configuration
+ * @returns {{path: string, message: string}[]} Problems found
+ */
+function checkConsistency(data) {
+  const errors = [];
+  const { formulas, defaults } = data;
+
+  for (const [id, formula] of Object.entries(formulas)) {
+    for (const [name, slider] of Object.entries(formula.params ?? {})) {
+      errors.push(
+        ...checkSlider(slider, joinPath(`formulas.${id}.params`, name))
+      );
+    }
+  }
+  errors.push(
+    ...checkSlider(formulas.custom.defaultParam, "formulas.custom.defaultParam")
+  );
+
+  try {
+    compileExpression(formulas.custom.expression);
+  } catch (error) {
+    errors.push({ path: "formulas.custom.expression", message: error.message });
+  }
+
+  // Same rules as validateTiers in pricing.js, which imports this module
+  let previous = 0;
+  const { tiers } = formulas.tiered;
+  tiers.forEach((tier, index) => {
+    const path = `${joinPath("formulas.tiered.tiers", index)}.upTo`;
+    if (tier.upTo === null) {
+      if (index !== tiers.length - 1) {
+        errors.push({ path, message: "only the last tier can be open-ended" });
+      }
+    } else if (tier.upTo <= previous) {
+      errors.push({
+        path,
+        message: `must be above the previous bound (${previous})`,
+      });
+    } else {
+      previous = tier.upTo;
+    }
+  });
+
+  const fee = data.baseFee;
+  if (fee.min >= fee.max) {
+    errors.push({
+      path: "baseFee",
+      message: `min (${fee.min}) must be below max (${fee.max})`,
+    });
+  } else if (defaults.baseFee < fee.min || defaults.baseFee > fee.max) {
+    errors.push({
+      path: "defaults.baseFee",
+      message: `${defaults.baseFee} is outside the base fee range ${fee.min}–${fee.max}`,
+    });
+  }
+
+  if (defaults.minutes > defaults.maxMinutes) {
+    errors.push({
+      path: "defaults.minutes",
+      message: `${defaults.minutes} is above defaults.maxMinutes (${defaults.maxMinutes})`,
+    });
+  }
+
+  if (!data.currencies.includes(defaults.currency)) {
+    errors.push({
+      path: "defaults.currency",
+      message: `${defaults.currency} is not in currencies`,
+    });
+  }
+  data.currencies.forEach((code, index) => {
+    if (!Object.hasOwn(data.fallbackRates, code)) {
+      errors.push({
+        path: joinPath("currencies", index),
+        message: `${code} has no entry in fallbackRates`,
+      });
+    }
+  });
+  if (data.fallbackRates.USD !== 1) {
+    errors.push({
+      path: "fallbackRates.USD",
+      message: "must be 1, rates are quoted per USD",
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Validates a pricing configuration file: the schema first, then how the
+ * settings relate (slider defaults within bounds, the default currency
+ * offered, a fallback rate for every currency, ...)
+ * @param {*} data - Parsed pricing.config.json
+ * @returns {{path: string, message: string}[]} Problems found, empty if valid
+ */
+export function validateConfig(data) {
+  const errors = validateSchema(data, CONFIG_SCHEMA);
+  return errors.length > 0 ? errors : checkConsistency(data);
+}
+
+/**
+ * Formats validation problems as one message, one problem per line
+ * @param {{path: string, message: string}[]} errors - Problems from validateConfig
+ * @param {string} [file] - File name to mention
+ * @returns {string} Message for a build error
+ */
+export function formatConfigErrors(errors, file = CONFIG_FILE) {
+  return [
+    `Invalid ${file}:`,
+    ...errors.map(({ path, message }) => `  - ${path || "(root)"}: ${message}`),
+  ].join("\n");
+}
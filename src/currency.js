@@ -0,0 +1,89 @@
+/**
+ * Currencies
+ * Offered currencies and locale-aware money formatting. Prices are computed
+ * in USD and converted by multiplying with a rate in units per USD.
+ */
+
+import { RATES_BASE_CURRENCY } from "./exchange-rates.js";
+import { getLocale } from "./i18n.js";
+import { CONFIG } from "./config.js";
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+/** @constant {string[]} CURRENCIES - Currencies offered in the toggle, in display order (from pricing.config.json) */
+export const CURRENCIES = CONFIG.currencies;
+
+/** @constant {string} DEFAULT_CURRENCY - Currency selected on first load */
+export const DEFAULT_CURRENCY = CONFIG.defaults.currency;
+
+/** @type {Map<string, Intl.NumberFormat>} formatters - Cached formatters by options */
+const formatters = new Map();
+
+// =============================================================================
+// CURRENCY LIST
+// =============================================================================
+
+/**
+ * Lists configured currencies that the rate data can convert to
+ * @param {Object} rates - Rates per USD keyed by currency code
+ * @param {string[]} [currencies] - Configured currencies, in display order
+ * @returns {string[]} Currency codes with a known rate
+ */
+export function listAvailableCurrencies(rates, currencies = CURRENCIES) {
+  return currencies.filter(
+    (code) => code === RATES_BASE_CURRENCY || Object.hasOwn(rates, code)
+  );
+}
+
+/**
+ * Gets the display name of a currency
+ * @param {string} currency - Currency code
+ * @param {string} [locale] - Display locale, the UI language's by default
+ * @returns {string} Localized name, or the code if unknown
+ */
+export function getCurrencyName(currency, locale = getLocale()) {
+  try {
+    return (
+      new Intl.DisplayNames([locale], { type: "currency" }).of(currency) ??
+      currency
+    );
+  } catch {
+    return currency;
+  }
+}
+
+// =============================================================================
+// FORMATTING
+// =============================================================================
+
+/**
+ * Formats an amount that is already in the given currency
+ * @param {number} value - Amount
+ * @param {string} currency - ISO 4217 currency code
+ * @param {Object} [options] - Formatting options
+ * @param {number} [options.digits] - Decimal places
+ * @param {string} [options.locale] - Formatting locale, the UI language's by
+ *   default
+ * @returns {string} Formatted amount, e.g. "1 234,50 ₴" in uk-UA
+ */
+export function formatMoney(
+  value,
+  currency,
+  { digits = 2, locale = getLocale() } = {}
+) {
+  const key = `${locale}|${currency}|${digits}`;
+  let formatter = formatters.get(key);
+  if (!formatter) {
+    formatter = new Intl.NumberFormat(locale, {
+      style: "currency",
+      currency,
+      currencyDisplay: "narrowSymbol",
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits,
+    });
+    formatters.set(key, formatter);
+  }
+  return formatter.format(value);
+}
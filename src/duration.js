@@ -0,0 +1,106 @@
+/**
+ * Durations
+ * Parses typed durations (h:mm:ss, hours or minutes) and formats them back
+ */
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+/**
+ * @constant {Object} DURATION_UNITS - Unit suffixes accepted after a number,
+ * in minutes per unit. A number without a unit is read as minutes.
+ */
+export const DURATION_UNITS = {
+  h: 60,
+  hr: 60,
+  hrs: 60,
+  hour: 60,
+  hours: 60,
+  г: 60,
+  год: 60,
+  m: 1,
+  min: 1,
+  mins: 1,
+  minute: 1,
+  minutes: 1,
+  хв: 1,
+  s: 1 / 60,
+  sec: 1 / 60,
+  secs: 1 / 60,
+  с: 1 / 60,
+  сек: 1 / 60,
+};
+
+/** @constant {RegExp} NUMBER_WITH_UNIT - A decimal number and an optional unit */
+const NUMBER_WITH_UNIT = /^(\d+(?:[.,]\d+)?)\s*([\p{L}]*)\.?$/u;
+
+/** @constant {RegExp} CLOCK_PATTERN - h:mm or h:mm:ss, seconds may be fractional */
+const CLOCK_PATTERN = /^(\d+):([0-5]?\d)(?::([0-5]?\d(?:[.,]\d+)?))?$/;
+
+// =============================================================================
+// CONVERSION
+// =============================================================================
+
+/**
+ * Converts seconds into minutes, rounding up to whole seconds
+ * @param {number} seconds - Duration in seconds
+ * @returns {number} Duration in minutes, a multiple of 1/60
+ */
+export function secondsToMinutes(seconds) {
+  // Round to milliseconds first so float noise does not add a second
+  return Math.ceil(Math.round(seconds * 1000) / 1000) / 60;
+}
+
+/**
+ * Parses a typed duration.
+ * Accepts "h:mm:ss" and "h:mm" clock notation, or a number with an optional
+ * unit (see DURATION_UNITS), e.g. "1:30:15", "2,5 год", "90 хв", "90".
+ * @param {string} text - Typed duration
+ * @returns {number|null} Duration in minutes rounded to whole seconds, or
+ *   null if the text is not a duration
+ */
+export function parseDuration(text) {
+  const value = String(text).trim().toLowerCase();
+
+  const clock = CLOCK_PATTERN.exec(value);
+  if (clock) {
+    const [, hours, minutes, seconds = "0"] = clock;
+    return roundToSeconds(
+      Number(hours) * 60 +
+        Number(minutes) +
+        Number(seconds.replace(",", ".")) / 60
+    );
+  }
+
+  const match = NUMBER_WITH_UNIT.exec(value);
+  if (!match || !Object.hasOwn(DURATION_UNITS, match[2] || "m")) return null;
+  return roundToSeconds(
+    Number(match[1].replace(",", ".")) * DURATION_UNITS[match[2] || "m"]
+  );
+}
+
+/**
+ * Rounds a duration in minutes to whole seconds
+ * @param {number} minutes - Duration in minutes
+ * @returns {number} Rounded duration in minutes
+ */
+function roundToSeconds(minutes) {
+  return Math.round(minutes * 60) / 60;
+}
+
+// =============================================================================
+// FORMATTING
+// =============================================================================
+
+/**
+ * Formats a duration as h:mm:ss
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+export function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  const pad = (n) => String(n).padStart(2, "0");
+  const hours = Math.floor(total / 3600);
+  return `${hours}:${pad(Math.floor((total % 3600) / 60))}:${pad(total % 60)}`;
+}
@@ -0,0 +1,337 @@
+/**
+ * Exchange Rates
+ * Exchange-rate providers (one adapter per API response shape), localStorage
+ * caching, staleness checks and manual rate overrides
+ */
+
+import { CONFIG } from "./config.js";
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+/** @constant {string} RATES_BASE_CURRENCY - Currency all rates are quoted against */
+export const RATES_BASE_CURRENCY = "USD";
+
+/** @constant {string} RATES_CACHE_STORAGE_KEY - localStorage key of the last fetched rates */
+export const RATES_CACHE_STORAGE_KEY = "audio-pricing.exchangeRates";
+
+/** @constant {string} RATE_OVERRIDES_STORAGE_KEY - localStorage key of manual rates */
+export const RATE_OVERRIDES_STORAGE_KEY = "audio-pricing.rateOverrides";
+
+/** @constant {number} RATES_STALE_AFTER - Age after which rates are stale (12 hours) */
+export const RATES_STALE_AFTER = 12 * 60 * 60 * 1000;
+
+/**
+ * @constant {Object} FALLBACK_RATES - Rates per USD used when no fetched or
+ * cached rates exist (from pricing.config.json)
+ */
+export const FALLBACK_RATES = CONFIG.fallbackRates;
+
+/**
+ * @constant {string} CACHED_AT_HEADER - Response header the service worker
+ * adds to rates it answers from its cache while offline: when they were fetched
+ */
+export const CACHED_AT_HEADER = "X-Cached-At";
+
+/** @constant {number} RATE_REQUEST_TIMEOUT - Provider request timeout in milliseconds */
+export const RATE_REQUEST_TIMEOUT = 10000;
+
+/**
+ * @constant {Object[]} EXCHANGE_RATE_PROVIDERS - Rate APIs in order of preference.
+ * Each adapter turns its API's response into `{ base, rates, publishedAt }`,
+ * with rates as units of currency per one unit of `base`.
+ */
+export const EXCHANGE_RATE_PROVIDERS = [
+  {
+    id: "exchangerate-api",
+    name: "ExchangeRate-API",
+    url: "https://api.exchangerate-api.com/v4/latest/USD",
+    parse: (data) => ({
+      base: data.base,
+      rates: data.rates,
+      publishedAt: fromUnixTime(data.time_last_updated),
+    }),
+  },
+  {
+    id: "open-er-api",
+    name: "Open Exchange Rates API",
+    url: "https://open.er-api.com/v6/latest/USD",
+    parse: (data) => {
+      if (data.result !== "success") {
+        throw new ExchangeRateError(
+          "invalid-response",
+          `API error: ${data["error-type"] ?? data.result}`
+        );
+      }
+      return {
+        base: data.base_code,
+        rates: data.rates,
+        publishedAt: fromUnixTime(data.time_last_update_unix),
+      };
+    },
+  },
+];
+
+// =============================================================================
+// ERRORS
+// =============================================================================
+
+/**
+ * Error raised when rates cannot be fetched
+ * @property {string} code - "network", "timeout", "http", "invalid-response"
+ *   or "all-failed"
+ * @property {Object[]} [failures] - Per-provider errors for "all-failed"
+ */
+export class ExchangeRateError extends Error {
+  constructor(code, message, failures) {
+    super(message);
+    this.name = "ExchangeRateError";
+    this.code = code;
+    if (failures) this.failures = failures;
+  }
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Converts a Unix timestamp in seconds to an ISO string
+ * @param {*} seconds - Timestamp
+ * @returns {string|null} ISO date, or null if the value is not a timestamp
+ */
+function fromUnixTime(seconds) {
+  return Number.isFinite(seconds) && seconds > 0
+    ? new Date(seconds * 1000).toISOString()
+    : null;
+}
+
+/**
+ * Keeps the positive finite rates of a rate table, with upper-case codes
+ * @param {*} rates - Candidate rate table
+ * @returns {Object} Valid rates keyed by currency code
+ */
+function cleanRates(rates) {
+  const clean = {};
+  if (typeof rates !== "object" || rates === null) return clean;
+  for (const [code, rate] of Object.entries(rates)) {
+    if (Number.isFinite(rate) && rate > 0) clean[code.toUpperCase()] = rate;
+  }
+  return clean;
+}
+
+// =============================================================================
+// FETCHING
+// =============================================================================
+
+/**
+ * Fetches rates from one provider
+ * @param {Object} provider - Provider from EXCHANGE_RATE_PROVIDERS
+ * @param {Object} [options] - Request options
+ * @param {Function} [options.fetch] - fetch implementation
+ * @param {number} [options.timeout] - Timeout in milliseconds
+ * @param {Date} [options.now] - Fetch time to record
+ * @returns {Promise<Object>} Snapshot `{ provider, base, rates, publishedAt,
+ *   fetchedAt }`, plus `offline: true` when the service worker answered from
+ *   its cache (fetchedAt is then the time it cached them)
+ * @throws {ExchangeRateError} With code "network", "timeout", "http" or
+ *   "invalid-response"
+ */
+export async function fetchProviderRates(
+  provider,
+  {
+    fetch: fetchImpl = globalThis.fetch,
+    timeout = RATE_REQUEST_TIMEOUT,
+    now = new Date(),
+  } = {}
+) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  let data;
+  let cachedAt = null;
+  try {
+    const response = await fetchImpl(provider.url, {
+      signal: controller.signal,
+    });
+    cachedAt = response.headers?.get(CACHED_AT_HEADER) ?? null;
+    if (!response.ok) {
+      throw new ExchangeRateError("http", `HTTP ${response.status}`);
+    }
+    data = await response.json().catch(() => {
+      throw new ExchangeRateError("invalid-response", "Response is not JSON");
+    });
+  } catch (error) {
+    if (error instanceof ExchangeRateError) throw error;
+    if (controller.signal.aborted) {
+      throw new ExchangeRateError("timeout", `No response in ${timeout} ms`);
+    }
+    throw new ExchangeRateError("network", error.message);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  let parsed;
+  try {
+    parsed = provider.parse(data ?? {});
+  } catch (error) {
+    if (error instanceof ExchangeRateError) throw error;
+    throw new ExchangeRateError("invalid-response", error.message);
+  }
+
+  const rates = cleanRates(parsed.rates);
+  if (parsed.base !== RATES_BASE_CURRENCY || Object.keys(rates).length === 0) {
+    throw new ExchangeRateError(
+      "invalid-response",
+      `Expected ${RATES_BASE_CURRENCY} rates`
+    );
+  }
+
+  return {
+    provider: provider.id,
+    base: RATES_BASE_CURRENCY,
+    rates: { ...rates, [RATES_BASE_CURRENCY]: 1 },
+    publishedAt: parsed.publishedAt ?? null,
+    fetchedAt: cachedAt ?? now.toISOString(),
+    ...(cachedAt && { offline: true }),
+  };
+}
+
+/**
+ * Fetches rates from the first provider that answers
+ * @param {Object[]} [providers] - Providers in order of preference
+ * @param {Object} [options] - Request options (see fetchProviderRates)
+ * @returns {Promise<Object>} Rate snapshot
+ * @throws {ExchangeRateError} "all-failed", with per-provider `failures`
+ */
+export async function fetchRates(providers = EXCHANGE_RATE_PROVIDERS, options) {
+  const failures = [];
+  for (const provider of providers) {
+    try {
+      return await fetchProviderRates(provider, options);
+    } catch (error) {
+      failures.push({ provider: provider.id, error });
+    }
+  }
+  throw new ExchangeRateError(
+    "all-failed",
+    "No exchange rate provider answered",
+    failures
+  );
+}
+
+// =============================================================================
+// CACHE & STALENESS
+// =============================================================================
+
+/**
+ * Loads the cached rate snapshot
+ * @param {Storage|null} storage - Storage to read
+ * @returns {Object|null} Snapshot, or null if missing or invalid
+ */
+export function loadCachedRates(storage) {
+  let data;
+  try {
+    data = JSON.parse(storage?.getItem(RATES_CACHE_STORAGE_KEY));
+  } catch {
+    return null;
+  }
+
+  const rates = cleanRates(data?.rates);
+  if (
+    data?.base !== RATES_BASE_CURRENCY ||
+    Object.keys(rates).length === 0 ||
+    Number.isNaN(Date.parse(data.fetchedAt))
+  ) {
+    return null;
+  }
+  return { ...data, rates };
+}
+
+/**
+ * Saves a rate snapshot to the cache
+ * @param {Storage|null} storage - Storage to write
+ * @param {Object} snapshot - Snapshot from fetchRates
+ */
+export function saveCachedRates(storage, snapshot) {
+  try {
+    storage?.setItem(RATES_CACHE_STORAGE_KEY, JSON.stringify(snapshot));
+  } catch {
+    // Quota or privacy errors only cost us the offline copy
+  }
+}
+
+/**
+ * Gets the age of a snapshot
+ * @param {Object} snapshot - Rate snapshot
+ * @param {Date} [now] - Current time
+ * @returns {number} Age in milliseconds
+ */
+export function getRatesAge(snapshot, now = new Date()) {
+  return now.getTime() - Date.parse(snapshot.fetchedAt);
+}
+
+/**
+ * Checks whether a snapshot is too old to quote with confidence
+ * @param {Object} snapshot - Rate snapshot
+ * @param {Date} [now] - Current time
+ * @param {number} [maxAge] - Maximum age in milliseconds
+ * @returns {boolean} True if the rates are stale
+ */
+export function isStale(
+  snapshot,
+  now = new Date(),
+  maxAge = RATES_STALE_AFTER
+) {
+  return getRatesAge(snapshot, now) > maxAge;
+}
+
+// =============================================================================
+// MANUAL OVERRIDES
+// =============================================================================
+
+/**
+ * Loads manual rate overrides
+ * @param {Storage|null} storage - Storage to read
+ * @returns {Object} Rates per USD keyed by currency code
+ */
+export function loadRateOverrides(storage) {
+  try {
+    return cleanRates(JSON.parse(storage?.getItem(RATE_OVERRIDES_STORAGE_KEY)));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Saves manual rate overrides
+ * @param {Storage|null} storage - Storage to write
+ * @param {Object} overrides - Rates per USD keyed by currency code
+ */
+export function saveRateOverrides(storage, overrides) {
+  try {
+    storage?.setItem(RATE_OVERRIDES_STORAGE_KEY, JSON.stringify(overrides));
+  } catch {
+    // Overrides still apply for this session
+  }
+}
+
+/**
+ * Resolves the rate of a currency, preferring a manual override
+ * @param {string} currency - Currency code
+ * @param {Object} rates - Market rates per USD
+ * @param {Object} [overrides] - Manual rates per USD
+ * @returns {{rate: number, manual: boolean}|null} Rate and whether it is
+ *   manual, or null if the currency has no rate
+ */
+export function resolveRate(currency, rates, overrides = {}) {
+  if (currency === RATES_BASE_CURRENCY) return { rate: 1, manual: false };
+  if (Object.hasOwn(overrides, currency)) {
+    return { rate: overrides[currency], manual: true };
+  }
+  if (Object.hasOwn(rates, currency)) {
+    return { rate: rates[currency], manual: false };
+  }
+  return null;
+}
@@ -0,0 +1,402 @@
+/**
+ * Expression Parser
+ * Safe arithmetic expression parsing and evaluation for custom pricing formulas (no eval)
+ */
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+/** @constant {Object} FUNCTIONS - Functions available in expressions, keyed by name */
+const FUNCTIONS = {
+  exp: { arity: 1, apply: Math.exp },
+  ln: { arity: 1, apply: Math.log },
+  log: { arity: 1, apply: Math.log },
+  log10: { arity: 1, apply: Math.log10 },
+  sqrt: { arity: 1, apply: Math.sqrt },
+  abs: { arity: 1, apply: Math.abs },
+  min: { arity: 2, apply: Math.min },
+  max: { arity: 2, apply: Math.max },
+  pow: { arity: 2, apply: Math.pow },
+};
+
+/** @constant {Object} CONSTANTS - Named constants available in expressions */
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E,
+};
+
+/**
+ * @constant {number} MAX_DEPTH - Deepest nesting of brackets, operators and
+ * calls; parsing and evaluation recurse this deep, so it keeps them within
+ * the call stack
+ */
+const MAX_DEPTH = 200;
+
+/** @constant {Object} OPERATOR_ALIASES - Typographic operators accepted as ASCII ones */
+const OPERATOR_ALIASES = {
+  "×": "*",
+  "·": "*",
+  "÷": "/",
+  "−": "-",
+};
+
+// =============================================================================
+// ERRORS
+// =============================================================================
+
+/**
+ * Error raised for invalid expressions
+ * @property {string} code - Machine-readable reason (see parseExpression)
+ * @property {number} position - Character offset where the problem was found
+ * @property {string} [token] - Offending token or name, if any
+ */
+export class ExpressionError extends Error {
+  constructor(code, message, position, token) {
+    super(message);
+    this.name = "ExpressionError";
+    this.code = code;
+    this.position = position;
+    this.token = token;
+  }
+}
+
+// =============================================================================
+// TOKENIZER
+// =============================================================================
+
+/**
+ * Splits expression source into tokens
+ * @param {string} source - Expression source
+ * @returns {{type: string, value: string|number, position: number}[]} Tokens
+ * @throws {ExpressionError} On characters that are not part of the grammar
+ */
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = OPERATOR_ALIASES[source[i]] ?? source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    const number = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(source.slice(i));
+    if (number) {
+      tokens.push({ type: "number", value: parseFloat(number[0]), position: i });
+      i += number[0].length;
+      continue;
+    }
+
+    const name = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+    if (name) {
+      tokens.push({ type: "name", value: name[0], position: i });
+      i += name[0].length;
+      continue;
+    }
+
+    if ("+-*/^(),".includes(char)) {
+      tokens.push({ type: char, value: char, position: i });
+      i++;
+      continue;
+    }
+
+    throw new ExpressionError(
+      "unexpected-character",
+      `Unexpected character "${source[i]}" at ${i}`,
+      i,
+      source[i]
+    );
+  }
+
+  tokens.push({ type: "end", value: "", position: source.length });
+  return tokens;
+}
+
+// =============================================================================
+// PARSER
+// =============================================================================
+
+/**
+ * Parses an expression into an abstract syntax tree
+ *
+ * Grammar (lowest to highest precedence):
+ *   sum     := product (("+" | "-") product)*
+ *   product := unary (("*" | "/") unary)*
+ *   unary   := "-" unary | "+" unary | power
+ *   power   := primary ("^" unary)?
+ *   primary := number | name | name "(" args ")" | "(" sum ")"
+ *
+ * Nesting deeper than MAX_DEPTH, in brackets or in the tree of a long chain
+ * of operators, is refused as "too-deep".
+ *
+ * @param {string} source - Expression source
+ * @returns {Object} AST node
+ * @throws {ExpressionError} With code "empty", "unexpected-character",
+ *   "unexpected-token", "unexpected-end", "unknown-function",
+ *   "missing-arguments", "arity" or "too-deep"
+ */
+export function parseExpression(source) {
+  if (typeof source !== "string" || source.trim() === "") {
+    throw new ExpressionError("empty", "Expression is empty", 0);
+  }
+
+  const tokens = tokenize(source);
+  let index = 0;
+  // Nesting of the rule being parsed, and height of each operator node
+  let depth = 0;
+  const heights = new WeakMap();
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+
+  const tooDeep = (token) => {
+    throw new ExpressionError(
+      "too-deep",
+      `Expression is nested deeper than ${MAX_DEPTH} levels at ${token.position}`,
+      token.position
+    );
+  };
+
+  const nest = (token, node) => {
+    const children = [
+      node.operand,
+      node.left,
+      node.right,
+      ...(node.args ?? []),
+    ];
+    const height =
+      1 + Math.max(...children.map((child) => heights.get(child) ?? 1));
+    if (height > MAX_DEPTH) tooDeep(token);
+    heights.set(node, height);
+    return node;
+  };
+
+  const fail = (token) => {
+    if (token.type === "end") {
+      throw new ExpressionError(
+        "unexpected-end",
+        "Unexpected end of expression",
+        token.position
+      );
+    }
+    throw new ExpressionError(
+      "unexpected-token",
+      `Unexpected "${token.value}" at ${token.position}`,
+      token.position,
+      String(token.value)
+    );
+  };
+
+  const expect = (type) => {
+    const token = next();
+    if (token.type !== type) fail(token);
+    return token;
+  };
+
+  function parseSum() {
+    let node = parseProduct();
+    while (peek().type === "+" || peek().type === "-") {
+      const op = next();
+      const right = parseProduct();
+      node = nest(op, { type: "binary", op: op.type, left: node, right });
+    }
+    return node;
+  }
+
+  function parseProduct() {
+    let node = parseUnary();
+    while (peek().type === "*" || peek().type === "/") {
+      const op = next();
+      const right = parseUnary();
+      node = nest(op, { type: "binary", op: op.type, left: node, right });
+    }
+    return node;
+  }
+
+  // Brackets, signs, powers and call arguments all nest through here
+  function parseUnary() {
+    if (++depth > MAX_DEPTH) tooDeep(peek());
+    let node;
+    if (peek().type === "-") {
+      const sign = next();
+      node = nest(sign, { type: "negate", operand: parseUnary() });
+    } else if (peek().type === "+") {
+      next();
+      node = parseUnary();
+    } else {
+      node = parsePower();
+    }
+    depth--;
+    return node;
+  }
+
+  function parsePower() {
+    const base = parsePrimary();
+    if (peek().type === "^") {
+      const op = next();
+      const exponent = parseUnary();
+      return nest(op, { type: "binary", op: "^", left: base, right: exponent });
+    }
+    return base;
+  }
+
+  function parsePrimary() {
+    const token = next();
+
+    if (token.type === "number") {
+      return { type: "number", value: token.value };
+    }
+
+    if (token.type === "(") {
+      const node = parseSum();
+      expect(")");
+      return node;
+    }
+
+    if (token.type === "name") {
+      if (peek().type === "(") {
+        return parseCall(token);
+      }
+      if (Object.hasOwn(FUNCTIONS, token.value)) {
+        throw new ExpressionError(
+          "missing-arguments",
+          `Function "${token.value}" must be called with parentheses`,
+          token.position,
+          token.value
+        );
+      }
+      if (Object.hasOwn(CONSTANTS, token.value)) {
+        return { type: "number", value: CONSTANTS[token.value] };
+      }
+      return { type: "variable", name: token.value };
+    }
+
+    return fail(token);
+  }
+
+  function parseCall(nameToken) {
+    const fn = Object.hasOwn(FUNCTIONS, nameToken.value)
+      ? FUNCTIONS[nameToken.value]
+      : null;
+    if (!fn) {
+      throw new ExpressionError(
+        "unknown-function",
+        `Unknown function "${nameToken.value}"`,
+        nameToken.position,
+        nameToken.value
+      );
+    }
+
+    expect("(");
+    const args = [];
+    if (peek().type !== ")") {
+      args.push(parseSum());
+      while (peek().type === ",") {
+        next();
+        args.push(parseSum());
+      }
+    }
+    expect(")");
+
+    if (args.length !== fn.arity) {
+      throw new ExpressionError(
+        "arity",
+        `Function "${nameToken.value}" expects ${fn.arity} argument(s), got ${args.length}`,
+        nameToken.position,
+        nameToken.value
+      );
+    }
+
+    return nest(nameToken, { type: "call", name: nameToken.value, args });
+  }
+
+  const ast = parseSum();
+  if (peek().type !== "end") fail(peek());
+  return ast;
+}
+
+// =============================================================================
+// EVALUATION
+// =============================================================================
+
+/**
+ * Collects variable names referenced by an AST, in order of first appearance
+ * @param {Object} node - AST node
+ * @param {string[]} [names] - Accumulator
+ * @returns {string[]} Variable names
+ */
+function collectVariables(node, names = []) {
+  switch (node.type) {
+    case "variable":
+      if (!names.includes(node.name)) names.push(node.name);
+      break;
+    case "negate":
+      collectVariables(node.operand, names);
+      break;
+    case "binary":
+      collectVariables(node.left, names);
+      collectVariables(node.right, names);
+      break;
+    case "call":
+      node.args.forEach((arg) => collectVariables(arg, names));
+      break;
+  }
+  return names;
+}
+
+/**
+ * Evaluates an AST against variable values
+ * @param {Object} node - AST node
+ * @param {Object} scope - Variable values keyed by name
+ * @returns {number} Result (may be NaN or ±Infinity)
+ */
+function evaluateNode(node, scope) {
+  switch (node.type) {
+    case "number":
+      return node.value;
+    case "variable":
+      return Object.hasOwn(scope, node.name) ? Number(scope[node.name]) : NaN;
+    case "negate":
+      return -evaluateNode(node.operand, scope);
+    case "call":
+      return FUNCTIONS[node.name].apply(
+        ...node.args.map((arg) => evaluateNode(arg, scope))
+      );
+    case "binary": {
+      const left = evaluateNode(node.left, scope);
+      const right = evaluateNode(node.right, scope);
+      switch (node.op) {
+        case "+":
+          return left + right;
+        case "-":
+          return left - right;
+        case "*":
+          return left * right;
+        case "/":
+          return left / right;
+        case "^":
+          return Math.pow(left, right);
+      }
+    }
+  }
+  return NaN;
+}
+
+/**
+ * Compiles an expression into a reusable evaluator
+ * @param {string} source - Expression source
+ * @returns {{source: string, variables: string[], evaluate: function(Object): number}}
+ *   Compiled expression; `variables` lists every referenced name
+ * @throws {ExpressionError} If the expression cannot be parsed
+ */
+export function compileExpression(source) {
+  const ast = parseExpression(source);
+  return {
+    source,
+    variables: collectVariables(ast),
+    evaluate: (scope) => evaluateNode(ast, scope),
+  };
+}
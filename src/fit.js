@@ -0,0 +1,179 @@
+/**
+ * Parameter Fitting
+ * Least-squares fit of built-in formula parameters to target price points
+ */
+
+import { FORMULAS, getFormula } from "./pricing.js";
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+/**
+ * @constant {string[]} FIT_FORMULAS - Formulas whose parameters can be fitted:
+ * the built-in ones with a closed-form rate (not custom, not tiered)
+ */
+export const FIT_FORMULAS = Object.keys(FORMULAS).filter(
+  (id) => !FORMULAS[id].custom && !FORMULAS[id].tiered
+);
+
+/** @constant {number} GRID_SIZE - Coarse samples per parameter before refining */
+const GRID_SIZE = 100;
+
+/** @constant {number} REFINE_ITERATIONS - Golden-section steps around the best sample */
+const REFINE_ITERATIONS = 60;
+
+/** @constant {number} GOLDEN_RATIO - Interval shrink factor of golden-section search */
+const GOLDEN_RATIO = (Math.sqrt(5) - 1) / 2;
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+/**
+ * Checks target price points for problems
+ * @param {{minutes: number, total: number}[]} points - Durations in minutes
+ *   and the totals wanted for them in USD
+ * @returns {{code: string, index: number}|null} First problem found, or null.
+ *   Codes: "count" (fewer than two points), "minutes", "total", "duplicate"
+ */
+export function validateFitPoints(points) {
+  if (!Array.isArray(points) || points.length < 2) {
+    return { code: "count", index: 0 };
+  }
+
+  const seen = new Set();
+  for (const [index, point] of points.entries()) {
+    if (!Number.isFinite(point.minutes) || point.minutes <= 0) {
+      return { code: "minutes", index };
+    }
+    if (!Number.isFinite(point.total) || point.total <= 0) {
+      return { code: "total", index };
+    }
+    if (seen.has(point.minutes)) return { code: "duplicate", index };
+    seen.add(point.minutes);
+  }
+  return null;
+}
+
+// =============================================================================
+// FITTING
+// =============================================================================
+
+/**
+ * Fits a formula's parameters to target price points.
+ *
+ * Minimizes the sum of squared differences between the target totals and
+ * base fee plus processing cost, as calculatePrice prices them without
+ * add-ons, discounts or tax. Parameters stay within their slider bounds; each
+ * is searched on a grid and refined by golden-section search, the first
+ * parameter nested inside the second.
+ *
+ * @param {string} formulaId - Formula identifier (one of FIT_FORMULAS)
+ * @param {{minutes: number, total: number}[]} points - Valid target points
+ * @param {number} baseFee - Base setup fee in USD
+ * @returns {{formula: string, params: Object, rmse: number, maxError: number, residuals: Object[]}}
+ *   Fitted parameters, root-mean-square and largest absolute error in USD,
+ *   and per point `{ minutes, total, fitted, error }` with `error` the fitted
+ *   minus the target total
+ * @throws {Error} If the formula cannot be fitted or the points are invalid
+ */
+export function fitFormula(formulaId, points, baseFee) {
+  const formula = getFormula(formulaId);
+  if (!FIT_FORMULAS.includes(formulaId)) {
+    throw new Error(`Formula cannot be fitted: ${formulaId}`);
+  }
+  const problem = validateFitPoints(points);
+  if (problem) throw new Error(`Invalid fit points: ${problem.code}`);
+
+  const totalAt = (minutes, params) =>
+    baseFee + minutes * formula.calculate(minutes, params);
+  const squaredError = (params) =>
+    points.reduce(
+      (sum, point) => sum + (totalAt(point.minutes, params) - point.total) ** 2,
+      0
+    );
+
+  const [inner, outer] = Object.entries(formula.params);
+  const fitInner = (outerValue) => {
+    const best = minimize(
+      (value) => squaredError({ [inner[0]]: value, [outer[0]]: outerValue }),
+      inner[1]
+    );
+    return { [inner[0]]: best, [outer[0]]: outerValue };
+  };
+  const params = fitInner(
+    minimize((value) => squaredError(fitInner(value)), outer[1])
+  );
+
+  const residuals = points.map(({ minutes, total }) => {
+    const fitted = totalAt(minutes, params);
+    return { minutes, total, fitted, error: fitted - total };
+  });
+  return {
+    formula: formulaId,
+    params,
+    rmse: Math.sqrt(squaredError(params) / points.length),
+    maxError: Math.max(...residuals.map(({ error }) => Math.abs(error))),
+    residuals,
+  };
+}
+
+/**
+ * Fits every fittable formula to target price points
+ * @param {{minutes: number, total: number}[]} points - Valid target points
+ * @param {number} baseFee - Base setup fee in USD
+ * @returns {Object[]} Fits (see fitFormula), best (lowest RMSE) first
+ * @throws {Error} If the points are invalid
+ */
+export function fitAllFormulas(points, baseFee) {
+  return FIT_FORMULAS.map((id) => fitFormula(id, points, baseFee)).sort(
+    (a, b) => a.rmse - b.rmse
+  );
+}
+
+/**
+ * Minimizes a function of one variable within bounds
+ * @param {function(number): number} fn - Function to minimize
+ * @param {{min: number, max: number}} bounds - Search interval
+ * @returns {number} Argument of the smallest value found
+ */
+function minimize(fn, { min, max }) {
+  const width = (max - min) / GRID_SIZE;
+  let best = min;
+  let bestValue = fn(min);
+  for (let i = 1; i <= GRID_SIZE; i++) {
+    const x = Math.min(max, min + i * width);
+    const value = fn(x);
+    if (value < bestValue) {
+      best = x;
+      bestValue = value;
+    }
+  }
+
+  // The minimum lies within one grid cell of the best sample
+  let lo = Math.max(min, best - width);
+  let hi = Math.min(max, best + width);
+  let a = hi - GOLDEN_RATIO * (hi - lo);
+  let b = lo + GOLDEN_RATIO * (hi - lo);
+  let fa = fn(a);
+  let fb = fn(b);
+  for (let i = 0; i < REFINE_ITERATIONS; i++) {
+    if (fa < fb) {
+      hi = b;
+      b = a;
+      fb = fa;
+      a = hi - GOLDEN_RATIO * (hi - lo);
+      fa = fn(a);
+    } else {
+      lo = a;
+      a = b;
+      fa = fb;
+      b = lo + GOLDEN_RATIO * (hi - lo);
+      fb = fn(b);
+    }
+  }
+
+  const refined = fa < fb ? a : b;
+  return Math.min(fa, fb) < bestValue ? refined : best;
+}
@@ -0,0 +1,231 @@
+/**
+ * Change History
+ * Snapshots of the tuned configuration (formula, parameters, base fee and
+ * duration), an undo/redo stack over them and a timestamped audit log with
+ * diffs, persisted in localStorage
+ */
+
+import { FORMULAS } from "./pricing.js";
+import { isPlainObject } from "./config.js";
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+/** @constant {string} AUDIT_LOG_STORAGE_KEY - localStorage key of the audit log */
+export const AUDIT_LOG_STORAGE_KEY = "audio-pricing.auditLog";
+
+/** @constant {number} AUDIT_LOG_FORMAT_VERSION - Version of the stored audit log format */
+export const AUDIT_LOG_FORMAT_VERSION = 1;
+
+/** @constant {number} UNDO_LIMIT - Undo steps kept; older ones are dropped */
+export const UNDO_LIMIT = 100;
+
+/** @constant {number} AUDIT_LOG_LIMIT - Audit log entries kept; older ones are dropped */
+export const AUDIT_LOG_LIMIT = 200;
+
+/**
+ * @constant {string[]} SNAPSHOT_FIELDS - Configuration fields a snapshot
+ * holds, in diff order; `expression` and `tiers`/`tierMode` only for the
+ * custom and tiered formulas
+ */
+export const SNAPSHOT_FIELDS = [
+  "formula",
+  "expression",
+  "tiers",
+  "tierMode",
+  "params",
+  "baseFee",
+  "minutes",
+];
+
+// =============================================================================
+// SNAPSHOTS
+// =============================================================================
+
+/**
+ * Copies the history fields of calculator state
+ * @param {Object} state - State with `formula`, `params`, `baseFee`,
+ *   `minutes` and optionally `expression`, `tiers` and `tierMode`
+ * @returns {Object} Snapshot with fields in SNAPSHOT_FIELDS order
+ */
+export function createSnapshot(state) {
+  const snapshot = {};
+  for (const field of SNAPSHOT_FIELDS) {
+    if (state[field] === undefined) continue;
+    snapshot[field] = structuredClone(state[field]);
+  }
+  return snapshot;
+}
+
+/**
+ * Checks whether two snapshots hold the same configuration
+ * @param {Object|null} a - Snapshot
+ * @param {Object|null} b - Snapshot
+ * @returns {boolean} True if equal
+ */
+export function snapshotsEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Lists the changes between two snapshots
+ * @param {Object} from - Earlier snapshot
+ * @param {Object} to - Later snapshot
+ * @returns {{field: string, from: *, to: *}[]} Changed fields; parameters
+ *   are listed one by one as "params.A", values are undefined where a field
+ *   is missing
+ */
+export function diffSnapshots(from, to) {
+  const changes = [];
+  for (const field of SNAPSHOT_FIELDS) {
+    if (field === "params") {
+      const names = new Set([
+        ...Object.keys(from.params ?? {}),
+        ...Object.keys(to.params ?? {}),
+      ]);
+      for (const name of [...names].sort()) {
+        const before = from.params?.[name];
+        const after = to.params?.[name];
+        if (before !== after) {
+          changes.push({ field: `params.${name}`, from: before, to: after });
+        }
+      }
+    } else if (!snapshotsEqual(from[field], to[field])) {
+      changes.push({ field, from: from[field], to: to[field] });
+    }
+  }
+  return changes;
+}
+
+// =============================================================================
+// UNDO & REDO
+// =============================================================================
+
+/**
+ * Creates an undo stack
+ * @param {Object} snapshot - Current configuration
+ * @returns {{past: Object[], present: Object, future: Object[]}} Stack with
+ *   nothing to undo or redo
+ */
+export function createUndoStack(snapshot) {
+  return { past: [], present: snapshot, future: [] };
+}
+
+/**
+ * Records a change, dropping the redo steps
+ * @param {Object} stack - Undo stack
+ * @param {Object} snapshot - New configuration
+ * @param {number} [limit] - Undo steps kept
+ * @returns {Object} New stack; the same stack if nothing changed
+ */
+export function recordChange(stack, snapshot, limit = UNDO_LIMIT) {
+  if (snapshotsEqual(stack.present, snapshot)) return stack;
+  return {
+    past: [...stack.past, stack.present].slice(-limit),
+    present: snapshot,
+    future: [],
+  };
+}
+
+/**
+ * Steps back to the previous configuration
+ * @param {Object} stack - Undo stack
+ * @returns {Object} New stack; the same stack if there is nothing to undo
+ */
+export function undoChange(stack) {
+  if (stack.past.length === 0) return stack;
+  return {
+    past: stack.past.slice(0, -1),
+    present: stack.past.at(-1),
+    future: [stack.present, ...stack.future],
+  };
+}
+
+/**
+ * Steps forward to the configuration last undone
+ * @param {Object} stack - Undo stack
+ * @returns {Object} New stack; the same stack if there is nothing to redo
+ */
+export function redoChange(stack) {
+  if (stack.future.length === 0) return stack;
+  return {
+    past: [...stack.past, stack.present],
+    present: stack.future[0],
+    future: stack.future.slice(1),
+  };
+}
+
+// =============================================================================
+// AUDIT LOG
+// =============================================================================
+
+/**
+ * Appends a configuration to the audit log unless it equals the last entry
+ * @param {{at: string, snapshot: Object}[]} log - Entries, oldest first
+ * @param {Object} snapshot - Configuration
+ * @param {Object} [options] - Entry options
+ * @param {Date} [options.now] - Time of the change
+ * @param {number} [options.limit] - Entries kept
+ * @returns {Object[]} New log; the same log if nothing changed
+ */
+export function appendAuditEntry(
+  log,
+  snapshot,
+  { now = new Date(), limit = AUDIT_LOG_LIMIT } = {}
+) {
+  if (log.length > 0 && snapshotsEqual(log.at(-1).snapshot, snapshot)) {
+    return log;
+  }
+  return [...log, { at: now.toISOString(), snapshot }].slice(-limit);
+}
+
+/**
+ * Checks whether a stored audit log entry is usable
+ * @param {*} entry - Candidate entry
+ * @returns {boolean} True if it has a valid time and a snapshot of a known
+ *   formula
+ */
+function isValidEntry(entry) {
+  return (
+    isPlainObject(entry) &&
+    typeof entry.at === "string" &&
+    !Number.isNaN(Date.parse(entry.at)) &&
+    isPlainObject(entry.snapshot) &&
+    typeof entry.snapshot.formula === "string" &&
+    Object.hasOwn(FORMULAS, entry.snapshot.formula) &&
+    isPlainObject(entry.snapshot.params) &&
+    Number.isFinite(entry.snapshot.baseFee) &&
+    Number.isFinite(entry.snapshot.minutes)
+  );
+}
+
+/**
+ * Loads the audit log from storage, skipping damaged entries
+ * @param {Storage} storage - Storage to read (localStorage in the browser)
+ * @returns {{at: string, snapshot: Object}[]} Entries, oldest first
+ */
+export function loadAuditLog(storage) {
+  let data;
+  try {
+    data = JSON.parse(storage.getItem(AUDIT_LOG_STORAGE_KEY));
+  } catch {
+    return [];
+  }
+  if (!isPlainObject(data) || !Array.isArray(data.entries)) return [];
+  return data.entries
+    .filter(isValidEntry)
+    .map(({ at, snapshot }) => ({ at, snapshot: createSnapshot(snapshot) }));
+}
+
+/**
+ * Saves the audit log to storage
+ * @param {Storage} storage - Storage to write (localStorage in the browser)
+ * @param {{at: string, snapshot: Object}[]} log - Entries, oldest first
+ */
+export function saveAuditLog(storage, log) {
+  storage.setItem(
+    AUDIT_LOG_STORAGE_KEY,
+    JSON.stringify({ version: AUDIT_LOG_FORMAT_VERSION, entries: log })
+  );
+}
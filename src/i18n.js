@@ -0,0 +1,298 @@
+/**
+ * Internationalization
+ * Message catalogs, the current language, message formatting with plural
+ * forms and locale-aware number and date formatting
+ */
+
+import uk from "./locales/uk.json" with { type: "json" };
+import en from "./locales/en.json" with { type: "json" };
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+/**
+ * @constant {Object} LANGUAGES - Available languages keyed by code, in
+ * switcher order. Adding one takes a catalog in src/locales and an entry here;
+ * missing messages fall back to DEFAULT_LANGUAGE.
+ */
+export const LANGUAGES = {
+  uk: { name: "Українська", locale: "uk-UA", messages: uk },
+  en: { name: "English", locale: "en-GB", messages: en },
+};
+
+/** @constant {string} DEFAULT_LANGUAGE - Language of the original UI and fallback catalog */
+export const DEFAULT_LANGUAGE = "uk";
+
+/** @constant {string} LANGUAGE_STORAGE_KEY - localStorage key of the chosen language */
+export const LANGUAGE_STORAGE_KEY = "audio-pricing.language";
+
+/** @constant {RegExp} PLACEHOLDER_PATTERN - `{name}` placeholders in messages */
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+/** @type {string} currentLanguage - Language messages and numbers are formatted in */
+let currentLanguage = DEFAULT_LANGUAGE;
+
+/** @type {Set<function(string): void>} listeners - Called after the language changes */
+const listeners = new Set();
+
+/** @type {Map<string, Object>} formatters - Cached Intl formatters by kind, locale and options */
+const formatters = new Map();
+
+// =============================================================================
+// LANGUAGE
+// =============================================================================
+
+/**
+ * Gets the current language
+ * @returns {string} Language code (key of LANGUAGES)
+ */
+export function getLanguage() {
+  return currentLanguage;
+}
+
+/**
+ * Gets the BCP 47 locale of the current language, for Intl formatting
+ * @returns {string} Locale, e.g. "uk-UA"
+ */
+export function getLocale() {
+  return LANGUAGES[currentLanguage].locale;
+}
+
+/**
+ * Switches the language and notifies listeners
+ * @param {string} language - Language code (key of LANGUAGES)
+ * @throws {Error} If the language is unknown
+ */
+export function setLanguage(language) {
+  if (!Object.hasOwn(LANGUAGES, language)) {
+    throw new Error(`Unknown language: ${language}`);
+  }
+  if (language === currentLanguage) return;
+  currentLanguage = language;
+  for (const listener of listeners) listener(language);
+}
+
+/**
+ * Runs a callback in another language without switching the page's, so an
+ * embedded widget can differ from its host
+ * @param {string} language - Language code (key of LANGUAGES)
+ * @param {function(): *} callback - Work to do in that language
+ * @returns {*} The callback's result
+ * @throws {Error} If the language is unknown
+ */
+export function withLanguage(language, callback) {
+  if (!Object.hasOwn(LANGUAGES, language)) {
+    throw new Error(`Unknown language: ${language}`);
+  }
+  const previous = currentLanguage;
+  currentLanguage = language;
+  try {
+    return callback();
+  } finally {
+    currentLanguage = previous;
+  }
+}
+
+/**
+ * Subscribes to language changes
+ * @param {function(string): void} listener - Called with the new language
+ * @returns {function(): void} Unsubscribes the listener
+ */
+export function onLanguageChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Picks the best available language for preferred language tags
+ * @param {string[]} preferred - Tags by preference, e.g. navigator.languages
+ * @returns {string} Language code, DEFAULT_LANGUAGE if none matches
+ */
+export function matchLanguage(preferred) {
+  for (const tag of preferred) {
+    const code = String(tag).toLowerCase().split("-")[0];
+    if (Object.hasOwn(LANGUAGES, code)) return code;
+  }
+  return DEFAULT_LANGUAGE;
+}
+
+/**
+ * Loads the saved language
+ * @param {Storage|null} storage - Storage to read
+ * @returns {string|null} Saved language code, or null if none or unknown
+ */
+export function loadLanguage(storage) {
+  try {
+    const saved = storage?.getItem(LANGUAGE_STORAGE_KEY);
+    return saved && Object.hasOwn(LANGUAGES, saved) ? saved : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Saves the chosen language
+ * @param {Storage|null} storage - Storage to write
+ * @param {string} language - Language code
+ */
+export function saveLanguage(storage, language) {
+  try {
+    storage?.setItem(LANGUAGE_STORAGE_KEY, language);
+  } catch (error) {
+    console.warn("Failed to save language:", error);
+  }
+}
+
+// =============================================================================
+// MESSAGES
+// =============================================================================
+
+/**
+ * Looks up a message in a catalog
+ * @param {Object} messages - Catalog
+ * @param {string} key - Dotted message key, e.g. "units.minutes"
+ * @returns {string|Object|undefined} Message, plural forms, or undefined
+ */
+function lookup(messages, key) {
+  let value = messages;
+  for (const part of key.split(".")) {
+    if (typeof value !== "object" || !Object.hasOwn(value, part)) {
+      return undefined;
+    }
+    value = value[part];
+  }
+  return value;
+}
+
+/**
+ * Checks whether the fallback catalog has a message
+ * @param {string} key - Dotted message key
+ * @returns {boolean} Whether the key is a message
+ */
+export function hasMessage(key) {
+  return lookup(LANGUAGES[DEFAULT_LANGUAGE].messages, key) !== undefined;
+}
+
+/**
+ * Translates a message into the current language.
+ * `{name}` placeholders are replaced by params, numbers formatted for the
+ * locale. Messages with plural forms (`one`, `few`, `many`, `other`) pick the
+ * form for `params.count`.
+ * @param {string} key - Dotted message key
+ * @param {Object} [params] - Placeholder values
+ * @returns {string} Message; the key itself if no catalog has it
+ */
+export function t(key, params = {}) {
+  let message =
+    lookup(LANGUAGES[currentLanguage].messages, key) ??
+    lookup(LANGUAGES[DEFAULT_LANGUAGE].messages, key);
+
+  if (typeof message === "object" && message !== null) {
+    const form = getFormatter("PluralRules").select(params.count ?? 0);
+    message = message[form] ?? message.other;
+  }
+  if (typeof message !== "string") return key;
+
+  return message.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+    if (!Object.hasOwn(params, name)) return placeholder;
+    const value = params[name];
+    return typeof value === "number" ? formatNumber(value) : String(value);
+  });
+}
+
+/**
+ * Makes display fields of a definition table follow the current language.
+ * Each listed field of entry `id` becomes a getter of the message
+ * `${prefix}.${id}.${field}`; fields without a message are left as they are.
+ * @param {Object} table - Definitions keyed by id
+ * @param {string} prefix - Message key prefix
+ * @param {string[]} [fields] - Translated fields
+ * @returns {Object} The same table
+ */
+export function localizeTable(table, prefix, fields = ["name"]) {
+  for (const [id, entry] of Object.entries(table)) {
+    for (const field of fields) {
+      const key = `${prefix}.${id}.${field}`;
+      if (!hasMessage(key)) continue;
+      Object.defineProperty(entry, field, {
+        get: () => t(key),
+        enumerable: true,
+        configurable: true,
+      });
+    }
+  }
+  return table;
+}
+
+// =============================================================================
+// FORMATTING
+// =============================================================================
+
+/**
+ * Formats a number for the current locale
+ * @param {number} value - Number
+ * @param {Object} [options] - Intl.NumberFormat options
+ * @returns {string} Formatted number, e.g. "1 234,5" in Ukrainian
+ */
+export function formatNumber(value, options = {}) {
+  return getFormatter("NumberFormat", {
+    maximumFractionDigits: 4,
+    ...options,
+  }).format(value);
+}
+
+/**
+ * Formats a date, time or both for the current locale
+ * @param {Date|number|string} date - Date or timestamp
+ * @param {Object} [options] - Intl.DateTimeFormat options; date and time by
+ *   default
+ * @returns {string} Formatted date
+ */
+export function formatDate(
+  date,
+  options = { dateStyle: "short", timeStyle: "medium" }
+) {
+  return getFormatter("DateTimeFormat", options).format(new Date(date));
+}
+
+/**
+ * Gets a cached Intl formatter for the current locale
+ * @param {string} kind - Intl constructor name
+ * @param {Object} [options] - Constructor options
+ * @returns {Object} Formatter
+ */
+function getFormatter(kind, options = {}) {
+  const key = `${kind}|${getLocale()}|${JSON.stringify(options)}`;
+  let formatter = formatters.get(key);
+  if (!formatter) {
+    formatter = new Intl[kind](getLocale(), options);
+    formatters.set(key, formatter);
+  }
+  return formatter;
+}
+
+// =============================================================================
+// DOCUMENT
+// =============================================================================
+
+/**
+ * Translates static markup. Elements name their message in `data-i18n`
+ * (text), or `data-i18n-<attribute>` for attributes such as placeholder,
+ * title or aria-label.
+ * @param {Document|DocumentFragment|Element} root - Markup to translate
+ */
+export function translateElements(root) {
+  for (const element of root.querySelectorAll("*")) {
+    for (const [name, key] of Object.entries(element.dataset)) {
+      if (name === "i18n") {
+        element.textContent = t(key);
+      } else if (name.startsWith("i18n")) {
+        const attribute = name
+          .slice(4)
+          .replace(/[A-Z]/g, (c, i) => (i === 0 ? c : "-" + c).toLowerCase());
+        element.setAttribute(attribute, t(key));
+      }
+    }
+  }
+}
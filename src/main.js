@@ -1,4 +1,134 @@
 import "./style.css";
+import Chart from "chart.js/auto";
+import {
+  FORMULAS,
+  DEFAULT_PRICING,
+  BASE_FEE_RANGE,
+  MINUTES_RANGE,
+  SCALE_RANGE,
+  DEFAULT_CURVE_MAX,
+  DEFAULT_MINUTES,
+  DEFAULT_GRANULARITY,
+  DURATION_PRESETS,
+  BILLING_GRANULARITIES,
+  TIER_MODES,
+  calculatePrice as calculatePriceForConfig,
+  buildPriceCurve,
+  resolveFormula,
+  resolveParams,
+  findNonFiniteRate,
+  validateTiers,
+} from "./pricing.js";
+import { ExpressionError } from "./expression.js";
+import { getStorage } from "./storage.js";
+import { serializeState, parseState, clamp } from "./url-state.js";
+import {
+  loadProfiles,
+  saveProfiles,
+  upsertProfile,
+  validateProfile,
+  normalizeProfile,
+  exportProfiles,
+  importProfiles,
+} from "./profiles.js";
+import {
+  MAX_PINNED_SERIES,
+  createSeries,
+  uniqueSeriesName,
+  compareAtDurations,
+} from "./comparison.js";
+import {
+  QUOTE_PAGE,
+  nextQuoteNumber,
+  createQuote,
+  getQuoteLines,
+  getQuoteTotalLabel,
+  drawQuotePage,
+  quotesToCsv,
+  quoteToJson,
+} from "./quote.js";
+import { createImagePdf } from "./pdf.js";
+import {
+  EXCHANGE_RATE_PROVIDERS,
+  RATES_BASE_CURRENCY,
+  FALLBACK_RATES,
+  fetchRates,
+  loadCachedRates,
+  saveCachedRates,
+  getRatesAge,
+  isStale,
+  loadRateOverrides,
+  saveRateOverrides,
+  resolveRate,
+} from "./exchange-rates.js";
+import {
+  DEFAULT_CURRENCY,
+  listAvailableCurrencies,
+  getCurrencyName,
+  formatMoney,
+} from "./currency.js";
+import {
+  ROUNDING_MODES,
+  ROUNDING_INCREMENTS,
+  validateRoundingPolicy,
+  isRoundingActive,
+  loadRoundingPolicies,
+  saveRoundingPolicies,
+  getRoundingPolicy,
+} from "./rounding.js";
+import { ADDONS, ADDON_TYPES } from "./addons.js";
+import { findAffordableMinutes } from "./budget.js";
+import {
+  buildCostCurves,
+  findDecreasingRanges,
+  getSafeParamBounds,
+  clampParams,
+} from "./analysis.js";
+import { validateFitPoints, fitAllFormulas } from "./fit.js";
+import {
+  parseOrdersCsv,
+  simulateRevenue,
+  findLargestChanges,
+  buildOrderHistogram,
+} from "./revenue.js";
+import { redeemPromoCode, checkPromoConditions } from "./promo.js";
+import {
+  TAX_PROFILES,
+  TAX_MODES,
+  validateTaxSettings,
+  loadTaxSettings,
+  saveTaxSettings,
+} from "./tax.js";
+import {
+  AudioDurationError,
+  readAudioDuration,
+  sumDurations,
+} from "./audio-duration.js";
+import { parseDuration, formatDuration, secondsToMinutes } from "./duration.js";
+import {
+  LANGUAGES,
+  getLanguage,
+  setLanguage,
+  onLanguageChange,
+  matchLanguage,
+  loadLanguage,
+  saveLanguage,
+  t,
+  formatNumber,
+  formatDate,
+  translateElements,
+} from "./i18n.js";
+import {
+  createSnapshot,
+  diffSnapshots,
+  createUndoStack,
+  recordChange,
+  undoChange,
+  redoChange,
+  appendAuditEntry,
+  loadAuditLog,
+  saveAuditLog,
+} from "./history.js";
 
 /**
  * Audio Cleaning Pricing Calculator
@@ -9,97 +139,142 @@ import "./style.css";
 // CONFIGURATION & CONSTANTS
 // =============================================================================
 
-/** @constant {string[]} API_ENDPOINTS - Currency exchange rate API endpoints */
-const API_ENDPOINTS = [
-  "https://api.exchangerate-api.com/v4/latest/USD",
-  "https://open.er-api.com/v6/latest/USD",
-];
-
 /** @constant {number} REFRESH_INTERVAL - Rate refresh interval in milliseconds (30 minutes) */
 const REFRESH_INTERVAL = 1800000;
 
-/** @constant {number} FALLBACK_RATE - Fallback UAH to USD rate */
-const FALLBACK_RATE = 37;
-
-/** @constant {number} FALLBACK_EUR_RATE - Fallback EUR to USD rate */
-const FALLBACK_EUR_RATE = 0.85;
-
-/** @constant {Object} DEFAULT_PRICING - Default pricing parameters */
-const DEFAULT_PRICING = {
-  baseFee: 10,
-  formula: "hyperbolic",
-  paramA: 0.03,
-  paramB: 0.0005,
-};
-
-/** @constant {Object} FORMULAS - Available pricing formulas with their parameters */
-const FORMULAS = {
-  hyperbolic: {
-    name: "Гіпербола",
-    equation: "A / (1 + B × x)",
-    calculate: (x, A, B) => A / (1 + B * x),
-    params: {
-      A: { min: 0.005, max: 0.2, default: 0.03, step: 0.001 },
-      B: { min: 0.0001, max: 0.002, default: 0.0005, step: 0.00001 },
-    },
-  },
-  power: {
-    name: "Степенева функція",
-    equation: "A × x^(-B)",
-    calculate: (x, A, B) => (x > 0 ? A * Math.pow(x, -B) : A),
-    params: {
-      A: { min: 0.5, max: 5, default: 2, step: 0.1 },
-      B: { min: 0.3, max: 1.2, default: 0.6, step: 0.01 },
-    },
-  },
-  logarithmic: {
-    name: "Логарифмічна",
-    equation: "A - B × ln(x)",
-    calculate: (x, A, B) => (x > 0 ? Math.max(0.005, A - B * Math.log(x)) : A),
-    params: {
-      A: { min: 0.02, max: 0.15, default: 0.08, step: 0.005 },
-      B: { min: 0.002, max: 0.02, default: 0.008, step: 0.001 },
-    },
-  },
-};
+/** @constant {number} URL_UPDATE_DELAY - Debounce delay of URL updates in milliseconds */
+const URL_UPDATE_DELAY = 300;
+
+/** @constant {number} HISTORY_RECORD_DELAY - Quiet time before a change becomes an undo step, so a slider drag is one step */
+const HISTORY_RECORD_DELAY = 600;
+
+/** @constant {number} COPY_FEEDBACK_DURATION - How long "copied" feedback stays, in milliseconds */
+const COPY_FEEDBACK_DURATION = 2000;
+
+/** @constant {number} DECODE_FALLBACK_MAX_BYTES - Largest file decoded when its headers can't be read */
+const DECODE_FALLBACK_MAX_BYTES = 200 * 1024 * 1024;
+
+/** @constant {number} MAX_LISTED_REJECTIONS - Rejected CSV rows listed in the import message */
+const MAX_LISTED_REJECTIONS = 5;
+
+/** @constant {number} SCALE_ROUNDING - Durations beyond the scale widen it to a multiple of this, in minutes */
+const SCALE_ROUNDING = 1000;
+
+/** @constant {number} MAX_LISTED_RANGES - Decreasing ranges listed in the analysis warning */
+const MAX_LISTED_RANGES = 5;
 
 // =============================================================================
 // STATE MANAGEMENT
 // =============================================================================
 
 /** @type {number} currentMinutes - Currently selected audio duration in minutes */
-let currentMinutes = 500;
+let currentMinutes = DEFAULT_MINUTES;
+
+/** @type {number} maxMinutes - Upper bound of the duration slider and charts */
+let maxMinutes = DEFAULT_CURVE_MAX;
+
+/** @type {string} billingGranularity - How durations with seconds are billed (key of BILLING_GRANULARITIES) */
+let billingGranularity = DEFAULT_GRANULARITY;
 
-/** @type {string} currentCurrency - Currently selected currency (UAH/EUR/USD) */
-let currentCurrency = "UAH";
+/** @type {string} currentCurrency - Currently selected currency code */
+let currentCurrency = DEFAULT_CURRENCY;
 
 /** @type {string} currentFormula - Currently selected pricing formula */
-let currentFormula = "hyperbolic";
+let currentFormula = DEFAULT_PRICING.formula;
 
 /** @type {number} baseFee - Base setup fee */
-let baseFee = 10;
+let baseFee = DEFAULT_PRICING.baseFee;
 
-/** @type {number} paramA - Formula parameter A */
-let paramA = 0.03;
+/** @type {Object} formulaParams - Formula parameter values keyed by name (A, B, ...) */
+let formulaParams = { ...DEFAULT_PRICING.params };
 
-/** @type {number} paramB - Formula parameter B */
-let paramB = 0.0005;
+/** @type {string} customExpression - Last valid expression of the custom formula */
+let customExpression = FORMULAS.custom.equation;
+
+/** @type {Object[]} tierTable - Tier table of the tiered formula ({upTo, rate}) */
+let tierTable = FORMULAS.tiered.tiers.map((tier) => ({ ...tier }));
+
+/** @type {string} tierMode - Tier semantics of the tiered formula (marginal/all-units) */
+let tierMode = FORMULAS.tiered.tierMode;
 
 /** @type {Chart|null} priceChart - Chart.js instance */
 let priceChart = null;
 
-/** @type {number} CURRENCY_RATE - Current UAH to USD exchange rate */
-let CURRENCY_RATE = FALLBACK_RATE;
+/** @type {Chart|null} analysisChart - Marginal and average cost chart */
+let analysisChart = null;
+
+/** @type {boolean} constrainParams - Whether A/B sliders stay in the safe region */
+let constrainParams = false;
+
+/** @type {Object|null} rateSnapshot - Fetched or cached rates (see fetchRates) */
+let rateSnapshot = null;
 
-/** @type {number} EUR_RATE - Current EUR to USD exchange rate */
-let EUR_RATE = FALLBACK_EUR_RATE;
+/**
+ * @type {string} rateSource - Origin of rateSnapshot: "api", "offline" (the
+ * service worker's copy of the last response), "cache" or "fallback"
+ */
+let rateSource = "fallback";
 
-/** @type {Date|null} lastUpdateTime - Last exchange rate update timestamp */
-let lastUpdateTime = null;
+/** @type {Object} rateOverrides - Manual (contractual) rates per USD by currency */
+let rateOverrides = {};
 
 /** @type {number|null} refreshTimer - Timer ID for auto-refresh */
 let refreshTimer = null;
 
+/** @type {{profiles: Object[], active: string|null}} profileData - Saved pricing profiles */
+let profileData = { profiles: [], active: null };
+
+/** @type {Object[]} pinnedSeries - Pricing series pinned for comparison */
+let pinnedSeries = [];
+
+/** @type {Object|null} currentQuote - Last generated client quote */
+let currentQuote = null;
+
+/** @type {Object} roundingPolicies - Price rounding policies by currency */
+let roundingPolicies = {};
+
+/** @type {string[]} selectedAddons - Ids of add-ons included in the price */
+let selectedAddons = [];
+
+/** @type {Object} taxSettings - VAT profile, rate and whether formula prices include it */
+let taxSettings = {};
+
+/** @type {string} calculatorMode - "minutes" (slider sets duration) or "budget" */
+let calculatorMode = "minutes";
+
+/** @type {number|null} budget - Client budget in the selected currency */
+let budget = null;
+
+/** @type {Object|null} budgetResult - Last findAffordableMinutes result */
+let budgetResult = null;
+
+/** @type {Object[]|null} fitResults - Latest parameter fits (see fitAllFormulas) */
+let fitResults = null;
+
+/** @type {Object[]|null} revenueOrders - Imported historical orders (see parseOrdersCsv) */
+let revenueOrders = null;
+
+/** @type {Chart|null} revenueChart - Order size histogram with price curves */
+let revenueChart = null;
+
+/** @type {Object|null} activePromo - Redeemed promo code definition */
+let activePromo = null;
+
+/** @type {Object[]} audioFiles - Dropped audio files with their durations */
+let audioFiles = [];
+
+/** @type {number|null} urlUpdateTimer - Timer ID of the pending URL update */
+let urlUpdateTimer = null;
+
+/** @type {Object|null} undoStack - Undo/redo stack of configuration snapshots (see createUndoStack) */
+let undoStack = null;
+
+/** @type {number|null} historyTimer - Timer ID of the pending undo step */
+let historyTimer = null;
+
+/** @type {Object[]} auditLog - Timestamped configuration changes, oldest first */
+let auditLog = [];
+
 // =============================================================================
 // DOM ELEMENTS
 // =============================================================================
@@ -110,6 +285,9 @@ const slider = document.getElementById("minutesSlider");
 /** @type {HTMLElement} minutesDisplay - Minutes display element */
 const minutesDisplay = document.getElementById("minutesDisplay");
 
+/** @type {HTMLInputElement} durationInput - Exact duration text field */
+const durationInput = document.getElementById("durationInput");
+
 /** @type {HTMLElement} totalPriceDisplay - Total price display element */
 const totalPriceDisplay = document.getElementById("totalPrice");
 
@@ -133,54 +311,111 @@ const currentFormulaDisplay = document.getElementById("currentFormula");
 // =============================================================================
 
 /**
- * Formats currency value based on selected currency
- * @param {number} value - Value to format
+ * Offers content to the user as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string|Blob} content - File content
+ * @param {string} type - MIME type
+ */
+function downloadFile(filename, content, type) {
+  const blob =
+    content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Formats a USD amount in the selected currency
+ * @param {number} value - Amount in USD
  * @returns {string} Formatted currency string
  */
 function formatCurrency(value) {
-  if (currentCurrency === "UAH") {
-    return `₴${(value * CURRENCY_RATE).toFixed(2)}`;
-  }
-  if (currentCurrency === "EUR") {
-    return `€${(value / EUR_RATE).toFixed(2)}`;
-  }
-  return `$${value.toFixed(2)}`;
+  return formatMoney(value * getExchangeRate(), currentCurrency);
 }
 
 /**
- * Calculates rate per minute using current formula
- * @param {number} minutes - Audio duration in minutes
- * @returns {number} Rate per minute
+ * Formats an amount already converted to the selected currency
+ * @param {number} value - Amount in the selected currency
+ * @returns {string} Formatted currency string
  */
-function calculateRatePerMinute(minutes) {
-  if (minutes === 0) return 0;
-  const formula = FORMULAS[currentFormula];
-  return formula.calculate(minutes, paramA, paramB);
+function formatConverted(value) {
+  return formatMoney(value, currentCurrency);
 }
 
 /**
- * Calculates complete pricing information
- * @param {number} minutes - Audio duration in minutes
- * @returns {Object} Pricing breakdown
+ * Gets the multiplier from USD to the selected currency
+ * @returns {number} Units of selected currency per 1 USD
  */
-function calculatePrice(minutes) {
-  const rate = calculateRatePerMinute(minutes);
-  const processingCost = minutes * rate;
-  const total = baseFee + processingCost;
+function getExchangeRate() {
+  return getCurrentRate().rate;
+}
 
+/**
+ * Builds the pricing engine config from current calculator state
+ * @returns {Object} Pricing config
+ */
+function getPricingConfig() {
   return {
-    total,
-    processingCost,
-    rate,
-    avgPerMinute: minutes > 0 ? total / minutes : 0,
+    formula: currentFormula,
+    params: formulaParams,
+    ...(FORMULAS[currentFormula].custom && { expression: customExpression }),
+    ...(FORMULAS[currentFormula].tiered && { tiers: tierTable, tierMode }),
+    baseFee,
+    ...(selectedAddons.length > 0 && { addons: selectedAddons }),
+    ...(activePromo && { promo: activePromo }),
+    ...getBillingConfig(),
+  };
+}
+
+/**
+ * Gets the billing part of the pricing config: billing granularity, selected
+ * currency, its rate, VAT (unless the rate is zero) and rounding policy (only
+ * when it adjusts totals)
+ * @returns {Object} Partial pricing config
+ */
+function getBillingConfig(currency = currentCurrency) {
+  const rounding = getRoundingPolicy(roundingPolicies, currency);
+  const { rate, inclusive } = taxSettings;
+  return {
+    granularity: billingGranularity,
+    currency,
+    exchangeRate: getCurrentRate(currency).rate,
+    ...(rate > 0 && { tax: { rate, inclusive } }),
+    ...(isRoundingActive(rounding) && { rounding }),
   };
 }
 
+/**
+ * Builds the pricing config of current calculator state without billing
+ * (granularity, currency, exchange rate, tax, rounding), e.g. to price in
+ * other currencies
+ * @returns {Object} Pricing config
+ */
+function getFormulaConfig() {
+  const { granularity, currency, exchangeRate, tax, rounding, ...pricing } =
+    getPricingConfig();
+  return pricing;
+}
+
+/**
+ * Calculates complete pricing information for current calculator state
+ * @param {number} minutes - Audio duration in minutes
+ * @returns {Object} Pricing breakdown
+ */
+function calculatePrice(minutes) {
+  return calculatePriceForConfig(minutes, getPricingConfig());
+}
+
 /**
  * Updates slider progress visual indicator
  */
 function updateSliderProgress() {
-  const progress = (currentMinutes / 6000) * 100;
+  const progress = (Math.min(currentMinutes, maxMinutes) / maxMinutes) * 100;
   slider.style.setProperty("--slider-progress", progress + "%");
 }
 
@@ -188,54 +423,484 @@ function updateSliderProgress() {
  * Updates all display elements with current pricing information
  */
 function updateDisplay() {
-  const { total, processingCost, rate, avgPerMinute } =
-    calculatePrice(currentMinutes);
+  if (calculatorMode === "budget") updateBudget();
+
+  const {
+    minutes,
+    processingCost,
+    rate,
+    avgPerMinute,
+    tiers,
+    addons,
+    promoCode,
+    converted,
+  } = calculatePrice(currentMinutes);
 
-  minutesDisplay.textContent = `${currentMinutes} хвилин`;
-  totalPriceDisplay.textContent = formatCurrency(total);
+  minutesDisplay.textContent = formatSelectedDuration(minutes);
+  totalPriceDisplay.textContent = formatConverted(converted.total);
   baseFeeDisplay.textContent = formatCurrency(baseFee);
   processingCostDisplay.textContent = formatCurrency(processingCost);
-  rateDisplay.textContent = formatCurrency(rate) + "/хв";
-  avgDisplay.textContent =
-    currentMinutes > 0
-      ? formatCurrency(avgPerMinute) + "/хв"
-      : formatCurrency(0) + "/хв";
+  rateDisplay.textContent = t("units.perMinute", {
+    price: formatCurrency(rate),
+  });
+  avgDisplay.textContent = t("units.perMinute", {
+    price: formatCurrency(currentMinutes > 0 ? avgPerMinute : 0),
+  });
+
+  updateTierBreakdown(tiers);
+  updateAddonBreakdown(addons);
+  renderAddonControls();
+  updateDiscountBreakdown(converted.discount, promoCode);
+  updateTaxBreakdown(converted.tax);
+  updateRoundingBreakdown(converted);
 
-  const formula = FORMULAS[currentFormula];
+  const formula = resolveFormula(getPricingConfig());
   currentFormulaDisplay.textContent = `${formula.name}: ${formula.equation}`;
 
+  syncDurationControls();
   updateSliderProgress();
   safeUpdateChart();
+  renderComparisonTable();
+  renderFitResults();
+  scheduleUrlUpdate();
+  scheduleHistoryRecord();
+}
+
+/**
+ * Formats a tier range for display
+ * @param {number} from - Lower bound in minutes
+ * @param {number|null} to - Upper bound in minutes, null for open-ended
+ * @returns {string} Range label
+ */
+function formatTierRange(from, to) {
+  return to === null
+    ? t("units.openRange", { from })
+    : t("units.range", { from, to });
+}
+
+/**
+ * Renders per-tier cost lines in the breakdown and highlights billed tiers
+ * @param {Object[]|undefined} tiers - Tier lines from the pricing engine
+ */
+function updateTierBreakdown(tiers) {
+  const container = document.getElementById("tierBreakdown");
+  container.replaceChildren();
+  container.hidden = !tiers;
+  if (!tiers) return;
+
+  for (const line of tiers) {
+    const item = document.createElement("div");
+    item.className = "breakdown-item breakdown-item--sub";
+    const label = document.createElement("span");
+    label.textContent = `${formatTierRange(line.from, line.to)}: ${formatNumber(
+      line.minutes
+    )} × ${formatCurrency(line.rate)}`;
+    const cost = document.createElement("span");
+    cost.textContent = formatCurrency(line.cost);
+    item.append(label, cost);
+    container.appendChild(item);
+  }
+
+  document.querySelectorAll("#tierTableBody tr").forEach((row, index) => {
+    const from = index === 0 ? 0 : tierTable[index - 1].upTo;
+    row.classList.toggle(
+      "active",
+      tiers.some((line) => line.from === from)
+    );
+  });
+}
+
+/**
+ * Renders one cost line per selected add-on in the breakdown
+ * @param {Object[]|undefined} addons - Add-on lines from the pricing engine
+ */
+function updateAddonBreakdown(addons) {
+  const container = document.getElementById("addonBreakdown");
+  container.replaceChildren();
+  container.hidden = !addons;
+  if (!addons) return;
+
+  for (const line of addons) {
+    const item = document.createElement("div");
+    item.className = "breakdown-item";
+    const label = document.createElement("span");
+    label.textContent = `${line.name} (${formatAddonValue(line)})`;
+    const cost = document.createElement("span");
+    cost.textContent = formatCurrency(line.cost);
+    item.append(label, cost);
+    container.appendChild(item);
+  }
+}
+
+/**
+ * Shows the promo code discount line and whether the code still applies
+ * @param {number} discount - Converted discount
+ * @param {string|undefined} promoCode - Code that gave the discount
+ */
+function updateDiscountBreakdown(discount, promoCode) {
+  document.getElementById("discountBreakdown").hidden = !promoCode;
+  if (promoCode) {
+    document.getElementById("discountLabel").textContent = t(
+      "breakdown.promoDiscount",
+      { code: promoCode }
+    );
+    document.getElementById("discountDisplay").textContent =
+      formatCurrencyDelta(-discount);
+  }
+  renderPromoStatus();
+}
+
+/**
+ * Shows the net/tax/gross split and states whether amounts include tax
+ * @param {Object|undefined} tax - Converted tax split from calculatePrice
+ */
+function updateTaxBreakdown(tax) {
+  document.getElementById("taxNote").textContent = getTaxNote();
+  document.getElementById("breakdownTaxNote").textContent = !tax
+    ? t("breakdown.noTax")
+    : tax.inclusive
+      ? t("breakdown.inclusiveTax", { rate: tax.rate })
+      : t("breakdown.exclusiveTax");
+
+  const container = document.getElementById("taxBreakdown");
+  container.hidden = !tax;
+  if (!tax) return;
+
+  document.getElementById("netDisplay").textContent = formatConverted(tax.net);
+  document.getElementById("taxLabel").textContent = t("breakdown.tax", {
+    rate: tax.rate,
+  });
+  document.getElementById("taxAmountDisplay").textContent = formatConverted(
+    tax.amount
+  );
+  document.getElementById("grossDisplay").textContent = formatConverted(
+    tax.gross
+  );
+}
+
+/**
+ * Shows the raw total and rounding adjustment when a rounding policy applies
+ * @param {Object} converted - Converted amounts from calculatePrice
+ */
+function updateRoundingBreakdown(converted) {
+  const container = document.getElementById("roundingBreakdown");
+  container.hidden = converted.roundingAdjustment === undefined;
+  if (container.hidden) return;
+
+  document.getElementById("rawTotalDisplay").textContent = formatConverted(
+    converted.rawTotal
+  );
+  document.getElementById("roundingAdjustmentDisplay").textContent =
+    formatCurrencyDelta(converted.roundingAdjustment);
+}
+
+/**
+ * Rebuilds the tier table editor from current tier state
+ */
+function renderTierEditor() {
+  const body = document.getElementById("tierTableBody");
+  body.replaceChildren();
+
+  tierTable.forEach((tier, index) => {
+    const isLast = index === tierTable.length - 1;
+    const from = index === 0 ? 0 : tierTable[index - 1].upTo;
+    const row = document.createElement("tr");
+    row.innerHTML = `
+      <td>${from}</td>
+      <td>
+        <input
+          type="number"
+          min="1"
+          step="1"
+          class="form-control tier-input"
+          data-field="upTo"
+          value="${isLast ? "" : tier.upTo}"
+          placeholder="∞"
+          ${isLast ? "disabled" : ""}
+        />
+      </td>
+      <td>
+        <input
+          type="number"
+          min="0"
+          step="0.001"
+          class="form-control tier-input"
+          data-field="rate"
+          value="${tier.rate}"
+        />
+      </td>
+      <td>
+        <button
+          type="button"
+          class="tier-remove-btn"
+          data-index="${index}"
+          title="${t("tiers.remove")}"
+          ${tierTable.length === 1 ? "disabled" : ""}
+        >
+          ×
+        </button>
+      </td>
+    `;
+    body.appendChild(row);
+  });
+
+  document.querySelectorAll('input[name="tierMode"]').forEach((radio) => {
+    radio.checked = radio.value === tierMode;
+  });
+  document.getElementById("tierError").hidden = true;
+}
+
+/**
+ * Reads the tier table editor and applies it when valid
+ */
+function applyTierEditor() {
+  const rows = [...document.querySelectorAll("#tierTableBody tr")];
+  const tiers = rows.map((row, index) => {
+    const upTo = row.querySelector('[data-field="upTo"]').value;
+    const rate = row.querySelector('[data-field="rate"]').value;
+    return {
+      upTo: index === rows.length - 1 || upTo === "" ? null : Number(upTo),
+      rate: rate === "" ? NaN : Number(rate),
+    };
+  });
+
+  const errorDisplay = document.getElementById("tierError");
+  const problem = validateTiers(tiers);
+  if (problem) {
+    errorDisplay.textContent = t(`errors.tier.${problem.code}`, {
+      row: problem.index + 1,
+    });
+    errorDisplay.hidden = false;
+    return;
+  }
+
+  errorDisplay.hidden = true;
+  tierTable = tiers;
+  // Refresh the "from" column without losing focus in the edited input
+  rows.forEach((row, index) => {
+    row.cells[0].textContent = index === 0 ? 0 : tiers[index - 1].upTo;
+  });
+
+  updateDisplay();
+  safeUpdateChart(true);
+}
+
+/**
+ * Formats a formula parameter with as many decimals as its slider step needs
+ * @param {number} value - Parameter value
+ * @param {Object} spec - Parameter spec with `step`
+ * @returns {string} Formatted value
+ */
+function formatParamValue(value, spec) {
+  const decimals = Math.max(0, Math.ceil(-Math.log10(spec.step)));
+  return value.toFixed(decimals);
 }
 
 /**
- * Updates formula controls (slider ranges and labels) for current formula
+ * Rebuilds formula parameter sliders for current formula.
+ * One slider is generated per formula parameter (A/B for built-in formulas,
+ * every name used in the expression for the custom one).
  */
 function updateFormulaControls() {
-  const formula = FORMULAS[currentFormula];
-  const paramASlider = document.getElementById("paramASlider");
-  const paramBSlider = document.getElementById("paramBSlider");
-  const paramALabel = document.getElementById("paramALabel");
-  const paramBLabel = document.getElementById("paramBLabel");
+  const formula = resolveFormula(getPricingConfig());
+  const container = document.getElementById("paramControls");
+
+  document.getElementById("customExpressionGroup").hidden = !formula.custom;
+  document.getElementById("tierEditorGroup").hidden = !formula.tiered;
+  if (formula.tiered) renderTierEditor();
+  container.replaceChildren();
+  const safeBounds = applySafeParams();
+
+  for (const [name, spec] of Object.entries(formula.params)) {
+    const value = formulaParams[name];
+    // Typed-in custom values may lie outside the default bounds
+    const min = safeBounds?.[name]?.min ?? Math.min(spec.min, value);
+    const max = safeBounds?.[name]?.max ?? Math.max(spec.max, value);
+
+    const group = document.createElement("div");
+    group.className = "form-group";
+    group.innerHTML = `
+      <label class="form-label" for="param${name}Slider"
+        >${t("params.label", { name })} <span id="param${name}Value">${formatParamValue(
+          value,
+          spec
+        )}</span></label
+      >
+      <input
+        type="range"
+        min="${min}"
+        max="${max}"
+        step="${spec.step}"
+        value="${value}"
+        class="slider"
+        id="param${name}Slider"
+        data-param="${name}"
+      />
+    `;
+    container.appendChild(group);
+  }
+
+  updateFormulaWarning();
+}
+
+/**
+ * Shows a warning when the formula yields NaN or Infinity on the chart range
+ */
+function updateFormulaWarning() {
+  const warning = document.getElementById("formulaWarning");
+  const invalid = findNonFiniteRate(getPricingConfig(), { max: maxMinutes });
+
+  warning.hidden = !invalid;
+  if (invalid) {
+    warning.textContent = t(
+      Number.isNaN(invalid.rate)
+        ? "formulaWarning.nan"
+        : "formulaWarning.infinity",
+      { minutes: invalid.minutes }
+    );
+  }
+}
+
+/**
+ * Applies the custom expression typed by the user, reporting syntax errors
+ * @param {string} expression - Expression source
+ */
+function applyCustomExpression(expression) {
+  const input = document.getElementById("customExpression");
+  const errorDisplay = document.getElementById("customExpressionError");
+
+  let formula;
+  try {
+    formula = resolveFormula({ formula: "custom", expression });
+  } catch (error) {
+    if (!(error instanceof ExpressionError)) throw error;
+    input.classList.add("form-control--invalid");
+    errorDisplay.textContent = t(`errors.expression.${error.code}`, {
+      token: error.token,
+      position: error.position + 1,
+    });
+    errorDisplay.hidden = false;
+    return;
+  }
+
+  input.classList.remove("form-control--invalid");
+  errorDisplay.hidden = true;
+  customExpression = expression;
+  // Keep values of parameters that survived the edit
+  formulaParams = resolveParams(formula, formulaParams);
+
+  updateFormulaControls();
+  updateDisplay();
+  safeUpdateChart(true);
+}
+
+// =============================================================================
+// DURATION
+// =============================================================================
+
+/**
+ * Sets the duration, widening the scale when the duration lies beyond it
+ * @param {number} minutes - Duration in minutes, clamped to MINUTES_RANGE
+ * @returns {boolean} Whether the scale changed, so curves need resampling
+ */
+function setDuration(minutes) {
+  currentMinutes = clamp(minutes, MINUTES_RANGE);
+  if (currentMinutes <= maxMinutes) return false;
+
+  maxMinutes = Math.min(
+    SCALE_RANGE.max,
+    Math.ceil(currentMinutes / SCALE_ROUNDING) * SCALE_ROUNDING
+  );
+  return true;
+}
+
+/**
+ * Syncs the slider, scale, granularity and exact duration fields with state;
+ * the duration field is left alone while the user types in it
+ */
+function syncDurationControls() {
+  slider.max = maxMinutes;
+  slider.value = currentMinutes;
+  document.getElementById("maxMinutesInput").value = maxMinutes;
+  document.getElementById("billingGranularity").value = billingGranularity;
+  if (document.activeElement !== durationInput) {
+    durationInput.value = formatDuration(currentMinutes * 60);
+    durationInput.classList.remove("form-control--invalid");
+  }
+}
+
+/**
+ * Formats the selected duration, with the billed minutes when billing rounds
+ * it
+ * @param {number} billed - Billed minutes
+ * @returns {string} E.g. "500 хвилин" or "1:30:20 → 91 хв"
+ */
+function formatSelectedDuration(billed) {
+  if (Number.isInteger(currentMinutes)) {
+    return t("units.minutes", { count: currentMinutes });
+  }
+  const duration = formatDuration(currentMinutes * 60);
+  return billed === currentMinutes
+    ? duration
+    : t("units.billedDuration", { duration, billed });
+}
+
+/**
+ * Builds the granularity options; the selection is restored by
+ * syncDurationControls
+ */
+function renderGranularityOptions() {
+  document
+    .getElementById("billingGranularity")
+    .replaceChildren(
+      ...Object.entries(BILLING_GRANULARITIES).map(
+        ([id, { name }]) => new Option(name, id)
+      )
+    );
+}
+
+/**
+ * Builds the granularity options and wires up the exact duration and scale
+ * fields
+ */
+function initDurationControls() {
+  const granularity = document.getElementById("billingGranularity");
+  renderGranularityOptions();
+  granularity.addEventListener("change", () => {
+    billingGranularity = granularity.value;
+    updateDisplay();
+    safeUpdateChart(true);
+  });
 
-  // Update slider ranges
-  paramASlider.min = formula.params.A.min;
-  paramASlider.max = formula.params.A.max;
-  paramASlider.step = formula.params.A.step;
-  paramASlider.value = paramA;
+  durationInput.addEventListener("input", () => {
+    const minutes = parseDuration(durationInput.value);
+    const valid = minutes !== null && minutes <= MINUTES_RANGE.max;
+    durationInput.classList.toggle("form-control--invalid", !valid);
+    if (!valid) return;
+    const widened = setDuration(minutes);
+    updateDisplay();
+    if (widened) safeUpdateChart(true);
+  });
+  // Show the typed duration in canonical form once the user is done
+  durationInput.addEventListener("blur", syncDurationControls);
 
-  paramBSlider.min = formula.params.B.min;
-  paramBSlider.max = formula.params.B.max;
-  paramBSlider.step = formula.params.B.step;
-  paramBSlider.value = paramB;
+  const maxInput = document.getElementById("maxMinutesInput");
+  maxInput.addEventListener("change", () => {
+    const value = parseFloat(maxInput.value);
+    const valid =
+      Number.isFinite(value) &&
+      value >= SCALE_RANGE.min &&
+      value <= SCALE_RANGE.max;
+    maxInput.classList.toggle("form-control--invalid", !valid);
+    if (!valid) return;
+    maxMinutes = Math.round(value);
+    currentMinutes = Math.min(currentMinutes, maxMinutes);
+    updateFormulaControls();
+    updateDisplay();
+    safeUpdateChart(true);
+  });
 
-  // Update labels
-  paramALabel.innerHTML = `Параметр A: <span id="paramAValue">${paramA.toFixed(
-    formula.params.A.step < 0.1 ? 2 : 1
-  )}</span>`;
-  paramBLabel.innerHTML = `Параметр B: <span id="paramBValue">${paramB.toFixed(
-    5
-  )}</span>`;
+  syncDurationControls();
 }
 
 // =============================================================================
@@ -265,6 +930,25 @@ function getChartColors() {
   }
 }
 
+/**
+ * Gets curve smoothing for current formula; tier steps and kinks stay sharp
+ * @returns {number} Chart.js line tension
+ */
+function getCurveTension() {
+  return FORMULAS[currentFormula].tiered ? 0 : 0.4;
+}
+
+/**
+ * Formats a chart tooltip title for a duration
+ * @param {number} minutes - Duration in minutes
+ * @returns {string} E.g. "Тривалість: 500 хвилин"
+ */
+function formatDurationTitle(minutes) {
+  return t("chart.duration", {
+    duration: t("units.minutes", { count: minutes }),
+  });
+}
+
 /**
  * Initializes the price chart
  */
@@ -272,12 +956,10 @@ function initChart() {
   const ctx = document.getElementById("priceChart");
   if (!ctx) return;
 
-  const dataPoints = [];
-
-  for (let i = 0; i <= 6000; i += 50) {
-    const price = calculatePrice(i);
-    dataPoints.push({ x: i, y: price.total });
-  }
+  const dataPoints = buildPriceCurve(getPricingConfig(), {
+    converted: true,
+    max: maxMinutes,
+  });
 
   const colors = getChartColors();
 
@@ -286,19 +968,22 @@ function initChart() {
     data: {
       datasets: [
         {
-          label: "Загальна ціна",
+          label: getTotalLabel(),
           data: dataPoints,
           borderColor: colors.primary,
           backgroundColor: colors.primary + "20",
           borderWidth: 2,
           pointRadius: 0,
-          tension: 0.4,
+          tension: getCurveTension(),
           fill: true,
         },
         {
-          label: "Поточна позиція",
+          label: t("chart.currentPosition"),
           data: [
-            { x: currentMinutes, y: calculatePrice(currentMinutes).total },
+            {
+              x: currentMinutes,
+              y: calculatePrice(currentMinutes).converted.total,
+            },
           ],
           borderColor: "#e67e22",
           backgroundColor: "#e67e22",
@@ -306,6 +991,7 @@ function initChart() {
           pointHoverRadius: 10,
           showLine: false,
         },
+        ...createOverlayDatasets(),
       ],
     },
     options: {
@@ -346,14 +1032,20 @@ function initChart() {
           displayColors: false,
           callbacks: {
             title: function (context) {
-              return `Тривалість: ${context[0].parsed.x} хвилин`;
+              return formatDurationTitle(context[0].parsed.x);
             },
             label: function (context) {
               const value = context.parsed.y;
               if (context.datasetIndex === 0) {
-                return `Загальна ціна: ${formatCurrency(value)}`;
+                return `${getTotalLabel()}: ${formatConverted(value)}`;
+              } else if (context.datasetIndex === 1) {
+                return `${t("chart.currentPosition")} (${getTaxNote()}): ${formatConverted(
+                  value
+                )}`;
               } else {
-                return `Поточна позиція: ${formatCurrency(value)}`;
+                return `${context.dataset.label} (${getTaxNote()}): ${formatConverted(
+                  value
+                )}`;
               }
             },
           },
@@ -364,7 +1056,7 @@ function initChart() {
           type: "linear",
           title: {
             display: true,
-            text: "Хвилини аудіо",
+            text: t("chart.audioMinutes"),
             color: colors.text,
             font: {
               size: 14,
@@ -383,14 +1075,14 @@ function initChart() {
               family: "var(--font-family-base)",
             },
             callback: function (value) {
-              return value + " хв";
+              return t("units.min", { value });
             },
           },
         },
         y: {
           title: {
             display: true,
-            text: "Загальна ціна",
+            text: getTotalLabel(),
             color: colors.text,
             font: {
               size: 14,
@@ -409,7 +1101,7 @@ function initChart() {
               family: "var(--font-family-base)",
             },
             callback: function (value) {
-              return formatCurrency(value);
+              return formatConverted(value);
             },
           },
         },
@@ -424,13 +1116,84 @@ function initChart() {
   });
 }
 
+/**
+ * Builds a chart dataset for a pinned comparison series
+ * @param {Object} series - Pinned series
+ * @returns {Object} Chart.js dataset
+ */
+function createSeriesDataset(series) {
+  return {
+    label: series.name,
+    data: buildPriceCurve(
+      { ...series.config, ...getBillingConfig() },
+      { converted: true, max: maxMinutes }
+    ),
+    borderColor: series.color,
+    backgroundColor: series.color,
+    borderWidth: 2,
+    borderDash: [6, 4],
+    pointRadius: 0,
+    tension: FORMULAS[series.config.formula].tiered ? 0 : 0.4,
+    fill: false,
+  };
+}
+
+/**
+ * Builds the chart datasets drawn over the price curve and the current
+ * position: pinned series, then the budget line and marker in budget mode
+ * @returns {Object[]} Chart.js datasets
+ */
+function createOverlayDatasets() {
+  return [...pinnedSeries.map(createSeriesDataset), ...createBudgetDatasets()];
+}
+
+/**
+ * Builds chart datasets of the budget line and the longest affordable order
+ * @returns {Object[]} Chart.js datasets; none outside budget mode
+ */
+function createBudgetDatasets() {
+  if (calculatorMode !== "budget" || budgetResult === null) return [];
+
+  const datasets = [];
+  // A budget beyond the whole range would only flatten the curve
+  if (!budgetResult.capped) {
+    datasets.push({
+      label: t("chart.budget"),
+      data: [
+        { x: 0, y: budget },
+        { x: maxMinutes, y: budget },
+      ],
+      borderColor: "#c0152f",
+      backgroundColor: "#c0152f",
+      borderWidth: 1,
+      borderDash: [2, 4],
+      pointRadius: 0,
+      fill: false,
+    });
+  }
+  if (budgetResult.minutes !== null) {
+    datasets.push({
+      label: t("chart.budgetMaximum"),
+      data: [{ x: budgetResult.minutes, y: budgetResult.total }],
+      borderColor: "#c0152f",
+      backgroundColor: "#c0152f",
+      pointRadius: 8,
+      pointStyle: "triangle",
+      showLine: false,
+    });
+  }
+  return datasets;
+}
+
 /**
  * Updates chart with current position
  */
 function updateChart() {
   if (priceChart) {
     const price = calculatePrice(currentMinutes);
-    priceChart.data.datasets[1].data = [{ x: currentMinutes, y: price.total }];
+    priceChart.data.datasets[1].data = [
+      { x: currentMinutes, y: price.converted.total },
+    ];
     priceChart.update("none");
   }
 }
@@ -440,21 +1203,28 @@ function updateChart() {
  */
 function updateChartData() {
   if (priceChart) {
-    const dataPoints = [];
-
     // Recalculate all data points for the new formula
-    for (let i = 0; i <= 6000; i += 50) {
-      const price = calculatePrice(i);
-      dataPoints.push({ x: i, y: price.total });
-    }
+    const dataPoints = buildPriceCurve(getPricingConfig(), {
+      converted: true,
+      max: maxMinutes,
+    });
 
     // Update the main curve data
+    priceChart.data.datasets[0].label = getTotalLabel();
     priceChart.data.datasets[0].data = dataPoints;
+    priceChart.options.scales.y.title.text = getTotalLabel();
+    priceChart.data.datasets[0].tension = getCurveTension();
 
     // Update current position
     const currentPrice = calculatePrice(currentMinutes);
     priceChart.data.datasets[1].data = [
-      { x: currentMinutes, y: currentPrice.total },
+      { x: currentMinutes, y: currentPrice.converted.total },
+    ];
+
+    // Pinned series share the selected currency, tax and rounding
+    priceChart.data.datasets = [
+      ...priceChart.data.datasets.slice(0, 2),
+      ...createOverlayDatasets(),
     ];
 
     priceChart.update();
@@ -468,6 +1238,8 @@ function safeUpdateChart(updateData = false) {
   try {
     if (updateData) {
       updateChartData();
+      updateAnalysis();
+      updateRevenueSimulation();
     } else {
       updateChart();
     }
@@ -477,162 +1249,2764 @@ function safeUpdateChart(updateData = false) {
 }
 
 // =============================================================================
-// CURRENCY MANAGEMENT
+// FORMULA ANALYSIS
 // =============================================================================
 
 /**
- * Fetches exchange rates from API
+ * Formats a per-minute cost in the selected currency
+ * @param {number} value - Converted cost
+ * @returns {string} E.g. "1,2450 ₴/хв"
  */
-async function fetchExchangeRate() {
-  const refreshBtn = document.getElementById("refreshRateBtn");
-  const rateDisplay = document.getElementById("exchangeRateDisplay");
-  const timestampDisplay = document.getElementById("rateTimestamp");
-
-  refreshBtn.classList.add("loading");
-  timestampDisplay.textContent = "Оновлення...";
-
-  for (const endpoint of API_ENDPOINTS) {
-    try {
-      const response = await fetch(endpoint);
-      if (!response.ok) throw new Error("API request failed");
-
-      const data = await response.json();
-      const uahRate = data.rates?.UAH || data.rates?.uah;
-      const eurRate = data.rates?.EUR || data.rates?.eur;
+function formatMinuteCost(value) {
+  return t("units.perMinute", {
+    price: formatMoney(value, currentCurrency, { digits: 4 }),
+  });
+}
 
-      if (uahRate && uahRate > 0) {
-        CURRENCY_RATE = uahRate;
-      }
+/**
+ * Clamps formula parameters into the safe region when the constraint is on
+ * @returns {Object|null} Bounds applied, or null if nothing was constrained
+ */
+function applySafeParams() {
+  if (!constrainParams) return null;
+  const bounds = getSafeParamBounds(currentFormula, formulaParams, {
+    max: maxMinutes,
+  });
+  if (bounds) formulaParams = clampParams(formulaParams, bounds);
+  return bounds;
+}
 
-      if (eurRate && eurRate > 0) {
-        EUR_RATE = eurRate;
+/**
+ * Moves slider bounds after a parameter change; e.g. the safe logarithmic B
+ * depends on A
+ */
+function updateSafeParamSliders() {
+  const bounds = applySafeParams();
+  const formula = resolveFormula(getPricingConfig());
+  for (const [name, { min, max }] of Object.entries(bounds ?? {})) {
+    const input = document.getElementById(`param${name}Slider`);
+    input.min = min;
+    input.max = max;
+    input.value = formulaParams[name];
+    document.getElementById(`param${name}Value`).textContent = formatParamValue(
+      formulaParams[name],
+      formula.params[name]
+    );
+  }
+}
+
+/**
+ * Initializes the marginal and average cost chart
+ */
+function initAnalysisChart() {
+  const ctx = document.getElementById("analysisChart");
+  if (!ctx) return;
+
+  const colors = getChartColors();
+  const axisTitle = (text) => ({
+    display: true,
+    text,
+    color: colors.text,
+    font: { size: 14, weight: "500", family: "var(--font-family-base)" },
+  });
+  const ticks = {
+    color: colors.text,
+    font: { size: 12, family: "var(--font-family-base)" },
+  };
+
+  analysisChart = new Chart(ctx, {
+    type: "line",
+    data: {
+      datasets: [
+        {
+          label: t("analysis.marginalCost"),
+          data: [],
+          borderColor: colors.primary,
+          backgroundColor: colors.primary,
+          borderWidth: 2,
+          pointRadius: 0,
+          fill: false,
+        },
+        {
+          label: t("analysis.averagePrice"),
+          data: [],
+          borderColor: "#e67e22",
+          backgroundColor: "#e67e22",
+          borderWidth: 2,
+          pointRadius: 0,
+          fill: false,
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: { mode: "index", intersect: false },
+      plugins: {
+        legend: { labels: { color: colors.text, usePointStyle: true } },
+        tooltip: {
+          callbacks: {
+            title: (context) => formatDurationTitle(context[0].parsed.x),
+            label: (context) =>
+              `${context.dataset.label}: ${formatMinuteCost(context.parsed.y)}`,
+          },
+        },
+      },
+      scales: {
+        x: {
+          type: "linear",
+          title: axisTitle(t("chart.audioMinutes")),
+          grid: { color: colors.border + "40" },
+          ticks: {
+            ...ticks,
+            callback: (value) => t("units.min", { value }),
+          },
+        },
+        y: {
+          title: axisTitle(t("analysis.minuteCost")),
+          grid: { color: colors.border + "40" },
+          ticks: { ...ticks, callback: (value) => formatMinuteCost(value) },
+        },
+      },
+    },
+  });
+}
+
+/**
+ * Recomputes cost curves, warns about durations where the total falls and
+ * offers the safe-region constraint where the formula has one
+ */
+function updateAnalysis() {
+  const config = getPricingConfig();
+  const warning = document.getElementById("analysisWarning");
+  const ranges = findDecreasingRanges(config, { max: maxMinutes });
+
+  warning.hidden = ranges.length === 0;
+  if (ranges.length > 0) {
+    const listed = ranges
+      .slice(0, MAX_LISTED_RANGES)
+      .map(
+        (range) =>
+          `${formatTierRange(range.from, range.to)} (−${formatConverted(range.drop)})`
+      )
+      .join(", ");
+    const more =
+      ranges.length > MAX_LISTED_RANGES
+        ? t("common.andMore", { count: ranges.length - MAX_LISTED_RANGES })
+        : "";
+    warning.textContent = t("analysis.decreasingWarning", {
+      ranges: listed + more,
+    });
+  }
+
+  const bounds = getSafeParamBounds(currentFormula, formulaParams, {
+    max: maxMinutes,
+  });
+  document.getElementById("constrainParamsOption").hidden =
+    !bounds || Object.keys(bounds).length === 0;
+
+  if (analysisChart) {
+    const points = buildCostCurves(config, { max: maxMinutes });
+    analysisChart.data.datasets[0].data = points.map((point) => ({
+      x: point.x,
+      y: point.marginal,
+    }));
+    analysisChart.data.datasets[1].data = points
+      .filter((point) => point.average !== null)
+      .map((point) => ({ x: point.x, y: point.average }));
+    analysisChart.update("none");
+  }
+}
+
+/**
+ * Wires up the safe-region constraint and draws the analysis
+ */
+function initAnalysis() {
+  document.getElementById("constrainParams").addEventListener("change", (e) => {
+    constrainParams = e.target.checked;
+    updateFormulaControls();
+    updateDisplay();
+    safeUpdateChart(true);
+  });
+
+  initAnalysisChart();
+  updateAnalysis();
+}
+
+// =============================================================================
+// PARAMETER FITTING
+// =============================================================================
+
+/**
+ * Appends an editable target point row
+ * @param {number|string} [minutes] - Initial duration
+ * @param {number|string} [total] - Initial price in the selected currency
+ */
+function addFitPointRow(minutes = "", total = "") {
+  const row = document.createElement("tr");
+  row.innerHTML = `
+    <td>
+      <input
+        type="number"
+        min="1"
+        step="1"
+        class="form-control tier-input"
+        data-field="minutes"
+        value="${minutes}"
+      />
+    </td>
+    <td>
+      <input
+        type="number"
+        min="0"
+        step="0.01"
+        class="form-control tier-input"
+        data-field="total"
+        value="${total}"
+      />
+    </td>
+    <td>
+      <button
+        type="button"
+        class="tier-remove-btn"
+        title="${t("fit.removePoint")}"
+        data-i18n-title="fit.removePoint"
+      >
+        ×
+      </button>
+    </td>
+  `;
+  document.getElementById("fitPointsBody").appendChild(row);
+}
+
+/**
+ * Reads target points from the editor
+ * @returns {{minutes: number, total: number}[]} Points with totals in USD
+ */
+function readFitPoints() {
+  const rate = getExchangeRate();
+  return [...document.querySelectorAll("#fitPointsBody tr")].map((row) => {
+    const minutes = row.querySelector('[data-field="minutes"]').value;
+    const total = row.querySelector('[data-field="total"]').value;
+    return {
+      minutes: minutes === "" ? NaN : Number(minutes),
+      total: total === "" ? NaN : Number(total) / rate,
+    };
+  });
+}
+
+/**
+ * Fits all formulas to the entered points and applies the best fit
+ */
+function runFit() {
+  const points = readFitPoints();
+  const errorDisplay = document.getElementById("fitError");
+  const problem = validateFitPoints(points);
+  if (problem) {
+    errorDisplay.textContent = t(`errors.fit.${problem.code}`, {
+      row: problem.index + 1,
+    });
+    errorDisplay.hidden = false;
+    return;
+  }
+
+  errorDisplay.hidden = true;
+  fitResults = fitAllFormulas(points, baseFee);
+  applyFit(fitResults[0]);
+}
+
+/**
+ * Switches the calculator to a fitted formula and its parameters
+ * @param {Object} fit - Fit from fitAllFormulas
+ */
+function applyFit(fit) {
+  applyCalculatorState({ formula: fit.formula, params: fit.params });
+  updateFormulaControls();
+  updateDisplay();
+  safeUpdateChart(true);
+}
+
+/**
+ * Renders the fits in the selected currency, best first
+ */
+function renderFitResults() {
+  document.getElementById("fitCurrency").textContent = currentCurrency;
+  const table = document.getElementById("fitResults");
+  table.hidden = !fitResults;
+  if (!fitResults) return;
+
+  const body = document.getElementById("fitResultsBody");
+  body.replaceChildren();
+  fitResults.forEach((fit, index) => {
+    const formula = FORMULAS[fit.formula];
+    const residuals = fit.residuals
+      .map(
+        ({ minutes, error }) =>
+          `<span class="fit-residual">${t("units.min", { value: minutes })}: ${formatCurrencyDelta(
+            error * getExchangeRate()
+          )}</span>`
+      )
+      .join("");
+    const row = document.createElement("tr");
+    row.classList.toggle("fit-best", index === 0);
+    row.innerHTML = `
+      <td>${index === 0 ? t("fit.best", { name: formula.name }) : formula.name}</td>
+      <td>${formatParamValue(fit.params.A, formula.params.A)}</td>
+      <td>${formatParamValue(fit.params.B, formula.params.B)}</td>
+      <td>${formatCurrency(fit.rmse)}</td>
+      <td>${residuals}</td>
+      <td>
+        <button
+          type="button"
+          class="btn btn--secondary"
+          data-fit-index="${index}"
+        >
+          ${t("fit.apply")}
+        </button>
+      </td>
+    `;
+    body.appendChild(row);
+  });
+}
+
+/**
+ * Wires up the target point editor and fit results
+ */
+function initFitting() {
+  addFitPointRow();
+  addFitPointRow();
+
+  document.getElementById("fitPointsBody").addEventListener("click", (e) => {
+    e.target.closest(".tier-remove-btn")?.closest("tr").remove();
+  });
+  document
+    .getElementById("addFitPointBtn")
+    .addEventListener("click", () => addFitPointRow());
+  document.getElementById("runFitBtn").addEventListener("click", runFit);
+  document.getElementById("fitResultsBody").addEventListener("click", (e) => {
+    const button = e.target.closest("[data-fit-index]");
+    if (button) applyFit(fitResults[Number(button.dataset.fitIndex)]);
+  });
+}
+
+// =============================================================================
+// CURRENCY MANAGEMENT
+// =============================================================================
+
+/**
+ * Gets market rates per USD: fetched or cached ones, with the fallback table
+ * filling in currencies they lack
+ * @returns {Object} Rates keyed by currency code
+ */
+function getMarketRates() {
+  return { ...FALLBACK_RATES, ...rateSnapshot?.rates };
+}
+
+/**
+ * Gets the rate of the current currency, honouring manual overrides
+ * @returns {{rate: number, manual: boolean}} Rate per USD
+ */
+function getCurrentRate(currency = currentCurrency) {
+  return (
+    resolveRate(currency, getMarketRates(), rateOverrides) ?? {
+      rate: 1,
+      manual: false,
+    }
+  );
+}
+
+/**
+ * Formats the age of rates, e.g. "3 год"
+ * @param {number} ms - Age in milliseconds
+ * @returns {string} Human-readable age
+ */
+function formatRateAge(ms) {
+  const hours = Math.floor(ms / 3600000);
+  if (hours >= 48)
+    return t("rates.age.days", { count: Math.floor(hours / 24) });
+  if (hours >= 1) return t("rates.age.hours", { count: hours });
+  return t("rates.age.minutes", {
+    count: Math.max(1, Math.floor(ms / 60000)),
+  });
+}
+
+/**
+ * Renders exchange rate value, origin, staleness warning and override form
+ */
+function renderExchangeRateInfo() {
+  const timestampDisplay = document.getElementById("rateTimestamp");
+  const warning = document.getElementById("rateWarning");
+
+  document.getElementById("exchangeRateDisplay").textContent =
+    currentCurrency === RATES_BASE_CURRENCY
+      ? t("rates.baseCurrency", { currency: RATES_BASE_CURRENCY })
+      : `1 USD = ${formatMoney(getCurrentRate().rate, currentCurrency, {
+          digits: 4,
+        })}`;
+
+  if (rateSnapshot) {
+    const fetchedAt = new Date(rateSnapshot.fetchedAt);
+    const provider = EXCHANGE_RATE_PROVIDERS.find(
+      (p) => p.id === rateSnapshot.provider
+    );
+    timestampDisplay.textContent =
+      rateSource === "api"
+        ? t("rates.updatedAt", {
+            time: formatDate(fetchedAt, { timeStyle: "medium" }),
+          })
+        : t("rates.cachedFrom", { date: formatDate(fetchedAt) });
+    if (provider) timestampDisplay.title = provider.name;
+  } else {
+    timestampDisplay.textContent = t("rates.usingFallback");
+  }
+
+  if (!rateSnapshot) {
+    warning.textContent = t("rates.noCurrentRate");
+  } else if (isStale(rateSnapshot)) {
+    warning.textContent = t("rates.stale", {
+      age: formatRateAge(getRatesAge(rateSnapshot)),
+    });
+  }
+  warning.hidden = Boolean(rateSnapshot) && !isStale(rateSnapshot);
+
+  document.getElementById("rateOffline").hidden =
+    navigator.onLine !== false && rateSource !== "offline";
+
+  renderRateOverride();
+}
+
+/**
+ * Renders the manual rate form for the current currency
+ */
+function renderRateOverride() {
+  const input = document.getElementById("rateOverrideInput");
+  const hint = document.getElementById("rateOverrideHint");
+  const isBase = currentCurrency === RATES_BASE_CURRENCY;
+  const manual = Object.hasOwn(rateOverrides, currentCurrency);
+
+  document.getElementById("rateOverrideCurrency").textContent = currentCurrency;
+  input.disabled = isBase;
+  input.placeholder = isBase
+    ? ""
+    : (getMarketRates()[currentCurrency]?.toFixed(4) ?? "");
+  input.value = manual ? rateOverrides[currentCurrency] : "";
+  document.getElementById("applyRateOverrideBtn").disabled = isBase;
+  document.getElementById("clearRateOverrideBtn").disabled = !manual;
+
+  hint.textContent = isBase
+    ? t("rates.notNeeded", { currency: RATES_BASE_CURRENCY })
+    : manual
+      ? t("rates.manualHint", { currency: currentCurrency })
+      : t("rates.marketHint");
+  const rateDisplay = document.getElementById("exchangeRateDisplay");
+  rateDisplay.classList.toggle("rate-value--manual", manual);
+  rateDisplay.title = manual
+    ? t("rates.manualTitle", {
+        rate: rateOverrides[currentCurrency],
+        currency: currentCurrency,
+      })
+    : "";
+}
+
+/**
+ * Saves a manual rate for the current currency
+ */
+function applyRateOverride() {
+  const input = document.getElementById("rateOverrideInput");
+  const rate = parseFloat(input.value);
+  if (!Number.isFinite(rate) || rate <= 0) {
+    input.classList.add("form-control--invalid");
+    return;
+  }
+
+  input.classList.remove("form-control--invalid");
+  rateOverrides = { ...rateOverrides, [currentCurrency]: rate };
+  saveRateOverrides(getStorage(), rateOverrides);
+  renderExchangeRateInfo();
+  updateDisplay();
+  safeUpdateChart(true);
+}
+
+/**
+ * Removes the manual rate of the current currency
+ */
+function clearRateOverride() {
+  const { [currentCurrency]: _removed, ...rest } = rateOverrides;
+  rateOverrides = rest;
+  saveRateOverrides(getStorage(), rateOverrides);
+  document
+    .getElementById("rateOverrideInput")
+    .classList.remove("form-control--invalid");
+  renderExchangeRateInfo();
+  updateDisplay();
+  safeUpdateChart(true);
+}
+
+/**
+ * Loads cached rates and manual overrides so prices are right before the
+ * first fetch completes (and offline)
+ */
+function initExchangeRates() {
+  rateOverrides = loadRateOverrides(getStorage());
+  rateSnapshot = loadCachedRates(getStorage());
+  rateSource = rateSnapshot ? "cache" : "fallback";
+  renderCurrencyButtons();
+  renderExchangeRateInfo();
+
+  window.addEventListener("online", fetchExchangeRate);
+  window.addEventListener("offline", renderExchangeRateInfo);
+}
+
+/**
+ * Generates the currency toggle from currencies that have rates
+ */
+function renderCurrencyButtons() {
+  const toggle = document.getElementById("currencyToggle");
+  const currencies = getAvailableCurrencies();
+  if (!currencies.includes(currentCurrency)) currentCurrency = DEFAULT_CURRENCY;
+
+  toggle.replaceChildren(
+    ...currencies.map((code) => {
+      const btn = document.createElement("button");
+      btn.className = "currency-btn";
+      btn.classList.toggle("active", code === currentCurrency);
+      btn.dataset.currency = code;
+      btn.textContent = code;
+      btn.title = getCurrencyName(code);
+      return btn;
+    })
+  );
+}
+
+/**
+ * Fetches exchange rates from the providers, falling back to cached rates
+ */
+async function fetchExchangeRate() {
+  const refreshBtn = document.getElementById("refreshRateBtn");
+  const timestampDisplay = document.getElementById("rateTimestamp");
+
+  refreshBtn.classList.add("loading");
+  timestampDisplay.textContent = t("rates.updating");
+
+  try {
+    rateSnapshot = await fetchRates();
+    rateSource = rateSnapshot.offline ? "offline" : "api";
+    if (!rateSnapshot.offline) saveCachedRates(getStorage(), rateSnapshot);
+
+    // Set up auto-refresh
+    if (refreshTimer) clearInterval(refreshTimer);
+    refreshTimer = setInterval(fetchExchangeRate, REFRESH_INTERVAL);
+  } catch (error) {
+    for (const failure of error.failures ?? [error]) {
+      console.error(
+        `Failed to fetch from ${failure.provider ?? "rate providers"}:`,
+        failure.error ?? failure
+      );
+    }
+    rateSnapshot = loadCachedRates(getStorage());
+    rateSource = rateSnapshot ? "cache" : "fallback";
+  }
+
+  refreshBtn.classList.remove("loading");
+  renderCurrencyButtons();
+  renderExchangeRateInfo();
+  updateDisplay();
+  safeUpdateChart(true);
+}
+
+// =============================================================================
+// PRICE ROUNDING
+// =============================================================================
+
+/**
+ * Shows the rounding policy of the selected currency in the form
+ */
+function renderRoundingControls() {
+  const policy = getRoundingPolicy(roundingPolicies, currentCurrency);
+
+  document.getElementById("roundingCurrency").textContent = currentCurrency;
+  document.getElementById("roundingIncrement").value = String(policy.increment);
+  document.getElementById("roundingMode").value = policy.mode;
+  document.getElementById("roundingCharm").checked = policy.charm;
+  document.getElementById("roundingMinimum").value = policy.minimumTotal || "";
+}
+
+/**
+ * Stores the policy entered in the form for the selected currency
+ */
+function applyRoundingControls() {
+  const minimumInput = document.getElementById("roundingMinimum");
+  const policy = {
+    increment: parseFloat(document.getElementById("roundingIncrement").value),
+    mode: document.getElementById("roundingMode").value,
+    charm: document.getElementById("roundingCharm").checked,
+    minimumTotal:
+      minimumInput.value === "" ? 0 : parseFloat(minimumInput.value),
+  };
+
+  const problem = validateRoundingPolicy(policy);
+  minimumInput.classList.toggle("form-control--invalid", problem !== null);
+  if (problem) return;
+
+  roundingPolicies = { ...roundingPolicies, [currentCurrency]: policy };
+  saveRoundingPolicies(getStorage(), roundingPolicies);
+  updateDisplay();
+  safeUpdateChart(true);
+}
+
+/**
+ * Builds the increment and mode options of the rounding form
+ */
+function renderRoundingOptions() {
+  document
+    .getElementById("roundingIncrement")
+    .replaceChildren(
+      ...ROUNDING_INCREMENTS.map(
+        (value, index) =>
+          new Option(
+            index === 0
+              ? t("rounding.none")
+              : t("rounding.increment", { value }),
+            value
+          )
+      )
+    );
+
+  document
+    .getElementById("roundingMode")
+    .replaceChildren(
+      ...Object.entries(ROUNDING_MODES).map(
+        ([id, { name }]) => new Option(name, id)
+      )
+    );
+}
+
+/**
+ * Builds the rounding form and loads saved policies
+ */
+function initRounding() {
+  roundingPolicies = loadRoundingPolicies(getStorage());
+  renderRoundingOptions();
+
+  document
+    .getElementById("roundingControls")
+    .addEventListener("change", applyRoundingControls);
+  renderRoundingControls();
+}
+
+// =============================================================================
+// BUDGET CALCULATOR
+// =============================================================================
+
+/**
+ * Finds the longest order that fits the budget, moves the duration there and
+ * describes the result
+ */
+function updateBudget() {
+  const result = document.getElementById("budgetResult");
+  document.getElementById("budgetCurrency").textContent = currentCurrency;
+
+  budgetResult =
+    budget === null
+      ? null
+      : findAffordableMinutes(budget, getPricingConfig(), { max: maxMinutes });
+  document.getElementById("budgetWarning").hidden = !budgetResult?.gaps;
+
+  result.classList.toggle(
+    "form-error",
+    budgetResult !== null && budgetResult.minutes === null
+  );
+  if (budgetResult === null) {
+    result.textContent = t("budget.prompt");
+    return;
+  }
+  if (budgetResult.minutes === null) {
+    result.textContent = t("budget.belowMinimum", {
+      minimum: formatConverted(budgetResult.minimum),
+    });
+    currentMinutes = 0;
+  } else {
+    result.textContent =
+      t("budget.affordable", {
+        minutes: budgetResult.minutes,
+        total: formatConverted(budgetResult.total),
+      }) + (budgetResult.capped ? t("budget.capped") : "");
+    currentMinutes = budgetResult.minutes;
+  }
+  slider.value = currentMinutes;
+}
+
+/**
+ * Switches between setting the duration and deriving it from a budget
+ * @param {string} mode - "minutes" or "budget"
+ */
+function setCalculatorMode(mode) {
+  calculatorMode = mode;
+  document.querySelector(
+    `input[name="calculatorMode"][value="${mode}"]`
+  ).checked = true;
+  document.getElementById("budgetGroup").hidden = mode !== "budget";
+  slider.disabled = mode === "budget";
+  durationInput.disabled = mode === "budget";
+  document.querySelectorAll(".preset-btn[data-minutes]").forEach((btn) => {
+    btn.disabled = mode === "budget";
+  });
+
+  updateDisplay();
+  safeUpdateChart(true);
+}
+
+/**
+ * Wires up the calculator mode switch and the budget field
+ */
+function initBudget() {
+  document.querySelectorAll('input[name="calculatorMode"]').forEach((input) => {
+    input.addEventListener("change", () => setCalculatorMode(input.value));
+  });
+
+  const input = document.getElementById("budgetInput");
+  input.addEventListener("input", () => {
+    const value = parseFloat(input.value);
+    const valid = Number.isFinite(value) && value >= 0;
+    input.classList.toggle(
+      "form-control--invalid",
+      input.value !== "" && !valid
+    );
+    budget = valid ? value : null;
+    updateDisplay();
+    safeUpdateChart(true);
+  });
+}
+
+// =============================================================================
+// TAX
+// =============================================================================
+
+/**
+ * Describes whether totals include tax
+ * @returns {string} E.g. "з ПДВ 20%" or "без ПДВ"
+ */
+function getTaxNote() {
+  return taxSettings.rate > 0
+    ? t("tax.withRate", { rate: taxSettings.rate })
+    : t("tax.without");
+}
+
+/**
+ * Gets the label of total prices, stating whether they include tax
+ * @returns {string} E.g. "Загальна ціна (з ПДВ 20%)"
+ */
+function getTotalLabel() {
+  return t("tax.totalLabel", { note: getTaxNote() });
+}
+
+/**
+ * Shows current tax settings in the form
+ */
+function renderTaxControls() {
+  document.getElementById("taxProfile").value = taxSettings.profile;
+  document.getElementById("taxRate").value = String(taxSettings.rate);
+  document.getElementById("taxMode").value = taxSettings.inclusive
+    ? "inclusive"
+    : "exclusive";
+}
+
+/**
+ * Stores the tax settings entered in the form
+ * @param {Event} e - Change event; picking a profile resets the rate to its own
+ */
+function applyTaxControls(e) {
+  const profile = document.getElementById("taxProfile").value;
+  const rateInput = document.getElementById("taxRate");
+  if (e.target.id === "taxProfile") {
+    rateInput.value = String(TAX_PROFILES[profile].rate);
+  }
+
+  const settings = {
+    profile,
+    rate: rateInput.value === "" ? NaN : parseFloat(rateInput.value),
+    inclusive: TAX_MODES[document.getElementById("taxMode").value].inclusive,
+  };
+
+  const problem = validateTaxSettings(settings);
+  rateInput.classList.toggle("form-control--invalid", problem !== null);
+  if (problem) return;
+
+  taxSettings = settings;
+  saveTaxSettings(getStorage(), taxSettings);
+  updateDisplay();
+  safeUpdateChart(true);
+}
+
+/**
+ * Builds the profile and mode options of the tax form
+ */
+function renderTaxOptions() {
+  document
+    .getElementById("taxProfile")
+    .replaceChildren(
+      ...Object.entries(TAX_PROFILES).map(
+        ([id, { name, rate }]) =>
+          new Option(t("tax.profileOption", { name, rate }), id)
+      )
+    );
+  document
+    .getElementById("taxMode")
+    .replaceChildren(
+      ...Object.entries(TAX_MODES).map(([id, { name }]) => new Option(name, id))
+    );
+}
+
+/**
+ * Builds the tax form and loads saved settings
+ */
+function initTax() {
+  taxSettings = loadTaxSettings(getStorage());
+  renderTaxOptions();
+
+  document
+    .getElementById("taxControls")
+    .addEventListener("change", applyTaxControls);
+  renderTaxControls();
+}
+
+// =============================================================================
+// SERVICE ADD-ONS
+// =============================================================================
+
+/**
+ * Formats how an add-on changes the price
+ * @param {{type: string, value: number}} addon - Add-on definition
+ * @returns {string} E.g. "+25%", "+0,40 ₴/хв" or "+620,00 ₴"
+ */
+function formatAddonValue({ type, value }) {
+  if (type === "percent") return `+${value}%`;
+  if (type === "per-minute") {
+    return `+${t("units.perMinute", { price: formatCurrency(value) })}`;
+  }
+  return `+${formatCurrency(value)}`;
+}
+
+/**
+ * Syncs the add-on checkboxes with the selection and shows their prices in
+ * the selected currency
+ */
+function renderAddonControls() {
+  document.querySelectorAll("#addonOptions .radio-option").forEach((option) => {
+    const input = option.querySelector("input");
+    input.checked = selectedAddons.includes(input.value);
+    option.querySelector(".addon-price").textContent = formatAddonValue(
+      ADDONS[input.value]
+    );
+  });
+}
+
+/**
+ * Stores the checked add-ons and recalculates
+ */
+function applyAddonControls() {
+  selectedAddons = [
+    ...document.querySelectorAll("#addonOptions input:checked"),
+  ].map((input) => input.value);
+  updateDisplay();
+  safeUpdateChart(true);
+}
+
+/**
+ * Builds the add-on checkboxes, checked as selected
+ */
+function renderAddonOptions() {
+  document.getElementById("addonOptions").replaceChildren(
+    ...Object.entries(ADDONS).map(([id, addon]) => {
+      const option = document.createElement("label");
+      option.className = "radio-option";
+      option.title = ADDON_TYPES[addon.type].description;
+      const input = document.createElement("input");
+      input.type = "checkbox";
+      input.value = id;
+      const name = document.createElement("span");
+      name.className = "radio-label";
+      name.textContent = addon.name;
+      const price = document.createElement("span");
+      price.className = "addon-price";
+      option.append(input, name, price);
+      return option;
+    })
+  );
+  renderAddonControls();
+}
+
+/**
+ * Builds the add-on checkboxes
+ */
+function initAddons() {
+  renderAddonOptions();
+  document
+    .getElementById("addonOptions")
+    .addEventListener("change", applyAddonControls);
+}
+
+// =============================================================================
+// PROMO CODES
+// =============================================================================
+
+/**
+ * Shows a status or error message under the promo code field
+ * @param {string} message - Message text
+ * @param {boolean} [isError] - Whether to style it as an error
+ */
+function showPromoMessage(message, isError = false) {
+  const display = document.getElementById("promoMessage");
+  display.textContent = message;
+  display.classList.toggle("form-error", isError);
+  display.classList.toggle("form-hint", !isError);
+  display.hidden = !message;
+}
+
+/**
+ * Explains why a promo code does not apply
+ * @param {string} problem - Problem from redeemPromoCode/checkPromoConditions
+ * @param {Object|null} promo - The code's definition, if it exists
+ * @returns {string} Message
+ */
+function formatPromoProblem(problem, promo) {
+  return t(`errors.promo.${problem}`, {
+    date:
+      promo?.expiresAt &&
+      formatDate(`${promo.expiresAt}T00:00`, { dateStyle: "short" }),
+    minMinutes: promo?.minMinutes,
+    currencies: promo?.currencies?.join(", "),
+  });
+}
+
+/**
+ * Describes the redeemed code, or why it no longer applies to the order
+ */
+function renderPromoStatus() {
+  document.getElementById("clearPromoBtn").hidden = !activePromo;
+  if (!activePromo) return;
+
+  // Conditions apply to billed minutes, as in the price itself
+  const problem = checkPromoConditions(
+    activePromo,
+    calculatePrice(currentMinutes).minutes,
+    currentCurrency
+  );
+  showPromoMessage(
+    problem
+      ? t("promo.notApplied", {
+          code: activePromo.code,
+          reason: formatPromoProblem(problem, activePromo),
+        })
+      : `${activePromo.code}: ${activePromo.description ?? t("promo.applied")}`,
+    problem !== null
+  );
+}
+
+/**
+ * Redeems the entered promo code, or shows why it was rejected
+ */
+function applyPromoCode() {
+  const input = document.getElementById("promoCodeInput");
+  const { promo, problem } = redeemPromoCode(input.value, {
+    minutes: calculatePrice(currentMinutes).minutes,
+    currency: currentCurrency,
+  });
+
+  input.classList.toggle("form-control--invalid", problem !== null);
+  if (problem) {
+    showPromoMessage(formatPromoProblem(problem, promo), true);
+    return;
+  }
+
+  activePromo = promo;
+  input.value = promo.code;
+  updateDisplay();
+  safeUpdateChart(true);
+}
+
+/**
+ * Removes the redeemed promo code
+ */
+function clearPromoCode() {
+  activePromo = null;
+  const input = document.getElementById("promoCodeInput");
+  input.value = "";
+  input.classList.remove("form-control--invalid");
+  showPromoMessage("");
+  updateDisplay();
+  safeUpdateChart(true);
+}
+
+/**
+ * Wires up the promo code field
+ */
+function initPromoCodes() {
+  const input = document.getElementById("promoCodeInput");
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") applyPromoCode();
+  });
+  input.addEventListener("input", () => {
+    input.classList.remove("form-control--invalid");
+  });
+  document
+    .getElementById("applyPromoBtn")
+    .addEventListener("click", applyPromoCode);
+  document
+    .getElementById("clearPromoBtn")
+    .addEventListener("click", clearPromoCode);
+}
+
+// =============================================================================
+// EVENT HANDLERS
+// =============================================================================
+
+/**
+ * Generates the controls pricing.config.json describes: formula options,
+ * duration presets, the base fee slider and the default custom expression.
+ * translateDocument labels them.
+ */
+function renderConfiguredControls() {
+  const formulaSelect = document.getElementById("formulaType");
+  formulaSelect.replaceChildren(
+    ...Object.keys(FORMULAS).map((id) => new Option(id, id))
+  );
+  formulaSelect.value = currentFormula;
+
+  document.getElementById("durationPresets").replaceChildren(
+    ...DURATION_PRESETS.map((minutes) => {
+      const btn = document.createElement("button");
+      btn.className = "preset-btn";
+      btn.dataset.minutes = minutes;
+      return btn;
+    })
+  );
+
+  const feeSlider = document.getElementById("baseFeeSlider");
+  Object.assign(feeSlider, BASE_FEE_RANGE, { value: baseFee });
+  document.getElementById("baseFeeValue").textContent = baseFee;
+  document.getElementById("customExpression").value = customExpression;
+}
+
+/**
+ * Initializes all event listeners
+ */
+function initEventListeners() {
+  // Slider input
+  slider.addEventListener("input", (e) => {
+    currentMinutes = parseInt(e.target.value);
+    updateDisplay();
+  });
+
+  // Refresh rate button
+  document
+    .getElementById("refreshRateBtn")
+    .addEventListener("click", fetchExchangeRate);
+
+  // Preset minute buttons (generated by renderConfiguredControls)
+  document.getElementById("durationPresets").addEventListener("click", (e) => {
+    const btn = e.target.closest(".preset-btn[data-minutes]");
+    if (!btn) return;
+    const widened = setDuration(parseInt(btn.dataset.minutes));
+    updateDisplay();
+    if (widened) safeUpdateChart(true);
+  });
+
+  // Formula type selector
+  document.getElementById("formulaType").addEventListener("change", (e) => {
+    currentFormula = e.target.value;
+    formulaParams = resolveParams(resolveFormula(getPricingConfig()));
+    updateFormulaControls();
+    updateDisplay();
+    safeUpdateChart(true); // Update chart data when formula changes
+  });
+
+  // Base fee slider
+  document.getElementById("baseFeeSlider").addEventListener("input", (e) => {
+    baseFee = parseInt(e.target.value);
+    document.getElementById("baseFeeValue").textContent = baseFee;
+    updateDisplay();
+  });
+
+  // Parameter sliders (generated by updateFormulaControls)
+  document.getElementById("paramControls").addEventListener("input", (e) => {
+    const name = e.target.dataset.param;
+    if (!name) return;
+    formulaParams = { ...formulaParams, [name]: parseFloat(e.target.value) };
+    const spec = resolveFormula(getPricingConfig()).params[name];
+    document.getElementById(`param${name}Value`).textContent = formatParamValue(
+      formulaParams[name],
+      spec
+    );
+    updateSafeParamSliders();
+    updateFormulaWarning();
+    updateDisplay();
+    safeUpdateChart(true); // Update chart when parameters change
+  });
+
+  // Tier table editor
+  const tierEditor = document.getElementById("tierEditorGroup");
+  tierEditor.addEventListener("input", (e) => {
+    if (e.target.classList.contains("tier-input")) applyTierEditor();
+  });
+  tierEditor.addEventListener("change", (e) => {
+    if (e.target.name !== "tierMode") return;
+    tierMode = e.target.value;
+    updateDisplay();
+    safeUpdateChart(true);
+  });
+  tierEditor.addEventListener("click", (e) => {
+    const removeBtn = e.target.closest(".tier-remove-btn");
+    if (!removeBtn || tierTable.length === 1) return;
+    tierTable = tierTable.filter(
+      (_, i) => i !== Number(removeBtn.dataset.index)
+    );
+    tierTable[tierTable.length - 1].upTo = null;
+    renderTierEditor();
+    updateDisplay();
+    safeUpdateChart(true);
+  });
+  document.getElementById("addTierBtn").addEventListener("click", () => {
+    const last = tierTable[tierTable.length - 1];
+    const from =
+      tierTable.length > 1 ? tierTable[tierTable.length - 2].upTo : 0;
+    tierTable = [
+      ...tierTable.slice(0, -1),
+      { upTo: from + 1000, rate: last.rate },
+      { upTo: null, rate: last.rate },
+    ];
+    renderTierEditor();
+    updateDisplay();
+    safeUpdateChart(true);
+  });
+
+  // Custom formula expression
+  document.getElementById("customExpression").addEventListener("input", (e) => {
+    applyCustomExpression(e.target.value);
+  });
+
+  // Reset button: back to the active profile, or to the defaults
+  document.getElementById("resetBtn").addEventListener("click", () => {
+    const profile = getActiveProfile();
+    if (profile) {
+      applyProfile(profile);
+      return;
+    }
+
+    baseFee = DEFAULT_PRICING.baseFee;
+    currentFormula = DEFAULT_PRICING.formula;
+    formulaParams = { ...DEFAULT_PRICING.params };
+    selectedAddons = [];
+
+    syncControls();
+    updateFormulaControls();
+    updateDisplay();
+    safeUpdateChart(true); // Update chart data when resetting
+  });
+
+  // Pricing profiles
+  document.getElementById("profileSelect").addEventListener("change", (e) => {
+    profileData = { ...profileData, active: e.target.value || null };
+    persistProfiles();
+    renderProfiles();
+    const profile = getActiveProfile();
+    if (profile) applyProfile(profile);
+  });
+  document
+    .getElementById("saveProfileBtn")
+    .addEventListener("click", saveCurrentProfile);
+  document
+    .getElementById("deleteProfileBtn")
+    .addEventListener("click", deleteActiveProfile);
+  document.getElementById("exportProfilesBtn").addEventListener("click", () => {
+    downloadFile(
+      "pricing-profiles.json",
+      exportProfiles(profileData.profiles),
+      "application/json"
+    );
+  });
+  document
+    .getElementById("importProfilesInput")
+    .addEventListener("change", (e) => {
+      const [file] = e.target.files;
+      if (file) importProfilesFile(file);
+      e.target.value = "";
+    });
+
+  // Copy link button
+  document
+    .getElementById("copyLinkBtn")
+    .addEventListener("click", copyShareLink);
+
+  // Client quote
+  document
+    .getElementById("generateQuoteBtn")
+    .addEventListener("click", generateQuote);
+  document
+    .getElementById("printQuoteBtn")
+    .addEventListener("click", printQuote);
+  document
+    .getElementById("quotePdfBtn")
+    .addEventListener("click", downloadQuotePdf);
+  document.getElementById("quoteCsvBtn").addEventListener("click", () => {
+    downloadFile(
+      `${currentQuote.number}.csv`,
+      quotesToCsv([currentQuote]),
+      "text/csv;charset=utf-8"
+    );
+  });
+  document.getElementById("quoteJsonBtn").addEventListener("click", () => {
+    downloadFile(
+      `${currentQuote.number}.json`,
+      quoteToJson(currentQuote),
+      "application/json"
+    );
+  });
+
+  // Comparison series
+  document.getElementById("pinSeriesBtn").addEventListener("click", pinSeries);
+  document.getElementById("pinnedSeriesList").addEventListener("click", (e) => {
+    const removeBtn = e.target.closest(".series-chip__remove");
+    if (removeBtn) unpinSeries(Number(removeBtn.dataset.index));
+  });
+
+  // Currency buttons (generated by renderCurrencyButtons)
+  document.getElementById("currencyToggle").addEventListener("click", (e) => {
+    const btn = e.target.closest(".currency-btn");
+    if (!btn) return;
+    currentCurrency = btn.dataset.currency;
+    document.querySelectorAll(".currency-btn").forEach((b) => {
+      b.classList.toggle("active", b === btn);
+    });
+    renderExchangeRateInfo();
+    renderRoundingControls();
+    updateDisplay();
+    safeUpdateChart(true);
+  });
+
+  // Manual exchange rate
+  document
+    .getElementById("applyRateOverrideBtn")
+    .addEventListener("click", applyRateOverride);
+  document
+    .getElementById("clearRateOverrideBtn")
+    .addEventListener("click", clearRateOverride);
+}
+
+// =============================================================================
+// SHAREABLE STATE
+// =============================================================================
+
+/**
+ * Gets currency codes offered by the currency toggle
+ * @returns {string[]} Currency codes
+ */
+function getAvailableCurrencies() {
+  return listAvailableCurrencies(getMarketRates());
+}
+
+/**
+ * Syncs static form controls with current calculator state
+ */
+function syncControls() {
+  syncDurationControls();
+  document.getElementById("baseFeeSlider").value = baseFee;
+  document.getElementById("baseFeeValue").textContent = baseFee;
+  document.getElementById("formulaType").value = currentFormula;
+  document.getElementById("customExpression").value = customExpression;
+  document.querySelectorAll(".currency-btn").forEach((btn) => {
+    btn.classList.toggle("active", btn.dataset.currency === currentCurrency);
+  });
+  renderExchangeRateInfo();
+  renderRoundingControls();
+}
+
+/**
+ * Applies (partial) calculator state, e.g. from a shared link or a profile.
+ * The formula, expression and tier table are resolved first, so state that
+ * cannot be priced throws and leaves the calculator unchanged.
+ * @param {Object} state - Partial state (see serializeState)
+ * @throws {Error} If the formula is unknown or the tier table is invalid
+ * @throws {ExpressionError} If the custom expression cannot be parsed
+ */
+function applyCalculatorState(state) {
+  const formula = state.formula || currentFormula;
+  const expression = state.expression || customExpression;
+  const tiers = state.tiers || tierTable;
+  const mode = state.tierMode || tierMode;
+  // Kept for a later switch of formula, so checked even when unused
+  if (state.expression) resolveFormula({ formula: "custom", expression });
+  if (state.tiers) {
+    resolveFormula({ formula: "tiered", tiers, tierMode: mode });
+  }
+  // Without explicit params keep current ones, unless the formula changed
+  const params = resolveParams(
+    resolveFormula({ formula, expression, tiers, tierMode: mode }),
+    state.params ?? (state.formula || state.expression ? {} : formulaParams)
+  );
+
+  currentFormula = formula;
+  customExpression = expression;
+  tierTable = tiers;
+  tierMode = mode;
+  formulaParams = params;
+  if (state.baseFee !== undefined) baseFee = state.baseFee;
+  if (state.maxMinutes !== undefined) maxMinutes = state.maxMinutes;
+  if (state.minutes !== undefined) setDuration(state.minutes);
+  if (state.granularity) billingGranularity = state.granularity;
+  if (state.currency) currentCurrency = state.currency;
+  if (state.addons) selectedAddons = state.addons;
+
+  syncControls();
+}
+
+/**
+ * Restores calculator state from the page URL
+ */
+function restoreStateFromUrl() {
+  try {
+    applyCalculatorState(
+      parseState(window.location.search, {
+        currencies: getAvailableCurrencies(),
+      })
+    );
+  } catch (error) {
+    console.error("Failed to restore state from URL:", error);
+  }
+}
+
+/**
+ * Writes current calculator state into the page URL
+ */
+function updateUrl() {
+  clearTimeout(urlUpdateTimer);
+  urlUpdateTimer = null;
+
+  const query = serializeState({
+    ...getPricingConfig(),
+    minutes: currentMinutes,
+    maxMinutes,
+  });
+  window.history.replaceState(
+    null,
+    "",
+    `${window.location.pathname}?${query}${window.location.hash}`
+  );
+}
+
+/**
+ * Schedules a URL update, coalescing rapid slider moves
+ */
+function scheduleUrlUpdate() {
+  clearTimeout(urlUpdateTimer);
+  urlUpdateTimer = setTimeout(updateUrl, URL_UPDATE_DELAY);
+}
+
+/**
+ * Copies a link to the current configuration to the clipboard
+ */
+async function copyShareLink() {
+  updateUrl();
+  const btn = document.getElementById("copyLinkBtn");
+  const label = btn.textContent;
+
+  try {
+    await navigator.clipboard.writeText(window.location.href);
+  } catch (error) {
+    console.error("Clipboard error:", error);
+    window.prompt(t("share.copyPrompt"), window.location.href);
+    return;
+  }
+
+  btn.textContent = t("share.copied");
+  btn.disabled = true;
+  setTimeout(() => {
+    btn.textContent = label;
+    btn.disabled = false;
+  }, COPY_FEEDBACK_DURATION);
+}
+
+// =============================================================================
+// CHANGE HISTORY
+// =============================================================================
+
+/**
+ * Takes a snapshot of the configuration tracked by undo and the audit log
+ * @returns {Object} Snapshot (see createSnapshot)
+ */
+function getHistorySnapshot() {
+  return createSnapshot({ ...getPricingConfig(), minutes: currentMinutes });
+}
+
+/**
+ * Schedules an undo step, coalescing slider drags into one
+ */
+function scheduleHistoryRecord() {
+  clearTimeout(historyTimer);
+  historyTimer = setTimeout(recordHistory, HISTORY_RECORD_DELAY);
+}
+
+/**
+ * Records the current configuration as an undo step and in the audit log
+ */
+function recordHistory() {
+  clearTimeout(historyTimer);
+  historyTimer = null;
+  if (!undoStack) return;
+
+  const snapshot = getHistorySnapshot();
+  undoStack = recordChange(undoStack, snapshot);
+  logChange(snapshot);
+  renderHistoryControls();
+}
+
+/**
+ * Appends a configuration to the audit log and saves it
+ * @param {Object} snapshot - Configuration
+ */
+function logChange(snapshot) {
+  const log = appendAuditEntry(auditLog, snapshot);
+  if (log === auditLog) return;
+  auditLog = log;
+  persistAuditLog();
+  renderAuditLog();
+}
+
+/**
+ * Saves the audit log to localStorage
+ */
+function persistAuditLog() {
+  const storage = getStorage();
+  if (!storage) return;
+  try {
+    saveAuditLog(storage, auditLog);
+  } catch (error) {
+    console.error("Failed to save audit log:", error);
+  }
+}
+
+/**
+ * Applies a snapshot to the calculator, or reports under the change log why
+ * it cannot be restored and keeps the current configuration
+ * @param {Object} snapshot - Configuration
+ * @returns {boolean} True if the snapshot was applied
+ */
+function applySnapshot(snapshot) {
+  const errorDisplay = document.getElementById("auditLogError");
+  try {
+    applyCalculatorState(structuredClone(snapshot));
+  } catch (error) {
+    console.error("Failed to restore configuration:", error);
+    errorDisplay.textContent = t("history.restoreFailed");
+    errorDisplay.hidden = false;
+    return false;
+  }
+  errorDisplay.hidden = true;
+  updateFormulaControls();
+  updateDisplay();
+  safeUpdateChart(true);
+  return true;
+}
+
+/**
+ * Steps back to the previous configuration
+ */
+function undo() {
+  // A drag still settling becomes its own step, so undo reverts it
+  recordHistory();
+  moveInHistory(undoChange(undoStack));
+}
+
+/**
+ * Steps forward to the configuration last undone
+ */
+function redo() {
+  recordHistory();
+  moveInHistory(redoChange(undoStack));
+}
+
+/**
+ * Applies the present configuration of a moved undo stack
+ * @param {Object} stack - Stack after undo or redo
+ */
+function moveInHistory(stack) {
+  if (stack === undoStack || !applySnapshot(stack.present)) return;
+  undoStack = stack;
+  logChange(stack.present);
+  renderHistoryControls();
+}
+
+/**
+ * Enables the undo and redo buttons when there are steps to take
+ */
+function renderHistoryControls() {
+  document.getElementById("undoBtn").disabled = !undoStack?.past.length;
+  document.getElementById("redoBtn").disabled = !undoStack?.future.length;
+}
+
+/**
+ * Formats a snapshot field value for the audit log
+ * @param {string} field - Field from diffSnapshots, e.g. "params.A"
+ * @param {*} value - Field value
+ * @returns {string} Display value, "—" when missing
+ */
+function formatHistoryValue(field, value) {
+  if (value === undefined) return "—";
+  switch (field) {
+    case "formula":
+      return FORMULAS[value]?.name ?? value;
+    case "tierMode":
+      return TIER_MODES[value]?.name ?? value;
+    case "tiers":
+      return value
+        .map(
+          ({ upTo, rate }, index) =>
+            `${formatTierRange(value[index - 1]?.upTo ?? 0, upTo)}: ${formatNumber(rate)}`
+        )
+        .join("; ");
+    case "baseFee":
+      return formatMoney(value, "USD");
+    case "minutes":
+      return t("units.min", { value });
+    case "expression":
+      return value;
+    default:
+      return formatNumber(value);
+  }
+}
+
+/**
+ * Names a snapshot field for the audit log
+ * @param {string} field - Field from diffSnapshots
+ * @returns {string} Label
+ */
+function formatHistoryField(field) {
+  return field.startsWith("params.")
+    ? t("history.fields.param", { name: field.slice("params.".length) })
+    : t(`history.fields.${field}`);
+}
+
+/**
+ * Renders the audit log, newest first, and the diff of the chosen entries
+ */
+function renderAuditLog() {
+  const list = document.getElementById("auditLogList");
+  document.getElementById("auditLogEmpty").hidden = auditLog.length > 0;
+  document.getElementById("auditDiff").hidden = auditLog.length < 2;
+
+  list.replaceChildren(
+    ...auditLog
+      .map((entry, index) => {
+        const item = document.createElement("li");
+        item.className = "audit-entry";
+
+        const time = document.createElement("time");
+        time.className = "audit-entry__time";
+        time.dateTime = entry.at;
+        time.textContent = formatDate(entry.at);
+
+        const summary = document.createElement("span");
+        summary.className = "audit-entry__summary";
+        summary.textContent =
+          index === 0
+            ? t("history.initial")
+            : diffSnapshots(auditLog[index - 1].snapshot, entry.snapshot)
+                .map(({ field, to }) =>
+                  t("history.change", {
+                    field: formatHistoryField(field),
+                    value: formatHistoryValue(field, to),
+                  })
+                )
+                .join(", ");
+
+        const restore = document.createElement("button");
+        restore.className = "btn btn--secondary audit-entry__restore";
+        restore.dataset.index = index;
+        restore.textContent = t("history.restore");
+
+        item.append(time, summary, restore);
+        return item;
+      })
+      .reverse()
+  );
+
+  renderAuditSelects();
+  renderAuditDiff();
+}
+
+/**
+ * Fills the diff entry selects, keeping valid choices and otherwise
+ * comparing the two newest entries
+ */
+function renderAuditSelects() {
+  const from = document.getElementById("auditFrom");
+  const to = document.getElementById("auditTo");
+  const previous = [from.value, to.value].map(Number);
+  const defaults = [auditLog.length - 2, auditLog.length - 1];
+
+  [from, to].forEach((select, i) => {
+    select.replaceChildren(
+      ...auditLog
+        .map(
+          (entry, index) =>
+            new Option(
+              t("history.entry", {
+                number: index + 1,
+                time: formatDate(entry.at),
+              }),
+              index
+            )
+        )
+        .reverse()
+    );
+    const kept = select.dataset.touched && previous[i] < auditLog.length;
+    select.value = kept ? previous[i] : defaults[i];
+  });
+}
+
+/**
+ * Renders the differences between the two chosen audit log entries
+ */
+function renderAuditDiff() {
+  const table = document.getElementById("auditDiffTable");
+  const from = auditLog[document.getElementById("auditFrom").value];
+  const to = auditLog[document.getElementById("auditTo").value];
+  const changes = from && to ? diffSnapshots(from.snapshot, to.snapshot) : [];
+
+  document.getElementById("auditDiffSame").hidden = changes.length > 0;
+  table.hidden = changes.length === 0;
+  table.tBodies[0].replaceChildren(
+    ...changes.map((change) => {
+      const row = document.createElement("tr");
+      for (const text of [
+        formatHistoryField(change.field),
+        formatHistoryValue(change.field, change.from),
+        formatHistoryValue(change.field, change.to),
+      ]) {
+        const cell = document.createElement("td");
+        cell.textContent = text;
+        row.appendChild(cell);
       }
+      return row;
+    })
+  );
+}
+
+/**
+ * Checks whether a keyboard event target edits text, where undo shortcuts
+ * belong to the field
+ * @param {EventTarget} target - Event target
+ * @returns {boolean} True for text fields, selects and editable content
+ */
+function isTextEntry(target) {
+  if (!(target instanceof Element)) return false;
+  if (target.closest("textarea, select, [contenteditable='true']")) return true;
+  return (
+    target.tagName === "INPUT" &&
+    !["range", "checkbox", "radio", "button", "file"].includes(target.type)
+  );
+}
+
+/**
+ * Starts undo history from the current configuration, loads the audit log
+ * and wires up the buttons and Ctrl+Z / Ctrl+Shift+Z / Ctrl+Y shortcuts
+ */
+function initHistory() {
+  const snapshot = getHistorySnapshot();
+  undoStack = createUndoStack(snapshot);
+  const storage = getStorage();
+  auditLog = storage ? loadAuditLog(storage) : [];
+  logChange(snapshot);
+  renderAuditLog();
+  renderHistoryControls();
+
+  document.getElementById("undoBtn").addEventListener("click", undo);
+  document.getElementById("redoBtn").addEventListener("click", redo);
+
+  document.addEventListener("keydown", (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || isTextEntry(e.target)) return;
+    const key = e.key.toLowerCase();
+    if (key === "z" && !e.shiftKey) {
+      e.preventDefault();
+      undo();
+    } else if ((key === "z" && e.shiftKey) || key === "y") {
+      e.preventDefault();
+      redo();
+    }
+  });
+
+  document.getElementById("auditLogList").addEventListener("click", (e) => {
+    const index = e.target.dataset.index;
+    if (index === undefined) return;
+    // Restoring is a change of its own: undoable and logged right away
+    if (applySnapshot(auditLog[index].snapshot)) recordHistory();
+  });
+
+  for (const id of ["auditFrom", "auditTo"]) {
+    const select = document.getElementById(id);
+    select.addEventListener("change", () => {
+      select.dataset.touched = "true";
+      renderAuditDiff();
+    });
+  }
+
+  document.getElementById("clearAuditLogBtn").addEventListener("click", () => {
+    if (!window.confirm(t("history.confirmClear"))) return;
+    for (const id of ["auditFrom", "auditTo"]) {
+      delete document.getElementById(id).dataset.touched;
+    }
+    auditLog = [];
+    logChange(getHistorySnapshot());
+  });
+}
+
+// =============================================================================
+// PRICING PROFILES
+// =============================================================================
+
+/**
+ * Saves profiles to localStorage
+ */
+function persistProfiles() {
+  const storage = getStorage();
+  if (!storage) return;
+  try {
+    saveProfiles(storage, profileData);
+  } catch (error) {
+    console.error("Failed to save profiles:", error);
+    showProfileMessage(t("profiles.saveFailed"), true);
+  }
+}
+
+/**
+ * Gets the active profile
+ * @returns {Object|undefined} Active profile
+ */
+function getActiveProfile() {
+  return profileData.profiles.find((p) => p.name === profileData.active);
+}
+
+/**
+ * Shows a status or error message under the profile controls
+ * @param {string} message - Message text
+ * @param {boolean} [isError] - Whether to style it as an error
+ */
+function showProfileMessage(message, isError = false) {
+  const display = document.getElementById("profileMessage");
+  display.textContent = message;
+  display.classList.toggle("form-error", isError);
+  display.classList.toggle("form-hint", !isError);
+  display.hidden = !message;
+}
+
+/**
+ * Formats validation errors of a profile
+ * @param {Object[]} errors - Errors from validateProfile
+ * @returns {string} Human-readable list
+ */
+function formatProfileErrors(errors) {
+  return errors
+    .map((error) =>
+      t(`errors.profile.${error.code}`, {
+        field: error.field,
+        min: error.min,
+        max: error.max,
+      })
+    )
+    .join("; ");
+}
+
+/**
+ * Renders the profile dropdown and profile-dependent buttons
+ */
+function renderProfiles() {
+  const select = document.getElementById("profileSelect");
+  select.replaceChildren(new Option(t("profiles.none"), ""));
+  for (const profile of profileData.profiles) {
+    select.add(new Option(profile.name, profile.name));
+  }
+  select.value = profileData.active ?? "";
+
+  const active = getActiveProfile();
+  document.getElementById("profileName").value = active?.name ?? "";
+  document.getElementById("deleteProfileBtn").disabled = !active;
+  document.getElementById("exportProfilesBtn").disabled =
+    profileData.profiles.length === 0;
+  document.getElementById("resetBtn").textContent = active
+    ? t("profiles.resetToProfile", { name: active.name })
+    : t("profiles.resetToDefaults");
+
+  renderComparisonSources();
+  renderRevenueBaselines();
+}
+
+/**
+ * Applies a profile to the calculator, keeping the selected duration
+ * @param {Object} profile - Pricing profile
+ */
+function applyProfile(profile) {
+  applyCalculatorState(profile);
+  updateFormulaControls();
+  updateDisplay();
+  safeUpdateChart(true);
+}
+
+/**
+ * Saves current configuration as a profile named in the name field
+ */
+function saveCurrentProfile() {
+  const candidate = {
+    ...getPricingConfig(),
+    name: document.getElementById("profileName").value,
+  };
+
+  const errors = validateProfile(candidate, {
+    currencies: getAvailableCurrencies(),
+  });
+  if (errors.length > 0) {
+    const nameMissing = errors.some((e) => e.field === "name");
+    showProfileMessage(
+      nameMissing ? t("profiles.nameMissing") : formatProfileErrors(errors),
+      true
+    );
+    return;
+  }
+
+  const profile = normalizeProfile(candidate);
+  profileData = {
+    profiles: upsertProfile(profileData.profiles, profile),
+    active: profile.name,
+  };
+  persistProfiles();
+  renderProfiles();
+  showProfileMessage(t("profiles.saved", { name: profile.name }));
+}
+
+/**
+ * Deletes the active profile after confirmation
+ */
+function deleteActiveProfile() {
+  const active = getActiveProfile();
+  if (
+    !active ||
+    !window.confirm(t("profiles.confirmDelete", { name: active.name }))
+  ) {
+    return;
+  }
+
+  profileData = {
+    profiles: profileData.profiles.filter((p) => p !== active),
+    active: null,
+  };
+  persistProfiles();
+  renderProfiles();
+  showProfileMessage(t("profiles.deleted", { name: active.name }));
+}
+
+/**
+ * Imports profiles from a JSON file, merging them by name
+ * @param {File} file - Selected JSON file
+ */
+async function importProfilesFile(file) {
+  let result;
+  try {
+    result = importProfiles(await file.text(), {
+      currencies: getAvailableCurrencies(),
+    });
+  } catch (error) {
+    console.error("Profile import error:", error);
+    showProfileMessage(t("profiles.invalidJson"), true);
+    return;
+  }
+
+  profileData = {
+    ...profileData,
+    profiles: result.profiles.reduce(upsertProfile, profileData.profiles),
+  };
+  persistProfiles();
+  renderProfiles();
+
+  const messages = [t("profiles.imported", { count: result.profiles.length })];
+  for (const { index, name, errors } of result.rejected) {
+    messages.push(
+      t("profiles.rejected", {
+        name: name ?? `#${index + 1}`,
+        errors: formatProfileErrors(errors),
+      })
+    );
+  }
+  showProfileMessage(messages.join(". "), result.rejected.length > 0);
+}
+
+/**
+ * Loads saved profiles and applies the active one
+ */
+function initProfiles() {
+  const storage = getStorage();
+  if (storage) profileData = loadProfiles(storage);
+  renderProfiles();
+
+  const active = getActiveProfile();
+  if (active) applyCalculatorState(active);
+}
+
+// =============================================================================
+// PRICE COMPARISON
+// =============================================================================
+
+/**
+ * Formats a price difference with an explicit sign
+ * @param {number} value - Difference in the selected currency
+ * @returns {string} Formatted difference, e.g. "+12,00 ₴"
+ */
+function formatCurrencyDelta(value) {
+  return getSign(value) + formatConverted(Math.abs(value));
+}
+
+/**
+ * Gets the display sign of a difference
+ * @param {number} value - Difference
+ * @returns {string} "+", "−" or "±"
+ */
+function getSign(value) {
+  return value > 0 ? "+" : value < 0 ? "−" : "±";
+}
+
+/**
+ * Creates a colored price difference label
+ * @param {number} difference - Difference; positive when the price grows
+ * @param {number|null} percent - Difference relative to the reference price
+ * @param {string} [currency] - Currency of the difference
+ * @returns {HTMLElement} Label, e.g. "+12,00 ₴ (+3.5%)"
+ */
+function createDeltaElement(difference, percent, currency = currentCurrency) {
+  const delta = document.createElement("span");
+  delta.className = "comparison-delta";
+  delta.classList.toggle("comparison-delta--up", difference > 0);
+  delta.classList.toggle("comparison-delta--down", difference < 0);
+  const amount =
+    getSign(difference) + formatMoney(Math.abs(difference), currency);
+  delta.textContent =
+    percent === null
+      ? amount
+      : `${amount} (${getSign(percent)}${Math.abs(percent).toFixed(1)}%)`;
+  return delta;
+}
+
+/**
+ * Refreshes the series source dropdown with saved profiles
+ */
+function renderComparisonSources() {
+  const select = document.getElementById("comparisonSource");
+  const selected = select.value;
+  select.replaceChildren(new Option(t("comparison.currentConfig"), ""));
+  for (const profile of profileData.profiles) {
+    select.add(
+      new Option(t("profiles.option", { name: profile.name }), profile.name)
+    );
+  }
+  select.value = profileData.profiles.some((p) => p.name === selected)
+    ? selected
+    : "";
+}
+
+/**
+ * Pins the selected source (current configuration or a profile) as a series
+ */
+function pinSeries() {
+  const source = document.getElementById("comparisonSource").value;
+  const nameInput = document.getElementById("comparisonName");
+  const profile = profileData.profiles.find((p) => p.name === source);
+
+  let config;
+  if (profile) {
+    const { name, currency, ...pricing } = profile;
+    config = pricing;
+  } else {
+    config = getFormulaConfig();
+  }
+
+  const name = uniqueSeriesName(
+    nameInput.value.trim() || profile?.name || resolveFormula(config).name,
+    pinnedSeries
+  );
+  pinnedSeries = [...pinnedSeries, createSeries(name, config, pinnedSeries)];
+  nameInput.value = "";
+
+  renderComparison();
+}
+
+/**
+ * Removes a pinned series
+ * @param {number} index - Series index
+ */
+function unpinSeries(index) {
+  pinnedSeries = pinnedSeries.filter((_, i) => i !== index);
+  renderComparison();
+}
+
+/**
+ * Renders pinned series chips, chart overlays and the comparison table
+ */
+function renderComparison() {
+  const list = document.getElementById("pinnedSeriesList");
+  list.replaceChildren();
+  pinnedSeries.forEach((series, index) => {
+    const chip = document.createElement("span");
+    chip.className = "series-chip";
+    chip.style.setProperty("--series-color", series.color);
+    chip.textContent = series.name;
+    const removeBtn = document.createElement("button");
+    removeBtn.type = "button";
+    removeBtn.className = "series-chip__remove";
+    removeBtn.dataset.index = index;
+    removeBtn.title = t("comparison.removeSeries");
+    removeBtn.textContent = "×";
+    chip.appendChild(removeBtn);
+    list.appendChild(chip);
+  });
+
+  document.getElementById("pinSeriesBtn").disabled =
+    pinnedSeries.length >= MAX_PINNED_SERIES;
+
+  if (priceChart) {
+    priceChart.data.datasets = [
+      ...priceChart.data.datasets.slice(0, 2),
+      ...createOverlayDatasets(),
+    ];
+    priceChart.update();
+  }
 
-      if ((uahRate && uahRate > 0) || (eurRate && eurRate > 0)) {
-        lastUpdateTime = new Date();
+  renderComparisonTable();
+}
 
-        rateDisplay.textContent = `1 USD = ${CURRENCY_RATE.toFixed(
-          2
-        )} UAH | €${EUR_RATE.toFixed(2)}`;
-        timestampDisplay.textContent = `Останнє оновлення: ${lastUpdateTime.toLocaleTimeString(
-          "uk-UA"
-        )}`;
+/**
+ * Renders price differences of pinned series at preset durations
+ */
+function renderComparisonTable() {
+  const table = document.getElementById("comparisonTable");
+  table.hidden = pinnedSeries.length === 0;
+  if (table.hidden) return;
 
-        refreshBtn.classList.remove("loading");
-        updateDisplay();
+  const billingConfig = getBillingConfig();
+  const rows = compareAtDurations(
+    getPricingConfig(),
+    pinnedSeries.map((series) => ({
+      ...series,
+      config: { ...series.config, ...billingConfig },
+    }))
+  );
 
-        // Set up auto-refresh
-        if (refreshTimer) clearInterval(refreshTimer);
-        refreshTimer = setInterval(fetchExchangeRate, REFRESH_INTERVAL);
+  const headRow = document.createElement("tr");
+  for (const title of [
+    t("comparison.duration"),
+    t("comparison.current"),
+    ...pinnedSeries.map((s) => s.name),
+  ]) {
+    const th = document.createElement("th");
+    th.textContent = title;
+    headRow.appendChild(th);
+  }
+  table.tHead.replaceChildren(headRow);
 
-        return;
-      }
-    } catch (error) {
-      console.error(`Failed to fetch from ${endpoint}:`, error);
+  const body = table.tBodies[0];
+  body.replaceChildren();
+  for (const row of rows) {
+    const tr = document.createElement("tr");
+    tr.insertCell().textContent = t("units.min", { value: row.minutes });
+    tr.insertCell().textContent = formatConverted(row.reference);
+    for (const cell of row.series) {
+      const td = tr.insertCell();
+      td.textContent = formatConverted(cell.total);
+      td.appendChild(createDeltaElement(cell.difference, cell.percent));
     }
+    body.appendChild(tr);
   }
-
-  // All APIs failed, use fallback
-  CURRENCY_RATE = FALLBACK_RATE;
-  EUR_RATE = FALLBACK_EUR_RATE;
-  rateDisplay.textContent = `1 USD = ${CURRENCY_RATE.toFixed(
-    2
-  )} UAH | €${EUR_RATE.toFixed(2)}`;
-  timestampDisplay.textContent = "Використовується резервний курс";
-  refreshBtn.classList.remove("loading");
-  updateDisplay();
 }
 
 // =============================================================================
-// EVENT HANDLERS
+// REVENUE SIMULATION
 // =============================================================================
 
 /**
- * Initializes all event listeners
+ * Refreshes the baseline dropdown with saved profiles
  */
-function initEventListeners() {
-  // Slider input
-  slider.addEventListener("input", (e) => {
-    currentMinutes = parseInt(e.target.value);
-    updateDisplay();
+function renderRevenueBaselines() {
+  const select = document.getElementById("revenueBaseline");
+  const selected = select.value;
+  select.replaceChildren(new Option(t("revenue.defaultConfig"), ""));
+  for (const profile of profileData.profiles) {
+    select.add(
+      new Option(t("profiles.option", { name: profile.name }), profile.name)
+    );
+  }
+  select.value = profileData.profiles.some((p) => p.name === selected)
+    ? selected
+    : "";
+}
+
+/**
+ * Gets the configuration orders are compared against
+ * @returns {Object} Pricing config without billing
+ */
+function getRevenueBaseline() {
+  const source = document.getElementById("revenueBaseline").value;
+  const profile = profileData.profiles.find((p) => p.name === source);
+  const { name, currency, exchangeRate, ...pricing } =
+    profile ?? DEFAULT_PRICING;
+  return pricing;
+}
+
+/**
+ * Shows a status or error message under the order import controls
+ * @param {string} message - Message text
+ * @param {boolean} [isError] - Whether to style it as an error
+ */
+function showRevenueMessage(message, isError = false) {
+  const display = document.getElementById("revenueMessage");
+  display.textContent = message;
+  display.classList.toggle("form-error", isError);
+  display.classList.toggle("form-hint", !isError);
+  display.hidden = !message;
+}
+
+/**
+ * Imports past orders from a CSV file
+ * @param {File} file - Selected CSV file
+ */
+async function importOrdersFile(file) {
+  const { orders, rejected, missing } = parseOrdersCsv(await file.text(), {
+    currencies: getAvailableCurrencies(),
   });
+  if (missing.length > 0) {
+    showRevenueMessage(
+      t("revenue.missingColumns", { columns: missing.join(", ") }),
+      true
+    );
+    return;
+  }
+  if (orders.length === 0) {
+    showRevenueMessage(t("revenue.noOrders"), true);
+    return;
+  }
 
-  // Refresh rate button
+  revenueOrders = orders;
+  const messages = [t("revenue.loaded", { count: orders.length })];
+  if (rejected.length > 0) {
+    const listed = rejected
+      .slice(0, MAX_LISTED_REJECTIONS)
+      .map(({ line, code }) =>
+        t("revenue.rejectedLine", {
+          line,
+          reason: t(`errors.order.${code}`),
+        })
+      )
+      .join("; ");
+    const more =
+      rejected.length > MAX_LISTED_REJECTIONS
+        ? t("common.andMore", {
+            count: rejected.length - MAX_LISTED_REJECTIONS,
+          })
+        : "";
+    messages.push(
+      t("revenue.skipped", { count: rejected.length, lines: listed + more })
+    );
+  }
+  showRevenueMessage(messages.join(". "), rejected.length > 0);
+  document.getElementById("clearOrdersBtn").hidden = false;
+  updateRevenueSimulation();
+}
+
+/**
+ * Forgets imported orders
+ */
+function clearOrders() {
+  revenueOrders = null;
+  showRevenueMessage("");
+  document.getElementById("clearOrdersBtn").hidden = true;
+  updateRevenueSimulation();
+}
+
+/**
+ * Reprices imported orders and renders revenue, the histogram and the
+ * largest changes
+ */
+function updateRevenueSimulation() {
+  const results = document.getElementById("revenueResults");
+  results.hidden = !revenueOrders;
+  if (!revenueOrders) return;
+
+  const baseline = getRevenueBaseline();
+  const simulation = simulateRevenue(
+    revenueOrders,
+    getFormulaConfig(),
+    baseline,
+    { billing: getBillingConfig }
+  );
+
+  const body = document.getElementById("revenueTableBody");
+  body.replaceChildren();
+  const addRow = (label, totals, format, currency) => {
+    const tr = document.createElement("tr");
+    tr.insertCell().textContent = label;
+    tr.insertCell().textContent = formatNumber(totals.count);
+    tr.insertCell().textContent = format(totals.baseline);
+    const current = tr.insertCell();
+    current.textContent = format(totals.current);
+    current.appendChild(
+      createDeltaElement(totals.difference, totals.percent, currency)
+    );
+    tr.insertCell().textContent = format(totals.current / totals.count);
+    body.appendChild(tr);
+  };
+  for (const totals of simulation.byCurrency) {
+    addRow(
+      totals.currency,
+      totals,
+      (value) => formatMoney(value, totals.currency),
+      totals.currency
+    );
+  }
+  const overall = {
+    ...simulation.totals,
+    difference: simulation.totals.difference * getExchangeRate(),
+  };
+  addRow(
+    t("revenue.total", { currency: currentCurrency }),
+    overall,
+    formatCurrency
+  );
+
+  const changes = document.getElementById("revenueChangesBody");
+  changes.replaceChildren();
+  for (const order of findLargestChanges(simulation.orders)) {
+    const tr = document.createElement("tr");
+    tr.insertCell().textContent = order.line;
+    tr.insertCell().textContent = order.date.slice(0, 10);
+    tr.insertCell().textContent = t("units.min", { value: order.minutes });
+    tr.insertCell().textContent = formatMoney(order.baseline, order.currency);
+    const current = tr.insertCell();
+    current.textContent = formatMoney(order.current, order.currency);
+    current.appendChild(
+      createDeltaElement(order.difference, order.percent, order.currency)
+    );
+    changes.appendChild(tr);
+  }
+  if (changes.rows.length === 0) {
+    const cell = changes.insertRow().insertCell();
+    cell.colSpan = 5;
+    cell.textContent = t("revenue.noChanges");
+  }
+
+  updateRevenueChart(baseline);
+}
+
+/**
+ * Draws the order size histogram against current and baseline price curves
+ * in the selected currency
+ * @param {Object} baseline - Baseline pricing config without billing
+ */
+function updateRevenueChart(baseline) {
+  const histogram = buildOrderHistogram(revenueOrders);
+  const billing = getBillingConfig();
+  const priceCurve = (config) =>
+    histogram.map(
+      ({ from, to }) =>
+        calculatePriceForConfig((from + to) / 2, { ...config, ...billing })
+          .converted.total
+    );
+
+  if (!revenueChart) initRevenueChart();
+  revenueChart.data.labels = histogram.map(({ from, to }) =>
+    formatTierRange(from, to)
+  );
+  revenueChart.data.datasets[0].data = histogram.map(({ count }) => count);
+  revenueChart.data.datasets[1].data = priceCurve(getFormulaConfig());
+  revenueChart.data.datasets[2].data = priceCurve(baseline);
+  revenueChart.update("none");
+}
+
+/**
+ * Initializes the order size histogram chart
+ */
+function initRevenueChart() {
+  const colors = getChartColors();
+  const axisTitle = (text) => ({
+    display: true,
+    text,
+    color: colors.text,
+    font: { size: 14, weight: "500", family: "var(--font-family-base)" },
+  });
+  const ticks = {
+    color: colors.text,
+    font: { size: 12, family: "var(--font-family-base)" },
+  };
+
+  revenueChart = new Chart(document.getElementById("revenueChart"), {
+    type: "bar",
+    data: {
+      labels: [],
+      datasets: [
+        {
+          label: t("revenue.orders"),
+          data: [],
+          backgroundColor: colors.primary + "66",
+          borderColor: colors.primary,
+          borderWidth: 1,
+          yAxisID: "y",
+          order: 2,
+        },
+        {
+          type: "line",
+          label: t("revenue.currentPrice"),
+          data: [],
+          borderColor: colors.primary,
+          backgroundColor: colors.primary,
+          borderWidth: 2,
+          pointRadius: 0,
+          yAxisID: "y1",
+          order: 1,
+        },
+        {
+          type: "line",
+          label: t("revenue.baselinePrice"),
+          data: [],
+          borderColor: "#e67e22",
+          backgroundColor: "#e67e22",
+          borderWidth: 2,
+          borderDash: [6, 4],
+          pointRadius: 0,
+          yAxisID: "y1",
+          order: 1,
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: { mode: "index", intersect: false },
+      plugins: {
+        legend: { labels: { color: colors.text, usePointStyle: true } },
+        tooltip: {
+          callbacks: {
+            label: (context) =>
+              context.dataset.yAxisID === "y1"
+                ? `${context.dataset.label}: ${formatConverted(
+                    context.parsed.y
+                  )}`
+                : `${context.dataset.label}: ${formatNumber(context.parsed.y)}`,
+          },
+        },
+      },
+      scales: {
+        x: {
+          title: axisTitle(t("revenue.orderDuration")),
+          grid: { display: false },
+          ticks,
+        },
+        y: {
+          position: "left",
+          beginAtZero: true,
+          title: axisTitle(t("revenue.orderCount")),
+          grid: { color: colors.border + "40" },
+          ticks: { ...ticks, precision: 0 },
+        },
+        y1: {
+          position: "right",
+          beginAtZero: true,
+          title: axisTitle(t("revenue.orderPrice")),
+          grid: { drawOnChartArea: false },
+          ticks: { ...ticks, callback: (value) => formatConverted(value) },
+        },
+      },
+    },
+  });
+}
+
+/**
+ * Wires up order import and the baseline choice
+ */
+function initRevenueSimulation() {
+  document.getElementById("ordersCsvInput").addEventListener("change", (e) => {
+    const [file] = e.target.files;
+    if (file) importOrdersFile(file);
+    e.target.value = "";
+  });
   document
-    .getElementById("refreshRateBtn")
-    .addEventListener("click", fetchExchangeRate);
+    .getElementById("clearOrdersBtn")
+    .addEventListener("click", clearOrders);
+  document
+    .getElementById("revenueBaseline")
+    .addEventListener("change", updateRevenueSimulation);
+}
 
-  // Preset minute buttons
-  document.querySelectorAll(".preset-btn[data-minutes]").forEach((btn) => {
-    btn.addEventListener("click", () => {
-      currentMinutes = parseInt(btn.dataset.minutes);
-      slider.value = currentMinutes;
-      updateDisplay();
-    });
+// =============================================================================
+// AUDIO FILES
+// =============================================================================
+
+/**
+ * Reads a file's duration from its headers, falling back to decoding it
+ * with the Web Audio API for files the header parser does not understand
+ * @param {File} file - Audio file
+ * @returns {Promise<number>} Duration in seconds
+ * @throws {AudioDurationError} If neither method works
+ */
+async function readFileDuration(file) {
+  try {
+    return (await readAudioDuration(file)).seconds;
+  } catch (error) {
+    const Context = window.OfflineAudioContext;
+    if (!Context || file.size > DECODE_FALLBACK_MAX_BYTES) throw error;
+
+    try {
+      const context = new Context(1, 1, 44100);
+      const buffer = await context.decodeAudioData(await file.arrayBuffer());
+      return buffer.duration;
+    } catch {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Reads dropped or picked audio files and adds them to the list
+ * @param {FileList|File[]} files - Files to add
+ */
+async function addAudioFiles(files) {
+  const entries = Array.from(files, (file) => ({
+    name: file.name,
+    seconds: null,
+    error: null,
+    included: true,
+    pending: true,
+  }));
+  audioFiles = [...audioFiles, ...entries];
+  renderAudioFiles();
+
+  await Promise.all(
+    Array.from(files, async (file, i) => {
+      const entry = entries[i];
+      try {
+        entry.seconds = await readFileDuration(file);
+      } catch (error) {
+        entry.error =
+          error instanceof AudioDurationError ? error.code : "unreadable";
+        entry.included = false;
+        console.warn(`Audio duration error (${file.name}):`, error.message);
+      }
+      entry.pending = false;
+    })
+  );
+
+  applyAudioFiles();
+}
+
+/**
+ * Renders the audio file list and its total
+ */
+function renderAudioFiles() {
+  const list = document.getElementById("audioFileList");
+  list.replaceChildren();
+
+  audioFiles.forEach((entry, index) => {
+    const item = document.createElement("li");
+    item.className = "audio-file";
+    item.classList.toggle("audio-file--error", Boolean(entry.error));
+
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = entry.included;
+    checkbox.disabled = entry.pending || Boolean(entry.error);
+    checkbox.dataset.index = index;
+    checkbox.setAttribute(
+      "aria-label",
+      t("audioFiles.include", { name: entry.name })
+    );
+
+    const name = document.createElement("span");
+    name.className = "audio-file__name";
+    name.textContent = entry.name;
+    name.title = entry.name;
+
+    const duration = document.createElement("span");
+    duration.className = "audio-file__duration";
+    duration.textContent = entry.pending
+      ? t("audioFiles.reading")
+      : entry.error
+        ? t(`errors.audio.${entry.error}`)
+        : formatDuration(entry.seconds);
+
+    const remove = document.createElement("button");
+    remove.className = "tier-remove-btn";
+    remove.dataset.index = index;
+    remove.textContent = "×";
+    remove.setAttribute(
+      "aria-label",
+      t("audioFiles.remove", { name: entry.name })
+    );
+
+    item.append(checkbox, name, duration, remove);
+    list.appendChild(item);
   });
 
-  // Formula type selector
-  document.getElementById("formulaType").addEventListener("change", (e) => {
-    currentFormula = e.target.value;
-    const formula = FORMULAS[currentFormula];
-    paramA = formula.params.A.default;
-    paramB = formula.params.B.default;
-    updateFormulaControls();
-    updateDisplay();
-    safeUpdateChart(true); // Update chart data when formula changes
+  const summary = document.getElementById("audioFilesSummary");
+  const included = audioFiles.filter((entry) => entry.included);
+  const { seconds, minutes } = sumDurations(
+    included.map((entry) => entry.seconds)
+  );
+  const failed = audioFiles.filter((entry) => entry.error).length;
+
+  summary.hidden = audioFiles.length === 0;
+  summary.textContent =
+    t("audioFiles.summary", {
+      included: included.length,
+      total: audioFiles.length,
+      duration: formatDuration(seconds),
+      minutes,
+    }) + (failed > 0 ? t("audioFiles.failed", { count: failed }) : "");
+  summary.classList.toggle("form-warning", minutes > MINUTES_RANGE.max);
+  if (minutes > MINUTES_RANGE.max) {
+    summary.textContent += t("audioFiles.overMaximum", {
+      max: MINUTES_RANGE.max,
+    });
+  }
+  document.getElementById("clearAudioFilesBtn").hidden =
+    audioFiles.length === 0;
+}
+
+/**
+ * Sets the duration to the total of included files
+ */
+function applyAudioFiles() {
+  renderAudioFiles();
+
+  const included = audioFiles.filter((entry) => entry.included);
+  if (included.length === 0) return;
+
+  const { seconds } = sumDurations(included.map((entry) => entry.seconds));
+  const widened = setDuration(secondsToMinutes(seconds));
+  if (calculatorMode === "budget") {
+    setCalculatorMode("minutes");
+    return;
+  }
+  updateDisplay();
+  if (widened) safeUpdateChart(true);
+}
+
+/**
+ * Wires up the audio drop zone, file picker and file list
+ */
+function initAudioFiles() {
+  const dropZone = document.getElementById("audioDropZone");
+
+  dropZone.addEventListener("dragover", (e) => {
+    e.preventDefault();
+    dropZone.classList.add("drop-zone--active");
+  });
+  dropZone.addEventListener("dragleave", () => {
+    dropZone.classList.remove("drop-zone--active");
+  });
+  dropZone.addEventListener("drop", (e) => {
+    e.preventDefault();
+    dropZone.classList.remove("drop-zone--active");
+    if (e.dataTransfer?.files.length) addAudioFiles(e.dataTransfer.files);
   });
 
-  // Base fee slider
-  document.getElementById("baseFeeSlider").addEventListener("input", (e) => {
-    baseFee = parseInt(e.target.value);
-    document.getElementById("baseFeeValue").textContent = baseFee;
-    updateDisplay();
+  document.getElementById("audioFilesInput").addEventListener("change", (e) => {
+    if (e.target.files.length) addAudioFiles(e.target.files);
+    e.target.value = "";
   });
 
-  // Parameter sliders
-  document.getElementById("paramASlider").addEventListener("input", (e) => {
-    paramA = parseFloat(e.target.value);
-    const formula = FORMULAS[currentFormula];
-    document.getElementById("paramAValue").textContent = paramA.toFixed(
-      formula.params.A.step < 0.1 ? 2 : 1
+  const list = document.getElementById("audioFileList");
+  list.addEventListener("change", (e) => {
+    const entry = audioFiles[e.target.dataset.index];
+    if (!entry) return;
+    entry.included = e.target.checked;
+    applyAudioFiles();
+  });
+  list.addEventListener("click", (e) => {
+    const button = e.target.closest("button[data-index]");
+    if (!button) return;
+    audioFiles = audioFiles.filter(
+      (_, i) => i !== Number(button.dataset.index)
     );
-    updateDisplay();
-    safeUpdateChart(true); // Update chart when parameters change
+    applyAudioFiles();
   });
 
-  document.getElementById("paramBSlider").addEventListener("input", (e) => {
-    paramB = parseFloat(e.target.value);
-    document.getElementById("paramBValue").textContent = paramB.toFixed(5);
-    updateDisplay();
-    safeUpdateChart(true); // Update chart when parameters change
+  document
+    .getElementById("clearAudioFilesBtn")
+    .addEventListener("click", () => {
+      audioFiles = [];
+      renderAudioFiles();
+    });
+}
+
+// =============================================================================
+// CLIENT QUOTES
+// =============================================================================
+
+/**
+ * Renders the printable quote sheet
+ * @param {Object} quote - Quote from createQuote
+ */
+function renderQuoteSheet(quote) {
+  const list = document.getElementById("quoteLines");
+  list.replaceChildren();
+  for (const [label, value] of getQuoteLines(quote)) {
+    const term = document.createElement("dt");
+    term.textContent = label;
+    const description = document.createElement("dd");
+    description.textContent = value;
+    list.append(term, description);
+  }
+  document.getElementById("quoteTotalLabel").textContent =
+    getQuoteTotalLabel(quote);
+  document.getElementById("quoteTotal").textContent = formatMoney(
+    quote.total,
+    quote.currency
+  );
+}
+
+/**
+ * Generates a quote for current calculator state and opens it
+ */
+function generateQuote() {
+  const formula = resolveFormula(getPricingConfig());
+  const { manual } = getCurrentRate();
+  currentQuote = createQuote(calculatePrice(currentMinutes), {
+    number: nextQuoteNumber(getStorage()),
+    issuedAt: new Date(),
+    formulaName: `${formula.name}: ${formula.equation}`,
+    rateSource: manual ? "manual" : rateSource,
+    rateUpdatedAt:
+      manual || !rateSnapshot ? null : new Date(rateSnapshot.fetchedAt),
   });
 
-  // Reset button
-  document.getElementById("resetBtn").addEventListener("click", () => {
-    baseFee = DEFAULT_PRICING.baseFee;
-    currentFormula = DEFAULT_PRICING.formula;
-    paramA = DEFAULT_PRICING.paramA;
-    paramB = DEFAULT_PRICING.paramB;
+  renderQuoteSheet(currentQuote);
+  const dialog = document.getElementById("quoteDialog");
+  if (dialog.showModal) {
+    dialog.showModal();
+  } else {
+    dialog.setAttribute("open", "");
+  }
+}
 
-    document.getElementById("baseFeeSlider").value = baseFee;
-    document.getElementById("baseFeeValue").textContent = baseFee;
-    document.getElementById("formulaType").value = currentFormula;
+/**
+ * Prints only the quote sheet
+ */
+function printQuote() {
+  document.body.classList.add("printing-quote");
+  window.addEventListener(
+    "afterprint",
+    () => document.body.classList.remove("printing-quote"),
+    { once: true }
+  );
+  window.print();
+}
 
-    updateFormulaControls();
-    updateDisplay();
-    safeUpdateChart(true); // Update chart data when resetting
+/**
+ * Draws a quote onto a canvas page for PDF export
+ * @param {Object} quote - Quote from createQuote
+ * @returns {HTMLCanvasElement} Rendered A4 page
+ */
+function renderQuoteCanvas(quote) {
+  const canvas = document.createElement("canvas");
+  canvas.width = QUOTE_PAGE.width;
+  canvas.height = QUOTE_PAGE.height;
+  drawQuotePage(canvas.getContext("2d"), quote);
+  return canvas;
+}
+
+/**
+ * Exports the current quote as a PDF generated in the browser
+ */
+async function downloadQuotePdf() {
+  if (!currentQuote) return;
+
+  const canvas = renderQuoteCanvas(currentQuote);
+  const blob = await new Promise((resolve) =>
+    canvas.toBlob(resolve, "image/jpeg", 0.92)
+  );
+  if (!blob) {
+    console.error("Quote PDF error: canvas could not be encoded");
+    return;
+  }
+
+  const jpeg = new Uint8Array(await blob.arrayBuffer());
+  const pdf = createImagePdf(jpeg, QUOTE_PAGE);
+  downloadFile(
+    `${currentQuote.number}.pdf`,
+    new Blob([pdf], { type: "application/pdf" })
+  );
+}
+
+// =============================================================================
+// LANGUAGE
+// =============================================================================
+
+/**
+ * Translates the static markup and the page language and title, and labels
+ * the formula options and duration presets
+ */
+function translateDocument() {
+  document.documentElement.lang = getLanguage();
+  document.title = t("app.title");
+  translateElements(document);
+
+  for (const option of document.getElementById("formulaType").options) {
+    const formula = FORMULAS[option.value];
+    option.textContent = formula.custom
+      ? formula.name
+      : `${formula.name}: ${formula.equation}`;
+  }
+  document.querySelectorAll(".preset-btn[data-minutes]").forEach((btn) => {
+    btn.textContent = t("units.min", { value: Number(btn.dataset.minutes) });
   });
+}
 
-  // Currency buttons
-  document.querySelectorAll(".currency-btn").forEach((btn) => {
-    btn.addEventListener("click", () => {
-      document
-        .querySelectorAll(".currency-btn")
-        .forEach((b) => b.classList.remove("active"));
-      btn.classList.add("active");
-      currentCurrency = btn.dataset.currency;
-      updateDisplay();
-    });
+/**
+ * Re-renders everything that holds translated text after a language switch
+ */
+function renderLanguage() {
+  translateDocument();
+  renderGranularityOptions();
+  renderRoundingOptions();
+  renderRoundingControls();
+  renderTaxOptions();
+  renderTaxControls();
+  renderAddonOptions();
+  renderCurrencyButtons();
+  renderExchangeRateInfo();
+  renderProfiles();
+  renderComparison();
+  renderAudioFiles();
+  renderAuditLog();
+  updateFormulaControls();
+  updateDisplay();
+  rebuildCharts();
+}
+
+/**
+ * Picks the saved or browser language and builds the language switcher
+ */
+function initLanguage() {
+  setLanguage(
+    loadLanguage(getStorage()) ?? matchLanguage(navigator.languages ?? [])
+  );
+  translateDocument();
+
+  const select = document.getElementById("languageSelect");
+  select.replaceChildren(
+    ...Object.entries(LANGUAGES).map(
+      ([code, { name }]) => new Option(name, code)
+    )
+  );
+  select.value = getLanguage();
+  select.addEventListener("change", () => setLanguage(select.value));
+
+  onLanguageChange((language) => {
+    saveLanguage(getStorage(), language);
+    renderLanguage();
   });
 }
 
@@ -672,15 +4046,51 @@ function healthCheck() {
  * Initializes the entire application
  */
 function initApp() {
+  renderConfiguredControls();
+  initLanguage();
+  initExchangeRates();
+  initRounding();
+  initTax();
+  initAddons();
+  initBudget();
+  initPromoCodes();
+  initProfiles();
+  initAudioFiles();
+  initDurationControls();
+  restoreStateFromUrl();
   initChart();
+  initAnalysis();
+  initFitting();
+  initRevenueSimulation();
   updateFormulaControls();
   updateDisplay();
+  initHistory();
   fetchExchangeRate();
 
   // Run health check after initialization
   setTimeout(healthCheck, 1000);
 }
 
+/**
+ * Recreates the charts, which take colors and labels when they are built
+ */
+function rebuildCharts() {
+  if (priceChart) {
+    priceChart.destroy();
+    initChart();
+  }
+  if (analysisChart) {
+    analysisChart.destroy();
+    initAnalysisChart();
+    updateAnalysis();
+  }
+  if (revenueChart) {
+    revenueChart.destroy();
+    revenueChart = null;
+    updateRevenueSimulation();
+  }
+}
+
 /**
  * Sets up theme change listener for chart
  */
@@ -688,12 +4098,7 @@ function initThemeListener() {
   if (window.matchMedia) {
     window
       .matchMedia("(prefers-color-scheme: dark)")
-      .addEventListener("change", () => {
-        if (priceChart) {
-          priceChart.destroy();
-          initChart();
-        }
-      });
+      .addEventListener("change", rebuildCharts);
   }
 }
 
@@ -710,10 +4115,24 @@ function initErrorHandlers() {
   });
 }
 
+/**
+ * Registers the service worker that caches the app and rates for offline
+ * use. Production builds only: the dev server does not build sw.js.
+ */
+function registerServiceWorker() {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+  navigator.serviceWorker
+    .register(`${import.meta.env.BASE_URL}sw.js`)
+    .catch((error) => {
+      console.error("Service worker registration failed:", error);
+    });
+}
+
 // Initialize on DOM ready
 document.addEventListener("DOMContentLoaded", () => {
   initEventListeners();
   initApp();
   initThemeListener();
   initErrorHandlers();
+  registerServiceWorker();
 });
@@ -0,0 +1,91 @@
+/**
+ * PDF Writer
+ * Minimal single-page PDF generation around a JPEG image, without dependencies.
+ * Text is rendered to the image by the browser, so any script (Cyrillic
+ * included) prints exactly as it looks on screen.
+ */
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+/** @constant {Object} A4_PAGE - A4 page size in PDF points */
+export const A4_PAGE = { width: 595.28, height: 841.89 };
+
+// =============================================================================
+// WRITER
+// =============================================================================
+
+/**
+ * Creates a one-page PDF showing a JPEG image stretched over the page
+ * @param {Uint8Array} jpeg - Baseline JPEG data
+ * @param {Object} image - Image size
+ * @param {number} image.width - Image width in pixels
+ * @param {number} image.height - Image height in pixels
+ * @param {Object} [page] - Page size in points (A4 by default)
+ * @returns {Uint8Array} PDF file contents
+ */
+export function createImagePdf(jpeg, { width, height }, page = A4_PAGE) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+
+  const write = (part) => {
+    const bytes = typeof part === "string" ? encoder.encode(part) : part;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const startObject = (id) => {
+    offsets[id] = length;
+    write(`${id} 0 obj\n`);
+  };
+
+  const content = `q ${page.width} 0 0 ${page.height} 0 0 cm /Im0 Do Q`;
+
+  write("%PDF-1.4\n");
+  // Comment of high-bit bytes marks the file as binary for transfer tools
+  write(new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a]));
+
+  startObject(1);
+  write("<< /Type /Catalog /Pages 2 0 R >>\nendobj\n");
+
+  startObject(2);
+  write("<< /Type /Pages /Kids [3 0 R] /Count 1 >>\nendobj\n");
+
+  startObject(3);
+  write(
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${page.width} ${page.height}]` +
+      " /Resources << /XObject << /Im0 5 0 R >> >> /Contents 4 0 R >>\nendobj\n"
+  );
+
+  startObject(4);
+  write(
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`
+  );
+
+  startObject(5);
+  write(
+    `<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height}` +
+      ` /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`
+  );
+  write(jpeg);
+  write("\nendstream\nendobj\n");
+
+  const xrefOffset = length;
+  const entries = offsets
+    .slice(1)
+    .map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`);
+  write(`xref\n0 ${offsets.length}\n0000000000 65535 f \n${entries.join("")}`);
+  write(
+    `trailer\n<< /Size ${offsets.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`
+  );
+
+  const pdf = new Uint8Array(length);
+  let position = 0;
+  for (const chunk of chunks) {
+    pdf.set(chunk, position);
+    position += chunk.length;
+  }
+  return pdf;
+}
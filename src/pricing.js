@@ -0,0 +1,636 @@
+/**
+ * Pricing Engine
+ * DOM-free pricing calculations shared by the calculator page, Node scripts and tests
+ */
+
+import { compileExpression } from "./expression.js";
+import { normalizeRoundingPolicy, roundPrice } from "./rounding.js";
+import { validateAddons, calculateAddons } from "./addons.js";
+import { validatePromoCode, calculateDiscount } from "./promo.js";
+import { validateTax, applyTax } from "./tax.js";
+import { localizeTable } from "./i18n.js";
+import { CONFIG } from "./config.js";
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+/** @constant {number} LOGARITHMIC_FLOOR - Rate floor of the logarithmic formula in USD */
+export const LOGARITHMIC_FLOOR = 0.005;
+
+/**
+ * @constant {Object} FORMULA_DEFINITIONS - Math of each formula, keyed by id.
+ * pricing.config.json configures every one of them.
+ */
+const FORMULA_DEFINITIONS = {
+  hyperbolic: {
+    equation: "A / (1 + B × x)",
+    calculate: (x, { A, B }) => A / (1 + B * x),
+  },
+  power: {
+    equation: "A × x^(-B)",
+    calculate: (x, { A, B }) => (x > 0 ? A * Math.pow(x, -B) : A),
+  },
+  logarithmic: {
+    equation: "A - B × ln(x)",
+    calculate: (x, { A, B }) =>
+      x > 0 ? Math.max(LOGARITHMIC_FLOOR, A - B * Math.log(x)) : A,
+  },
+  tiered: { tiered: true },
+  custom: { custom: true },
+};
+
+/**
+ * @constant {Object} FORMULAS - Available pricing formulas in menu order.
+ * The math lives here; slider bounds, the default custom expression and the
+ * tier table come from pricing.config.json, names (and the tiered equation)
+ * from `formulas` messages.
+ */
+export const FORMULAS = localizeTable(
+  Object.fromEntries(
+    Object.entries(CONFIG.formulas).map(([id, settings]) => [
+      id,
+      createFormula(id, settings),
+    ])
+  ),
+  "formulas",
+  ["name", "equation"]
+);
+
+/** @constant {Object} TIER_MODES - Tier semantics of the tiered formula */
+export const TIER_MODES = localizeTable(
+  { marginal: {}, "all-units": {} },
+  "tierModes",
+  ["name", "description"]
+);
+
+/** @constant {string} CUSTOM_VARIABLE - Name of the minutes variable in custom expressions */
+export const CUSTOM_VARIABLE = "x";
+
+/** @constant {Object} DEFAULT_CUSTOM_PARAM - Slider bounds for new custom expression parameters */
+export const DEFAULT_CUSTOM_PARAM = CONFIG.formulas.custom.defaultParam;
+
+/** @constant {number} EXPRESSION_CACHE_SIZE - Maximum number of compiled custom expressions kept */
+const EXPRESSION_CACHE_SIZE = 50;
+
+/** @type {Map<string, Object>} expressionCache - Compiled custom expressions by source */
+const expressionCache = new Map();
+
+/**
+ * @constant {Object} DEFAULT_PRICING - Default pricing configuration: the
+ * configured default formula with its default parameters, priced in USD
+ */
+export const DEFAULT_PRICING = {
+  formula: CONFIG.defaults.formula,
+  params: Object.fromEntries(
+    Object.entries(FORMULAS[CONFIG.defaults.formula].params).map(
+      ([name, spec]) => [name, spec.default]
+    )
+  ),
+  baseFee: CONFIG.defaults.baseFee,
+  currency: "USD",
+  exchangeRate: 1,
+};
+
+/** @constant {Object} BASE_FEE_RANGE - Allowed base setup fee in USD */
+export const BASE_FEE_RANGE = CONFIG.baseFee;
+
+/** @constant {number} DEFAULT_MINUTES - Duration selected on first load */
+export const DEFAULT_MINUTES = CONFIG.defaults.minutes;
+
+/** @constant {string} DEFAULT_GRANULARITY - Billing granularity on first load (key of BILLING_GRANULARITIES) */
+export const DEFAULT_GRANULARITY = CONFIG.defaults.granularity;
+
+/** @constant {number[]} DURATION_PRESETS - Durations offered as one-click presets, in minutes */
+export const DURATION_PRESETS = CONFIG.presets;
+
+/** @constant {Object} MINUTES_RANGE - Allowed audio duration in minutes */
+export const MINUTES_RANGE = { min: 0, max: 100000, step: 1 };
+
+/**
+ * @constant {Object} SCALE_RANGE - Allowed upper bound of the duration slider
+ * and charts in minutes; long archives need a wider scale than single orders
+ */
+export const SCALE_RANGE = { min: 10, max: MINUTES_RANGE.max, step: 10 };
+
+/** @constant {number} DEFAULT_CURVE_MAX - Default upper bound of the scale and sampled curves in minutes */
+export const DEFAULT_CURVE_MAX = CONFIG.defaults.maxMinutes;
+
+/** @constant {number} CURVE_SAMPLES - Target number of samples of a curve */
+export const CURVE_SAMPLES = 120;
+
+/**
+ * @constant {Object} BILLING_GRANULARITIES - How a duration with seconds is
+ * billed. Configs without a granularity are billed exactly.
+ */
+export const BILLING_GRANULARITIES = localizeTable(
+  {
+    minute: {
+      bill: (minutes) => Math.ceil(Math.round(minutes * 60000) / 60000),
+    },
+    exact: {
+      bill: (minutes) => minutes,
+    },
+  },
+  "granularities"
+);
+
+// =============================================================================
+// CONFIG HELPERS
+// =============================================================================
+
+/**
+ * Builds a formula definition from its math and its configured settings
+ * @param {string} id - Formula identifier (key of FORMULA_DEFINITIONS)
+ * @param {Object} settings - The formula's entry in pricing.config.json
+ * @returns {Object} Formula definition
+ */
+function createFormula(id, settings) {
+  const formula = { ...FORMULA_DEFINITIONS[id], params: {} };
+  for (const [name, spec] of Object.entries(settings.params ?? {})) {
+    formula.params[name] = { ...spec };
+  }
+  if (formula.custom) {
+    // params hold slider bounds for the default expression; other names get
+    // DEFAULT_CUSTOM_PARAM
+    formula.equation = settings.expression;
+  }
+  if (formula.tiered) {
+    formula.tiers = settings.tiers.map((tier) => ({ ...tier }));
+    formula.tierMode = settings.tierMode;
+  }
+  return formula;
+}
+
+/**
+ * Looks up a formula definition by id
+ * @param {string} formulaId - Formula identifier (key of FORMULAS)
+ * @returns {Object} Formula definition
+ * @throws {Error} If the formula is unknown
+ */
+export function getFormula(formulaId) {
+  if (!Object.hasOwn(FORMULAS, formulaId)) {
+    throw new Error(`Unknown pricing formula: ${formulaId}`);
+  }
+  return FORMULAS[formulaId];
+}
+
+/**
+ * Compiles a custom expression, reusing earlier compilations of the same source
+ * @param {string} expression - Expression source
+ * @returns {Object} Compiled expression
+ * @throws {ExpressionError} If the expression cannot be parsed
+ */
+function compileCustomExpression(expression) {
+  let compiled = expressionCache.get(expression);
+  if (!compiled) {
+    compiled = compileExpression(expression);
+    if (expressionCache.size >= EXPRESSION_CACHE_SIZE) {
+      expressionCache.delete(expressionCache.keys().next().value);
+    }
+    expressionCache.set(expression, compiled);
+  }
+  return compiled;
+}
+
+/**
+ * Resolves the effective formula definition for a pricing config.
+ * Built-in formulas are returned as is; custom ones are compiled from
+ * `config.expression` with one parameter per name other than x.
+ * @param {Object} config - Pricing config
+ * @returns {Object} Formula definition with `params` and `calculate`
+ * @throws {Error} If the formula is unknown
+ * @throws {ExpressionError} If the custom expression cannot be parsed
+ */
+export function resolveFormula(config) {
+  const formula = getFormula(config.formula);
+  if (formula.tiered) return resolveTieredFormula(formula, config);
+  if (!formula.custom) return formula;
+
+  const expression = config.expression ?? formula.equation;
+  const compiled = compileCustomExpression(expression);
+  const params = {};
+  for (const name of compiled.variables) {
+    if (name === CUSTOM_VARIABLE) continue;
+    params[name] = { ...(formula.params[name] ?? DEFAULT_CUSTOM_PARAM) };
+  }
+
+  return {
+    ...formula,
+    equation: expression,
+    params,
+    calculate: (x, values) =>
+      compiled.evaluate({ ...values, [CUSTOM_VARIABLE]: x }),
+  };
+}
+
+/**
+ * Resolves the tiered formula for a pricing config
+ * @param {Object} formula - Tiered formula definition
+ * @param {Object} config - Pricing config with optional `tiers` and `tierMode`
+ * @returns {Object} Formula definition with `calculate`, `breakdown` and
+ *   `breakpoints` (tier bounds where the curve changes slope or jumps)
+ * @throws {Error} If the tier table is invalid
+ */
+function resolveTieredFormula(formula, config) {
+  const tiers = config.tiers ?? formula.tiers;
+  const tierMode = config.tierMode ?? formula.tierMode;
+
+  const problem = validateTiers(tiers);
+  if (problem) {
+    throw new Error(`Invalid tier ${problem.index + 1}: ${problem.code}`);
+  }
+  if (!TIER_MODES[tierMode]) {
+    throw new Error(`Unknown tier mode: ${tierMode}`);
+  }
+
+  const breakdown = (x) => calculateTierBreakdown(x, tiers, tierMode);
+  const bounds = tiers.slice(0, -1).map((tier) => tier.upTo);
+
+  return {
+    ...formula,
+    tiers,
+    tierMode,
+    breakdown,
+    // All-units pricing jumps right after each bound, so sample both sides
+    breakpoints:
+      tierMode === "all-units" ? bounds.flatMap((b) => [b, b + 1]) : bounds,
+    calculate: (x) =>
+      x > 0 ? breakdown(x).reduce((sum, line) => sum + line.cost, 0) / x : 0,
+  };
+}
+
+/**
+ * Resolves formula parameters, falling back to formula defaults for missing ones
+ * @param {string|Object} formula - Formula identifier or resolved definition
+ * @param {Object} [params] - Parameter values keyed by name
+ * @returns {Object} Complete parameter set for the formula
+ */
+export function resolveParams(formula, params = {}) {
+  const definition = typeof formula === "string" ? getFormula(formula) : formula;
+  const resolved = {};
+  for (const [name, spec] of Object.entries(definition.params)) {
+    const value = params[name];
+    resolved[name] = Number.isFinite(value) ? value : spec.default;
+  }
+  return resolved;
+}
+
+/**
+ * Builds a complete pricing config from a partial one
+ * @param {Object} [config] - Partial pricing config
+ * @param {string} [config.formula] - Formula identifier
+ * @param {Object} [config.params] - Formula parameters keyed by name
+ * @param {string} [config.expression] - Expression in x (custom formula only)
+ * @param {Object[]} [config.tiers] - Tier table (tiered formula only, see validateTiers)
+ * @param {string} [config.tierMode] - Tier semantics (tiered formula only, key of TIER_MODES)
+ * @param {number} [config.baseFee] - Base setup fee in USD
+ * @param {string} [config.currency] - Display currency code
+ * @param {number} [config.exchangeRate] - Units of display currency per 1 USD
+ * @param {string[]} [config.addons] - Selected add-on ids (keys of ADDONS)
+ * @param {Object} [config.promo] - Promo code definition (see validatePromoCode)
+ * @param {Object} [config.tax] - VAT as `{ rate, inclusive }` (see validateTax)
+ * @param {Object} [config.rounding] - Rounding policy of the converted total
+ * @param {string} [config.granularity] - How durations are billed (key of
+ *   BILLING_GRANULARITIES)
+ * @returns {Object} Normalized pricing config
+ * @throws {Error} If the add-on list, promo code, tax, rounding policy or
+ *   granularity is invalid
+ */
+export function createPricingConfig(config = {}) {
+  const formulaId = config.formula ?? DEFAULT_PRICING.formula;
+  const formula = resolveFormula({ ...config, formula: formulaId });
+
+  const normalized = {
+    formula: formulaId,
+    params: resolveParams(formula, config.params),
+    baseFee: config.baseFee ?? DEFAULT_PRICING.baseFee,
+    currency: config.currency ?? DEFAULT_PRICING.currency,
+    exchangeRate: config.exchangeRate ?? DEFAULT_PRICING.exchangeRate,
+  };
+
+  if (formula.custom) normalized.expression = formula.equation;
+  if (formula.tiered) {
+    normalized.tiers = formula.tiers;
+    normalized.tierMode = formula.tierMode;
+  }
+  if (config.addons?.length > 0) {
+    const problem = validateAddons(config.addons);
+    if (problem) throw new Error(`Invalid add-ons: ${problem}`);
+    normalized.addons = [...config.addons];
+  }
+  if (config.promo) {
+    const problem = validatePromoCode(config.promo);
+    if (problem) throw new Error(`Invalid promo code: ${problem}`);
+    normalized.promo = config.promo;
+  }
+  if (config.tax) {
+    const problem = validateTax(config.tax);
+    if (problem) throw new Error(`Invalid tax: ${problem}`);
+    normalized.tax = { rate: config.tax.rate, inclusive: config.tax.inclusive };
+  }
+  if (config.rounding) {
+    normalized.rounding = normalizeRoundingPolicy(config.rounding);
+  }
+  if (config.granularity) {
+    if (!Object.hasOwn(BILLING_GRANULARITIES, config.granularity)) {
+      throw new Error(`Unknown billing granularity: ${config.granularity}`);
+    }
+    normalized.granularity = config.granularity;
+  }
+
+  return normalized;
+}
+
+// =============================================================================
+// TIERS
+// =============================================================================
+
+/**
+ * Checks a tier table for problems
+ * @param {{upTo: number|null, rate: number}[]} tiers - Tiers in ascending order;
+ *   `upTo: null` marks the open-ended last tier
+ * @returns {{code: string, index: number}|null} First problem found, or null.
+ *   Codes: "empty", "rate", "bound", "order", "open-ended"
+ */
+export function validateTiers(tiers) {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    return { code: "empty", index: 0 };
+  }
+
+  let previous = 0;
+  for (const [index, tier] of tiers.entries()) {
+    if (!Number.isFinite(tier.rate) || tier.rate < 0) {
+      return { code: "rate", index };
+    }
+    if (tier.upTo === null) {
+      if (index !== tiers.length - 1) return { code: "open-ended", index };
+      continue;
+    }
+    if (!Number.isFinite(tier.upTo) || tier.upTo <= 0) {
+      return { code: "bound", index };
+    }
+    if (tier.upTo <= previous) return { code: "order", index };
+    previous = tier.upTo;
+  }
+  return null;
+}
+
+/**
+ * Splits a duration over the tier table.
+ * Minutes beyond the last bound are billed at the last tier's rate.
+ * @param {number} minutes - Audio duration in minutes
+ * @param {{upTo: number|null, rate: number}[]} tiers - Valid tier table
+ * @param {string} mode - Tier semantics (key of TIER_MODES)
+ * @returns {{from: number, to: number|null, rate: number, minutes: number, cost: number}[]}
+ *   Billed tiers; "marginal" yields one line per tier reached, "all-units"
+ *   a single line for the tier the whole duration falls into
+ */
+export function calculateTierBreakdown(minutes, tiers, mode) {
+  if (!TIER_MODES[mode]) {
+    throw new Error(`Unknown tier mode: ${mode}`);
+  }
+
+  const lines = [];
+  let from = 0;
+
+  for (const [index, tier] of tiers.entries()) {
+    const isLast = index === tiers.length - 1;
+    const to = isLast ? null : tier.upTo;
+    const reaches = to === null || minutes > from;
+    const fits = to === null || minutes <= to;
+
+    if (mode === "marginal" && reaches && minutes > 0) {
+      const billed = (to === null ? minutes : Math.min(minutes, to)) - from;
+      lines.push({
+        from,
+        to,
+        rate: tier.rate,
+        minutes: billed,
+        cost: billed * tier.rate,
+      });
+    }
+    if (mode === "all-units" && fits) {
+      lines.push({
+        from,
+        to,
+        rate: tier.rate,
+        minutes,
+        cost: minutes * tier.rate,
+      });
+      break;
+    }
+    if (to === null || minutes <= to) break;
+    from = to;
+  }
+
+  return lines;
+}
+
+// =============================================================================
+// CALCULATIONS
+// =============================================================================
+
+/**
+ * Calculates rate per minute for a pricing config
+ * @param {number} minutes - Audio duration in minutes
+ * @param {Object} config - Pricing config
+ * @returns {number} Rate per minute in USD
+ */
+export function calculateRatePerMinute(minutes, config) {
+  if (minutes === 0) return 0;
+  const formula = resolveFormula(config);
+  return formula.calculate(minutes, resolveParams(formula, config.params));
+}
+
+/**
+ * Calculates complete pricing information
+ * @param {number} minutes - Audio duration in minutes
+ * @param {Object} config - Pricing config (see createPricingConfig)
+ * @returns {Object} Pricing breakdown in USD, plus the same amounts converted
+ *   to the config currency under `converted`; tiered configs also get
+ *   per-tier lines under `tiers` (see calculateTierBreakdown). Selected
+ *   add-ons are priced on top of the base fee and processing cost, with their
+ *   lines under `addons` (see calculateAddons) in both currencies. A promo
+ *   code the order qualifies for is deducted from that subtotal as `discount`
+ *   (see calculateDiscount), with its code under `promoCode`. With `tax`
+ *   the discounted price is taken as net or gross and split under `tax` (see
+ *   applyTax); `total` is then the gross amount. With a
+ *   `rounding` policy the converted total is rounded, and `converted` also
+ *   holds `rawTotal` and `roundingAdjustment`. With a `granularity` the
+ *   duration is billed as its billed minutes (`minutes`); if they differ the
+ *   duration itself is kept under `duration`.
+ */
+export function calculatePrice(minutes, config) {
+  return createPriceCalculator(config)(minutes);
+}
+
+/**
+ * Prepares a config for pricing many durations, validating and resolving it
+ * only once
+ * @param {Object} config - Pricing config (see createPricingConfig)
+ * @returns {function(number): Object} Calculator returning what calculatePrice
+ *   returns for a duration in minutes
+ * @throws {Error} If the config is invalid
+ */
+export function createPriceCalculator(config) {
+  const normalized = createPricingConfig(config);
+  const formula = resolveFormula(normalized);
+  return (minutes) => priceWithFormula(minutes, normalized, formula);
+}
+
+/**
+ * Calculates complete pricing information with a resolved formula
+ * @param {number} duration - Audio duration in minutes
+ * @param {Object} normalized - Config from createPricingConfig
+ * @param {Object} formula - Formula resolved from `normalized`
+ * @returns {Object} Pricing breakdown (see calculatePrice)
+ */
+function priceWithFormula(duration, normalized, formula) {
+  const minutes = normalized.granularity
+    ? BILLING_GRANULARITIES[normalized.granularity].bill(duration)
+    : duration;
+  const tiers = formula.breakdown?.(minutes);
+
+  let rate;
+  let processingCost;
+  if (tiers) {
+    processingCost = tiers.reduce((sum, line) => sum + line.cost, 0);
+    rate = minutes > 0 ? processingCost / minutes : 0;
+  } else {
+    rate = minutes > 0 ? formula.calculate(minutes, normalized.params) : 0;
+    processingCost = minutes * rate;
+  }
+  const addons = calculateAddons(
+    minutes,
+    normalized.baseFee + processingCost,
+    normalized.addons ?? []
+  );
+  const addonsCost = addons.reduce((sum, line) => sum + line.cost, 0);
+  const subtotal = normalized.baseFee + processingCost + addonsCost;
+  const discount = normalized.promo
+    ? calculateDiscount(
+        normalized.promo,
+        minutes,
+        normalized.currency,
+        subtotal
+      )
+    : 0;
+  const taxed = normalized.tax && applyTax(subtotal - discount, normalized.tax);
+  const total = taxed ? taxed.gross : subtotal - discount;
+  const avgPerMinute = minutes > 0 ? total / minutes : 0;
+  const convert = (value) => value * normalized.exchangeRate;
+  const rounding =
+    normalized.rounding && roundPrice(convert(total), normalized.rounding);
+
+  return {
+    minutes,
+    ...(minutes !== duration && { duration }),
+    formula: normalized.formula,
+    params: normalized.params,
+    ...(normalized.expression && { expression: normalized.expression }),
+    ...(tiers && { tierMode: normalized.tierMode, tiers }),
+    ...(addons.length > 0 && { addons }),
+    ...(discount > 0 && { promoCode: normalized.promo.code }),
+    ...(taxed && { tax: taxed }),
+    currency: normalized.currency,
+    exchangeRate: normalized.exchangeRate,
+    baseFee: normalized.baseFee,
+    total,
+    processingCost,
+    addonsCost,
+    discount,
+    rate,
+    avgPerMinute,
+    converted: {
+      baseFee: convert(normalized.baseFee),
+      total: rounding ? rounding.rounded : convert(total),
+      ...(rounding && {
+        rawTotal: rounding.raw,
+        roundingAdjustment: rounding.adjustment,
+      }),
+      processingCost: convert(processingCost),
+      addonsCost: convert(addonsCost),
+      discount: convert(discount),
+      ...(taxed && {
+        tax: {
+          ...taxed,
+          net: convert(taxed.net),
+          amount: convert(taxed.amount),
+          gross: convert(taxed.gross),
+        },
+      }),
+      ...(addons.length > 0 && {
+        addons: addons.map((line) => ({ ...line, cost: convert(line.cost) })),
+      }),
+      rate: convert(rate),
+      avgPerMinute: convert(avgPerMinute),
+    },
+  };
+}
+
+/**
+ * Picks a round sampling step (1, 2 or 5 × 10^n minutes) giving about
+ * CURVE_SAMPLES samples over a range, so wide scales stay cheap to draw
+ * @param {number} max - Upper bound in minutes
+ * @param {number} [samples] - Target number of samples
+ * @returns {number} Sampling step in minutes, at least 1
+ */
+export function getCurveStep(max, samples = CURVE_SAMPLES) {
+  const raw = Math.max(1, max / samples);
+  const magnitude = 10 ** Math.floor(Math.log10(raw));
+  return [1, 2, 5, 10].find((f) => f * magnitude >= raw) * magnitude;
+}
+
+/**
+ * Samples total price over a range of durations.
+ * Formula breakpoints (tier bounds) inside the range are sampled too, so
+ * kinks and steps are drawn where they happen.
+ * @param {Object} config - Pricing config
+ * @param {Object} [options] - Sampling options
+ * @param {number} [options.max] - Upper bound in minutes
+ * @param {number} [options.step] - Sampling step in minutes (see getCurveStep)
+ * @param {boolean} [options.converted] - Use converted (and rounded) totals
+ *   instead of USD ones
+ * @returns {{x: number, y: number}[]} Points of total price by minutes
+ */
+export function buildPriceCurve(
+  config,
+  { max = DEFAULT_CURVE_MAX, step = getCurveStep(max), converted = false } = {}
+) {
+  const samples = new Set();
+  for (let i = 0; i <= max; i += step) samples.add(i);
+  const formula = resolveFormula(createPricingConfig(config));
+  for (const breakpoint of formula.breakpoints ?? []) {
+    if (breakpoint <= max) samples.add(breakpoint);
+  }
+
+  const priceAt = createPriceCalculator(config);
+  return [...samples]
+    .sort((a, b) => a - b)
+    .map((x) => {
+      const price = priceAt(x);
+      return { x, y: converted ? price.converted.total : price.total };
+    });
+}
+
+/**
+ * Finds the first sampled duration where the rate is NaN or infinite
+ * @param {Object} config - Pricing config
+ * @param {Object} [options] - Sampling options (see buildPriceCurve)
+ * @returns {{minutes: number, rate: number}|null} First invalid sample, or null
+ */
+export function findNonFiniteRate(
+  config,
+  { max = DEFAULT_CURVE_MAX, step = getCurveStep(max) } = {}
+) {
+  // Also probe 1 minute, where expressions like ln(x) or 1/(x-1) tend to break
+  const samples = [1];
+  for (let i = step; i <= max; i += step) samples.push(i);
+
+  for (const minutes of samples) {
+    const rate = calculateRatePerMinute(minutes, config);
+    if (!Number.isFinite(rate)) return { minutes, rate };
+  }
+  return null;
+}
@@ -0,0 +1,220 @@
+/**
+ * Pricing Profiles
+ * Named pricing configurations: validation, localStorage persistence and JSON import/export
+ */
+
+import {
+  FORMULAS,
+  BASE_FEE_RANGE,
+  TIER_MODES,
+  resolveFormula,
+} from "./pricing.js";
+import { isPlainObject } from "./config.js";
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+/** @constant {string} PROFILES_STORAGE_KEY - localStorage key of saved profiles */
+export const PROFILES_STORAGE_KEY = "audio-pricing.profiles";
+
+/** @constant {number} PROFILES_FORMAT_VERSION - Version of the stored/exported JSON format */
+export const PROFILES_FORMAT_VERSION = 1;
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+/**
+ * Validates a profile against formula definitions and parameter ranges
+ * @param {*} data - Candidate profile
+ * @param {Object} [options] - Validation options
+ * @param {string[]} [options.currencies] - Accepted currency codes (any if empty)
+ * @returns {{field: string, code: string, min?: number, max?: number}[]}
+ *   Problems found; codes are "type", "required", "unknown-formula",
+ *   "expression", "tiers", "range" and "currency"
+ */
+export function validateProfile(data, { currencies = [] } = {}) {
+  if (!isPlainObject(data)) return [{ field: "profile", code: "type" }];
+
+  const errors = [];
+
+  if (typeof data.name !== "string" || data.name.trim() === "") {
+    errors.push({ field: "name", code: "required" });
+  }
+
+  if (!Object.hasOwn(FORMULAS, data.formula)) {
+    errors.push({ field: "formula", code: "unknown-formula" });
+    return errors;
+  }
+
+  let formula;
+  try {
+    formula = resolveFormula(data);
+  } catch {
+    const field = FORMULAS[data.formula].custom ? "expression" : "tiers";
+    errors.push({ field, code: field });
+    return errors;
+  }
+
+  for (const [name, spec] of Object.entries(formula.params)) {
+    const value = data.params?.[name];
+    const field = `params.${name}`;
+    if (!Number.isFinite(value)) {
+      errors.push({ field, code: "required" });
+    } else if (value < spec.min || value > spec.max) {
+      errors.push({ field, code: "range", min: spec.min, max: spec.max });
+    }
+  }
+
+  if (!Number.isFinite(data.baseFee)) {
+    errors.push({ field: "baseFee", code: "required" });
+  } else if (
+    data.baseFee < BASE_FEE_RANGE.min ||
+    data.baseFee > BASE_FEE_RANGE.max
+  ) {
+    const { min, max } = BASE_FEE_RANGE;
+    errors.push({ field: "baseFee", code: "range", min, max });
+  }
+
+  if (
+    data.currency !== undefined &&
+    currencies.length > 0 &&
+    !currencies.includes(data.currency)
+  ) {
+    errors.push({ field: "currency", code: "currency" });
+  }
+
+  return errors;
+}
+
+/**
+ * Copies the known fields of a valid profile
+ * @param {Object} data - Profile that passed validateProfile
+ * @returns {Object} Profile with only known fields
+ */
+export function normalizeProfile(data) {
+  const formula = FORMULAS[data.formula];
+  const profile = {
+    name: data.name.trim(),
+    formula: data.formula,
+    params: { ...data.params },
+    baseFee: data.baseFee,
+  };
+
+  if (data.currency !== undefined) profile.currency = data.currency;
+  if (formula.custom) {
+    if (data.expression) profile.expression = data.expression;
+  }
+  if (formula.tiered) {
+    if (data.tiers) profile.tiers = data.tiers.map((tier) => ({ ...tier }));
+    if (Object.hasOwn(TIER_MODES, data.tierMode ?? "")) {
+      profile.tierMode = data.tierMode;
+    }
+  }
+
+  return profile;
+}
+
+// =============================================================================
+// PERSISTENCE
+// =============================================================================
+
+/**
+ * Loads saved profiles from storage
+ * @param {Storage} storage - Storage to read (localStorage in the browser)
+ * @returns {{profiles: Object[], active: string|null}} Saved profiles and the
+ *   name of the active one; invalid entries are skipped
+ */
+export function loadProfiles(storage) {
+  const empty = { profiles: [], active: null };
+
+  let data;
+  try {
+    data = JSON.parse(storage.getItem(PROFILES_STORAGE_KEY));
+  } catch {
+    return empty;
+  }
+  if (!isPlainObject(data) || !Array.isArray(data.profiles)) return empty;
+
+  const profiles = data.profiles
+    .filter((profile) => validateProfile(profile).length === 0)
+    .map(normalizeProfile);
+  const active = profiles.some((profile) => profile.name === data.active)
+    ? data.active
+    : null;
+
+  return { profiles, active };
+}
+
+/**
+ * Saves profiles to storage
+ * @param {Storage} storage - Storage to write (localStorage in the browser)
+ * @param {{profiles: Object[], active: string|null}} data - Profiles to save
+ */
+export function saveProfiles(storage, { profiles, active }) {
+  storage.setItem(
+    PROFILES_STORAGE_KEY,
+    JSON.stringify({ version: PROFILES_FORMAT_VERSION, active, profiles })
+  );
+}
+
+/**
+ * Adds a profile, replacing any profile with the same name
+ * @param {Object[]} profiles - Existing profiles
+ * @param {Object} profile - Profile to add
+ * @returns {Object[]} New profile list
+ */
+export function upsertProfile(profiles, profile) {
+  const index = profiles.findIndex((p) => p.name === profile.name);
+  if (index === -1) return [...profiles, profile];
+  return profiles.map((p, i) => (i === index ? profile : p));
+}
+
+// =============================================================================
+// IMPORT & EXPORT
+// =============================================================================
+
+/**
+ * Serializes profiles for export
+ * @param {Object[]} profiles - Profiles to export
+ * @returns {string} Pretty-printed JSON document
+ */
+export function exportProfiles(profiles) {
+  return JSON.stringify(
+    { version: PROFILES_FORMAT_VERSION, profiles },
+    null,
+    2
+  );
+}
+
+/**
+ * Parses an exported profiles document.
+ * Accepts the export format, a bare array of profiles or a single profile.
+ * @param {string} text - JSON text
+ * @param {Object} [options] - Validation options (see validateProfile)
+ * @returns {{profiles: Object[], rejected: {index: number, name?: string, errors: Object[]}[]}}
+ *   Valid profiles and per-entry validation errors of rejected ones
+ * @throws {SyntaxError} If the text is not valid JSON
+ */
+export function importProfiles(text, options) {
+  const data = JSON.parse(text);
+  const entries = Array.isArray(data)
+    ? data
+    : isPlainObject(data) && Array.isArray(data.profiles)
+      ? data.profiles
+      : [data];
+
+  const profiles = [];
+  const rejected = [];
+  entries.forEach((entry, index) => {
+    const errors = validateProfile(entry, options);
+    if (errors.length === 0) {
+      profiles.push(normalizeProfile(entry));
+    } else {
+      rejected.push({ index, name: entry?.name, errors });
+    }
+  });
+
+  return { profiles, rejected };
+}
@@ -0,0 +1,168 @@
+/**
+ * Promo Codes
+ * Discount codes from the local promo-codes.json definition: validation,
+ * redemption checks and discount calculation
+ */
+
+import promoData from "./promo-codes.json" with { type: "json" };
+import { localizeTable } from "./i18n.js";
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+/** @constant {Object} DISCOUNT_TYPES - Kinds of discount a code can give */
+export const DISCOUNT_TYPES = localizeTable(
+  { percent: {}, fixed: {} },
+  "discountTypes"
+);
+
+/** @constant {RegExp} EXPIRY_PATTERN - Expiry dates are calendar days (YYYY-MM-DD) */
+const EXPIRY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+/**
+ * Checks a promo code definition for problems
+ * @param {*} promo - Candidate definition: `{ code, type, value, minMinutes,
+ *   expiresAt, currencies }`; `value` is a percentage or an amount in USD,
+ *   `expiresAt` the last valid day or null, `currencies` the accepted
+ *   currency codes or null for any
+ * @returns {string|null} Problem field ("code", "type", "value",
+ *   "minMinutes", "expiresAt" or "currencies"), or null if valid
+ */
+export function validatePromoCode(promo) {
+  if (typeof promo?.code !== "string" || promo.code.trim() === "") {
+    return "code";
+  }
+  if (!Object.hasOwn(DISCOUNT_TYPES, promo.type ?? "")) return "type";
+  if (
+    !Number.isFinite(promo.value) ||
+    promo.value <= 0 ||
+    (promo.type === "percent" && promo.value > 100)
+  ) {
+    return "value";
+  }
+  if (!Number.isFinite(promo.minMinutes) || promo.minMinutes < 0) {
+    return "minMinutes";
+  }
+  if (
+    promo.expiresAt !== null &&
+    (!EXPIRY_PATTERN.test(promo.expiresAt ?? "") ||
+      Number.isNaN(Date.parse(promo.expiresAt)))
+  ) {
+    return "expiresAt";
+  }
+  if (
+    promo.currencies !== null &&
+    (!Array.isArray(promo.currencies) ||
+      promo.currencies.some((code) => typeof code !== "string"))
+  ) {
+    return "currencies";
+  }
+  return null;
+}
+
+/**
+ * Normalizes a code as typed by a user
+ * @param {string} code - Entered code
+ * @returns {string} Trimmed, upper-case code
+ */
+export function normalizeCode(code) {
+  return code.trim().toUpperCase();
+}
+
+/**
+ * Reads promo code definitions, skipping invalid ones
+ * @param {*} data - Parsed promo-codes.json document
+ * @returns {Object[]} Valid definitions with normalized codes
+ */
+export function loadPromoCodes(data) {
+  if (!Array.isArray(data?.codes)) return [];
+  return data.codes
+    .filter((promo) => validatePromoCode(promo) === null)
+    .map((promo) => ({ ...promo, code: normalizeCode(promo.code) }));
+}
+
+/** @constant {Object[]} PROMO_CODES - Codes from promo-codes.json */
+export const PROMO_CODES = loadPromoCodes(promoData);
+
+// =============================================================================
+// REDEMPTION
+// =============================================================================
+
+/**
+ * Checks whether a code has expired
+ * @param {Object} promo - Valid definition
+ * @param {Date} [now] - Current time
+ * @returns {boolean} True after the end of the expiry day (local time)
+ */
+export function isPromoExpired(promo, now = new Date()) {
+  if (promo.expiresAt === null) return false;
+  return now > new Date(`${promo.expiresAt}T23:59:59.999`);
+}
+
+/**
+ * Checks the order conditions of a code. Unlike expiry these depend on the
+ * order, so a redeemed code may stop applying when the order changes.
+ * @param {Object} promo - Valid definition
+ * @param {number} minutes - Billed duration in minutes
+ * @param {string} currency - Order currency code
+ * @returns {string|null} "min-minutes", "currency", or null if the code applies
+ */
+export function checkPromoConditions(promo, minutes, currency) {
+  if (minutes < promo.minMinutes) return "min-minutes";
+  if (promo.currencies !== null && !promo.currencies.includes(currency)) {
+    return "currency";
+  }
+  return null;
+}
+
+/**
+ * Looks up an entered code and checks whether it can be redeemed
+ * @param {string} input - Entered code
+ * @param {Object} order - Order to apply the code to
+ * @param {number} order.minutes - Billed duration in minutes
+ * @param {string} order.currency - Order currency code
+ * @param {Object} [options] - Lookup options
+ * @param {Object[]} [options.codes] - Known definitions
+ * @param {Date} [options.now] - Current time
+ * @returns {{promo: Object|null, problem: string|null}} Matching definition
+ *   (if any) and the rejection reason: "empty", "unknown", "expired",
+ *   "min-minutes" or "currency"
+ */
+export function redeemPromoCode(
+  input,
+  { minutes, currency },
+  { codes = PROMO_CODES, now = new Date() } = {}
+) {
+  const code = normalizeCode(input);
+  if (code === "") return { promo: null, problem: "empty" };
+
+  const promo = codes.find((candidate) => candidate.code === code) ?? null;
+  if (!promo) return { promo, problem: "unknown" };
+  if (isPromoExpired(promo, now)) return { promo, problem: "expired" };
+  return { promo, problem: checkPromoConditions(promo, minutes, currency) };
+}
+
+// =============================================================================
+// CALCULATIONS
+// =============================================================================
+
+/**
+ * Calculates the discount of a code on an order
+ * @param {Object} promo - Valid definition
+ * @param {number} minutes - Billed duration in minutes
+ * @param {string} currency - Order currency code
+ * @param {number} subtotal - Order price before discount in USD
+ * @returns {number} Discount in USD, never more than the subtotal; 0 when the
+ *   order does not meet the code's conditions
+ */
+export function calculateDiscount(promo, minutes, currency, subtotal) {
+  if (checkPromoConditions(promo, minutes, currency)) return 0;
+  const discount =
+    promo.type === "percent" ? (subtotal * promo.value) / 100 : promo.value;
+  return Math.min(discount, subtotal);
+}
@@ -0,0 +1,504 @@
+/**
+ * Quote API
+ * Node HTTP service pricing orders with the calculator's own engine, for
+ * order-intake tooling: `POST /quote` returns the breakdown calculatePrice
+ * gives the page, `GET /formulas` describes the formulas and their parameter
+ * bounds. Invalid requests get a JSON error with one `{ path, message }`
+ * detail per problem. quote-server.js starts the service.
+ */
+
+import { createServer } from "node:http";
+import {
+  FORMULAS,
+  TIER_MODES,
+  BILLING_GRANULARITIES,
+  BASE_FEE_RANGE,
+  MINUTES_RANGE,
+  DEFAULT_PRICING,
+  DEFAULT_GRANULARITY,
+  CUSTOM_VARIABLE,
+  DEFAULT_CUSTOM_PARAM,
+  resolveFormula,
+  validateTiers,
+  calculatePrice,
+} from "./pricing.js";
+import { CURRENCIES, DEFAULT_CURRENCY } from "./currency.js";
+import {
+  FALLBACK_RATES,
+  RATES_STALE_AFTER,
+  fetchRates,
+  isStale,
+  resolveRate,
+} from "./exchange-rates.js";
+import {
+  ROUNDING_MODES,
+  DEFAULT_ROUNDING_POLICIES,
+  getRoundingPolicy,
+  isRoundingActive,
+  normalizeRoundingPolicy,
+} from "./rounding.js";
+import { validateSchema } from "./config.js";
+import { matchLanguage, withLanguage } from "./i18n.js";
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+/** @constant {number} QUOTE_API_PORT - Port the service listens on unless PORT is set */
+export const QUOTE_API_PORT = 8787;
+
+/** @constant {string} QUOTE_API_HOST - Interface the service listens on unless HOST is set */
+export const QUOTE_API_HOST = "127.0.0.1";
+
+/** @constant {number} MAX_BODY_SIZE - Largest accepted request body in bytes */
+export const MAX_BODY_SIZE = 64 * 1024;
+
+/** @constant {number} RATE_RETRY_DELAY - Wait after a failed rate fetch before trying again, in milliseconds */
+export const RATE_RETRY_DELAY = 5 * 60 * 1000;
+
+/**
+ * @constant {Object} QUOTE_REQUEST_SCHEMA - JSON Schema of a `POST /quote`
+ * body. Only `minutes` is required; the rest defaults as on the page.
+ * Parameter names and bounds depend on the formula and are checked after it.
+ * A `rounding` policy replaces the currency's default one, its missing
+ * fields meaning no rounding (see NO_ROUNDING).
+ */
+export const QUOTE_REQUEST_SCHEMA = {
+  type: "object",
+  required: ["minutes"],
+  additionalProperties: false,
+  properties: {
+    minutes: {
+      type: "number",
+      minimum: MINUTES_RANGE.min,
+      maximum: MINUTES_RANGE.max,
+    },
+    formula: { enum: Object.keys(FORMULAS) },
+    params: { type: "object", additionalProperties: { type: "number" } },
+    expression: { type: "string", minLength: 1 },
+    tiers: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["upTo", "rate"],
+        additionalProperties: false,
+        properties: {
+          upTo: { type: ["number", "null"], exclusiveMinimum: 0 },
+          rate: { type: "number", minimum: 0 },
+        },
+      },
+    },
+    tierMode: { enum: Object.keys(TIER_MODES) },
+    baseFee: {
+      type: "number",
+      minimum: BASE_FEE_RANGE.min,
+      maximum: BASE_FEE_RANGE.max,
+    },
+    currency: { enum: CURRENCIES },
+    exchangeRate: { type: "number", exclusiveMinimum: 0 },
+    granularity: { enum: Object.keys(BILLING_GRANULARITIES) },
+    rounding: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        increment: { type: "number", minimum: 0.01 },
+        mode: { enum: Object.keys(ROUNDING_MODES) },
+        charm: { type: "boolean" },
+        minimumTotal: { type: "number", minimum: 0 },
+      },
+    },
+  },
+};
+
+/** @constant {Object} TIER_PROBLEMS - Messages for validateTiers problem codes */
+const TIER_PROBLEMS = {
+  empty: "must have at least one tier",
+  rate: "rate must be a non-negative number",
+  bound: "upTo must be a positive number",
+  order: "upTo must be above the previous bound",
+  "open-ended": "only the last tier can be open-ended",
+};
+
+// =============================================================================
+// ERRORS
+// =============================================================================
+
+/**
+ * Error answered to the client as a JSON error response
+ * @property {number} status - HTTP status
+ * @property {string} code - "invalid-json", "invalid-request",
+ *   "unsupported-media-type", "payload-too-large", "not-found" or
+ *   "method-not-allowed"
+ * @property {{path: string, message: string}[]} [details] - Problems of an
+ *   "invalid-request"
+ */
+export class QuoteApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = "QuoteApiError";
+    this.status = status;
+    this.code = code;
+    if (details) this.details = details;
+  }
+}
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+/**
+ * Checks the formula-specific fields of a schema-valid quote request:
+ * expression and tiers only for their formulas, parameter names and bounds
+ * @param {Object} request - Schema-valid request
+ * @returns {{path: string, message: string}[]} Problems found
+ */
+function checkFormulaSettings(request) {
+  const errors = [];
+  const fail = (path, message) => errors.push({ path, message });
+  const formulaId = request.formula ?? DEFAULT_PRICING.formula;
+  const formula = FORMULAS[formulaId];
+
+  if (request.expression !== undefined && !formula.custom) {
+    fail("expression", `only applies to the custom formula, not ${formulaId}`);
+  }
+  for (const field of ["tiers", "tierMode"]) {
+    if (request[field] !== undefined && !formula.tiered) {
+      fail(field, `only applies to the tiered formula, not ${formulaId}`);
+    }
+  }
+  const problem = request.tiers && validateTiers(request.tiers);
+  if (problem) fail(`tiers[${problem.index}]`, TIER_PROBLEMS[problem.code]);
+  if (errors.length > 0) return errors;
+
+  let resolved;
+  try {
+    resolved = resolveFormula({ ...request, formula: formulaId });
+  } catch (error) {
+    fail("expression", error.message);
+    return errors;
+  }
+
+  for (const [name, value] of Object.entries(request.params ?? {})) {
+    // Inherited names such as "constructor" are not parameters either
+    const spec = Object.hasOwn(resolved.params, name)
+      ? resolved.params[name]
+      : null;
+    const path = `params.${name}`;
+    if (!spec) {
+      fail(path, `is not a parameter of the ${formulaId} formula`);
+    } else if (value < spec.min || value > spec.max) {
+      fail(path, `${value} is outside ${spec.min}–${spec.max}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validates a `POST /quote` body: the schema first, then the
+ * formula-specific fields
+ * @param {*} request - Parsed request body
+ * @returns {{path: string, message: string}[]} Problems found, empty if valid
+ */
+export function validateQuoteRequest(request) {
+  const errors = validateSchema(request, QUOTE_REQUEST_SCHEMA);
+  return errors.length > 0 ? errors : checkFormulaSettings(request);
+}
+
+// =============================================================================
+// RATES
+// =============================================================================
+
+/**
+ * Creates a loader keeping fetched exchange rates in memory until they go
+ * stale. A failed fetch keeps the previous rates (or none) and is retried
+ * after RATE_RETRY_DELAY, so an unreachable provider does not slow every quote.
+ * @param {Object} [options] - Loader options
+ * @param {function(): Promise<Object>} [options.fetchRates] - Fetches a rate snapshot
+ * @param {number} [options.maxAge] - Age in milliseconds after which rates are refetched
+ * @returns {function(): Promise<Object|null>} Loads the rate snapshot, null
+ *   if none could be fetched yet
+ */
+export function createRateLoader({
+  fetchRates: fetchImpl = fetchRates,
+  maxAge = RATES_STALE_AFTER,
+} = {}) {
+  let snapshot = null;
+  let failedAt = -Infinity;
+  let pending = null;
+
+  return async () => {
+    const now = new Date();
+    if (snapshot && !isStale(snapshot, now, maxAge)) return snapshot;
+    if (now.getTime() - failedAt < RATE_RETRY_DELAY) return snapshot;
+
+    pending ??= fetchImpl()
+      .then((fetched) => (snapshot = fetched))
+      .catch((error) => {
+        failedAt = Date.now();
+        console.warn("Failed to fetch exchange rates:", error.message);
+        return snapshot;
+      })
+      .finally(() => (pending = null));
+    return pending;
+  };
+}
+
+// =============================================================================
+// RESPONSES
+// =============================================================================
+
+/**
+ * Prices a validated quote request
+ * @param {Object} request - Request that passed validateQuoteRequest
+ * @param {function(): Promise<Object|null>} loadRates - Rate loader (see
+ *   createRateLoader); not called when the request gives `exchangeRate`
+ * @returns {Promise<Object>} Breakdown from calculatePrice, rounded like the
+ *   page's by default (see DEFAULT_ROUNDING_POLICIES), plus `rateSource`
+ *   ("manual", "api" or "fallback") and `rateUpdatedAt` (when the rates were
+ *   fetched, null unless from the API)
+ * @throws {QuoteApiError} "invalid-request" if the formula gives a non-finite
+ *   price for the duration
+ */
+export async function priceQuoteRequest(request, loadRates) {
+  const currency = request.currency ?? DEFAULT_CURRENCY;
+  let exchangeRate = request.exchangeRate;
+  let rateSource = "manual";
+  let rateUpdatedAt = null;
+
+  if (exchangeRate === undefined) {
+    const snapshot = await loadRates();
+    // Config validation guarantees a fallback rate for every currency
+    exchangeRate = resolveRate(currency, {
+      ...FALLBACK_RATES,
+      ...snapshot?.rates,
+    }).rate;
+    rateSource = snapshot ? "api" : "fallback";
+    rateUpdatedAt = snapshot?.fetchedAt ?? null;
+  }
+
+  const { rounding: policy, ...pricing } = request;
+  const rounding = policy
+    ? normalizeRoundingPolicy(policy)
+    : getRoundingPolicy(DEFAULT_ROUNDING_POLICIES, currency);
+  const price = calculatePrice(request.minutes, {
+    ...pricing,
+    currency,
+    exchangeRate,
+    granularity: request.granularity ?? DEFAULT_GRANULARITY,
+    ...(isRoundingActive(rounding) && { rounding }),
+  });
+  if (!Number.isFinite(price.total)) {
+    throw new QuoteApiError(400, "invalid-request", "Invalid quote request", [
+      {
+        path: request.expression === undefined ? "formula" : "expression",
+        message: `gives a non-finite price at ${price.minutes} minutes`,
+      },
+    ]);
+  }
+
+  return { ...price, rateSource, rateUpdatedAt };
+}
+
+/**
+ * Describes the formulas and the other request fields' options, in the
+ * current language
+ * @returns {Object} `formulas` with id, name, equation and parameter bounds
+ *   (custom: the default expression, the duration variable and bounds of
+ *   other parameters; tiered: the default tiers), plus `tierModes`,
+ *   `granularities`, `roundingModes`, `currencies`, `minutes` and `baseFee`
+ *   ranges and the `defaults` a request falls back to
+ */
+export function describeFormulas() {
+  const describe = (table) =>
+    Object.entries(table).map(([id, entry]) => ({ id, name: entry.name }));
+
+  return {
+    formulas: Object.entries(FORMULAS).map(([id, formula]) => ({
+      id,
+      name: formula.name,
+      equation: formula.equation,
+      params: formula.params,
+      ...(formula.custom && {
+        expression: formula.equation,
+        variable: CUSTOM_VARIABLE,
+        defaultParam: DEFAULT_CUSTOM_PARAM,
+      }),
+      ...(formula.tiered && {
+        tiers: formula.tiers,
+        tierMode: formula.tierMode,
+      }),
+    })),
+    tierModes: describe(TIER_MODES),
+    granularities: describe(BILLING_GRANULARITIES),
+    roundingModes: describe(ROUNDING_MODES),
+    currencies: CURRENCIES,
+    minutes: MINUTES_RANGE,
+    baseFee: BASE_FEE_RANGE,
+    defaults: {
+      formula: DEFAULT_PRICING.formula,
+      baseFee: DEFAULT_PRICING.baseFee,
+      currency: DEFAULT_CURRENCY,
+      granularity: DEFAULT_GRANULARITY,
+      rounding: DEFAULT_ROUNDING_POLICIES,
+    },
+  };
+}
+
+// =============================================================================
+// HTTP
+// =============================================================================
+
+/**
+ * Reads a JSON request body
+ * @param {IncomingMessage} request - Request
+ * @returns {Promise<*>} Parsed body
+ * @throws {QuoteApiError} "unsupported-media-type", "payload-too-large" or
+ *   "invalid-json"
+ */
+async function readJsonBody(request) {
+  const type = request.headers["content-type"] ?? "";
+  if (!/^application\/json\s*(;|$)/i.test(type)) {
+    throw new QuoteApiError(
+      415,
+      "unsupported-media-type",
+      "Request body must be application/json"
+    );
+  }
+
+  // Read to the end even when too large, so the error response is delivered
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of request) {
+    size += chunk.length;
+    if (size <= MAX_BODY_SIZE) chunks.push(chunk);
+  }
+  if (size > MAX_BODY_SIZE) {
+    throw new QuoteApiError(
+      413,
+      "payload-too-large",
+      `Request body exceeds ${MAX_BODY_SIZE} bytes`
+    );
+  }
+
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  } catch (error) {
+    throw new QuoteApiError(400, "invalid-json", error.message);
+  }
+}
+
+/**
+ * Picks the response language from `?lang=` or the Accept-Language header
+ * @param {URL} url - Request URL
+ * @param {IncomingMessage} request - Request
+ * @returns {string} Language code
+ */
+function getRequestLanguage(url, request) {
+  const tags = (request.headers["accept-language"] ?? "")
+    .split(",")
+    .map((part) => part.split(";")[0].trim())
+    .filter(Boolean);
+  const requested = url.searchParams.get("lang");
+  return matchLanguage(requested ? [requested, ...tags] : tags);
+}
+
+/**
+ * @constant {Object} ROUTES - Handlers by path and method; each takes the
+ * request, its URL and the server context and resolves to a response body
+ */
+const ROUTES = {
+  "/quote": {
+    POST: async (request, url, { loadRates }) => {
+      const body = await readJsonBody(request);
+      const errors = validateQuoteRequest(body);
+      if (errors.length > 0) {
+        throw new QuoteApiError(
+          400,
+          "invalid-request",
+          "Invalid quote request",
+          errors
+        );
+      }
+      return priceQuoteRequest(body, loadRates);
+    },
+  },
+  "/formulas": {
+    GET: async (request, url) =>
+      withLanguage(getRequestLanguage(url, request), describeFormulas),
+  },
+};
+
+/**
+ * Writes a JSON response
+ * @param {ServerResponse} response - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ * @param {Object} [headers] - Extra headers
+ */
+function sendJson(response, status, body, headers = {}) {
+  const json = JSON.stringify(body);
+  response.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Content-Length": Buffer.byteLength(json),
+    ...headers,
+  });
+  response.end(json);
+}
+
+/**
+ * Answers a request
+ * @param {IncomingMessage} request - Request
+ * @param {ServerResponse} response - Response
+ * @param {Object} context - Server context (see createQuoteServer)
+ */
+async function handleRequest(request, response, context) {
+  const url = new URL(request.url, "http://localhost");
+  const methods = Object.hasOwn(ROUTES, url.pathname)
+    ? ROUTES[url.pathname]
+    : null;
+
+  try {
+    if (!methods) {
+      throw new QuoteApiError(404, "not-found", `No route ${url.pathname}`);
+    }
+    if (!Object.hasOwn(methods, request.method)) {
+      throw new QuoteApiError(
+        405,
+        "method-not-allowed",
+        `${request.method} is not allowed on ${url.pathname}`
+      );
+    }
+    const body = await methods[request.method](request, url, context);
+    sendJson(response, 200, body);
+  } catch (error) {
+    if (!(error instanceof QuoteApiError)) {
+      console.error("Quote API request failed:", error);
+      sendJson(response, 500, {
+        error: { code: "internal", message: "Internal server error" },
+      });
+      return;
+    }
+    const { code, message, details } = error;
+    sendJson(
+      response,
+      error.status,
+      { error: { code, message, ...(details && { details }) } },
+      error.status === 405 ? { Allow: Object.keys(methods).join(", ") } : {}
+    );
+  }
+}
+
+/**
+ * Creates the quote API server; call `listen` to start it
+ * @param {Object} [options] - Server options
+ * @param {function(): Promise<Object|null>} [options.loadRates] - Rate
+ *   loader (see createRateLoader)
+ * @returns {Server} Node HTTP server
+ */
+export function createQuoteServer({ loadRates = createRateLoader() } = {}) {
+  const context = { loadRates };
+  return createServer((request, response) => {
+    handleRequest(request, response, context);
+  });
+}
@@ -0,0 +1,24 @@
+/**
+ * Quote API Server
+ * Starts the quote API (see quote-api.js) on PORT and HOST, by default
+ * QUOTE_API_PORT on the loopback interface. Built by vite.server.config.js;
+ * run it with `npm run serve:api`.
+ */
+
+import {
+  QUOTE_API_PORT,
+  QUOTE_API_HOST,
+  createQuoteServer,
+} from "./quote-api.js";
+
+const port = Number(process.env.PORT ?? QUOTE_API_PORT);
+const host = process.env.HOST ?? QUOTE_API_HOST;
+
+const server = createQuoteServer();
+server.listen(port, host, () => {
+  console.log(`Quote API listening on http://${host}:${port}`);
+});
+
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, () => server.close(() => process.exit(0)));
+}
@@ -0,0 +1,403 @@
+/**
+ * Client Quotes
+ * Quote records built from a pricing breakdown, quote numbering, the quote
+ * sheet's lines and PDF page drawing, and CSV/JSON export
+ */
+
+import { t, formatDate } from "./i18n.js";
+import { formatMoney } from "./currency.js";
+import { RATES_BASE_CURRENCY } from "./exchange-rates.js";
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+/** @constant {string} QUOTE_COUNTER_STORAGE_KEY - localStorage key of the daily quote counter */
+export const QUOTE_COUNTER_STORAGE_KEY = "audio-pricing.quoteCounter";
+
+/** @constant {string[]} QUOTE_CSV_FIELDS - Quote fields exported to CSV, in column order */
+export const QUOTE_CSV_FIELDS = [
+  "number",
+  "issuedAt",
+  "minutes",
+  "formula",
+  "currency",
+  "baseFee",
+  "processingCost",
+  "addonsCost",
+  "promoCode",
+  "discount",
+  "net",
+  "taxRate",
+  "taxInclusive",
+  "tax",
+  "rate",
+  "roundingAdjustment",
+  "total",
+  "exchangeRate",
+  "rateSource",
+  "rateUpdatedAt",
+];
+
+/** @constant {Object} QUOTE_PAGE - Quote image size for PDF export (A4 at 150 dpi) */
+export const QUOTE_PAGE = { width: 1240, height: 1754 };
+
+/**
+ * @constant {Object} QUOTE_PAGE_LAYOUT - Layout of the quote page in pixels:
+ * line rows start at `linesTop` and shrink from `rowHeight` (down to
+ * `minRowHeight`) so the total always fits above the bottom margin
+ */
+const QUOTE_PAGE_LAYOUT = {
+  margin: 110,
+  linesTop: 340,
+  rowHeight: 80,
+  minRowHeight: 40,
+  fontSize: 28,
+  totalGap: 60,
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Rounds a money amount to cents
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Formats a date as YYYYMMDD in local time
+ * @param {Date} date - Date to format
+ * @returns {string} Compact date
+ */
+function formatCompactDate(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(
+    date.getDate()
+  )}`;
+}
+
+// =============================================================================
+// QUOTE NUMBERS
+// =============================================================================
+
+/**
+ * Formats a quote number
+ * @param {Date} date - Issue date
+ * @param {number} sequence - Sequence number within the day, from 1
+ * @returns {string} Quote number, e.g. "Q-20261019-003"
+ */
+export function formatQuoteNumber(date, sequence) {
+  return `Q-${formatCompactDate(date)}-${String(sequence).padStart(3, "0")}`;
+}
+
+/**
+ * Issues the next quote number, keeping a per-day counter in storage
+ * @param {Storage|null} storage - Counter storage; numbering restarts at 1 without it
+ * @param {Date} [date] - Issue date
+ * @returns {string} Quote number
+ */
+export function nextQuoteNumber(storage, date = new Date()) {
+  const day = formatCompactDate(date);
+  let sequence = 1;
+
+  try {
+    const saved = JSON.parse(storage?.getItem(QUOTE_COUNTER_STORAGE_KEY));
+    if (saved?.day === day && Number.isInteger(saved.count)) {
+      sequence = saved.count + 1;
+    }
+    storage?.setItem(
+      QUOTE_COUNTER_STORAGE_KEY,
+      JSON.stringify({ day, count: sequence })
+    );
+  } catch {
+    // A broken or unavailable counter must not block quoting
+  }
+
+  return formatQuoteNumber(date, sequence);
+}
+
+// =============================================================================
+// QUOTES
+// =============================================================================
+
+/**
+ * Creates a quote from a pricing breakdown
+ * @param {Object} price - Breakdown from calculatePrice (with `converted` amounts)
+ * @param {Object} details - Quote details
+ * @param {string} details.number - Quote number
+ * @param {Date} details.issuedAt - Issue timestamp
+ * @param {string} details.formulaName - Human-readable formula name
+ * @param {string} details.rateSource - Where the exchange rate came from
+ *   ("api", "cache", "fallback" or "manual")
+ * @param {Date|null} details.rateUpdatedAt - When the exchange rate was fetched
+ * @returns {Object} Quote with amounts in the quote currency, rounded to cents,
+ *   one `{ name, cost }` line per add-on under `addons`, any promo code
+ *   discount and the net/tax split (`taxRate` is null without tax). The total
+ *   is the sum of the lines, plus tax charged on top and any rounding
+ *   adjustment, so the printed quote adds up.
+ */
+export function createQuote(price, details) {
+  const baseFee = roundMoney(price.converted.baseFee);
+  const processingCost = roundMoney(price.converted.processingCost);
+  const addons = (price.converted.addons ?? []).map((line) => ({
+    name: line.name,
+    cost: roundMoney(line.cost),
+  }));
+  const addonsCost = roundMoney(
+    addons.reduce((sum, line) => sum + line.cost, 0)
+  );
+  const discount = roundMoney(price.converted.discount);
+  const subtotal = roundMoney(baseFee + processingCost + addonsCost - discount);
+
+  // Lines are net prices with tax added on top, or gross prices with the tax
+  // they include split out
+  const taxed = price.converted.tax;
+  let net = subtotal;
+  let tax = 0;
+  if (taxed?.inclusive) {
+    net = roundMoney(taxed.net);
+    tax = roundMoney(subtotal - net);
+  } else if (taxed) {
+    tax = roundMoney(taxed.amount);
+  }
+  const gross = roundMoney(net + tax);
+
+  const total =
+    price.converted.roundingAdjustment === undefined
+      ? gross
+      : roundMoney(price.converted.total);
+
+  return {
+    number: details.number,
+    issuedAt: details.issuedAt.toISOString(),
+    minutes: price.minutes,
+    formula: details.formulaName,
+    currency: price.currency,
+    baseFee,
+    processingCost,
+    addons,
+    addonsCost,
+    promoCode: price.promoCode ?? null,
+    discount,
+    net,
+    taxRate: taxed?.rate ?? null,
+    taxInclusive: taxed?.inclusive ?? false,
+    tax,
+    rate: Math.round(price.converted.rate * 10000) / 10000,
+    roundingAdjustment: roundMoney(total - gross),
+    total,
+    exchangeRate: price.exchangeRate,
+    rateSource: details.rateSource,
+    rateUpdatedAt: details.rateUpdatedAt?.toISOString() ?? null,
+  };
+}
+
+// =============================================================================
+// QUOTE SHEET
+// =============================================================================
+
+/**
+ * Gets the labelled lines of a quote, shared by the printable sheet and the PDF
+ * @param {Object} quote - Quote from createQuote
+ * @returns {string[][]} [label, value] pairs
+ */
+export function getQuoteLines(quote) {
+  const rateText =
+    quote.currency === RATES_BASE_CURRENCY
+      ? "—"
+      : `1 USD = ${formatMoney(quote.exchangeRate, quote.currency, { digits: 4 })}`;
+  const rateTime = quote.rateUpdatedAt
+    ? formatDate(quote.rateUpdatedAt)
+    : quote.rateSource === "manual"
+      ? t("quote.manualRate")
+      : t("quote.fallbackRate");
+
+  return [
+    [t("quote.number"), quote.number],
+    [t("quote.date"), formatDate(quote.issuedAt)],
+    [t("quote.duration"), t("units.min", { value: quote.minutes })],
+    [t("quote.formula"), quote.formula],
+    [t("quote.baseFee"), formatMoney(quote.baseFee, quote.currency)],
+    [
+      t("quote.processingCost"),
+      formatMoney(quote.processingCost, quote.currency),
+    ],
+    ...quote.addons.map((line) => [
+      line.name,
+      formatMoney(line.cost, quote.currency),
+    ]),
+    ...(quote.discount > 0
+      ? [
+          [
+            t("breakdown.promoDiscount", { code: quote.promoCode }),
+            "−" + formatMoney(quote.discount, quote.currency),
+          ],
+        ]
+      : []),
+    ...(quote.taxRate === null
+      ? []
+      : [
+          [t("quote.net"), formatMoney(quote.net, quote.currency)],
+          [
+            t(quote.taxInclusive ? "quote.includedTax" : "breakdown.tax", {
+              rate: quote.taxRate,
+            }),
+            formatMoney(quote.tax, quote.currency),
+          ],
+        ]),
+    ...(quote.roundingAdjustment !== 0
+      ? [
+          [
+            t("quote.rounding"),
+            (quote.roundingAdjustment > 0 ? "+" : "−") +
+              formatMoney(Math.abs(quote.roundingAdjustment), quote.currency),
+          ],
+        ]
+      : []),
+    [
+      t("quote.rate"),
+      t("units.perMinute", {
+        price: formatMoney(quote.rate, quote.currency, { digits: 4 }),
+      }),
+    ],
+    [t("quote.exchangeRate"), rateText],
+    [t("quote.rateTime"), rateTime],
+  ];
+}
+
+/**
+ * Gets the label of a quote's total, stating whether it includes tax
+ * @param {Object} quote - Quote from createQuote
+ * @returns {string} Label
+ */
+export function getQuoteTotalLabel(quote) {
+  return quote.taxRate === null
+    ? t("quote.totalWithoutTax")
+    : t("quote.totalWithTax", { rate: quote.taxRate });
+}
+
+// =============================================================================
+// PDF PAGE
+// =============================================================================
+
+/**
+ * Lays out the quote page for a number of lines, shrinking rows (and their
+ * text) when a long quote would push the total off the page
+ * @param {number} lineCount - Number of quote lines
+ * @param {Object} [page] - Page size in pixels
+ * @returns {{rowHeight: number, fontSize: number, totalY: number}} Row pitch,
+ *   line font size and baseline of the total
+ */
+export function layoutQuotePage(lineCount, page = QUOTE_PAGE) {
+  const { margin, linesTop, totalGap, fontSize } = QUOTE_PAGE_LAYOUT;
+  const available = page.height - margin - totalGap - linesTop;
+  const rowHeight = Math.max(
+    QUOTE_PAGE_LAYOUT.minRowHeight,
+    Math.min(QUOTE_PAGE_LAYOUT.rowHeight, available / Math.max(lineCount, 1))
+  );
+  return {
+    rowHeight,
+    fontSize: Math.min(fontSize, Math.floor(rowHeight * 0.45)),
+    totalY: linesTop + lineCount * rowHeight + totalGap,
+  };
+}
+
+/**
+ * Draws a quote page for PDF export
+ * @param {CanvasRenderingContext2D} ctx - Context of a QUOTE_PAGE-sized canvas
+ * @param {Object} quote - Quote from createQuote
+ */
+export function drawQuotePage(ctx, quote) {
+  const { width, height } = QUOTE_PAGE;
+  const { margin, linesTop } = QUOTE_PAGE_LAYOUT;
+  const font = `"Inter", -apple-system, "Segoe UI", Roboto, sans-serif`;
+  const lines = getQuoteLines(quote);
+  const { rowHeight, fontSize, totalY } = layoutQuotePage(lines.length);
+
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, width, height);
+
+  ctx.fillStyle = "#21808d";
+  ctx.fillRect(0, 0, width, 16);
+
+  ctx.fillStyle = "#13343b";
+  ctx.font = `600 56px ${font}`;
+  ctx.fillText(t("quote.title"), margin, 180);
+  ctx.fillStyle = "#626c71";
+  ctx.font = `400 30px ${font}`;
+  ctx.fillText(t("quote.subtitle"), margin, 230);
+
+  let y = linesTop;
+  for (const [label, value] of lines) {
+    ctx.fillStyle = "#626c71";
+    ctx.font = `400 ${fontSize}px ${font}`;
+    ctx.textAlign = "left";
+    ctx.fillText(label, margin, y);
+    ctx.fillStyle = "#13343b";
+    ctx.font = `500 ${fontSize}px ${font}`;
+    ctx.textAlign = "right";
+    ctx.fillText(value, width - margin, y, width / 2 - margin);
+
+    ctx.strokeStyle = "#e2e2dc";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(margin, y + fontSize);
+    ctx.lineTo(width - margin, y + fontSize);
+    ctx.stroke();
+    y += rowHeight;
+  }
+
+  ctx.textAlign = "left";
+  ctx.fillStyle = "#13343b";
+  ctx.font = `600 36px ${font}`;
+  ctx.fillText(getQuoteTotalLabel(quote), margin, totalY);
+  ctx.textAlign = "right";
+  ctx.fillStyle = "#21808d";
+  ctx.font = `600 64px ${font}`;
+  ctx.fillText(
+    formatMoney(quote.total, quote.currency),
+    width - margin,
+    totalY
+  );
+}
+
+// =============================================================================
+// EXPORT
+// =============================================================================
+
+/**
+ * Escapes a CSV cell (RFC 4180)
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function escapeCsvCell(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes quotes as CSV with a header row
+ * @param {Object[]} quotes - Quotes to export
+ * @returns {string} CSV document (CRLF line endings)
+ */
+export function quotesToCsv(quotes) {
+  const rows = [
+    QUOTE_CSV_FIELDS,
+    ...quotes.map((quote) => QUOTE_CSV_FIELDS.map((field) => quote[field])),
+  ];
+  return rows.map((row) => row.map(escapeCsvCell).join(",")).join("\r\n");
+}
+
+/**
+ * Serializes a quote as JSON
+ * @param {Object} quote - Quote to export
+ * @returns {string} Pretty-printed JSON
+ */
+export function quoteToJson(quote) {
+  return JSON.stringify(quote, null, 2);
+}
@@ -0,0 +1,291 @@
+/**
+ * Revenue Simulation
+ * Historical orders from CSV, their revenue under two pricing configs, and
+ * order size distribution
+ */
+
+import { createPriceCalculator, getCurveStep } from "./pricing.js";
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+/** @constant {string[]} ORDER_CSV_FIELDS - Required columns of an orders CSV */
+export const ORDER_CSV_FIELDS = ["date", "minutes", "currency"];
+
+/** @constant {string[]} CSV_DELIMITERS - Accepted cell delimiters, by preference */
+const CSV_DELIMITERS = [",", ";", "\t"];
+
+/** @constant {RegExp} DATE_PATTERN - Order dates start with a calendar day (YYYY-MM-DD) */
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+/** @constant {RegExp} CURRENCY_PATTERN - ISO 4217 currency code */
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+/** @constant {number} DEFAULT_HISTOGRAM_BINS - Target number of order size bins */
+export const DEFAULT_HISTOGRAM_BINS = 20;
+
+/** @constant {number} DEFAULT_LARGEST_CHANGES - Orders listed as changing the most */
+export const DEFAULT_LARGEST_CHANGES = 10;
+
+// =============================================================================
+// CSV IMPORT
+// =============================================================================
+
+/**
+ * Splits CSV text into rows of cells (RFC 4180 quoting), skipping blank lines
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Cell delimiter
+ * @returns {{line: number, cells: string[]}[]} Rows with 1-based line numbers
+ */
+function parseCsvRows(text, delimiter) {
+  const rows = [];
+  let cells = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    cells.push(cell);
+    if (cells.length > 1 || cells[0].trim() !== "") {
+      rows.push({ line: rowLine, cells });
+    }
+    cells = [];
+    cell = "";
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === "\n") line++;
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      cells.push(cell);
+      cell = "";
+    } else if (char === "\n") {
+      endRow();
+      rowLine = line;
+    } else if (char !== "\r") {
+      cell += char;
+    }
+  }
+  endRow();
+
+  return rows;
+}
+
+/**
+ * Picks the delimiter of a CSV document from its first line
+ * @param {string} text - CSV text
+ * @returns {string} Delimiter
+ */
+function detectDelimiter(text) {
+  const header = text.split("\n", 1)[0];
+  return (
+    CSV_DELIMITERS.find((delimiter) => header.includes(delimiter)) ??
+    CSV_DELIMITERS[0]
+  );
+}
+
+/**
+ * Parses a CSV of past orders.
+ * The first row names the columns (see ORDER_CSV_FIELDS, in any order, other
+ * columns are ignored). Cells may be separated by commas, semicolons or tabs;
+ * minutes may use a decimal comma.
+ * @param {string} text - CSV text
+ * @param {Object} [options] - Parsing options
+ * @param {string[]} [options.currencies] - Accepted currency codes (any if empty)
+ * @returns {{orders: {line: number, date: string, minutes: number, currency: string}[], rejected: {line: number, code: string}[], missing: string[]}}
+ *   Valid orders, rejected rows with the problem ("date", "minutes" or
+ *   "currency") and required columns missing from the header; with missing
+ *   columns no rows are read
+ */
+export function parseOrdersCsv(text, { currencies = [] } = {}) {
+  const [header, ...rows] = parseCsvRows(
+    text.replace(/^\uFEFF/, ""),
+    detectDelimiter(text)
+  );
+  const columns = (header?.cells ?? []).map((name) =>
+    name.trim().toLowerCase()
+  );
+  const missing = ORDER_CSV_FIELDS.filter((field) => !columns.includes(field));
+  if (missing.length > 0) return { orders: [], rejected: [], missing };
+
+  const orders = [];
+  const rejected = [];
+  for (const { line, cells } of rows) {
+    const cell = (field) => (cells[columns.indexOf(field)] ?? "").trim();
+    const date = cell("date");
+    const minutesText = cell("minutes").replace(",", ".");
+    const minutes = minutesText === "" ? NaN : Number(minutesText);
+    const currency = cell("currency").toUpperCase();
+
+    let code = null;
+    if (!DATE_PATTERN.test(date) || Number.isNaN(Date.parse(date))) {
+      code = "date";
+    } else if (!Number.isFinite(minutes) || minutes < 0) {
+      code = "minutes";
+    } else if (
+      !CURRENCY_PATTERN.test(currency) ||
+      (currencies.length > 0 && !currencies.includes(currency))
+    ) {
+      code = "currency";
+    }
+
+    if (code) {
+      rejected.push({ line, code });
+    } else {
+      orders.push({ line, date, minutes, currency });
+    }
+  }
+
+  return { orders, rejected, missing };
+}
+
+// =============================================================================
+// SIMULATION
+// =============================================================================
+
+/**
+ * Prices orders under the current and a baseline config.
+ * Each order is priced in its own currency: `billing` supplies the currency
+ * part of the config (currency, exchangeRate, tax, rounding) for it.
+ * @param {Object[]} orders - Orders from parseOrdersCsv
+ * @param {Object} current - Pricing config without billing fields
+ * @param {Object} baseline - Pricing config to compare with
+ * @param {Object} [options] - Simulation options
+ * @param {function(string): Object} [options.billing] - Billing config by
+ *   currency code; by default orders are priced in USD
+ * @returns {{orders: Object[], totals: Object, byCurrency: Object[]}}
+ *   Per order its `baseline` and `current` totals, `difference` and `percent`
+ *   (null for free baseline orders) in the order currency, plus the
+ *   `exchangeRate` used; `totals` sums all orders in USD as `{ count,
+ *   baseline, current, difference, percent }`; `byCurrency` holds the same
+ *   sums per currency (with `currency`) in that currency, in order of first
+ *   appearance
+ * @throws {Error} If a config is invalid
+ */
+export function simulateRevenue(
+  orders,
+  current,
+  baseline,
+  { billing = () => ({}) } = {}
+) {
+  const calculators = new Map();
+  const priceAt = (config, key, currency, minutes) => {
+    const cacheKey = `${key}:${currency}`;
+    if (!calculators.has(cacheKey)) {
+      calculators.set(
+        cacheKey,
+        createPriceCalculator({ ...config, ...billing(currency) })
+      );
+    }
+    return calculators.get(cacheKey)(minutes);
+  };
+
+  const summarize = (rows) => {
+    const sum = (field) => rows.reduce((total, row) => total + row[field], 0);
+    const before = sum("baseline");
+    const after = sum("current");
+    return {
+      count: rows.length,
+      baseline: before,
+      current: after,
+      difference: after - before,
+      percent: before !== 0 ? ((after - before) / before) * 100 : null,
+    };
+  };
+
+  const results = orders.map((order) => {
+    const before = priceAt(baseline, "baseline", order.currency, order.minutes);
+    const after = priceAt(current, "current", order.currency, order.minutes);
+    const difference = after.converted.total - before.converted.total;
+    return {
+      ...order,
+      baseline: before.converted.total,
+      current: after.converted.total,
+      difference,
+      percent:
+        before.converted.total !== 0
+          ? (difference / before.converted.total) * 100
+          : null,
+      exchangeRate: after.exchangeRate,
+    };
+  });
+
+  const currencies = [...new Set(results.map((order) => order.currency))];
+  return {
+    orders: results,
+    totals: summarize(
+      results.map((order) => ({
+        baseline: order.baseline / order.exchangeRate,
+        current: order.current / order.exchangeRate,
+      }))
+    ),
+    byCurrency: currencies.map((currency) => ({
+      currency,
+      ...summarize(results.filter((order) => order.currency === currency)),
+    })),
+  };
+}
+
+/**
+ * Picks the orders whose price changes the most
+ * @param {Object[]} orders - Orders from simulateRevenue
+ * @param {number} [count] - How many to pick
+ * @returns {Object[]} Orders by absolute difference in USD, largest first;
+ *   unchanged orders are left out
+ */
+export function findLargestChanges(orders, count = DEFAULT_LARGEST_CHANGES) {
+  const change = (order) => Math.abs(order.difference / order.exchangeRate);
+  return orders
+    .filter((order) => order.difference !== 0)
+    .sort((a, b) => change(b) - change(a))
+    .slice(0, count);
+}
+
+// =============================================================================
+// DISTRIBUTION
+// =============================================================================
+
+/**
+ * Counts orders by size in bins of a round width (1, 2 or 5 × 10^n minutes,
+ * see getCurveStep)
+ * @param {{minutes: number}[]} orders - Orders
+ * @param {Object} [options] - Histogram options
+ * @param {number} [options.bins] - Target number of bins
+ * @returns {{from: number, to: number, count: number}[]} Bins covering
+ *   [from, to) from 0 up to the longest order; empty if there are no orders
+ */
+export function buildOrderHistogram(
+  orders,
+  { bins = DEFAULT_HISTOGRAM_BINS } = {}
+) {
+  if (orders.length === 0) return [];
+
+  // Spreading a large CSV into Math.max overflows the call stack
+  const longest = orders.reduce(
+    (max, order) => Math.max(max, order.minutes),
+    0
+  );
+  const width = getCurveStep(longest, bins);
+
+  const histogram = Array.from(
+    { length: Math.floor(longest / width) + 1 },
+    (_, index) => ({ from: index * width, to: (index + 1) * width, count: 0 })
+  );
+  for (const { minutes } of orders) {
+    histogram[Math.floor(minutes / width)].count++;
+  }
+  return histogram;
+}
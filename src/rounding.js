@@ -0,0 +1,180 @@
+/**
+ * Price Rounding
+ * Per-currency rounding policies applied to converted totals: rounding to an
+ * increment, round-up only, charm prices ending in .99 and minimum order totals
+ */
+
+import { localizeTable } from "./i18n.js";
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+/** @constant {string} ROUNDING_STORAGE_KEY - localStorage key of rounding policies */
+export const ROUNDING_STORAGE_KEY = "audio-pricing.roundingPolicies";
+
+/** @constant {Object} ROUNDING_MODES - Rounding directions, keyed by id */
+export const ROUNDING_MODES = localizeTable(
+  { nearest: {}, up: {} },
+  "roundingModes"
+);
+
+/** @constant {number[]} ROUNDING_INCREMENTS - Increments offered in the UI */
+export const ROUNDING_INCREMENTS = [0.01, 1, 5, 10, 50, 100];
+
+/** @constant {Object} NO_ROUNDING - Policy that only rounds to cents */
+export const NO_ROUNDING = {
+  increment: 0.01,
+  mode: "nearest",
+  charm: false,
+  minimumTotal: 0,
+};
+
+/** @constant {Object} DEFAULT_ROUNDING_POLICIES - Policies used until changed, by currency */
+export const DEFAULT_ROUNDING_POLICIES = {
+  UAH: { ...NO_ROUNDING, increment: 5 },
+};
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+/**
+ * Checks a rounding policy for problems
+ * @param {Object} policy - Candidate policy
+ * @returns {string|null} Problem code ("increment", "mode", "charm" or
+ *   "minimum"), or null if the policy is valid
+ */
+export function validateRoundingPolicy(policy) {
+  if (!Number.isFinite(policy?.increment) || policy.increment < 0.01) {
+    return "increment";
+  }
+  if (!Object.hasOwn(ROUNDING_MODES, policy.mode ?? "")) return "mode";
+  if (typeof policy.charm !== "boolean") return "charm";
+  if (!Number.isFinite(policy.minimumTotal) || policy.minimumTotal < 0) {
+    return "minimum";
+  }
+  return null;
+}
+
+/**
+ * Fills missing policy fields with NO_ROUNDING values
+ * @param {Object} [policy] - Partial policy
+ * @returns {Object} Complete policy
+ * @throws {Error} If the resulting policy is invalid
+ */
+export function normalizeRoundingPolicy(policy = {}) {
+  const normalized = { ...NO_ROUNDING, ...policy };
+  const problem = validateRoundingPolicy(normalized);
+  if (problem) throw new Error(`Invalid rounding policy: ${problem}`);
+  return normalized;
+}
+
+/**
+ * Checks whether a policy changes anything beyond rounding to cents
+ * @param {Object} policy - Complete policy
+ * @returns {boolean} True if totals may be adjusted
+ */
+export function isRoundingActive(policy) {
+  return (
+    policy.increment !== NO_ROUNDING.increment ||
+    policy.mode !== NO_ROUNDING.mode ||
+    policy.charm ||
+    policy.minimumTotal > 0
+  );
+}
+
+// =============================================================================
+// ROUNDING
+// =============================================================================
+
+/**
+ * Rounds a value to a multiple of an increment
+ * @param {number} value - Value to round
+ * @param {number} increment - Increment
+ * @param {string} mode - "nearest" or "up"
+ * @returns {number} Rounded value
+ */
+function roundToIncrement(value, increment, mode) {
+  // Trim float noise so that e.g. 1235.0000000001 does not round up to 1240
+  const units = Math.round((value / increment) * 1e9) / 1e9;
+  return (mode === "up" ? Math.ceil(units) : Math.round(units)) * increment;
+}
+
+/**
+ * Applies a rounding policy to a converted total
+ *
+ * Charm prices round to whole units (or the increment, if larger) and then
+ * drop a cent, so 1234.57 becomes 1234.99 rounding up, or 1239.99 with an
+ * increment of 10. The minimum order total is applied last.
+ *
+ * @param {number} value - Total in the policy's currency
+ * @param {Object} policy - Rounding policy
+ * @returns {{raw: number, rounded: number, adjustment: number}} Raw total,
+ *   rounded total and their difference
+ */
+export function roundPrice(value, policy) {
+  const { increment, mode, charm, minimumTotal } = policy;
+
+  let rounded;
+  if (charm) {
+    const step = Math.max(increment, 1);
+    rounded = roundToIncrement(value + 0.01, step, mode) - 0.01;
+  } else {
+    rounded = roundToIncrement(value, increment, mode);
+  }
+  rounded = Math.max(rounded, minimumTotal);
+  rounded = Math.round(rounded * 100) / 100;
+
+  return { raw: value, rounded, adjustment: rounded - value };
+}
+
+// =============================================================================
+// PERSISTENCE
+// =============================================================================
+
+/**
+ * Loads rounding policies, falling back to DEFAULT_ROUNDING_POLICIES
+ * @param {Storage|null} storage - Storage to read
+ * @returns {Object} Complete policies keyed by currency code; invalid saved
+ *   policies are skipped
+ */
+export function loadRoundingPolicies(storage) {
+  const policies = { ...DEFAULT_ROUNDING_POLICIES };
+
+  let saved;
+  try {
+    saved = JSON.parse(storage?.getItem(ROUNDING_STORAGE_KEY));
+  } catch {
+    return policies;
+  }
+  if (typeof saved !== "object" || saved === null) return policies;
+
+  for (const [currency, policy] of Object.entries(saved)) {
+    if (validateRoundingPolicy(policy) === null) policies[currency] = policy;
+  }
+  return policies;
+}
+
+/**
+ * Saves rounding policies
+ * @param {Storage|null} storage - Storage to write
+ * @param {Object} policies - Policies keyed by currency code
+ */
+export function saveRoundingPolicies(storage, policies) {
+  try {
+    storage?.setItem(ROUNDING_STORAGE_KEY, JSON.stringify(policies));
+  } catch {
+    // Policies still apply for this session
+  }
+}
+
+/**
+ * Gets the policy of a currency
+ * @param {Object} policies - Policies keyed by currency code
+ * @param {string} currency - Currency code
+ * @returns {Object} The currency's policy, or NO_ROUNDING
+ */
+export function getRoundingPolicy(policies, currency) {
+  return Object.hasOwn(policies, currency) ? policies[currency] : NO_ROUNDING;
+}
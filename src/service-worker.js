@@ -0,0 +1,135 @@
+/**
+ * Service Worker
+ * Precaches the app shell so the installed calculator opens offline, and
+ * keeps the last exchange-rate responses to answer rate requests without a
+ * connection. vite-plugin-service-worker.js builds sw.js from this file,
+ * filling in the __NAME__ placeholders.
+ */
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+/** @constant {string} CACHE_VERSION - Hash of the build; each build gets its own shell cache */
+const CACHE_VERSION = __CACHE_VERSION__;
+
+/** @constant {string[]} PRECACHE_URLS - Build files, relative to this script */
+const PRECACHE_URLS = __PRECACHE_URLS__;
+
+/** @constant {string[]} RATE_URLS - Exchange-rate provider endpoints */
+const RATE_URLS = __RATE_URLS__;
+
+/** @constant {string} CACHED_AT_HEADER - Header telling the page when cached rates were fetched */
+const CACHED_AT_HEADER = __CACHED_AT_HEADER__;
+
+/** @constant {string} SHELL_CACHE_PREFIX - Name prefix of app shell caches */
+const SHELL_CACHE_PREFIX = "audio-pricing-shell-";
+
+/** @constant {string} SHELL_CACHE - App shell cache of this build */
+const SHELL_CACHE = SHELL_CACHE_PREFIX + CACHE_VERSION;
+
+/** @constant {string} RATES_CACHE - Last rate responses; kept across builds */
+const RATES_CACHE = "audio-pricing-rates";
+
+/** @constant {string} APP_PAGE - Page answering navigations that have no cached page of their own */
+const APP_PAGE = "index.html";
+
+// =============================================================================
+// LIFECYCLE
+// =============================================================================
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter(
+              (name) =>
+                name.startsWith(SHELL_CACHE_PREFIX) && name !== SHELL_CACHE
+            )
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// =============================================================================
+// REQUESTS
+// =============================================================================
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  if (RATE_URLS.includes(request.url)) {
+    event.respondWith(fetchRates(request));
+  } else if (new URL(request.url).origin !== self.location.origin) {
+    return;
+  } else if (request.mode === "navigate") {
+    event.respondWith(navigate(request));
+  } else {
+    event.respondWith(
+      caches
+        .match(request, { ignoreSearch: true })
+        .then((cached) => cached ?? fetch(request))
+    );
+  }
+});
+
+/**
+ * Loads a page from the network so updates show up, falling back to the
+ * cached page (or the app page) offline
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>} Page
+ */
+async function navigate(request) {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const cached =
+      (await caches.match(request, { ignoreSearch: true })) ??
+      (await caches.match(new URL(APP_PAGE, self.registration.scope)));
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * Fetches rates from the network and keeps a copy; offline, answers with the
+ * copy, stamped with when it was fetched
+ * @param {Request} request - Rate API request
+ * @returns {Promise<Response>} Rates
+ */
+async function fetchRates(request) {
+  const cache = await caches.open(RATES_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const headers = new Headers(response.headers);
+      headers.set(CACHED_AT_HEADER, new Date().toISOString());
+      const copy = new Response(await response.clone().blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers,
+      });
+      await cache.put(request, copy);
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+}
@@ -0,0 +1,20 @@
+/**
+ * Browser Storage
+ * localStorage access shared by the calculator page and the widget
+ */
+
+// =============================================================================
+// STORAGE
+// =============================================================================
+
+/**
+ * Gets localStorage, if the browser (or the widget's host page) allows it
+ * @returns {Storage|null} Storage or null when unavailable
+ */
+export function getStorage() {
+  try {
+    return window.localStorage;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,131 @@
+/**
+ * Tax
+ * VAT rates by client type and country, tax-inclusive or tax-exclusive
+ * prices, and the net/tax/gross split of a total
+ */
+
+import { localizeTable } from "./i18n.js";
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+/** @constant {string} TAX_STORAGE_KEY - localStorage key of tax settings */
+export const TAX_STORAGE_KEY = "audio-pricing.taxSettings";
+
+/**
+ * @constant {Object} TAX_PROFILES - VAT rates (in percent) by client type and
+ * country, keyed by id, in display order
+ */
+export const TAX_PROFILES = localizeTable(
+  {
+    none: { rate: 0 },
+    "ua-business": { rate: 20 },
+    "ua-individual": { rate: 20 },
+    "eu-business": { rate: 0 },
+    "pl-individual": { rate: 23 },
+    "cz-individual": { rate: 21 },
+    "de-individual": { rate: 19 },
+    export: { rate: 0 },
+  },
+  "taxProfiles"
+);
+
+/** @constant {Object} TAX_MODES - How formula prices relate to tax */
+export const TAX_MODES = localizeTable(
+  {
+    exclusive: { inclusive: false },
+    inclusive: { inclusive: true },
+  },
+  "taxModes"
+);
+
+/** @constant {Object} DEFAULT_TAX_SETTINGS - Tax settings used until changed */
+export const DEFAULT_TAX_SETTINGS = {
+  profile: "none",
+  rate: 0,
+  inclusive: false,
+};
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+/**
+ * Checks the tax part of a pricing config
+ * @param {*} tax - Candidate `{ rate, inclusive }`, rate in percent
+ * @returns {string|null} Problem field ("rate" or "inclusive"), or null
+ */
+export function validateTax(tax) {
+  if (!Number.isFinite(tax?.rate) || tax.rate < 0 || tax.rate > 100) {
+    return "rate";
+  }
+  if (typeof tax.inclusive !== "boolean") return "inclusive";
+  return null;
+}
+
+/**
+ * Checks saved tax settings
+ * @param {*} settings - Candidate `{ profile, rate, inclusive }`; the rate may
+ *   differ from the profile's, e.g. for reduced rates
+ * @returns {string|null} Problem field ("profile", "rate" or "inclusive"),
+ *   or null
+ */
+export function validateTaxSettings(settings) {
+  if (!Object.hasOwn(TAX_PROFILES, settings?.profile ?? "")) return "profile";
+  return validateTax(settings);
+}
+
+// =============================================================================
+// CALCULATIONS
+// =============================================================================
+
+/**
+ * Splits a price into net, tax and gross
+ * @param {number} price - Price as entered: gross if `inclusive`, else net
+ * @param {{rate: number, inclusive: boolean}} tax - Rate in percent and
+ *   whether the price includes tax
+ * @returns {{rate: number, inclusive: boolean, net: number, amount: number, gross: number}}
+ *   The split, with `amount` the tax itself
+ */
+export function applyTax(price, { rate, inclusive }) {
+  const factor = 1 + rate / 100;
+  const net = inclusive ? price / factor : price;
+  const gross = inclusive ? price : price * factor;
+  return { rate, inclusive, net, amount: gross - net, gross };
+}
+
+// =============================================================================
+// PERSISTENCE
+// =============================================================================
+
+/**
+ * Loads tax settings, falling back to DEFAULT_TAX_SETTINGS
+ * @param {Storage|null} storage - Storage to read
+ * @returns {Object} Valid settings
+ */
+export function loadTaxSettings(storage) {
+  try {
+    const saved = JSON.parse(storage?.getItem(TAX_STORAGE_KEY));
+    if (validateTaxSettings(saved) === null) {
+      const { profile, rate, inclusive } = saved;
+      return { profile, rate, inclusive };
+    }
+  } catch {
+    // Fall through to the defaults
+  }
+  return { ...DEFAULT_TAX_SETTINGS };
+}
+
+/**
+ * Saves tax settings
+ * @param {Storage|null} storage - Storage to write
+ * @param {Object} settings - Settings to save
+ */
+export function saveTaxSettings(storage, settings) {
+  try {
+    storage?.setItem(TAX_STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // Settings still apply for this session
+  }
+}
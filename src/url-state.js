@@ -0,0 +1,214 @@
+/**
+ * URL State
+ * Serializes calculator state into a shareable query string and restores it
+ */
+
+import {
+  FORMULAS,
+  DEFAULT_PRICING,
+  BASE_FEE_RANGE,
+  MINUTES_RANGE,
+  SCALE_RANGE,
+  BILLING_GRANULARITIES,
+  resolveFormula,
+  validateTiers,
+  TIER_MODES,
+} from "./pricing.js";
+import { ADDONS } from "./addons.js";
+import { formatDuration, parseDuration } from "./duration.js";
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+/** @constant {string} PARAM_PREFIX - Query key prefix of formula parameters */
+export const PARAM_PREFIX = "p.";
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Clamps a value into a range
+ * @param {number} value - Value to clamp
+ * @param {{min: number, max: number}} range - Allowed range
+ * @returns {number} Clamped value
+ */
+export function clamp(value, { min, max }) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Reads a finite number from query params
+ * @param {URLSearchParams} query - Query params
+ * @param {string} key - Query key
+ * @returns {number|undefined} Parsed number, or undefined if absent or invalid
+ */
+function readNumber(query, key) {
+  const raw = query.get(key);
+  if (raw === null || raw.trim() === "") return undefined;
+  const value = Number(raw);
+  return Number.isFinite(value) ? value : undefined;
+}
+
+/**
+ * Serializes a tier table as "upTo:rate" pairs, e.g. "500:0.04,:0.02"
+ * @param {Object[]} tiers - Tier table
+ * @returns {string} Serialized tiers
+ */
+function serializeTiers(tiers) {
+  return tiers.map((t) => `${t.upTo ?? ""}:${t.rate}`).join(",");
+}
+
+/**
+ * Parses a tier table serialized by serializeTiers
+ * @param {string} raw - Serialized tiers
+ * @returns {Object[]|undefined} Valid tier table, or undefined
+ */
+function parseTiers(raw) {
+  const tiers = raw.split(",").map((pair, index, pairs) => {
+    const [upTo, rate] = pair.split(":");
+    const isLast = index === pairs.length - 1;
+    return {
+      upTo: isLast || !upTo ? null : Number(upTo),
+      rate: rate ? Number(rate) : NaN,
+    };
+  });
+  return validateTiers(tiers) ? undefined : tiers;
+}
+
+// =============================================================================
+// SERIALIZATION
+// =============================================================================
+
+/**
+ * Serializes calculator state into a query string
+ * @param {Object} state - Calculator state
+ * @param {string} state.formula - Formula identifier
+ * @param {Object} state.params - Formula parameters keyed by name
+ * @param {string} [state.expression] - Custom formula expression
+ * @param {Object[]} [state.tiers] - Tier table of the tiered formula
+ * @param {string} [state.tierMode] - Tier semantics of the tiered formula
+ * @param {number} state.baseFee - Base setup fee
+ * @param {number} state.minutes - Audio duration in minutes, written as
+ *   h:mm:ss when it has seconds
+ * @param {string} state.currency - Selected currency code
+ * @param {string[]} [state.addons] - Selected add-on ids
+ * @param {number} [state.maxMinutes] - Upper bound of the duration scale
+ * @param {string} [state.granularity] - Billing granularity
+ * @returns {string} Query string without the leading "?"
+ */
+export function serializeState(state) {
+  const query = new URLSearchParams();
+  query.set("f", state.formula);
+  query.set(
+    "m",
+    Number.isInteger(state.minutes)
+      ? String(state.minutes)
+      : formatDuration(state.minutes * 60)
+  );
+  query.set("fee", String(state.baseFee));
+  query.set("cur", state.currency);
+
+  const formula = FORMULAS[state.formula];
+  if (formula?.custom && state.expression) {
+    query.set("expr", state.expression);
+  }
+  if (formula?.tiered && state.tiers) {
+    query.set("tiers", serializeTiers(state.tiers));
+    query.set("mode", state.tierMode);
+  }
+  if (state.addons?.length > 0) {
+    query.set("addons", state.addons.join(","));
+  }
+  if (state.maxMinutes !== undefined) {
+    query.set("max", String(state.maxMinutes));
+  }
+  if (state.granularity) query.set("bill", state.granularity);
+  for (const [name, value] of Object.entries(state.params ?? {})) {
+    query.set(PARAM_PREFIX + name, String(value));
+  }
+
+  return query.toString();
+}
+
+/**
+ * Restores calculator state from a query string.
+ * Unknown or malformed values are left out, numeric values are clamped to
+ * their slider bounds, so any URL yields a usable (partial) state.
+ * @param {string} search - Query string, with or without the leading "?"
+ * @param {Object} [options] - Parsing options
+ * @param {string[]} [options.currencies] - Accepted currency codes
+ * @returns {Object} Partial calculator state (see serializeState)
+ */
+export function parseState(search, { currencies = [] } = {}) {
+  const query = new URLSearchParams(search);
+  const state = {};
+
+  const formulaId = query.get("f");
+  if (formulaId && Object.hasOwn(FORMULAS, formulaId)) {
+    state.formula = formulaId;
+  }
+
+  const minutes = parseDuration(query.get("m") ?? "");
+  if (minutes !== null) state.minutes = clamp(minutes, MINUTES_RANGE);
+
+  const maxMinutes = readNumber(query, "max");
+  if (maxMinutes !== undefined) {
+    state.maxMinutes = Math.round(clamp(maxMinutes, SCALE_RANGE));
+  }
+
+  const granularity = query.get("bill");
+  if (granularity && Object.hasOwn(BILLING_GRANULARITIES, granularity)) {
+    state.granularity = granularity;
+  }
+
+  const baseFee = readNumber(query, "fee");
+  if (baseFee !== undefined) {
+    state.baseFee = Math.round(clamp(baseFee, BASE_FEE_RANGE));
+  }
+
+  const currency = query.get("cur")?.toUpperCase();
+  if (currency && currencies.includes(currency)) {
+    state.currency = currency;
+  }
+
+  if (query.has("addons")) {
+    const ids = query.get("addons").split(",");
+    state.addons = Object.keys(ADDONS).filter((id) => ids.includes(id));
+  }
+
+  const formula = FORMULAS[state.formula ?? DEFAULT_PRICING.formula];
+  let definition = formula;
+
+  if (formula.custom && query.has("expr")) {
+    try {
+      definition = resolveFormula({
+        formula: "custom",
+        expression: query.get("expr"),
+      });
+      state.expression = definition.equation;
+    } catch {
+      // Keep the default expression when the shared one does not parse
+      definition = resolveFormula({ formula: "custom" });
+    }
+  } else if (formula.custom) {
+    definition = resolveFormula({ formula: "custom" });
+  }
+
+  if (formula.tiered) {
+    const tiers = query.has("tiers") ? parseTiers(query.get("tiers")) : null;
+    if (tiers) state.tiers = tiers;
+    const mode = query.get("mode");
+    if (mode && Object.hasOwn(TIER_MODES, mode)) state.tierMode = mode;
+  }
+
+  const params = {};
+  for (const [name, spec] of Object.entries(definition.params)) {
+    const value = readNumber(query, PARAM_PREFIX + name);
+    if (value !== undefined) params[name] = clamp(value, spec);
+  }
+  if (Object.keys(params).length > 0) state.params = params;
+
+  return state;
+}
@@ -0,0 +1,117 @@
+/**
+ * Widget Configuration
+ * Reads the attributes of the embeddable <audio-price-calculator> element
+ * into calculator state and control visibility
+ */
+
+import { PARAM_PREFIX, parseState } from "./url-state.js";
+import { localizeTable, matchLanguage } from "./i18n.js";
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+/** @constant {string} WIDGET_TAG - Custom element name of the widget */
+export const WIDGET_TAG = "audio-price-calculator";
+
+/**
+ * @constant {Object} WIDGET_CONTROLS - Controls a host page can hide or lock,
+ * keyed by the name used in the `hide` and `lock` attributes. The minutes
+ * slider and the price are always shown.
+ */
+export const WIDGET_CONTROLS = localizeTable(
+  { formula: {}, params: {}, "base-fee": {}, currency: {}, addons: {} },
+  "widgetControls"
+);
+
+/** @constant {string} ALL_CONTROLS - Control list keyword selecting every control */
+const ALL_CONTROLS = "all";
+
+/**
+ * @constant {Object} STATE_ATTRIBUTES - Attributes that set calculator state,
+ * mapped to their share-link query keys (see serializeState)
+ */
+const STATE_ATTRIBUTES = {
+  formula: "f",
+  currency: "cur",
+  "base-fee": "fee",
+  minutes: "m",
+  addons: "addons",
+  "max-minutes": "max",
+  granularity: "bill",
+};
+
+/** @constant {string[]} WIDGET_ATTRIBUTES - Attributes the widget reacts to */
+export const WIDGET_ATTRIBUTES = [
+  "config",
+  ...Object.keys(STATE_ATTRIBUTES),
+  "params",
+  "exchange-rate",
+  "hide",
+  "lock",
+  "message-origin",
+  "lang",
+];
+
+// =============================================================================
+// PARSING
+// =============================================================================
+
+/**
+ * Parses a list of control names
+ * @param {string|null|undefined} value - Names separated by spaces or commas,
+ *   or "all"
+ * @returns {string[]} Known control names, in WIDGET_CONTROLS order
+ */
+export function parseControlList(value) {
+  const names = (value ?? "").toLowerCase().split(/[\s,]+/);
+  return Object.keys(WIDGET_CONTROLS).filter(
+    (name) => names.includes(name) || names.includes(ALL_CONTROLS)
+  );
+}
+
+/**
+ * Reads widget attributes.
+ * `config` takes the query string of a share link, so a configuration made
+ * in the full calculator can be pasted as is; the other state attributes
+ * override single values of it. `params` is a JSON object of formula
+ * parameters. Invalid values are ignored like in shared links.
+ * @param {Object} attributes - Attribute values by name (missing ones null or
+ *   undefined)
+ * @param {Object} [options] - Parsing options
+ * @param {string[]} [options.currencies] - Accepted currency codes
+ * @returns {{state: Object, exchangeRate: number|null, hidden: string[], locked: string[], messageOrigin: string|null, language: string|null}}
+ *   Partial calculator state (see parseState), a fixed rate per USD if
+ *   given, hidden and locked controls, the origin quotes are posted to, and
+ *   the language if `lang` is given
+ */
+export function parseWidgetAttributes(attributes, { currencies = [] } = {}) {
+  const query = new URLSearchParams(attributes.config ?? "");
+  for (const [attribute, key] of Object.entries(STATE_ATTRIBUTES)) {
+    const value = attributes[attribute];
+    if (value !== null && value !== undefined) query.set(key, value);
+  }
+
+  let params = null;
+  try {
+    params = JSON.parse(attributes.params ?? "null");
+  } catch {
+    // Malformed params leave the config's or the defaults in place
+  }
+  if (typeof params === "object" && params !== null) {
+    for (const [name, value] of Object.entries(params)) {
+      query.set(PARAM_PREFIX + name, String(value));
+    }
+  }
+
+  const exchangeRate = Number(attributes["exchange-rate"] ?? NaN);
+  return {
+    state: parseState(query.toString(), { currencies }),
+    exchangeRate:
+      Number.isFinite(exchangeRate) && exchangeRate > 0 ? exchangeRate : null,
+    hidden: parseControlList(attributes.hide),
+    locked: parseControlList(attributes.lock),
+    messageOrigin: attributes["message-origin"] || null,
+    language: attributes.lang ? matchLanguage([attributes.lang]) : null,
+  };
+}
@@ -0,0 +1,497 @@
+/**
+ * Calculator Widget
+ * The <audio-price-calculator> custom element for partner sites: a minutes
+ * slider and the price, plus formula controls the host can hide or lock,
+ * rendered in a shadow root and reporting quotes to the host page
+ */
+
+import widgetStyles from "./widget.css?inline";
+import {
+  FORMULAS,
+  DEFAULT_PRICING,
+  BASE_FEE_RANGE,
+  MINUTES_RANGE,
+  DEFAULT_CURVE_MAX,
+  DEFAULT_MINUTES,
+  DEFAULT_GRANULARITY,
+  calculatePrice,
+  resolveFormula,
+  resolveParams,
+} from "./pricing.js";
+import { ADDONS } from "./addons.js";
+import {
+  FALLBACK_RATES,
+  fetchRates,
+  loadCachedRates,
+  saveCachedRates,
+  isStale,
+} from "./exchange-rates.js";
+import { getStorage } from "./storage.js";
+import {
+  DEFAULT_CURRENCY,
+  listAvailableCurrencies,
+  getCurrencyName,
+  formatMoney,
+} from "./currency.js";
+import {
+  DEFAULT_ROUNDING_POLICIES,
+  getRoundingPolicy,
+  isRoundingActive,
+} from "./rounding.js";
+import { createQuote } from "./quote.js";
+import { formatDuration } from "./duration.js";
+import { matchLanguage, withLanguage, t, translateElements } from "./i18n.js";
+import {
+  WIDGET_TAG,
+  WIDGET_ATTRIBUTES,
+  parseWidgetAttributes,
+} from "./widget-config.js";
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+/** @constant {string} QUOTE_MESSAGE_TYPE - `type` of quotes posted to a parent window */
+export const QUOTE_MESSAGE_TYPE = "audio-price-calculator:quote-select";
+
+/**
+ * @constant {string} TEMPLATE - Widget markup; controls carry their
+ * WIDGET_CONTROLS name, texts their message key
+ */
+const TEMPLATE = `
+  <div class="widget" part="container">
+    <label class="field" data-control="formula">
+      <span class="label" data-i18n="widgetControls.formula.name"></span>
+      <select name="formula"></select>
+    </label>
+    <div class="field params" data-control="params"></div>
+    <label class="field" data-control="base-fee">
+      <span class="label">
+        <span data-i18n="widgetControls.base-fee.name"></span>
+        <output></output>
+      </span>
+      <input
+        type="range"
+        name="baseFee"
+        min="${BASE_FEE_RANGE.min}"
+        max="${BASE_FEE_RANGE.max}"
+        step="${BASE_FEE_RANGE.step}"
+      />
+    </label>
+    <label class="field" data-control="currency">
+      <span class="label" data-i18n="widgetControls.currency.name"></span>
+      <select name="currency"></select>
+    </label>
+    <fieldset class="field" data-control="addons">
+      <legend class="label" data-i18n="widgetControls.addons.name"></legend>
+    </fieldset>
+    <div class="field">
+      <span class="label" data-i18n="widget.minutes"></span>
+      <div class="minutes">
+        <input
+          type="range"
+          name="minutes"
+          min="${MINUTES_RANGE.min}"
+          step="${MINUTES_RANGE.step}"
+          data-i18n-aria-label="widget.duration"
+        />
+        <input
+          type="number"
+          name="minutes"
+          min="${MINUTES_RANGE.min}"
+          step="${MINUTES_RANGE.step}"
+          data-i18n-aria-label="widget.minutes"
+        />
+      </div>
+    </div>
+    <div class="price" aria-live="polite">
+      <span class="total" part="total"></span>
+      <span class="rate"></span>
+    </div>
+    <button
+      type="button"
+      class="select-btn"
+      part="button"
+      data-i18n="widget.select"
+    ></button>
+  </div>
+`;
+
+// =============================================================================
+// EXCHANGE RATES
+// =============================================================================
+
+/** @type {Object|null} rateSnapshot - Rates shared by all widgets on the page */
+let rateSnapshot = loadCachedRates(getStorage());
+
+/** @type {string} rateSource - Origin of rateSnapshot ("api", "cache" or "fallback") */
+let rateSource = rateSnapshot ? "cache" : "fallback";
+
+/** @type {Promise<void>|null} rateRequest - Pending or finished rate fetch */
+let rateRequest = null;
+
+/**
+ * Gets market rates per USD
+ * @returns {Object} Rates keyed by currency code
+ */
+function getRates() {
+  return { ...FALLBACK_RATES, ...rateSnapshot?.rates };
+}
+
+/**
+ * Fetches rates once per page unless cached ones are still fresh
+ * @returns {Promise<void>} Settles when rates are as fresh as they get
+ */
+function refreshRates() {
+  if (rateSnapshot && !isStale(rateSnapshot)) return Promise.resolve();
+  rateRequest ??= fetchRates()
+    .then((snapshot) => {
+      rateSnapshot = snapshot;
+      rateSource = "api";
+      saveCachedRates(getStorage(), snapshot);
+    })
+    .catch((error) => {
+      console.error("Failed to fetch exchange rates:", error);
+    });
+  return rateRequest;
+}
+
+// =============================================================================
+// ELEMENT
+// =============================================================================
+
+/**
+ * Embeddable price calculator.
+ *
+ * Attributes (see parseWidgetAttributes): `config` (share link query),
+ * `formula`, `params` (JSON), `base-fee`, `currency`, `minutes`, `addons`,
+ * `max-minutes` (end of the slider), `granularity` (billing of durations
+ * with seconds), `exchange-rate` (fixed rate per USD; locks the currency),
+ * `hide` and `lock` (control names or "all"), `message-origin`, `lang`
+ * (the page's language by default).
+ *
+ * Events: `quote-change` whenever the price changes and `quote-select` when
+ * the client confirms it, both with the quote (see createQuote) as
+ * `detail.quote`. With `message-origin` set inside a frame, confirmed quotes
+ * are also posted to the parent window as `{ type, quote }`.
+ */
+export class AudioPriceCalculator extends HTMLElement {
+  static observedAttributes = WIDGET_ATTRIBUTES;
+
+  /** @type {Object} Calculator state, like the full page's */
+  #state = null;
+
+  /** @type {Object} Parsed attributes */
+  #options = null;
+
+  /** @type {Object|null} Quote for the current state */
+  #quote = null;
+
+  /** @type {string} Language of the widget's texts and numbers */
+  #language = null;
+
+  /** @type {boolean} Whether attribute changes wait for a #configure call */
+  #configureQueued = false;
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: "open" });
+    this.shadowRoot.innerHTML = `<style>${widgetStyles}</style>${TEMPLATE}`;
+    this.shadowRoot.addEventListener("input", (e) =>
+      withLanguage(this.#language, () => this.#handleInput(e))
+    );
+    this.shadowRoot
+      .querySelector(".select-btn")
+      .addEventListener("click", () => this.#selectQuote());
+  }
+
+  connectedCallback() {
+    this.#configure();
+    if (this.#options.exchangeRate === null) {
+      refreshRates().then(() => {
+        if (!this.isConnected) return;
+        withLanguage(this.#language, () => {
+          this.#renderControls();
+          this.#update();
+        });
+      });
+    }
+  }
+
+  /**
+   * Reconfigures once per batch of attribute changes, in a microtask, so
+   * setting several attributes in a row rebuilds the controls once
+   */
+  attributeChangedCallback() {
+    if (!this.isConnected || this.#configureQueued) return;
+    this.#configureQueued = true;
+    queueMicrotask(() => {
+      this.#configureQueued = false;
+      if (this.isConnected) this.#configure();
+    });
+  }
+
+  /**
+   * Quote for the current state
+   * @returns {Object|null} Quote (see createQuote)
+   */
+  get quote() {
+    return this.#quote;
+  }
+
+  /**
+   * Resets state from attributes, keeping the chosen duration unless the
+   * `minutes` attribute sets one, and rebuilds the controls
+   */
+  #configure() {
+    const attributes = Object.fromEntries(
+      WIDGET_ATTRIBUTES.map((name) => [name, this.getAttribute(name)])
+    );
+    this.#options = parseWidgetAttributes(attributes, {
+      currencies: listAvailableCurrencies(getRates()),
+    });
+    this.#language =
+      this.#options.language ?? matchLanguage([document.documentElement.lang]);
+
+    const { state } = this.#options;
+    const maxMinutes = state.maxMinutes ?? DEFAULT_CURVE_MAX;
+    this.#state = {
+      formula: state.formula ?? DEFAULT_PRICING.formula,
+      expression: state.expression,
+      tiers: state.tiers,
+      tierMode: state.tierMode,
+      params: {},
+      baseFee: state.baseFee ?? DEFAULT_PRICING.baseFee,
+      minutes: Math.min(
+        maxMinutes,
+        state.minutes ?? this.#state?.minutes ?? DEFAULT_MINUTES
+      ),
+      maxMinutes,
+      granularity: state.granularity ?? DEFAULT_GRANULARITY,
+      currency: state.currency ?? DEFAULT_CURRENCY,
+      addons: state.addons ?? [],
+    };
+    this.#state.params = resolveParams(
+      resolveFormula(this.#state),
+      state.params
+    );
+
+    withLanguage(this.#language, () => {
+      translateElements(this.shadowRoot);
+      this.#renderControls();
+      this.#update();
+    });
+  }
+
+  /**
+   * Builds the pricing config of the current state
+   * @returns {Object} Pricing config
+   */
+  #getPricingConfig() {
+    const { minutes, maxMinutes, ...pricing } = this.#state;
+    const rounding = getRoundingPolicy(
+      DEFAULT_ROUNDING_POLICIES,
+      pricing.currency
+    );
+    return {
+      ...pricing,
+      exchangeRate:
+        this.#options.exchangeRate ?? getRates()[pricing.currency] ?? 1,
+      ...(isRoundingActive(rounding) && { rounding }),
+    };
+  }
+
+  /**
+   * Fills the controls from state and applies hidden and locked controls
+   */
+  #renderControls() {
+    const root = this.shadowRoot;
+    const { hidden, locked, exchangeRate } = this.#options;
+    const formula = resolveFormula(this.#state);
+
+    const formulaSelect = root.querySelector('[name="formula"]');
+    formulaSelect.replaceChildren(
+      ...Object.entries(FORMULAS)
+        .filter(([id, f]) => !f.custom || id === this.#state.formula)
+        .map(([id, f]) => new Option(f.name, id))
+    );
+    formulaSelect.value = this.#state.formula;
+
+    const params = root.querySelector(".params");
+    params.replaceChildren(
+      ...Object.entries(formula.params).map(([name, spec]) => {
+        const value = this.#state.params[name];
+        const label = document.createElement("label");
+        label.className = "field";
+        label.innerHTML = `
+          <span class="label">${name} <output></output></span>
+          <input
+            type="range"
+            name="param"
+            data-param="${name}"
+            min="${Math.min(spec.min, value)}"
+            max="${Math.max(spec.max, value)}"
+            step="${spec.step}"
+          />
+        `;
+        label.querySelector("input").value = value;
+        label.querySelector("output").textContent = value;
+        return label;
+      })
+    );
+
+    const baseFee = root.querySelector('[name="baseFee"]');
+    baseFee.value = this.#state.baseFee;
+
+    for (const input of root.querySelectorAll('[name="minutes"]')) {
+      input.max = this.#state.maxMinutes;
+    }
+
+    const currencySelect = root.querySelector('[name="currency"]');
+    const currencies = listAvailableCurrencies(getRates());
+    currencySelect.replaceChildren(
+      ...(exchangeRate === null ? currencies : [this.#state.currency]).map(
+        (code) => new Option(`${code} — ${getCurrencyName(code)}`, code)
+      )
+    );
+    currencySelect.value = this.#state.currency;
+
+    const addons = root.querySelector('[data-control="addons"]');
+    addons.replaceChildren(
+      addons.querySelector("legend"),
+      ...Object.entries(ADDONS).map(([id, addon]) => {
+        const label = document.createElement("label");
+        label.className = "addon";
+        label.innerHTML = `<input type="checkbox" name="addon" value="${id}" />`;
+        label.querySelector("input").checked = this.#state.addons.includes(id);
+        label.append(addon.name);
+        return label;
+      })
+    );
+
+    for (const field of root.querySelectorAll("[data-control]")) {
+      const control = field.dataset.control;
+      const isLocked =
+        locked.includes(control) ||
+        (control === "currency" && exchangeRate !== null);
+      field.hidden =
+        hidden.includes(control) ||
+        (control === "params" && Object.keys(formula.params).length === 0);
+      field
+        .querySelectorAll("input, select")
+        .forEach((input) => (input.disabled = isLocked));
+    }
+  }
+
+  /**
+   * Applies a control change to state
+   * @param {Event} e - Input event from the shadow root
+   */
+  #handleInput(e) {
+    const { name, value } = e.target;
+    const root = this.shadowRoot;
+
+    if (name === "formula") {
+      this.#state.formula = value;
+      this.#state.params = resolveParams(resolveFormula(this.#state));
+      this.#renderControls();
+    } else if (name === "param") {
+      const param = e.target.dataset.param;
+      this.#state.params = { ...this.#state.params, [param]: Number(value) };
+      e.target.previousElementSibling.querySelector("output").textContent =
+        value;
+    } else if (name === "baseFee") {
+      this.#state.baseFee = Number(value);
+    } else if (name === "currency") {
+      this.#state.currency = value;
+    } else if (name === "addon") {
+      this.#state.addons = [
+        ...root.querySelectorAll('[name="addon"]:checked'),
+      ].map((input) => input.value);
+    } else if (name === "minutes") {
+      if (value === "") return;
+      const minutes = Math.round(Number(value));
+      if (!Number.isFinite(minutes)) return;
+      this.#state.minutes = Math.min(
+        this.#state.maxMinutes,
+        Math.max(MINUTES_RANGE.min, minutes)
+      );
+    } else {
+      return;
+    }
+
+    this.#update();
+  }
+
+  /**
+   * Prices the current state, shows it and reports the quote
+   */
+  #update() {
+    const root = this.shadowRoot;
+    const config = this.#getPricingConfig();
+    const price = calculatePrice(this.#state.minutes, config);
+
+    root.querySelector('[data-control="base-fee"] output').textContent =
+      formatMoney(price.converted.baseFee, config.currency);
+    for (const input of root.querySelectorAll('[name="minutes"]')) {
+      if (input !== root.activeElement) {
+        input.value = Number(this.#state.minutes.toFixed(2));
+      }
+    }
+    root.querySelector(".total").textContent = formatMoney(
+      price.converted.total,
+      config.currency
+    );
+    const duration = Number.isInteger(price.minutes)
+      ? t("units.min", { value: price.minutes })
+      : formatDuration(price.minutes * 60);
+    const rate = t("units.perMinute", {
+      price: formatMoney(price.converted.rate, config.currency, {
+        digits: 4,
+      }),
+    });
+    root.querySelector(".rate").textContent = `${duration}, ${rate}`;
+
+    const fixedRate = this.#options.exchangeRate !== null;
+    this.#quote = createQuote(price, {
+      number: null,
+      issuedAt: new Date(),
+      formulaName: resolveFormula(config).name,
+      rateSource: fixedRate ? "manual" : rateSource,
+      rateUpdatedAt:
+        fixedRate || !rateSnapshot ? null : new Date(rateSnapshot.fetchedAt),
+    });
+    this.dispatchEvent(
+      new CustomEvent("quote-change", {
+        detail: { quote: this.#quote },
+        bubbles: true,
+        composed: true,
+      })
+    );
+  }
+
+  /**
+   * Reports the current quote as the client's choice
+   */
+  #selectQuote() {
+    this.dispatchEvent(
+      new CustomEvent("quote-select", {
+        detail: { quote: this.#quote },
+        bubbles: true,
+        composed: true,
+      })
+    );
+
+    const origin = this.#options.messageOrigin;
+    if (origin && window.parent !== window) {
+      window.parent.postMessage(
+        { type: QUOTE_MESSAGE_TYPE, quote: this.#quote },
+        origin
+      );
+    }
+  }
+}
+
+if (!customElements.get(WIDGET_TAG)) {
+  customElements.define(WIDGET_TAG, AudioPriceCalculator);
+}
@@ -0,0 +1,69 @@
+import { describe, it, expect } from "vitest";
+import { ADDONS, validateAddons, calculateAddons } from "../src/addons.js";
+import { calculatePrice, buildPriceCurve } from "../src/pricing.js";
+
+describe("validateAddons", () => {
+  it.each([
+    [["rush", "stems"], null],
+    [[], null],
+    ["rush", "type"],
+    [["rush", "gold-plating"], "unknown"],
+    [["rush", "rush"], "duplicate"],
+  ])("reports %j as %s", (addons, code) => {
+    expect(validateAddons(addons)).toBe(code);
+  });
+});
+
+describe("calculateAddons", () => {
+  it("prices each add-on type", () => {
+    const lines = calculateAddons(200, 40, ["noise", "music", "stems"]);
+    expect(lines.map(({ id, cost }) => [id, cost])).toEqual([
+      ["noise", 10],
+      ["music", 2],
+      ["stems", ADDONS.stems.value],
+    ]);
+  });
+
+  it("does not compound percentages", () => {
+    const lines = calculateAddons(0, 100, ["rush", "noise"]);
+    expect(lines.map((line) => line.cost)).toEqual([25, 50]);
+  });
+
+  it("rejects unknown add-ons", () => {
+    expect(() => calculateAddons(10, 10, ["bogus"])).toThrow(
+      "Invalid add-ons: unknown"
+    );
+  });
+});
+
+describe("pricing with add-ons", () => {
+  const config = { baseFee: 10, currency: "EUR", exchangeRate: 0.5 };
+
+  it("adds add-on lines on top of the base formula", () => {
+    const base = calculatePrice(1000, config);
+    const price = calculatePrice(1000, {
+      ...config,
+      addons: ["rush", "transcript"],
+    });
+    expect(price.addons.map((line) => line.id)).toEqual(["rush", "transcript"]);
+    expect(price.addonsCost).toBeCloseTo(base.total * 0.5 + 20, 10);
+    expect(price.total).toBeCloseTo(base.total + price.addonsCost, 10);
+    expect(price.converted.addons[1].cost).toBeCloseTo(10, 10);
+    expect(price.converted.total).toBeCloseTo(price.total * 0.5, 10);
+  });
+
+  it("leaves prices alone without add-ons", () => {
+    const price = calculatePrice(1000, { ...config, addons: [] });
+    expect(price).not.toHaveProperty("addons");
+    expect(price.addonsCost).toBe(0);
+  });
+
+  it("raises the chart curve", () => {
+    const options = { max: 100, step: 50 };
+    const base = buildPriceCurve(config, options);
+    const curve = buildPriceCurve({ ...config, addons: ["stems"] }, options);
+    curve.forEach((point, i) => {
+      expect(point.y - base[i].y).toBeCloseTo(ADDONS.stems.value, 10);
+    });
+  });
+});
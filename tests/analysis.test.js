@@ -0,0 +1,109 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildCostCurves,
+  findDecreasingRanges,
+  getSafeParamBounds,
+  clampParams,
+} from "../src/analysis.js";
+import { FORMULAS, SCALE_RANGE, calculatePrice } from "../src/pricing.js";
+
+describe("buildCostCurves", () => {
+  it("samples marginal and average cost in the config currency", () => {
+    const config = { formula: "power", baseFee: 10, exchangeRate: 2 };
+    const [zero, point] = buildCostCurves(config, { max: 100, step: 100 });
+    const total = (x) => calculatePrice(x, config).total * 2;
+    expect(zero.average).toBeNull();
+    expect(point.x).toBe(100);
+    expect(point.marginal).toBeCloseTo(total(101) - total(100), 10);
+    expect(point.average).toBeCloseTo(total(100) / 100, 10);
+  });
+});
+
+describe("findDecreasingRanges", () => {
+  it("finds nothing on increasing curves", () => {
+    expect(findDecreasingRanges({ formula: "hyperbolic" })).toEqual([]);
+  });
+
+  it("flags power curves with B above 1", () => {
+    const config = { formula: "power", params: { A: 2, B: 1.2 } };
+    const ranges = findDecreasingRanges(config, { max: 1000 });
+    expect(ranges).toHaveLength(1);
+    expect(ranges[0]).toMatchObject({ from: 1, to: 1000 });
+    expect(ranges[0].drop).toBeCloseTo(2 - 2 * 1000 ** -0.2, 10);
+  });
+
+  it("flags the logarithmic curve before its floor", () => {
+    const config = { formula: "logarithmic", params: { A: 0.02, B: 0.02 } };
+    const [range] = findDecreasingRanges(config, { max: 100 });
+    expect(range.from).toBe(1);
+    expect(range.to).toBeLessThan(5);
+  });
+
+  it("flags all-units tier jumps", () => {
+    const config = {
+      formula: "tiered",
+      tiers: [
+        { upTo: 100, rate: 0.1 },
+        { upTo: null, rate: 0.05 },
+      ],
+      tierMode: "all-units",
+    };
+    const ranges = findDecreasingRanges(config, { max: 200 });
+    expect(ranges).toHaveLength(1);
+    expect(ranges[0]).toMatchObject({ from: 100, to: 101 });
+    expect(ranges[0].drop).toBeCloseTo(4.95, 10);
+  });
+
+  it("finds drops across the widest scale", () => {
+    const max = SCALE_RANGE.max;
+    const power = { formula: "power", params: { A: 2, B: 1.2 } };
+    expect(findDecreasingRanges(power, { max })).toMatchObject([
+      { from: 1, to: max },
+    ]);
+
+    const promo = {
+      formula: "hyperbolic",
+      promo: {
+        code: "BULK",
+        type: "fixed",
+        value: 5,
+        minMinutes: 4321,
+        expiresAt: null,
+        currencies: null,
+      },
+    };
+    const [range] = findDecreasingRanges(promo, { max });
+    expect(range).toMatchObject({ from: 4320, to: 4321 });
+    expect(range.drop).toBeGreaterThan(4.9);
+  });
+});
+
+describe("getSafeParamBounds", () => {
+  it("has no region for custom and tiered formulas", () => {
+    expect(getSafeParamBounds("custom", {})).toBeNull();
+    expect(getSafeParamBounds("tiered", {})).toBeNull();
+    expect(getSafeParamBounds("hyperbolic", {})).toEqual({});
+  });
+
+  it("caps the power exponent at 1", () => {
+    expect(getSafeParamBounds("power", { A: 2, B: 1.1 })).toEqual({
+      B: { min: FORMULAS.power.params.B.min, max: 1 },
+    });
+  });
+
+  it.each([
+    ["power", { A: 5, B: 1.2 }],
+    ["power", { A: 0.5, B: 1.2 }],
+    ["logarithmic", { A: 0.02, B: 0.02 }],
+    ["logarithmic", { A: 0.08, B: 0.02 }],
+    ["logarithmic", { A: 0.15, B: 0.02 }],
+  ])("keeps %s %j increasing once clamped", (formula, params) => {
+    const max = 6000;
+    const bounds = getSafeParamBounds(formula, params, { max });
+    const safe = clampParams(params, bounds);
+    expect(safe.B).toBeLessThan(params.B);
+    expect(findDecreasingRanges({ formula, params: safe }, { max })).toEqual(
+      []
+    );
+  });
+});
@@ -0,0 +1,273 @@
+import { describe, it, expect } from "vitest";
+import {
+  AudioDurationError,
+  readAudioDuration,
+  sumDurations,
+} from "../src/audio-duration.js";
+
+/**
+ * Builds a byte array from strings, numbers and nested arrays
+ * @param {...(string|number|number[]|Uint8Array)} parts - ASCII text, single
+ *   bytes or byte arrays
+ * @returns {Uint8Array} Concatenated bytes
+ */
+function bytes(...parts) {
+  const out = [];
+  for (const part of parts) {
+    if (typeof part === "string") {
+      for (const char of part) out.push(char.charCodeAt(0));
+    } else if (typeof part === "number") {
+      out.push(part);
+    } else {
+      out.push(...part);
+    }
+  }
+  return new Uint8Array(out);
+}
+
+const u16le = (n) => [n & 0xff, (n >> 8) & 0xff];
+const u32le = (n) => [n & 0xff, (n >> 8) & 0xff, (n >> 16) & 0xff, n >>> 24];
+const u32be = (n) => u32le(n).reverse();
+const zeros = (n) => new Array(n).fill(0);
+
+describe("WAV", () => {
+  const fmt = bytes(
+    "fmt ",
+    u32le(16),
+    u16le(1), // PCM
+    u16le(2), // channels
+    u32le(44100),
+    u32le(44100 * 4), // byte rate
+    u16le(4),
+    u16le(16)
+  );
+
+  it("divides the data size by the byte rate", async () => {
+    const file = new Blob([
+      bytes("RIFF", u32le(0), "WAVE"),
+      fmt,
+      bytes("LIST", u32le(3), "abc", 0), // odd chunk with pad byte
+      bytes("data", u32le(44100 * 4 * 2)),
+      new Uint8Array(44100 * 4 * 2),
+    ]);
+    expect(await readAudioDuration(file)).toEqual({
+      format: "wav",
+      seconds: 2,
+    });
+  });
+
+  it("uses the file length for streamed files without a data size", async () => {
+    const file = new Blob([
+      bytes("RIFF", u32le(0), "WAVE"),
+      fmt,
+      bytes("data", u32le(0xffffffff)),
+      new Uint8Array(44100 * 2),
+    ]);
+    expect((await readAudioDuration(file)).seconds).toBe(0.5);
+  });
+
+  it("reports files without a data chunk as corrupt", async () => {
+    const file = new Blob([bytes("RIFF", u32le(0), "WAVE"), fmt]);
+    await expect(readAudioDuration(file)).rejects.toMatchObject({
+      code: "corrupt",
+    });
+  });
+});
+
+describe("FLAC", () => {
+  it("reads total samples from STREAMINFO", async () => {
+    // 48 kHz, 2 channels, 16 bits, 144000 samples
+    const sampleRate = 48000;
+    const total = 144000;
+    const file = new Blob([
+      bytes(
+        "fLaC",
+        0x80, // last block, STREAMINFO
+        0,
+        0,
+        34,
+        zeros(10),
+        (sampleRate >> 12) & 0xff,
+        (sampleRate >> 4) & 0xff,
+        ((sampleRate & 0x0f) << 4) | (1 << 1) | 0, // channels-1 = 1, bps-1 = 15
+        0xf0, // low bit of bps, high 4 bits of total samples
+        u32be(total),
+        zeros(16)
+      ),
+    ]);
+    expect(await readAudioDuration(file)).toEqual({
+      format: "flac",
+      seconds: 3,
+    });
+  });
+
+  it("reports unknown length as no-duration", async () => {
+    const file = new Blob([
+      bytes("fLaC", 0x80, 0, 0, 34, zeros(10), 0x0b, 0xb8, 0x02, 0xf0),
+      bytes(zeros(4 + 16)),
+    ]);
+    await expect(readAudioDuration(file)).rejects.toMatchObject({
+      code: "no-duration",
+    });
+  });
+});
+
+describe("Ogg", () => {
+  /**
+   * Builds an Ogg page with a single packet
+   * @param {number} granule - Granule position (-1 for none)
+   * @param {Uint8Array} packet - Packet bytes
+   * @returns {Uint8Array} Page bytes
+   */
+  function page(granule, packet) {
+    const low = granule === -1 ? 0xffffffff : granule;
+    const high = granule === -1 ? 0xffffffff : 0;
+    return bytes(
+      "OggS",
+      0,
+      0,
+      u32le(low),
+      u32le(high),
+      zeros(12),
+      1,
+      packet.length,
+      packet
+    );
+  }
+
+  it("divides the last granule position by the Vorbis sample rate", async () => {
+    const ident = bytes("\x01vorbis", u32le(0), 2, u32le(44100), zeros(13));
+    const file = new Blob([
+      page(0, ident),
+      page(44100, bytes(zeros(100))),
+      page(441000, bytes(zeros(100))),
+      page(-1, bytes(zeros(10))),
+    ]);
+    expect(await readAudioDuration(file)).toEqual({
+      format: "ogg",
+      seconds: 10,
+    });
+  });
+
+  it("subtracts the Opus pre-skip", async () => {
+    const head = bytes("OpusHead", 1, 2, u16le(312), u32le(48000), zeros(3));
+    const file = new Blob([page(0, head), page(96312, bytes(zeros(50)))]);
+    expect((await readAudioDuration(file)).seconds).toBe(2);
+  });
+
+  it("rejects other Ogg codecs", async () => {
+    const file = new Blob([page(0, bytes("\x80theora", zeros(20)))]);
+    await expect(readAudioDuration(file)).rejects.toMatchObject({
+      code: "unsupported",
+    });
+  });
+});
+
+describe("MP3", () => {
+  // MPEG-1 Layer III, 128 kbps, 44.1 kHz, stereo, no padding: 417 bytes
+  const header = [0xff, 0xfb, 0x90, 0x00];
+  const frame = bytes(header, zeros(413));
+
+  it("estimates constant-bitrate files from the file size", async () => {
+    const id3 = bytes("ID3", 4, 0, 0, 0, 0, 0, 20, zeros(20));
+    const frames = new Array(100).fill(frame);
+    const file = new Blob([id3, ...frames, bytes("TAG", zeros(125))]);
+    const { format, seconds } = await readAudioDuration(file);
+    expect(format).toBe("mp3");
+    expect(seconds).toBeCloseTo((417 * 100 * 8) / 128000, 10);
+  });
+
+  it("reads the frame count from a Xing header", async () => {
+    const xing = bytes(header, zeros(32), "Xing", u32be(1), u32be(1000));
+    const file = new Blob([xing, ...new Array(10).fill(frame)]);
+    expect((await readAudioDuration(file)).seconds).toBeCloseTo(
+      (1000 * 1152) / 44100,
+      10
+    );
+  });
+
+  it("reports files without frames as corrupt", async () => {
+    const file = new Blob([bytes("ID3", 4, 0, 0, 0, 0, 0, 0, zeros(50))]);
+    await expect(readAudioDuration(file)).rejects.toMatchObject({
+      code: "corrupt",
+    });
+  });
+});
+
+describe("M4A", () => {
+  /**
+   * Builds an ISO media box
+   * @param {string} type - Box type
+   * @param {...Uint8Array} children - Payload
+   * @returns {Uint8Array} Box bytes
+   */
+  function box(type, ...children) {
+    const payload = bytes(...children);
+    return bytes(u32be(8 + payload.length), type, payload);
+  }
+
+  const ftyp = box("ftyp", "M4A ", u32be(0), "isom");
+
+  it("reads version 0 movie headers after the media data", async () => {
+    const mvhd = box("mvhd", 0, zeros(3), zeros(8), u32be(600), u32be(45000));
+    const file = new Blob([
+      ftyp,
+      box("mdat", zeros(1000)),
+      box("moov", box("udta"), mvhd),
+    ]);
+    expect(await readAudioDuration(file)).toEqual({
+      format: "m4a",
+      seconds: 75,
+    });
+  });
+
+  it("reads version 1 movie headers with 64-bit durations", async () => {
+    const mvhd = box(
+      "mvhd",
+      1,
+      zeros(3),
+      zeros(16),
+      u32be(1000),
+      u32be(1),
+      u32be(0)
+    );
+    const file = new Blob([ftyp, box("moov", mvhd)]);
+    expect((await readAudioDuration(file)).seconds).toBe(2 ** 32 / 1000);
+  });
+
+  it("reports files without a movie header as corrupt", async () => {
+    const file = new Blob([ftyp, box("mdat", zeros(10))]);
+    await expect(readAudioDuration(file)).rejects.toMatchObject({
+      code: "corrupt",
+    });
+  });
+});
+
+describe("readAudioDuration", () => {
+  it("rejects unknown formats", async () => {
+    const error = await readAudioDuration(new Blob(["plain text file"])).catch(
+      (e) => e
+    );
+    expect(error).toBeInstanceOf(AudioDurationError);
+    expect(error.code).toBe("unsupported");
+  });
+
+  it("reports truncated headers as corrupt", async () => {
+    const file = new Blob([bytes("RIFF", u32le(0), "WAVE", "fmt ", u32le(16))]);
+    await expect(readAudioDuration(file)).rejects.toMatchObject({
+      code: "corrupt",
+    });
+  });
+});
+
+describe("sumDurations", () => {
+  it("bills partial minutes as whole minutes", () => {
+    expect(sumDurations([30, 45])).toEqual({ seconds: 75, minutes: 2 });
+    expect(sumDurations([60, 60])).toEqual({ seconds: 120, minutes: 2 });
+    expect(sumDurations([])).toEqual({ seconds: 0, minutes: 0 });
+  });
+
+  it("ignores floating point noise", () => {
+    expect(sumDurations([0.1 * 3 * 200]).minutes).toBe(1);
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect } from "vitest";
+import { findAffordableMinutes } from "../src/budget.js";
+import { SCALE_RANGE, calculatePrice } from "../src/pricing.js";
+
+describe("findAffordableMinutes", () => {
+  const config = { formula: "hyperbolic", baseFee: 10 };
+
+  it("finds the longest whole-minute order within budget", () => {
+    const { minutes, total, capped, gaps } = findAffordableMinutes(20, config);
+    expect(calculatePrice(minutes, config).total).toBeLessThanOrEqual(20);
+    expect(calculatePrice(minutes + 1, config).total).toBeGreaterThan(20);
+    expect(total).toBe(calculatePrice(minutes, config).total);
+    expect(capped).toBe(false);
+    expect(gaps).toBe(false);
+  });
+
+  it("works in the config currency, after tax and rounding", () => {
+    const billed = {
+      ...config,
+      currency: "UAH",
+      exchangeRate: 41.5,
+      tax: { rate: 20, inclusive: false },
+      rounding: { increment: 10, mode: "up" },
+    };
+    const { minutes, total } = findAffordableMinutes(1000, billed);
+    expect(total).toBeLessThanOrEqual(1000);
+    expect(total % 10).toBe(0);
+    expect(calculatePrice(minutes + 1, billed).converted.total).toBeGreaterThan(
+      1000
+    );
+  });
+
+  it("reports budgets below the base fee", () => {
+    expect(findAffordableMinutes(9.99, config)).toEqual({
+      minutes: null,
+      total: null,
+      minimum: 10,
+      capped: false,
+      gaps: false,
+    });
+    expect(findAffordableMinutes(10, config).minutes).toBe(0);
+  });
+
+  it("stops at the end of the range", () => {
+    const result = findAffordableMinutes(1e6, config, { max: 100 });
+    expect(result.minutes).toBe(100);
+    expect(result.capped).toBe(true);
+  });
+
+  it("finds cheaper longer orders on non-monotonic curves", () => {
+    // All-units tiers: 101 minutes at 0.05 cost less than 100 at 0.1
+    const tiered = {
+      formula: "tiered",
+      tiers: [
+        { upTo: 100, rate: 0.1 },
+        { upTo: null, rate: 0.05 },
+      ],
+      tierMode: "all-units",
+      baseFee: 1,
+    };
+    const result = findAffordableMinutes(8, tiered, { max: 200 });
+    expect(result.minutes).toBe(140);
+    expect(result.total).toBeCloseTo(8, 10);
+    expect(result.gaps).toBe(true);
+  });
+
+  it("searches the widest scale without pricing every minute", () => {
+    const billed = {
+      formula: "tiered",
+      tiers: [
+        { upTo: 1000, rate: 0.05 },
+        { upTo: null, rate: 0.02 },
+      ],
+      tierMode: "all-units",
+      baseFee: 10,
+      currency: "UAH",
+      exchangeRate: 41.5,
+      addons: ["rush", "stems"],
+      tax: { rate: 20, inclusive: false },
+      rounding: { increment: 10, mode: "up" },
+    };
+    const total = (minutes) => calculatePrice(minutes, billed).converted.total;
+    const max = SCALE_RANGE.max;
+    // Just under the price of 1000 minutes, which 1001 minutes undercuts
+    const budget = total(1000) - 1;
+
+    const started = performance.now();
+    const { minutes, gaps } = findAffordableMinutes(budget, billed, { max });
+    // Pricing all 100 001 durations takes about a second
+    expect(performance.now() - started).toBeLessThan(250);
+
+    expect(total(minutes)).toBeLessThanOrEqual(budget);
+    expect(total(minutes + 1)).toBeGreaterThan(budget);
+    expect(minutes).toBeGreaterThan(1001);
+    expect(gaps).toBe(true);
+  });
+
+  it("skips durations where a custom formula breaks", () => {
+    const broken = {
+      formula: "custom",
+      expression: "1 / (x - 50)",
+      baseFee: 1,
+    };
+    const result = findAffordableMinutes(3, broken, { max: 60 });
+    expect(Number.isFinite(result.total)).toBe(true);
+    expect(result.total).toBeLessThanOrEqual(3);
+  });
+});
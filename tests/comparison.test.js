@@ -0,0 +1,80 @@
+import { describe, it, expect } from "vitest";
+import {
+  COMPARISON_DURATIONS,
+  SERIES_COLORS,
+  MAX_PINNED_SERIES,
+  createSeries,
+  uniqueSeriesName,
+  compareAtDurations,
+} from "../src/comparison.js";
+
+const HYPERBOLIC = {
+  formula: "hyperbolic",
+  params: { A: 0.03, B: 0.0005 },
+  baseFee: 10,
+};
+
+describe("createSeries", () => {
+  it("assigns the first unused color", () => {
+    const first = createSeries("A", HYPERBOLIC);
+    const second = createSeries("B", HYPERBOLIC, [first]);
+    expect(first.color).toBe(SERIES_COLORS[0]);
+    expect(second.color).toBe(SERIES_COLORS[1]);
+    expect(createSeries("C", HYPERBOLIC, [second]).color).toBe(
+      SERIES_COLORS[0]
+    );
+  });
+
+  it("copies the config", () => {
+    const config = { ...HYPERBOLIC, params: { ...HYPERBOLIC.params } };
+    const series = createSeries("A", config);
+    config.params.A = 1;
+    expect(series.config.params.A).toBe(0.03);
+  });
+
+  it("limits the number of series", () => {
+    const existing = SERIES_COLORS.map((color, i) => ({ name: `${i}`, color }));
+    expect(() => createSeries("X", HYPERBOLIC, existing)).toThrow(
+      `At most ${MAX_PINNED_SERIES} series`
+    );
+  });
+});
+
+describe("uniqueSeriesName", () => {
+  it("numbers duplicate names", () => {
+    const existing = [{ name: "Power" }, { name: "Power (2)" }];
+    expect(uniqueSeriesName("Log", existing)).toBe("Log");
+    expect(uniqueSeriesName("Power", existing)).toBe("Power (3)");
+  });
+});
+
+describe("compareAtDurations", () => {
+  it("uses the preset durations by default", () => {
+    const rows = compareAtDurations(HYPERBOLIC, []);
+    expect(rows.map((row) => row.minutes)).toEqual(COMPARISON_DURATIONS);
+  });
+
+  it("reports differences against the reference", () => {
+    const cheaper = { ...HYPERBOLIC, baseFee: 5 };
+    const [row] = compareAtDurations(
+      HYPERBOLIC,
+      [{ name: "Cheaper", config: cheaper }],
+      [1000]
+    );
+    expect(row.reference).toBeCloseTo(30, 10);
+    expect(row.series[0].name).toBe("Cheaper");
+    expect(row.series[0].total).toBeCloseTo(25, 10);
+    expect(row.series[0].difference).toBeCloseTo(-5, 10);
+    expect(row.series[0].percent).toBeCloseTo(-16.667, 3);
+  });
+
+  it("has no percentage for a zero reference total", () => {
+    const free = { ...HYPERBOLIC, baseFee: 0 };
+    const [row] = compareAtDurations(
+      free,
+      [{ name: "Paid", config: HYPERBOLIC }],
+      [0]
+    );
+    expect(row.series[0].percent).toBeNull();
+  });
+});
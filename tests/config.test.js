@@ -0,0 +1,110 @@
+import { describe, it, expect } from "vitest";
+import {
+  CONFIG,
+  validateSchema,
+  validateConfig,
+  formatConfigErrors,
+} from "../src/config.js";
+import { FORMULAS, DEFAULT_PRICING, BASE_FEE_RANGE } from "../src/pricing.js";
+import { CURRENCIES, DEFAULT_CURRENCY } from "../src/currency.js";
+import { FALLBACK_RATES } from "../src/exchange-rates.js";
+
+/**
+ * Copies the shipped configuration with changes applied
+ * @param {function(Object): void} change - Mutates the copy
+ * @returns {Object} Changed configuration
+ */
+function withChange(change) {
+  const config = structuredClone(CONFIG);
+  change(config);
+  return config;
+}
+
+describe("validateConfig", () => {
+  it("accepts the shipped configuration", () => {
+    expect(validateConfig(CONFIG)).toEqual([]);
+  });
+
+  it("reports schema problems with their paths", () => {
+    const config = withChange((c) => {
+      c.formulas.power.params.A.max = "5";
+      delete c.defaults.currency;
+      c.currencies.push("usd");
+      c.presets.push(100);
+      c.baseFee.stepp = 1;
+    });
+    expect(validateConfig(config)).toEqual([
+      {
+        path: "formulas.power.params.A.max",
+        message: "must be number, got string",
+      },
+      { path: "defaults.currency", message: "is required" },
+      { path: "baseFee.stepp", message: "is not a known setting" },
+      { path: "presets", message: "repeats 100 at index 5" },
+      { path: "currencies[6]", message: "must match ^[A-Z]{3}$" },
+    ]);
+  });
+
+  it("reports settings that contradict each other", () => {
+    const config = withChange((c) => {
+      c.formulas.hyperbolic.params.B.default = 0.01;
+      c.formulas.custom.expression = "A / (1 +";
+      c.formulas.tiered.tiers[1].upTo = 400;
+      c.defaults.baseFee = 50;
+      c.defaults.currency = "JPY";
+      c.currencies.push("SEK");
+    });
+    expect(validateConfig(config).map((e) => e.path)).toEqual([
+      "formulas.hyperbolic.params.B.default",
+      "formulas.custom.expression",
+      "formulas.tiered.tiers[1].upTo",
+      "defaults.baseFee",
+      "defaults.currency",
+      "currencies[6]",
+    ]);
+  });
+
+  it("formats one line per problem", () => {
+    expect(
+      formatConfigErrors([
+        { path: "defaults.minutes", message: "must be at most 100000" },
+        { path: "", message: "must be object, got array" },
+      ])
+    ).toBe(
+      "Invalid pricing.config.json:\n" +
+        "  - defaults.minutes: must be at most 100000\n" +
+        "  - (root): must be object, got array"
+    );
+  });
+});
+
+describe("validateSchema", () => {
+  it("resolves local references and union types", () => {
+    const schema = {
+      type: "array",
+      items: { $ref: "#/$defs/bound" },
+      $defs: { bound: { type: ["integer", "null"], exclusiveMinimum: 0 } },
+    };
+    expect(validateSchema([1, null, 0, 1.5], schema)).toEqual([
+      { path: "[2]", message: "must be greater than 0" },
+      { path: "[3]", message: "must be integer or null, got number" },
+    ]);
+  });
+});
+
+describe("configured constants", () => {
+  it("come from pricing.config.json", () => {
+    expect(Object.keys(FORMULAS)).toEqual(Object.keys(CONFIG.formulas));
+    expect(FORMULAS.power.params.A).toEqual(CONFIG.formulas.power.params.A);
+    expect(FORMULAS.custom.equation).toBe(CONFIG.formulas.custom.expression);
+    expect(FORMULAS.tiered.tiers).toEqual(CONFIG.formulas.tiered.tiers);
+    expect(DEFAULT_PRICING).toMatchObject({
+      formula: CONFIG.defaults.formula,
+      baseFee: CONFIG.defaults.baseFee,
+    });
+    expect(BASE_FEE_RANGE).toEqual(CONFIG.baseFee);
+    expect(CURRENCIES).toEqual(CONFIG.currencies);
+    expect(DEFAULT_CURRENCY).toBe(CONFIG.defaults.currency);
+    expect(FALLBACK_RATES).toEqual(CONFIG.fallbackRates);
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect } from "vitest";
+import {
+  CURRENCIES,
+  listAvailableCurrencies,
+  getCurrencyName,
+  formatMoney,
+} from "../src/currency.js";
+import { calculatePrice } from "../src/pricing.js";
+import { resolveRate } from "../src/exchange-rates.js";
+
+/** Replaces non-breaking and narrow spaces used by Intl with plain spaces */
+const plain = (text) => text.replace(/[\u00a0\u202f]/g, " ");
+
+describe("listAvailableCurrencies", () => {
+  it("keeps configured currencies that have a rate, in order", () => {
+    expect(listAvailableCurrencies({ EUR: 0.86, UAH: 41.5, JPY: 150 })).toEqual(
+      ["UAH", "USD", "EUR"]
+    );
+  });
+
+  it("accepts a custom currency list", () => {
+    expect(
+      listAvailableCurrencies({ PLN: 3.6, CZK: 21 }, ["CZK", "PLN", "GBP"])
+    ).toEqual(["CZK", "PLN"]);
+  });
+
+  it("always offers the base currency", () => {
+    expect(listAvailableCurrencies({})).toEqual(["USD"]);
+    expect(CURRENCIES).toContain("USD");
+  });
+});
+
+describe("formatMoney", () => {
+  it("uses locale separators and symbols", () => {
+    expect(plain(formatMoney(1234.5, "UAH"))).toBe("1 234,50 ₴");
+    expect(plain(formatMoney(1234.5, "EUR"))).toBe("1 234,50 €");
+    expect(plain(formatMoney(9.99, "USD", { locale: "en-US" }))).toBe("$9.99");
+    expect(plain(formatMoney(1234.5, "GBP", { locale: "en-GB" }))).toBe(
+      "£1,234.50"
+    );
+  });
+
+  it("honours the number of decimal places", () => {
+    expect(plain(formatMoney(0.01234, "PLN", { digits: 4 }))).toBe("0,0123 zł");
+  });
+});
+
+describe("getCurrencyName", () => {
+  it("returns localized names and falls back to the code", () => {
+    expect(getCurrencyName("EUR", "en")).toBe("Euro");
+    expect(getCurrencyName("not a code")).toBe("not a code");
+  });
+});
+
+describe("conversion", () => {
+  it("multiplies USD amounts by the rate per USD", () => {
+    // The APIs quote EUR per USD, so 100 USD at 0.86 is 86 EUR
+    const { rate } = resolveRate("EUR", { EUR: 0.86 });
+    const price = calculatePrice(0, {
+      baseFee: 100,
+      currency: "EUR",
+      exchangeRate: rate,
+    });
+    expect(price.converted.total).toBeCloseTo(86, 10);
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseDuration,
+  formatDuration,
+  secondsToMinutes,
+} from "../src/duration.js";
+
+describe("parseDuration", () => {
+  it("reads clock notation", () => {
+    expect(parseDuration("1:30:15")).toBe(90.25);
+    expect(parseDuration("0:00:30")).toBe(0.5);
+    expect(parseDuration("2:05")).toBe(125);
+    expect(parseDuration(" 100:00:00 ")).toBe(6000);
+  });
+
+  it("reads numbers with units, minutes by default", () => {
+    expect(parseDuration("90")).toBe(90);
+    expect(parseDuration("2,5 год")).toBe(150);
+    expect(parseDuration("1.5h")).toBe(90);
+    expect(parseDuration("45 хв.")).toBe(45);
+    expect(parseDuration("90 s")).toBe(1.5);
+    expect(parseDuration("833 HOURS")).toBe(49980);
+  });
+
+  it("rounds to whole seconds", () => {
+    expect(parseDuration("0.001")).toBe(0);
+    expect(parseDuration("1:00:00.6")).toBe(60 + 1 / 60);
+  });
+
+  it("rejects anything else", () => {
+    for (const text of ["", "abc", "-5", "1:75", "1:2:3:4", "5 days", "1e3"]) {
+      expect(parseDuration(text)).toBeNull();
+    }
+  });
+});
+
+describe("formatDuration", () => {
+  it("formats seconds as h:mm:ss", () => {
+    expect(formatDuration(0)).toBe("0:00:00");
+    expect(formatDuration(5415)).toBe("1:30:15");
+    expect(formatDuration(360000)).toBe("100:00:00");
+  });
+});
+
+describe("secondsToMinutes", () => {
+  it("rounds partial seconds up, ignoring float noise", () => {
+    expect(secondsToMinutes(90.2)).toBe(91 / 60);
+    expect(secondsToMinutes(0.1 + 0.2 + 59.7)).toBe(1);
+  });
+});
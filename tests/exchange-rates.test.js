@@ -0,0 +1,222 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { createServer } from "node:http";
+import {
+  EXCHANGE_RATE_PROVIDERS,
+  RATES_CACHE_STORAGE_KEY,
+  CACHED_AT_HEADER,
+  ExchangeRateError,
+  fetchProviderRates,
+  fetchRates,
+  loadCachedRates,
+  saveCachedRates,
+  isStale,
+  loadRateOverrides,
+  saveRateOverrides,
+  resolveRate,
+} from "../src/exchange-rates.js";
+import { createStorage } from "./helpers.js";
+
+/** Responses of the mock rate server, keyed by path */
+const ROUTES = {
+  "/v4": {
+    body: {
+      base: "USD",
+      time_last_updated: 1760832000,
+      rates: { USD: 1, UAH: 41.3, EUR: 0.86, BAD: -1 },
+    },
+  },
+  "/v6": {
+    body: {
+      result: "success",
+      base_code: "USD",
+      time_last_update_unix: 1760832000,
+      rates: { USD: 1, UAH: 41.4, EUR: 0.87 },
+    },
+  },
+  "/cached": {
+    headers: { [CACHED_AT_HEADER]: "2026-10-18T08:30:00.000Z" },
+    body: { base: "USD", rates: { USD: 1, UAH: 41.2 } },
+  },
+  "/v6-error": { body: { result: "error", "error-type": "quota-reached" } },
+  "/eur-base": { body: { base: "EUR", rates: { USD: 1.16 } } },
+  "/down": { status: 503, body: {} },
+  "/not-json": { raw: "<html>maintenance</html>" },
+};
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  server = createServer((request, response) => {
+    if (request.url === "/slow") return; // never answers
+    const route = ROUTES[request.url];
+    if (!route) {
+      response.writeHead(404).end();
+      return;
+    }
+    response.writeHead(route.status ?? 200, {
+      "Content-Type": "application/json",
+      ...route.headers,
+    });
+    response.end(route.raw ?? JSON.stringify(route.body));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+/**
+ * Points a provider adapter at the mock server
+ * @param {number} index - Index in EXCHANGE_RATE_PROVIDERS
+ * @param {string} path - Mock route
+ * @returns {Object} Provider
+ */
+function mockProvider(index, path) {
+  return { ...EXCHANGE_RATE_PROVIDERS[index], url: baseUrl + path };
+}
+
+describe("provider adapters", () => {
+  const now = new Date("2026-10-19T10:00:00Z");
+
+  it("parses the exchangerate-api shape", async () => {
+    const snapshot = await fetchProviderRates(mockProvider(0, "/v4"), { now });
+    expect(snapshot).toEqual({
+      provider: "exchangerate-api",
+      base: "USD",
+      rates: { USD: 1, UAH: 41.3, EUR: 0.86 },
+      publishedAt: "2025-10-19T00:00:00.000Z",
+      fetchedAt: "2026-10-19T10:00:00.000Z",
+    });
+  });
+
+  it("parses the open.er-api shape", async () => {
+    const snapshot = await fetchProviderRates(mockProvider(1, "/v6"));
+    expect(snapshot.provider).toBe("open-er-api");
+    expect(snapshot.rates.UAH).toBe(41.4);
+  });
+
+  it("marks rates the service worker answered offline", async () => {
+    const snapshot = await fetchProviderRates(mockProvider(0, "/cached"), {
+      now,
+    });
+    expect(snapshot).toMatchObject({
+      rates: { USD: 1, UAH: 41.2 },
+      fetchedAt: "2026-10-18T08:30:00.000Z",
+      offline: true,
+    });
+  });
+
+  it.each([
+    ["/v6-error", 1, "invalid-response"],
+    ["/eur-base", 0, "invalid-response"],
+    ["/not-json", 0, "invalid-response"],
+    ["/down", 0, "http"],
+  ])("reports %s as %s", async (path, index, code) => {
+    await expect(
+      fetchProviderRates(mockProvider(index, path))
+    ).rejects.toMatchObject({ name: "ExchangeRateError", code });
+  });
+
+  it("times out on providers that do not answer", async () => {
+    await expect(
+      fetchProviderRates(mockProvider(0, "/slow"), { timeout: 50 })
+    ).rejects.toMatchObject({ code: "timeout" });
+  });
+
+  it("reports unreachable providers as network errors", async () => {
+    const provider = {
+      ...EXCHANGE_RATE_PROVIDERS[0],
+      url: "http://127.0.0.1:1/",
+    };
+    await expect(fetchProviderRates(provider)).rejects.toMatchObject({
+      code: "network",
+    });
+  });
+});
+
+describe("fetchRates", () => {
+  it("falls through to the next provider", async () => {
+    const snapshot = await fetchRates([
+      mockProvider(0, "/down"),
+      mockProvider(1, "/v6"),
+    ]);
+    expect(snapshot.provider).toBe("open-er-api");
+  });
+
+  it("collects every failure when all providers fail", async () => {
+    const error = await fetchRates([
+      mockProvider(0, "/down"),
+      mockProvider(1, "/v6-error"),
+    ]).catch((e) => e);
+    expect(error).toBeInstanceOf(ExchangeRateError);
+    expect(error.code).toBe("all-failed");
+    expect(error.failures.map((f) => [f.provider, f.error.code])).toEqual([
+      ["exchangerate-api", "http"],
+      ["open-er-api", "invalid-response"],
+    ]);
+  });
+});
+
+describe("cache", () => {
+  const snapshot = {
+    provider: "open-er-api",
+    base: "USD",
+    rates: { USD: 1, UAH: 41.4 },
+    publishedAt: null,
+    fetchedAt: "2026-10-19T10:00:00.000Z",
+  };
+
+  it("round-trips snapshots", () => {
+    const storage = createStorage();
+    saveCachedRates(storage, snapshot);
+    expect(loadCachedRates(storage)).toEqual(snapshot);
+  });
+
+  it("ignores missing or invalid cache entries", () => {
+    const storage = createStorage();
+    expect(loadCachedRates(storage)).toBeNull();
+    storage.setItem(RATES_CACHE_STORAGE_KEY, "{broken");
+    expect(loadCachedRates(storage)).toBeNull();
+    saveCachedRates(storage, { ...snapshot, fetchedAt: "yesterday" });
+    expect(loadCachedRates(storage)).toBeNull();
+    expect(loadCachedRates(null)).toBeNull();
+  });
+
+  it("marks old snapshots as stale", () => {
+    const fetched = Date.parse(snapshot.fetchedAt);
+    expect(isStale(snapshot, new Date(fetched + 60 * 60 * 1000))).toBe(false);
+    expect(isStale(snapshot, new Date(fetched + 13 * 60 * 60 * 1000))).toBe(
+      true
+    );
+  });
+});
+
+describe("manual overrides", () => {
+  it("prefers overrides over market rates", () => {
+    const rates = { UAH: 41.4, EUR: 0.87 };
+    expect(resolveRate("UAH", rates, { UAH: 40 })).toEqual({
+      rate: 40,
+      manual: true,
+    });
+    expect(resolveRate("EUR", rates, { UAH: 40 })).toEqual({
+      rate: 0.87,
+      manual: false,
+    });
+    expect(resolveRate("USD", rates, { USD: 2 })).toEqual({
+      rate: 1,
+      manual: false,
+    });
+    expect(resolveRate("GBP", rates)).toBeNull();
+  });
+
+  it("persists only valid overrides", () => {
+    const storage = createStorage();
+    saveRateOverrides(storage, { UAH: 40, EUR: 0, PLN: "x" });
+    expect(loadRateOverrides(storage)).toEqual({ UAH: 40 });
+    expect(loadRateOverrides(createStorage())).toEqual({});
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it, expect } from "vitest";
+import {
+  ExpressionError,
+  parseExpression,
+  compileExpression,
+} from "../src/expression.js";
+
+/**
+ * Returns the ExpressionError thrown by parsing, or null
+ * @param {string} source - Expression source
+ * @returns {ExpressionError|null} Thrown error
+ */
+function parseError(source) {
+  try {
+    parseExpression(source);
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+describe("compileExpression", () => {
+  it("respects operator precedence", () => {
+    expect(compileExpression("1 + 2 * 3").evaluate({})).toBe(7);
+    expect(compileExpression("(1 + 2) * 3").evaluate({})).toBe(9);
+    expect(compileExpression("2 ^ 3 ^ 2").evaluate({})).toBe(512);
+    expect(compileExpression("-2 ^ 2").evaluate({})).toBe(-4);
+    expect(compileExpression("2 ^ -1").evaluate({})).toBe(0.5);
+  });
+
+  it("evaluates variables, functions and constants", () => {
+    const compiled = compileExpression("A * exp(-B * x) + C");
+    expect(compiled.evaluate({ A: 2, B: 0, C: 1, x: 10 })).toBe(3);
+    expect(compileExpression("ln(e) + max(1, 2)").evaluate({})).toBe(3);
+    expect(compileExpression("pi").evaluate({})).toBe(Math.PI);
+  });
+
+  it("lists variables in order of first appearance", () => {
+    expect(compileExpression("A / (1 + B*x) + C + A").variables).toEqual([
+      "A",
+      "B",
+      "x",
+      "C",
+    ]);
+  });
+
+  it("accepts typographic operators and scientific notation", () => {
+    expect(compileExpression("2 × 3 − 1e-1").evaluate({})).toBeCloseTo(5.9);
+  });
+
+  it("yields NaN for missing variables and Infinity for division by zero", () => {
+    expect(compileExpression("A + 1").evaluate({})).toBeNaN();
+    expect(compileExpression("1 / x").evaluate({ x: 0 })).toBe(Infinity);
+  });
+
+  it("does not resolve inherited object properties", () => {
+    expect(compileExpression("constructor").evaluate({})).toBeNaN();
+    expect(parseError("toString(1)").code).toBe("unknown-function");
+  });
+});
+
+describe("parseExpression errors", () => {
+  it.each([
+    ["", "empty"],
+    ["A $ B", "unexpected-character"],
+    ["A B", "unexpected-token"],
+    ["2x", "unexpected-token"],
+    ["(A + B", "unexpected-end"],
+    ["A +", "unexpected-end"],
+    ["foo(x)", "unknown-function"],
+    ["exp + 1", "missing-arguments"],
+    ["max(1)", "arity"],
+  ])("reports %j as %s", (source, code) => {
+    const error = parseError(source);
+    expect(error).toBeInstanceOf(ExpressionError);
+    expect(error.code).toBe(code);
+  });
+
+  it("reports nesting too deep to parse or evaluate", () => {
+    const deep = [
+      "(".repeat(20000) + "x" + ")".repeat(20000),
+      "-".repeat(20000) + "x",
+      "x^".repeat(20000) + "x",
+      "x+".repeat(20000) + "x",
+      "max(x, ".repeat(300) + "x" + ")".repeat(300),
+    ];
+    for (const source of deep) {
+      expect(parseError(source)).toMatchObject({ code: "too-deep" });
+    }
+    const nested = "(".repeat(100) + "x" + ")".repeat(100);
+    expect(compileExpression(nested).evaluate({ x: 2 })).toBe(2);
+    const sum = "x+".repeat(150) + "x";
+    expect(compileExpression(sum).evaluate({ x: 1 })).toBe(151);
+  });
+
+  it("reports the position of the offending token", () => {
+    const error = parseError("A + * B");
+    expect(error.position).toBe(4);
+    expect(error.token).toBe("*");
+  });
+});
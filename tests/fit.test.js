@@ -0,0 +1,126 @@
+import { describe, it, expect } from "vitest";
+import {
+  FIT_FORMULAS,
+  validateFitPoints,
+  fitFormula,
+  fitAllFormulas,
+} from "../src/fit.js";
+import { FORMULAS, calculatePrice } from "../src/pricing.js";
+
+/** Target points priced by a known config */
+const pointsOf = (config, minutes) =>
+  minutes.map((x) => ({ minutes: x, total: calculatePrice(x, config).total }));
+
+describe("FIT_FORMULAS", () => {
+  it("lists the built-in closed-form formulas", () => {
+    expect(FIT_FORMULAS).toEqual(["hyperbolic", "power", "logarithmic"]);
+  });
+});
+
+describe("validateFitPoints", () => {
+  const valid = [
+    { minutes: 100, total: 15 },
+    { minutes: 3000, total: 120 },
+  ];
+
+  it("accepts two or more distinct positive points", () => {
+    expect(validateFitPoints(valid)).toBeNull();
+  });
+
+  it("reports the first problem with its index", () => {
+    expect(validateFitPoints([valid[0]])).toEqual({ code: "count", index: 0 });
+    expect(validateFitPoints([valid[0], { minutes: 0, total: 5 }])).toEqual({
+      code: "minutes",
+      index: 1,
+    });
+    expect(validateFitPoints([{ minutes: 10, total: NaN }, valid[1]])).toEqual({
+      code: "total",
+      index: 0,
+    });
+    expect(validateFitPoints([...valid, { minutes: 100, total: 20 }])).toEqual({
+      code: "duplicate",
+      index: 2,
+    });
+  });
+});
+
+describe("fitFormula", () => {
+  it("recovers the parameters that produced the points", () => {
+    const config = {
+      formula: "hyperbolic",
+      params: { A: 0.05, B: 0.001 },
+      baseFee: 10,
+    };
+    const fit = fitFormula(
+      "hyperbolic",
+      pointsOf(config, [100, 1000, 3000]),
+      10
+    );
+    expect(fit.params.A).toBeCloseTo(0.05, 6);
+    expect(fit.params.B).toBeCloseTo(0.001, 7);
+    expect(fit.rmse).toBeLessThan(1e-6);
+  });
+
+  it("reports residuals against calculatePrice totals", () => {
+    const points = [
+      { minutes: 100, total: 15 },
+      { minutes: 3000, total: 120 },
+    ];
+    const fit = fitFormula("power", points, 10);
+    fit.residuals.forEach((residual, i) => {
+      const { total } = calculatePrice(residual.minutes, {
+        formula: "power",
+        params: fit.params,
+        baseFee: 10,
+      });
+      expect(residual.fitted).toBeCloseTo(total, 10);
+      expect(residual.error).toBeCloseTo(total - points[i].total, 10);
+    });
+    expect(fit.maxError).toBeCloseTo(
+      Math.max(...fit.residuals.map((r) => Math.abs(r.error))),
+      12
+    );
+  });
+
+  it("keeps parameters within slider bounds", () => {
+    const points = [
+      { minutes: 10, total: 1000 },
+      { minutes: 20, total: 2000 },
+    ];
+    const fit = fitFormula("logarithmic", points, 10);
+    const { A, B } = FORMULAS.logarithmic.params;
+    expect(fit.params.A).toBe(A.max);
+    expect(fit.params.B).toBeGreaterThanOrEqual(B.min);
+    expect(fit.rmse).toBeGreaterThan(100);
+  });
+
+  it("rejects unfittable formulas and invalid points", () => {
+    const points = [
+      { minutes: 100, total: 15 },
+      { minutes: 3000, total: 120 },
+    ];
+    expect(() => fitFormula("tiered", points, 10)).toThrow(
+      "Formula cannot be fitted: tiered"
+    );
+    expect(() => fitFormula("power", points.slice(1), 10)).toThrow(
+      "Invalid fit points: count"
+    );
+  });
+});
+
+describe("fitAllFormulas", () => {
+  it("ranks the formula that produced the points first", () => {
+    const config = {
+      formula: "power",
+      params: { A: 1.5, B: 0.7 },
+      baseFee: 5,
+    };
+    const fits = fitAllFormulas(pointsOf(config, [50, 500, 2000, 5000]), 5);
+    expect(fits.map((fit) => fit.formula).sort()).toEqual(
+      [...FIT_FORMULAS].sort()
+    );
+    expect(fits[0].formula).toBe("power");
+    expect(fits[0].params.B).toBeCloseTo(0.7, 5);
+    expect(fits[0].rmse).toBeLessThanOrEqual(fits[1].rmse);
+  });
+});
@@ -0,0 +1,16 @@
+/**
+ * Test Helpers
+ * Stand-ins shared by the unit tests
+ */
+
+/**
+ * Creates an in-memory Storage stand-in
+ * @returns {Object} Storage with getItem/setItem
+ */
+export function createStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+  };
+}
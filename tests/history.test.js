@@ -0,0 +1,134 @@
+import { describe, it, expect } from "vitest";
+import {
+  AUDIT_LOG_STORAGE_KEY,
+  createSnapshot,
+  diffSnapshots,
+  createUndoStack,
+  recordChange,
+  undoChange,
+  redoChange,
+  appendAuditEntry,
+  loadAuditLog,
+  saveAuditLog,
+} from "../src/history.js";
+import { createStorage } from "./helpers.js";
+
+const base = createSnapshot({
+  formula: "hyperbolic",
+  params: { A: 0.03, B: 0.0005 },
+  baseFee: 10,
+  minutes: 500,
+  currency: "UAH",
+});
+
+describe("createSnapshot", () => {
+  it("copies only the tracked fields", () => {
+    const params = { A: 1, B: 2 };
+    const snapshot = createSnapshot({
+      formula: "power",
+      params,
+      baseFee: 5,
+      minutes: 90,
+      addons: ["rush"],
+    });
+    params.A = 3;
+    expect(snapshot).toEqual({
+      formula: "power",
+      params: { A: 1, B: 2 },
+      baseFee: 5,
+      minutes: 90,
+    });
+  });
+});
+
+describe("diffSnapshots", () => {
+  it("lists changed fields and parameters one by one", () => {
+    const changed = createSnapshot({
+      ...base,
+      formula: "custom",
+      expression: "A + C",
+      params: { A: 0.05, C: 1 },
+      minutes: 1000,
+    });
+    expect(diffSnapshots(base, changed)).toEqual([
+      { field: "formula", from: "hyperbolic", to: "custom" },
+      { field: "expression", from: undefined, to: "A + C" },
+      { field: "params.A", from: 0.03, to: 0.05 },
+      { field: "params.B", from: 0.0005, to: undefined },
+      { field: "params.C", from: undefined, to: 1 },
+      { field: "minutes", from: 500, to: 1000 },
+    ]);
+    expect(diffSnapshots(base, createSnapshot(base))).toEqual([]);
+  });
+});
+
+describe("undo stack", () => {
+  const second = { ...base, baseFee: 12 };
+  const third = { ...base, baseFee: 15 };
+
+  it("undoes and redoes recorded changes", () => {
+    let stack = createUndoStack(base);
+    stack = recordChange(stack, second);
+    stack = recordChange(stack, third);
+
+    stack = undoChange(stack);
+    expect(stack.present).toBe(second);
+    stack = undoChange(stack);
+    expect(stack.present).toBe(base);
+    expect(undoChange(stack)).toBe(stack);
+
+    stack = redoChange(stack);
+    expect(stack.present).toBe(second);
+    expect(stack.future).toEqual([third]);
+  });
+
+  it("ignores repeats and drops redo steps on a new change", () => {
+    let stack = recordChange(createUndoStack(base), second);
+    expect(recordChange(stack, { ...second })).toBe(stack);
+
+    stack = recordChange(undoChange(stack), third);
+    expect(stack.future).toEqual([]);
+    expect(redoChange(stack)).toBe(stack);
+  });
+
+  it("keeps a limited number of steps", () => {
+    let stack = createUndoStack(base);
+    for (let minutes = 1; minutes <= 5; minutes++) {
+      stack = recordChange(stack, { ...base, minutes }, 3);
+    }
+    expect(stack.past.map((s) => s.minutes)).toEqual([2, 3, 4]);
+  });
+});
+
+describe("audit log", () => {
+  it("appends timestamped changes, skipping repeats", () => {
+    const now = new Date("2026-03-05T10:00:00Z");
+    let log = appendAuditEntry([], base, { now });
+    expect(appendAuditEntry(log, createSnapshot(base), { now })).toBe(log);
+
+    log = appendAuditEntry(log, { ...base, minutes: 90 }, { now, limit: 1 });
+    expect(log).toEqual([
+      { at: "2026-03-05T10:00:00.000Z", snapshot: { ...base, minutes: 90 } },
+    ]);
+  });
+
+  it("saves and loads entries, skipping damaged ones", () => {
+    const storage = createStorage();
+    const log = appendAuditEntry([], base);
+    saveAuditLog(storage, log);
+    expect(loadAuditLog(storage)).toEqual(log);
+
+    const stored = JSON.parse(storage.getItem(AUDIT_LOG_STORAGE_KEY));
+    stored.entries.push({ at: "yesterday", snapshot: base });
+    stored.entries.push({ at: log[0].at, snapshot: { formula: "power" } });
+    for (const formula of ["cubic", "toString"]) {
+      stored.entries.push({ at: log[0].at, snapshot: { ...base, formula } });
+    }
+    storage.setItem(AUDIT_LOG_STORAGE_KEY, JSON.stringify(stored));
+    expect(loadAuditLog(storage)).toEqual(log);
+
+    storage.setItem(AUDIT_LOG_STORAGE_KEY, "{broken");
+    expect(loadAuditLog(storage)).toEqual([]);
+    expect(loadAuditLog(createStorage())).toEqual([]);
+  });
+});
@@ -0,0 +1,151 @@
+import { describe, it, expect, afterEach, vi } from "vitest";
+import {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  LANGUAGE_STORAGE_KEY,
+  getLanguage,
+  getLocale,
+  setLanguage,
+  withLanguage,
+  onLanguageChange,
+  matchLanguage,
+  loadLanguage,
+  saveLanguage,
+  t,
+  localizeTable,
+  formatNumber,
+  formatDate,
+} from "../src/i18n.js";
+import { FORMULAS } from "../src/pricing.js";
+import { formatMoney } from "../src/currency.js";
+import { createStorage } from "./helpers.js";
+
+/** Replaces non-breaking and narrow spaces used by Intl with plain spaces */
+const plain = (text) => text.replace(/[\u00a0\u202f]/g, " ");
+
+/**
+ * Lists the message keys of a catalog, plural forms as one message
+ * @param {Object} messages - Catalog
+ * @param {string} [prefix] - Key prefix
+ * @returns {string[]} Dotted keys
+ */
+function listKeys(messages, prefix = "") {
+  return Object.entries(messages).flatMap(([name, value]) =>
+    typeof value === "object" && !Object.hasOwn(value, "other")
+      ? listKeys(value, `${prefix}${name}.`)
+      : [prefix + name]
+  );
+}
+
+afterEach(() => {
+  setLanguage(DEFAULT_LANGUAGE);
+});
+
+describe("catalogs", () => {
+  it("translate every message of the default language", () => {
+    const keys = listKeys(LANGUAGES[DEFAULT_LANGUAGE].messages).sort();
+    for (const { messages } of Object.values(LANGUAGES)) {
+      expect(listKeys(messages).sort()).toEqual(keys);
+    }
+  });
+});
+
+describe("language", () => {
+  it("switches language and notifies listeners", () => {
+    const listener = vi.fn();
+    const unsubscribe = onLanguageChange(listener);
+    setLanguage("en");
+    setLanguage("en");
+    unsubscribe();
+    setLanguage("uk");
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith("en");
+    expect(getLanguage()).toBe("uk");
+    expect(getLocale()).toBe("uk-UA");
+    expect(() => setLanguage("xx")).toThrow("Unknown language: xx");
+  });
+
+  it("runs work in another language and switches back", () => {
+    const listener = vi.fn();
+    const unsubscribe = onLanguageChange(listener);
+    expect(withLanguage("en", () => t("chart.budget"))).toBe("Budget");
+    unsubscribe();
+
+    expect(getLanguage()).toBe("uk");
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it("matches preferred language tags", () => {
+    expect(matchLanguage(["de-DE", "en-US", "uk"])).toBe("en");
+    expect(matchLanguage(["UK-ua"])).toBe("uk");
+    expect(matchLanguage(["fr"])).toBe(DEFAULT_LANGUAGE);
+  });
+
+  it("saves and loads the chosen language", () => {
+    const storage = createStorage();
+    expect(loadLanguage(storage)).toBeNull();
+    saveLanguage(storage, "en");
+    expect(loadLanguage(storage)).toBe("en");
+    storage.setItem(LANGUAGE_STORAGE_KEY, "xx");
+    expect(loadLanguage(storage)).toBeNull();
+    expect(loadLanguage(null)).toBeNull();
+  });
+});
+
+describe("t", () => {
+  it("fills placeholders with locale-formatted numbers", () => {
+    expect(plain(t("units.range", { from: 1000, to: 2000 }))).toBe(
+      "1 000–2 000 хв"
+    );
+    setLanguage("en");
+    expect(t("units.range", { from: 1000, to: 2000 })).toBe("1,000–2,000 min");
+    expect(t("profiles.saved", { name: "Partner" })).toBe(
+      "Profile “Partner” saved"
+    );
+  });
+
+  it("picks plural forms by count", () => {
+    expect(t("units.minutes", { count: 1 })).toBe("1 хвилина");
+    expect(t("units.minutes", { count: 3 })).toBe("3 хвилини");
+    expect(t("units.minutes", { count: 500 })).toBe("500 хвилин");
+    expect(t("units.minutes", { count: 1.5 })).toBe("1,5 хвилини");
+    setLanguage("en");
+    expect(t("units.minutes", { count: 1 })).toBe("1 minute");
+    expect(t("units.minutes", { count: 500 })).toBe("500 minutes");
+  });
+
+  it("keeps unknown keys and missing placeholders", () => {
+    expect(t("no.such.message")).toBe("no.such.message");
+    expect(t("breakdown.tax")).toBe("ПДВ {rate}%");
+  });
+});
+
+describe("localizeTable", () => {
+  it("makes names follow the language", () => {
+    expect(FORMULAS.hyperbolic.name).toBe("Гіпербола");
+    setLanguage("en");
+    expect(FORMULAS.hyperbolic.name).toBe("Hyperbola");
+    expect(FORMULAS.tiered.equation).toBe("rate table");
+    expect(FORMULAS.power.equation).toBe("A × x^(-B)");
+  });
+
+  it("leaves fields without a message alone", () => {
+    const table = localizeTable({ a: { name: "A" } }, "missing");
+    expect(table.a.name).toBe("A");
+  });
+});
+
+describe("formatting", () => {
+  it("formats numbers, dates and money for the language", () => {
+    const date = new Date(2026, 2, 5, 14, 30, 0);
+    expect(plain(formatNumber(1234.5))).toBe("1 234,5");
+    expect(formatDate(date, { dateStyle: "short" })).toBe("05.03.26");
+    expect(plain(formatMoney(1234.5, "USD"))).toBe("1 234,50 $");
+
+    setLanguage("en");
+    expect(formatNumber(1234.5)).toBe("1,234.5");
+    expect(formatDate(date, { dateStyle: "short" })).toBe("05/03/2026");
+    expect(formatMoney(1234.5, "EUR")).toBe("€1,234.50");
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it, expect } from "vitest";
+import { A4_PAGE, createImagePdf } from "../src/pdf.js";
+
+const jpeg = new Uint8Array([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0xff, 0xd9]);
+const pdf = createImagePdf(jpeg, { width: 120, height: 170 });
+const text = new TextDecoder("latin1").decode(pdf);
+
+describe("createImagePdf", () => {
+  it("writes a PDF header and trailer", () => {
+    expect(text.startsWith("%PDF-1.4\n")).toBe(true);
+    expect(text.endsWith("%%EOF\n")).toBe(true);
+  });
+
+  it("embeds the JPEG as a DCT image of the given size", () => {
+    expect(text).toContain("/Width 120 /Height 170");
+    expect(text).toContain(`/Filter /DCTDecode /Length ${jpeg.length}`);
+    const start = text.indexOf("stream\n\xff\xd8") + "stream\n".length;
+    expect(Array.from(pdf.slice(start, start + jpeg.length))).toEqual(
+      Array.from(jpeg)
+    );
+  });
+
+  it("uses an A4 media box by default", () => {
+    expect(text).toContain(
+      `/MediaBox [0 0 ${A4_PAGE.width} ${A4_PAGE.height}]`
+    );
+  });
+
+  it("points cross-reference entries at their objects", () => {
+    const startxref = Number(/startxref\n(\d+)/.exec(text)[1]);
+    expect(text.slice(startxref, startxref + 4)).toBe("xref");
+
+    const offsets = [...text.matchAll(/^(\d{10}) 00000 n $/gm)].map((m) =>
+      Number(m[1])
+    );
+    expect(offsets).toHaveLength(5);
+    offsets.forEach((offset, i) => {
+      expect(text.slice(offset).startsWith(`${i + 1} 0 obj`)).toBe(true);
+    });
+  });
+});
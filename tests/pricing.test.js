@@ -0,0 +1,356 @@
+import { describe, it, expect } from "vitest";
+import { execFileSync } from "node:child_process";
+import {
+  FORMULAS,
+  DEFAULT_PRICING,
+  getFormula,
+  resolveParams,
+  createPricingConfig,
+  calculateRatePerMinute,
+  calculatePrice,
+  buildPriceCurve,
+  getCurveStep,
+  resolveFormula,
+  findNonFiniteRate,
+  DEFAULT_CUSTOM_PARAM,
+  validateTiers,
+  calculateTierBreakdown,
+} from "../src/pricing.js";
+import { ExpressionError } from "../src/expression.js";
+
+describe("getFormula", () => {
+  it("returns known formulas", () => {
+    expect(getFormula("power")).toBe(FORMULAS.power);
+  });
+
+  it("throws on unknown formulas", () => {
+    expect(() => getFormula("cubic")).toThrow("Unknown pricing formula: cubic");
+    expect(() => getFormula("toString")).toThrow(
+      "Unknown pricing formula: toString"
+    );
+  });
+});
+
+describe("resolveParams", () => {
+  it("fills missing params with formula defaults", () => {
+    expect(resolveParams("power", { A: 3 })).toEqual({ A: 3, B: 0.6 });
+  });
+
+  it("ignores non-numeric values", () => {
+    expect(resolveParams("hyperbolic", { A: "x", B: NaN })).toEqual({
+      A: 0.03,
+      B: 0.0005,
+    });
+  });
+});
+
+describe("createPricingConfig", () => {
+  it("defaults to DEFAULT_PRICING", () => {
+    expect(createPricingConfig()).toEqual(DEFAULT_PRICING);
+  });
+
+  it("keeps explicit values", () => {
+    const config = createPricingConfig({
+      formula: "logarithmic",
+      params: { A: 0.1, B: 0.01 },
+      baseFee: 5,
+      currency: "UAH",
+      exchangeRate: 41,
+    });
+    expect(config).toEqual({
+      formula: "logarithmic",
+      params: { A: 0.1, B: 0.01 },
+      baseFee: 5,
+      currency: "UAH",
+      exchangeRate: 41,
+    });
+  });
+});
+
+describe("calculateRatePerMinute", () => {
+  it("is zero for zero minutes", () => {
+    expect(calculateRatePerMinute(0, DEFAULT_PRICING)).toBe(0);
+  });
+
+  it("evaluates the hyperbolic formula", () => {
+    const rate = calculateRatePerMinute(1000, {
+      formula: "hyperbolic",
+      params: { A: 0.03, B: 0.0005 },
+    });
+    expect(rate).toBeCloseTo(0.02, 10);
+  });
+
+  it("evaluates the power formula", () => {
+    const rate = calculateRatePerMinute(100, {
+      formula: "power",
+      params: { A: 2, B: 0.5 },
+    });
+    expect(rate).toBeCloseTo(0.2, 10);
+  });
+
+  it("clamps the logarithmic formula to its floor", () => {
+    const rate = calculateRatePerMinute(1e9, {
+      formula: "logarithmic",
+      params: { A: 0.02, B: 0.02 },
+    });
+    expect(rate).toBe(0.005);
+  });
+});
+
+describe("calculatePrice", () => {
+  it("returns the full breakdown", () => {
+    const price = calculatePrice(1000, {
+      formula: "hyperbolic",
+      params: { A: 0.03, B: 0.0005 },
+      baseFee: 10,
+    });
+    expect(price.rate).toBeCloseTo(0.02, 10);
+    expect(price.processingCost).toBeCloseTo(20, 10);
+    expect(price.total).toBeCloseTo(30, 10);
+    expect(price.avgPerMinute).toBeCloseTo(0.03, 10);
+    expect(price.baseFee).toBe(10);
+    expect(price.minutes).toBe(1000);
+  });
+
+  it("charges only the base fee for zero minutes", () => {
+    const price = calculatePrice(0, { baseFee: 7 });
+    expect(price.total).toBe(7);
+    expect(price.avgPerMinute).toBe(0);
+  });
+
+  it("converts amounts with the exchange rate", () => {
+    const price = calculatePrice(1000, {
+      baseFee: 10,
+      currency: "UAH",
+      exchangeRate: 40,
+    });
+    expect(price.currency).toBe("UAH");
+    expect(price.converted.total).toBeCloseTo(price.total * 40, 10);
+    expect(price.converted.baseFee).toBe(400);
+  });
+
+  it("bills durations with seconds by the granularity", () => {
+    const duration = 90 + 20 / 60;
+    const exact = calculatePrice(duration, { granularity: "exact" });
+    expect(exact.minutes).toBe(duration);
+    expect(exact).not.toHaveProperty("duration");
+    expect(exact).toEqual(calculatePrice(duration, {}));
+
+    const perMinute = calculatePrice(duration, { granularity: "minute" });
+    expect(perMinute.minutes).toBe(91);
+    expect(perMinute.duration).toBe(duration);
+    expect(perMinute.total).toBe(calculatePrice(91, {}).total);
+    // Float noise does not start another minute
+    expect(
+      calculatePrice(0.1 + 0.2 + 59.7, { granularity: "minute" }).minutes
+    ).toBe(60);
+
+    expect(() => calculatePrice(1, { granularity: "hour" })).toThrow(
+      "Unknown billing granularity: hour"
+    );
+  });
+
+  it("does not depend on shared state between calls", () => {
+    const a = calculatePrice(500, { formula: "power" });
+    calculatePrice(500, { formula: "logarithmic" });
+    expect(calculatePrice(500, { formula: "power" })).toEqual(a);
+  });
+});
+
+describe("buildPriceCurve", () => {
+  it("samples the default range", () => {
+    const curve = buildPriceCurve(DEFAULT_PRICING);
+    expect(curve).toHaveLength(121);
+    expect(curve[0]).toEqual({ x: 0, y: 10 });
+    expect(curve.at(-1).x).toBe(6000);
+  });
+
+  it("honours custom range options", () => {
+    const curve = buildPriceCurve(DEFAULT_PRICING, { max: 100, step: 25 });
+    expect(curve.map((p) => p.x)).toEqual([0, 25, 50, 75, 100]);
+  });
+
+  it("adapts the default step to the range", () => {
+    expect(getCurveStep(6000)).toBe(50);
+    expect(getCurveStep(50000)).toBe(500);
+    expect(getCurveStep(100)).toBe(1);
+    const curve = buildPriceCurve(DEFAULT_PRICING, { max: 100000 });
+    expect(curve).toHaveLength(101);
+    expect(curve.at(-1).x).toBe(100000);
+  });
+});
+
+describe("custom formula", () => {
+  it("derives parameters from the expression", () => {
+    const formula = resolveFormula({
+      formula: "custom",
+      expression: "A * exp(-k * x) + C",
+    });
+    expect(Object.keys(formula.params)).toEqual(["A", "k", "C"]);
+    expect(formula.params.k).toEqual(DEFAULT_CUSTOM_PARAM);
+    expect(formula.params.A).toEqual(FORMULAS.custom.params.A);
+  });
+
+  it("prices with the expression", () => {
+    const price = calculatePrice(100, {
+      formula: "custom",
+      expression: "A / (1 + B*x) + C",
+      params: { A: 0.04, B: 0.01, C: 0.01 },
+      baseFee: 10,
+    });
+    expect(price.rate).toBeCloseTo(0.03, 10);
+    expect(price.total).toBeCloseTo(13, 10);
+    expect(price.expression).toBe("A / (1 + B*x) + C");
+  });
+
+  it("falls back to the default expression", () => {
+    const config = createPricingConfig({ formula: "custom" });
+    expect(config.expression).toBe(FORMULAS.custom.equation);
+    expect(config.params).toEqual({ A: 0.03, B: 0.0005, C: 0.005 });
+  });
+
+  it("throws ExpressionError on invalid expressions", () => {
+    expect(() =>
+      calculatePrice(100, { formula: "custom", expression: "A +" })
+    ).toThrow(ExpressionError);
+  });
+});
+
+describe("findNonFiniteRate", () => {
+  it("returns null for well-behaved formulas", () => {
+    for (const formula of ["hyperbolic", "power", "logarithmic", "custom"]) {
+      expect(findNonFiniteRate({ formula })).toBeNull();
+    }
+  });
+
+  it("reports the first non-finite sample", () => {
+    expect(
+      findNonFiniteRate({ formula: "custom", expression: "1 / (x - 1)" })
+    ).toEqual({ minutes: 1, rate: Infinity });
+
+    const invalid = findNonFiniteRate({
+      formula: "custom",
+      expression: "sqrt(100 - x)",
+    });
+    expect(invalid.minutes).toBe(150);
+    expect(invalid.rate).toBeNaN();
+  });
+});
+
+describe("validateTiers", () => {
+  it("accepts the default tier table", () => {
+    expect(validateTiers(FORMULAS.tiered.tiers)).toBeNull();
+  });
+
+  it.each([
+    [[], "empty", 0],
+    [[{ upTo: 100, rate: -1 }], "rate", 0],
+    [[{ upTo: 0, rate: 1 }], "bound", 0],
+    [
+      [
+        { upTo: 500, rate: 1 },
+        { upTo: 400, rate: 1 },
+      ],
+      "order",
+      1,
+    ],
+    [
+      [
+        { upTo: null, rate: 1 },
+        { upTo: 400, rate: 1 },
+      ],
+      "open-ended",
+      0,
+    ],
+  ])("reports %j as %s", (tiers, code, index) => {
+    expect(validateTiers(tiers)).toEqual({ code, index });
+  });
+});
+
+describe("tiered formula", () => {
+  const tiers = [
+    { upTo: 500, rate: 0.04 },
+    { upTo: 2000, rate: 0.03 },
+    { upTo: null, rate: 0.02 },
+  ];
+
+  it("bills each tier at its own rate in marginal mode", () => {
+    const lines = calculateTierBreakdown(2500, tiers, "marginal");
+    expect(lines).toEqual([
+      { from: 0, to: 500, rate: 0.04, minutes: 500, cost: 20 },
+      { from: 500, to: 2000, rate: 0.03, minutes: 1500, cost: 45 },
+      { from: 2000, to: null, rate: 0.02, minutes: 500, cost: 10 },
+    ]);
+  });
+
+  it("bills all minutes at the reached tier in all-units mode", () => {
+    expect(calculateTierBreakdown(500, tiers, "all-units")).toEqual([
+      { from: 0, to: 500, rate: 0.04, minutes: 500, cost: 20 },
+    ]);
+    expect(calculateTierBreakdown(501, tiers, "all-units")).toEqual([
+      { from: 500, to: 2000, rate: 0.03, minutes: 501, cost: 15.03 },
+    ]);
+  });
+
+  it("extends the last bounded tier when none is open-ended", () => {
+    const lines = calculateTierBreakdown(
+      300,
+      [
+        { upTo: 100, rate: 0.1 },
+        { upTo: 200, rate: 0.05 },
+      ],
+      "marginal"
+    );
+    expect(lines.map((line) => line.minutes)).toEqual([100, 200]);
+  });
+
+  it("prices with tiers and returns per-tier lines", () => {
+    const price = calculatePrice(2500, {
+      formula: "tiered",
+      tiers,
+      tierMode: "marginal",
+      baseFee: 10,
+    });
+    expect(price.processingCost).toBeCloseTo(75, 10);
+    expect(price.total).toBeCloseTo(85, 10);
+    expect(price.rate).toBeCloseTo(0.03, 10);
+    expect(price.tiers).toHaveLength(3);
+    expect(price.tierMode).toBe("marginal");
+  });
+
+  it("samples both sides of all-units steps", () => {
+    const curve = buildPriceCurve(
+      { formula: "tiered", tiers, tierMode: "all-units", baseFee: 0 },
+      { max: 1000, step: 250 }
+    );
+    expect(curve.map((p) => p.x)).toEqual([0, 250, 500, 501, 750, 1000]);
+    expect(curve[3].y).toBeLessThan(curve[2].y);
+  });
+
+  it("rejects invalid tier tables and modes", () => {
+    expect(() => calculatePrice(10, { formula: "tiered", tiers: [] })).toThrow(
+      "Invalid tier 1: empty"
+    );
+    expect(() =>
+      calculatePrice(10, { formula: "tiered", tierMode: "flat" })
+    ).toThrow("Unknown tier mode: flat");
+  });
+});
+
+describe("outside Vite", () => {
+  it("imports in plain Node, as scripts and the quote API do", () => {
+    const script = `
+      const { calculatePrice } = await import("./src/pricing.js");
+      await import("./src/quote-api.js");
+      console.log(calculatePrice(60, { formula: "power" }).total);
+    `;
+    const output = execFileSync(
+      process.execPath,
+      ["--input-type=module", "-e", script],
+      { cwd: new URL("..", import.meta.url), encoding: "utf8" }
+    );
+    expect(Number(output)).toBeCloseTo(
+      calculatePrice(60, { formula: "power" }).total
+    );
+  });
+});
@@ -0,0 +1,191 @@
+import { describe, it, expect } from "vitest";
+import {
+  PROFILES_STORAGE_KEY,
+  validateProfile,
+  normalizeProfile,
+  loadProfiles,
+  saveProfiles,
+  upsertProfile,
+  exportProfiles,
+  importProfiles,
+} from "../src/profiles.js";
+import { createStorage } from "./helpers.js";
+
+const PARTNER = {
+  name: "Partner",
+  formula: "power",
+  params: { A: 3, B: 0.5 },
+  baseFee: 8,
+  currency: "EUR",
+};
+
+describe("validateProfile", () => {
+  it("accepts a valid profile", () => {
+    expect(validateProfile(PARTNER, { currencies: ["EUR"] })).toEqual([]);
+  });
+
+  it("rejects non-objects", () => {
+    expect(validateProfile([])).toEqual([{ field: "profile", code: "type" }]);
+  });
+
+  it("reports parameters outside the formula ranges", () => {
+    const errors = validateProfile({
+      ...PARTNER,
+      params: { A: 50, B: 0.5 },
+      baseFee: 0,
+    });
+    expect(errors).toEqual([
+      { field: "params.A", code: "range", min: 0.5, max: 5 },
+      { field: "baseFee", code: "range", min: 1, max: 20 },
+    ]);
+  });
+
+  it("reports missing fields and unknown formulas", () => {
+    expect(validateProfile({ formula: "cubic" })).toEqual([
+      { field: "name", code: "required" },
+      { field: "formula", code: "unknown-formula" },
+    ]);
+    expect(
+      validateProfile({ name: "x", formula: "power", params: { A: 2 } })
+    ).toEqual([
+      { field: "params.B", code: "required" },
+      { field: "baseFee", code: "required" },
+    ]);
+  });
+
+  it("reports invalid expressions, tiers and currencies", () => {
+    expect(
+      validateProfile({ ...PARTNER, formula: "custom", expression: "A +" })
+    ).toEqual([{ field: "expression", code: "expression" }]);
+    expect(
+      validateProfile({ ...PARTNER, formula: "tiered", tiers: [] })
+    ).toEqual([{ field: "tiers", code: "tiers" }]);
+    expect(validateProfile(PARTNER, { currencies: ["UAH"] })).toEqual([
+      { field: "currency", code: "currency" },
+    ]);
+  });
+
+  it("checks parameters against configured ranges, not the profile's", () => {
+    const wide = { min: -1e9, max: 1e9, default: 0, step: 1 };
+    const custom = {
+      ...PARTNER,
+      formula: "custom",
+      expression: "A / (1 + B * x) + K",
+      params: { A: 500, B: 0.0005, K: -1000 },
+      paramSpecs: { A: wide, B: wide, K: wide },
+    };
+    expect(validateProfile(custom)).toEqual([
+      { field: "params.A", code: "range", min: 0.005, max: 0.2 },
+      { field: "params.K", code: "range", min: 0, max: 1 },
+    ]);
+    expect(
+      normalizeProfile({ ...custom, params: { A: 0.03, B: 0.0005, K: 0.5 } })
+    ).not.toHaveProperty("paramSpecs");
+  });
+});
+
+describe("normalizeProfile", () => {
+  it("keeps only known fields", () => {
+    expect(
+      normalizeProfile({ ...PARTNER, name: " Partner ", exchangeRate: 41 })
+    ).toEqual(PARTNER);
+  });
+
+  it("keeps formula-specific fields", () => {
+    const tiers = [{ upTo: null, rate: 0.02 }];
+    expect(
+      normalizeProfile({
+        name: "T",
+        formula: "tiered",
+        params: {},
+        baseFee: 10,
+        tiers,
+        tierMode: "all-units",
+        expression: "ignored",
+      })
+    ).toEqual({
+      name: "T",
+      formula: "tiered",
+      params: {},
+      baseFee: 10,
+      tiers,
+      tierMode: "all-units",
+    });
+  });
+});
+
+describe("loadProfiles / saveProfiles", () => {
+  it("round-trips through storage", () => {
+    const storage = createStorage();
+    saveProfiles(storage, { profiles: [PARTNER], active: "Partner" });
+    expect(loadProfiles(storage)).toEqual({
+      profiles: [PARTNER],
+      active: "Partner",
+    });
+  });
+
+  it("survives missing or corrupt storage data", () => {
+    const storage = createStorage();
+    expect(loadProfiles(storage)).toEqual({ profiles: [], active: null });
+    storage.setItem(PROFILES_STORAGE_KEY, "{not json");
+    expect(loadProfiles(storage)).toEqual({ profiles: [], active: null });
+  });
+
+  it("skips invalid entries and dangling active names", () => {
+    const storage = createStorage();
+    storage.setItem(
+      PROFILES_STORAGE_KEY,
+      JSON.stringify({
+        active: "Broken",
+        profiles: [PARTNER, { name: "Broken", formula: "power" }],
+      })
+    );
+    expect(loadProfiles(storage)).toEqual({
+      profiles: [PARTNER],
+      active: null,
+    });
+  });
+});
+
+describe("upsertProfile", () => {
+  it("appends new names and replaces existing ones", () => {
+    const other = { ...PARTNER, name: "Other" };
+    const updated = { ...PARTNER, baseFee: 12 };
+    expect(upsertProfile([PARTNER], other)).toEqual([PARTNER, other]);
+    expect(upsertProfile([PARTNER, other], updated)).toEqual([updated, other]);
+  });
+});
+
+describe("exportProfiles / importProfiles", () => {
+  it("round-trips exported profiles", () => {
+    expect(importProfiles(exportProfiles([PARTNER]))).toEqual({
+      profiles: [PARTNER],
+      rejected: [],
+    });
+  });
+
+  it("accepts a bare array or a single profile", () => {
+    expect(importProfiles(JSON.stringify([PARTNER])).profiles).toEqual([
+      PARTNER,
+    ]);
+    expect(importProfiles(JSON.stringify(PARTNER)).profiles).toEqual([PARTNER]);
+  });
+
+  it("reports rejected entries", () => {
+    const result = importProfiles(
+      JSON.stringify([PARTNER, { ...PARTNER, name: "Bad", baseFee: 99 }])
+    );
+    expect(result.profiles).toEqual([PARTNER]);
+    expect(result.rejected).toEqual([
+      {
+        index: 1,
+        name: "Bad",
+        errors: [{ field: "baseFee", code: "range", min: 1, max: 20 }],
+      },
+    ]);
+  });
+
+  it("throws on invalid JSON", () => {
+    expect(() => importProfiles("{")).toThrow(SyntaxError);
+  });
+});
@@ -0,0 +1,136 @@
+import { describe, it, expect } from "vitest";
+import {
+  PROMO_CODES,
+  validatePromoCode,
+  loadPromoCodes,
+  isPromoExpired,
+  redeemPromoCode,
+  calculateDiscount,
+} from "../src/promo.js";
+import { calculatePrice, buildPriceCurve } from "../src/pricing.js";
+
+/** @constant {Object} PROMO - Valid percentage code */
+const PROMO = {
+  code: "SPRING15",
+  type: "percent",
+  value: 15,
+  minMinutes: 100,
+  expiresAt: "2026-05-31",
+  currencies: ["EUR", "PLN"],
+};
+
+/** @constant {Object} FIXED - Valid fixed-amount code */
+const FIXED = {
+  code: "MINUS5",
+  type: "fixed",
+  value: 5,
+  minMinutes: 0,
+  expiresAt: null,
+  currencies: null,
+};
+
+describe("validatePromoCode", () => {
+  it.each([
+    [PROMO, null],
+    [FIXED, null],
+    [{ ...PROMO, code: " " }, "code"],
+    [{ ...PROMO, type: "bogo" }, "type"],
+    [{ ...PROMO, value: 120 }, "value"],
+    [{ ...FIXED, value: 0 }, "value"],
+    [{ ...PROMO, minMinutes: -1 }, "minMinutes"],
+    [{ ...PROMO, expiresAt: "31.05.2026" }, "expiresAt"],
+    [{ ...PROMO, expiresAt: undefined }, "expiresAt"],
+    [{ ...PROMO, currencies: "EUR" }, "currencies"],
+  ])("reports %j as %s", (promo, field) => {
+    expect(validatePromoCode(promo)).toBe(field);
+  });
+});
+
+describe("loadPromoCodes", () => {
+  it("skips invalid entries and upper-cases codes", () => {
+    const codes = loadPromoCodes({
+      codes: [{ ...FIXED, code: "minus5" }, { code: "BROKEN" }],
+    });
+    expect(codes).toEqual([FIXED]);
+    expect(loadPromoCodes(null)).toEqual([]);
+  });
+
+  it("loads the bundled definitions", () => {
+    expect(PROMO_CODES.length).toBeGreaterThan(0);
+    expect(PROMO_CODES.every((p) => validatePromoCode(p) === null)).toBe(true);
+  });
+});
+
+describe("redeemPromoCode", () => {
+  const options = { codes: [PROMO, FIXED], now: new Date(2026, 4, 31, 23) };
+  const order = { minutes: 500, currency: "EUR" };
+
+  it("accepts codes regardless of case and spacing", () => {
+    expect(redeemPromoCode(" spring15 ", order, options)).toEqual({
+      promo: PROMO,
+      problem: null,
+    });
+  });
+
+  it.each([
+    ["", order, "empty"],
+    ["NOPE", order, "unknown"],
+    ["SPRING15", { minutes: 99, currency: "EUR" }, "min-minutes"],
+    ["SPRING15", { minutes: 500, currency: "UAH" }, "currency"],
+  ])("rejects %j for %j as %s", (input, candidate, problem) => {
+    expect(redeemPromoCode(input, candidate, options).problem).toBe(problem);
+  });
+
+  it("rejects codes after their last day", () => {
+    const now = new Date(2026, 5, 1);
+    expect(isPromoExpired(PROMO, now)).toBe(true);
+    expect(redeemPromoCode("SPRING15", order, { ...options, now })).toEqual({
+      promo: PROMO,
+      problem: "expired",
+    });
+  });
+});
+
+describe("calculateDiscount", () => {
+  it("applies percentages and caps fixed amounts at the subtotal", () => {
+    expect(calculateDiscount(PROMO, 100, "PLN", 40)).toBeCloseTo(6, 10);
+    expect(calculateDiscount(FIXED, 10, "UAH", 3)).toBe(3);
+  });
+
+  it("gives nothing when the order does not qualify", () => {
+    expect(calculateDiscount(PROMO, 50, "EUR", 40)).toBe(0);
+  });
+});
+
+describe("pricing with promo codes", () => {
+  const config = { baseFee: 10, currency: "EUR", exchangeRate: 0.5 };
+
+  it("deducts the discount after add-ons", () => {
+    const base = calculatePrice(500, { ...config, addons: ["stems"] });
+    const price = calculatePrice(500, {
+      ...config,
+      addons: ["stems"],
+      promo: PROMO,
+    });
+    expect(price.promoCode).toBe("SPRING15");
+    expect(price.discount).toBeCloseTo(base.total * 0.15, 10);
+    expect(price.total).toBeCloseTo(base.total * 0.85, 10);
+    expect(price.converted.discount).toBeCloseTo(price.discount * 0.5, 10);
+  });
+
+  it("only discounts the curve above the minimum minutes", () => {
+    const curve = buildPriceCurve(
+      { ...config, promo: PROMO },
+      { max: 150, step: 50 }
+    );
+    const base = buildPriceCurve(config, { max: 150, step: 50 });
+    expect(curve[1].y).toBe(base[1].y);
+    expect(curve[2].y).toBeCloseTo(base[2].y * 0.85, 10);
+  });
+
+  it("rejects invalid definitions", () => {
+    expect(() =>
+      calculatePrice(10, { ...config, promo: { ...PROMO, value: -1 } })
+    ).toThrow("Invalid promo code: value");
+  });
+});
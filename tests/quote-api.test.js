@@ -0,0 +1,360 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from "vitest";
+import {
+  MAX_BODY_SIZE,
+  createQuoteServer,
+  createRateLoader,
+} from "../src/quote-api.js";
+import {
+  FORMULAS,
+  DEFAULT_GRANULARITY,
+  calculatePrice,
+} from "../src/pricing.js";
+import { CURRENCIES } from "../src/currency.js";
+import { DEFAULT_ROUNDING_POLICIES } from "../src/rounding.js";
+import { FALLBACK_RATES } from "../src/exchange-rates.js";
+
+const snapshot = {
+  provider: "exchangerate-api",
+  base: "USD",
+  rates: { USD: 1, UAH: 41.3, EUR: 0.86 },
+  publishedAt: null,
+  fetchedAt: "2026-10-19T10:00:00.000Z",
+};
+
+/** Snapshot the test server's rate loader returns */
+let rates = snapshot;
+const loadRates = vi.fn(async () => rates);
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  server = createQuoteServer({ loadRates });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+/**
+ * Posts a quote request to the test server
+ * @param {*} body - Request body, sent as JSON unless a string
+ * @param {Object} [headers] - Request headers
+ * @returns {Promise<{status: number, body: Object}>} Status and parsed body
+ */
+async function postQuote(
+  body,
+  headers = { "Content-Type": "application/json" }
+) {
+  const response = await fetch(`${baseUrl}/quote`, {
+    method: "POST",
+    headers,
+    body: typeof body === "string" ? body : JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Prices a config the way the page does, as it looks after a JSON round trip
+ * @param {number} minutes - Duration in minutes
+ * @param {Object} config - Pricing config
+ * @returns {Object} Breakdown
+ */
+function pagePrice(minutes, config) {
+  return JSON.parse(
+    JSON.stringify(
+      calculatePrice(minutes, { granularity: DEFAULT_GRANULARITY, ...config })
+    )
+  );
+}
+
+describe("POST /quote", () => {
+  it("prices exactly as the page does", async () => {
+    const request = {
+      minutes: 500,
+      formula: "power",
+      params: { A: 2.5 },
+      baseFee: 12,
+      currency: "EUR",
+    };
+    const { status, body } = await postQuote(request);
+    expect(status).toBe(200);
+    expect(body).toEqual({
+      ...pagePrice(500, { ...request, exchangeRate: 0.86 }),
+      rateSource: "api",
+      rateUpdatedAt: "2026-10-19T10:00:00.000Z",
+    });
+  });
+
+  it("rounds totals with the page's policy unless the request sets one", async () => {
+    const request = { minutes: 500, currency: "UAH" };
+    const { body } = await postQuote(request);
+    expect(body).toMatchObject(
+      pagePrice(500, {
+        ...request,
+        exchangeRate: 41.3,
+        rounding: DEFAULT_ROUNDING_POLICIES.UAH,
+      })
+    );
+    expect(body.converted.total % 5).toBe(0);
+    expect(body.converted.rawTotal).toBeCloseTo(body.total * 41.3);
+
+    const charm = await postQuote({
+      ...request,
+      rounding: { increment: 1, mode: "up", charm: true },
+    });
+    expect(charm.body.converted.total).toBeCloseTo(
+      Math.ceil(body.converted.rawTotal) - 0.01
+    );
+
+    const none = await postQuote({ ...request, rounding: {} });
+    expect(none.body.converted).not.toHaveProperty("rawTotal");
+    expect(none.body.converted.total).toBeCloseTo(body.converted.rawTotal);
+  });
+
+  it("falls back to the page defaults and fallback rates", async () => {
+    rates = null;
+    try {
+      const { body } = await postQuote({ minutes: 90.5 });
+      expect(body).toMatchObject({
+        minutes: 91,
+        duration: 90.5,
+        formula: "hyperbolic",
+        currency: "UAH",
+        exchangeRate: FALLBACK_RATES.UAH,
+        rateSource: "fallback",
+        rateUpdatedAt: null,
+      });
+    } finally {
+      rates = snapshot;
+    }
+  });
+
+  it("uses a given exchange rate without loading rates", async () => {
+    loadRates.mockClear();
+    const { body } = await postQuote({
+      minutes: 60,
+      currency: "PLN",
+      exchangeRate: 4,
+    });
+    expect(loadRates).not.toHaveBeenCalled();
+    expect(body).toMatchObject({ exchangeRate: 4, rateSource: "manual" });
+    expect(body.converted.total).toBeCloseTo(body.total * 4);
+  });
+
+  it("prices custom expressions and tier tables", async () => {
+    const custom = {
+      minutes: 100,
+      formula: "custom",
+      expression: "A * 2 + C",
+      params: { A: 0.01, C: 0.02 },
+      currency: "USD",
+    };
+    expect((await postQuote(custom)).body.total).toBeCloseTo(10 + 100 * 0.04);
+
+    const tiered = {
+      minutes: 150,
+      formula: "tiered",
+      tiers: [
+        { upTo: 100, rate: 0.1 },
+        { upTo: null, rate: 0.05 },
+      ],
+      tierMode: "marginal",
+      currency: "USD",
+    };
+    const { body } = await postQuote(tiered);
+    expect(body.tiers.map((line) => line.cost)).toEqual([10, 2.5]);
+    expect(body.total).toBeCloseTo(10 + 12.5);
+  });
+
+  it("reports every schema problem with its path", async () => {
+    const { status, body } = await postQuote({
+      minutes: -1,
+      formula: "linear",
+      currency: "JPY",
+      rounding: { increment: 0, mode: "down" },
+      fee: 10,
+    });
+    expect(status).toBe(400);
+    expect(body.error.code).toBe("invalid-request");
+    expect(body.error.details.map((d) => d.path)).toEqual([
+      "minutes",
+      "formula",
+      "currency",
+      "rounding.increment",
+      "rounding.mode",
+      "fee",
+    ]);
+    expect(body.error.details[0].message).toBe("must be at least 0");
+
+    const missing = await postQuote({});
+    expect(missing.body.error.details).toEqual([
+      { path: "minutes", message: "is required" },
+    ]);
+  });
+
+  it("checks parameters and settings against the formula", async () => {
+    const { A } = FORMULAS.power.params;
+    const { body } = await postQuote({
+      minutes: 60,
+      formula: "power",
+      params: { A: A.max + 1, C: 1 },
+    });
+    expect(body.error.details).toEqual([
+      {
+        path: "params.A",
+        message: `${A.max + 1} is outside ${A.min}–${A.max}`,
+      },
+      { path: "params.C", message: "is not a parameter of the power formula" },
+    ]);
+
+    const inherited = await postQuote({
+      minutes: 60,
+      params: { constructor: 1, toString: 1 },
+    });
+    expect(inherited.body.error.details.map((d) => d.path)).toEqual([
+      "params.constructor",
+      "params.toString",
+    ]);
+
+    const misplaced = await postQuote({
+      minutes: 60,
+      expression: "A * x",
+      tiers: [{ upTo: null, rate: 0.1 }],
+    });
+    expect(misplaced.body.error.details.map((d) => d.path)).toEqual([
+      "expression",
+      "tiers",
+    ]);
+
+    const tiers = await postQuote({
+      minutes: 60,
+      formula: "tiered",
+      tiers: [
+        { upTo: 100, rate: 0.1 },
+        { upTo: 50, rate: 0.05 },
+      ],
+    });
+    expect(tiers.body.error.details).toEqual([
+      { path: "tiers[1]", message: "upTo must be above the previous bound" },
+    ]);
+  });
+
+  it("reports broken and non-finite custom expressions", async () => {
+    const broken = await postQuote({
+      minutes: 60,
+      formula: "custom",
+      expression: "A *",
+    });
+    expect(broken.body.error.details).toMatchObject([{ path: "expression" }]);
+
+    const infinite = await postQuote({
+      minutes: 100,
+      formula: "custom",
+      expression: "A / (x - 100)",
+    });
+    expect(infinite.status).toBe(400);
+    expect(infinite.body.error.details).toEqual([
+      {
+        path: "expression",
+        message: "gives a non-finite price at 100 minutes",
+      },
+    ]);
+  });
+
+  it("rejects bodies that are not JSON objects", async () => {
+    const notJson = await postQuote("{minutes: 60");
+    expect(notJson.status).toBe(400);
+    expect(notJson.body.error.code).toBe("invalid-json");
+
+    const array = await postQuote([60]);
+    expect(array.body.error.details).toEqual([
+      { path: "", message: "must be object, got array" },
+    ]);
+
+    const form = await postQuote("minutes=60", {
+      "Content-Type": "application/x-www-form-urlencoded",
+    });
+    expect(form.status).toBe(415);
+
+    const large = await postQuote({
+      minutes: 60,
+      note: "x".repeat(MAX_BODY_SIZE),
+    });
+    expect(large.status).toBe(413);
+    expect(large.body.error.code).toBe("payload-too-large");
+  });
+});
+
+describe("GET /formulas", () => {
+  it("describes formulas with their parameter bounds", async () => {
+    const response = await fetch(`${baseUrl}/formulas?lang=en`);
+    const body = await response.json();
+    expect(response.status).toBe(200);
+    expect(body.formulas.map((f) => f.id)).toEqual(Object.keys(FORMULAS));
+    expect(body.formulas[1]).toEqual({
+      id: "power",
+      name: "Power function",
+      equation: "A × x^(-B)",
+      params: FORMULAS.power.params,
+    });
+    expect(body.formulas.at(-1)).toMatchObject({
+      expression: FORMULAS.custom.equation,
+      variable: "x",
+    });
+    expect(body.currencies).toEqual(CURRENCIES);
+  });
+
+  it("answers in the language the client accepts", async () => {
+    const response = await fetch(`${baseUrl}/formulas`, {
+      headers: { "Accept-Language": "uk-UA,uk;q=0.9,en;q=0.8" },
+    });
+    expect((await response.json()).formulas[0].name).toBe("Гіпербола");
+  });
+});
+
+describe("routing", () => {
+  it("answers unknown routes and methods with JSON errors", async () => {
+    const missing = await fetch(`${baseUrl}/quotes`);
+    expect(missing.status).toBe(404);
+    expect((await missing.json()).error.code).toBe("not-found");
+
+    const wrongMethod = await fetch(`${baseUrl}/quote`);
+    expect(wrongMethod.status).toBe(405);
+    expect(wrongMethod.headers.get("Allow")).toBe("POST");
+    expect((await wrongMethod.json()).error.code).toBe("method-not-allowed");
+  });
+});
+
+describe("createRateLoader", () => {
+  it("keeps rates until they go stale", async () => {
+    const fetchRates = vi.fn(async () => ({
+      ...snapshot,
+      fetchedAt: new Date().toISOString(),
+    }));
+    const load = createRateLoader({ fetchRates, maxAge: 60000 });
+    const first = await load();
+    expect(await load()).toBe(first);
+    expect(fetchRates).toHaveBeenCalledTimes(1);
+
+    const expiring = createRateLoader({ fetchRates, maxAge: -1 });
+    await expiring();
+    await expiring();
+    expect(fetchRates).toHaveBeenCalledTimes(3);
+  });
+
+  it("waits before retrying after a failure", async () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const fetchRates = vi.fn(async () => {
+      throw new Error("offline");
+    });
+    const load = createRateLoader({ fetchRates });
+    expect(await load()).toBeNull();
+    expect(await load()).toBeNull();
+    expect(fetchRates).toHaveBeenCalledTimes(1);
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,256 @@
+import { describe, it, expect } from "vitest";
+import {
+  QUOTE_COUNTER_STORAGE_KEY,
+  formatQuoteNumber,
+  nextQuoteNumber,
+  QUOTE_PAGE,
+  createQuote,
+  getQuoteLines,
+  drawQuotePage,
+  quotesToCsv,
+  quoteToJson,
+} from "../src/quote.js";
+import { calculatePrice } from "../src/pricing.js";
+import { ADDONS } from "../src/addons.js";
+import { createStorage } from "./helpers.js";
+
+describe("quote numbers", () => {
+  const day = new Date(2026, 9, 19, 15, 30);
+
+  it("formats the date and a padded sequence", () => {
+    expect(formatQuoteNumber(day, 7)).toBe("Q-20261019-007");
+  });
+
+  it("counts quotes per day", () => {
+    const storage = createStorage();
+    expect(nextQuoteNumber(storage, day)).toBe("Q-20261019-001");
+    expect(nextQuoteNumber(storage, day)).toBe("Q-20261019-002");
+    expect(nextQuoteNumber(storage, new Date(2026, 9, 20))).toBe(
+      "Q-20261020-001"
+    );
+  });
+
+  it("tolerates broken or missing storage", () => {
+    const storage = createStorage();
+    storage.setItem(QUOTE_COUNTER_STORAGE_KEY, "{not json");
+    expect(nextQuoteNumber(storage, day)).toBe("Q-20261019-001");
+    expect(nextQuoteNumber(null, day)).toBe("Q-20261019-001");
+  });
+});
+
+describe("createQuote", () => {
+  const price = calculatePrice(1000, {
+    formula: "hyperbolic",
+    params: { A: 0.03, B: 0.0005 },
+    baseFee: 10,
+    currency: "UAH",
+    exchangeRate: 41.2345,
+  });
+  const quote = createQuote(price, {
+    number: "Q-20261019-001",
+    issuedAt: new Date("2026-10-19T12:00:00Z"),
+    formulaName: "Гіпербола: A / (1 + B × x)",
+    rateSource: "api",
+    rateUpdatedAt: new Date("2026-10-19T11:55:00Z"),
+  });
+
+  it("uses converted amounts rounded to cents", () => {
+    expect(quote.currency).toBe("UAH");
+    expect(quote.baseFee).toBe(412.35);
+    expect(quote.processingCost).toBe(824.69);
+    expect(quote.total).toBe(1237.04);
+    expect(quote.rate).toBe(0.8247);
+  });
+
+  it("records the exchange rate and its timestamp", () => {
+    expect(quote.exchangeRate).toBe(41.2345);
+    expect(quote.rateSource).toBe("api");
+    expect(quote.rateUpdatedAt).toBe("2026-10-19T11:55:00.000Z");
+    expect(quote.issuedAt).toBe("2026-10-19T12:00:00.000Z");
+  });
+
+  it("leaves the rate timestamp empty for fallback rates", () => {
+    const fallback = createQuote(price, {
+      number: "Q-20261019-002",
+      issuedAt: new Date(),
+      formulaName: "x",
+      rateSource: "fallback",
+      rateUpdatedAt: null,
+    });
+    expect(fallback.rateUpdatedAt).toBeNull();
+  });
+
+  it("exports CSV with a header and escaped cells", () => {
+    const csv = quotesToCsv([{ ...quote, formula: 'Ціна, "знижка"' }]);
+    const [header, row] = csv.split("\r\n");
+    expect(header).toBe(
+      "number,issuedAt,minutes,formula,currency,baseFee,processingCost,addonsCost,promoCode,discount,net,taxRate,taxInclusive,tax,rate,roundingAdjustment,total,exchangeRate,rateSource,rateUpdatedAt"
+    );
+    expect(row).toBe(
+      'Q-20261019-001,2026-10-19T12:00:00.000Z,1000,"Ціна, ""знижка""",UAH,412.35,824.69,0,,0,1237.04,,false,0,0.8247,0,1237.04,41.2345,api,2026-10-19T11:55:00.000Z'
+    );
+  });
+
+  it("lists add-ons and includes them in the total", () => {
+    const withAddons = createQuote(
+      calculatePrice(1000, {
+        baseFee: 10,
+        currency: "UAH",
+        exchangeRate: 41.2345,
+        addons: ["rush", "stems"],
+      }),
+      {
+        number: "Q-20261019-004",
+        issuedAt: new Date(),
+        formulaName: "x",
+        rateSource: "api",
+        rateUpdatedAt: null,
+      }
+    );
+    expect(withAddons.addons).toEqual([
+      { name: "Термінове виконання", cost: 618.52 },
+      { name: "Стеми (окремі доріжки)", cost: 618.52 },
+    ]);
+    expect(withAddons.addonsCost).toBe(1237.04);
+    expect(withAddons.total).toBe(2474.08);
+  });
+
+  it("deducts the promo code discount", () => {
+    const discounted = createQuote(
+      calculatePrice(1000, {
+        baseFee: 10,
+        currency: "UAH",
+        exchangeRate: 41.2345,
+        promo: {
+          code: "WELCOME10",
+          type: "percent",
+          value: 10,
+          minMinutes: 0,
+          expiresAt: null,
+          currencies: null,
+        },
+      }),
+      {
+        number: "Q-20261019-005",
+        issuedAt: new Date(),
+        formulaName: "x",
+        rateSource: "api",
+        rateUpdatedAt: null,
+      }
+    );
+    expect(discounted.promoCode).toBe("WELCOME10");
+    expect(discounted.discount).toBe(123.7);
+    expect(discounted.total).toBe(1113.34);
+  });
+
+  it.each([
+    [false, { net: 1237.04, tax: 247.41, total: 1484.45 }],
+    [true, { net: 1030.86, tax: 206.18, total: 1237.04 }],
+  ])("splits out tax (inclusive: %s)", (inclusive, expected) => {
+    const taxed = createQuote(
+      calculatePrice(1000, {
+        baseFee: 10,
+        currency: "UAH",
+        exchangeRate: 41.2345,
+        tax: { rate: 20, inclusive },
+      }),
+      {
+        number: "Q-20261019-006",
+        issuedAt: new Date(),
+        formulaName: "x",
+        rateSource: "api",
+        rateUpdatedAt: null,
+      }
+    );
+    expect(taxed).toMatchObject({ taxRate: 20, taxInclusive: inclusive });
+    expect(taxed).toMatchObject(expected);
+    expect(taxed.roundingAdjustment).toBe(0);
+  });
+
+  it("adds the rounding adjustment to the total", () => {
+    const rounded = createQuote(
+      calculatePrice(1000, {
+        baseFee: 10,
+        currency: "UAH",
+        exchangeRate: 41.2345,
+        rounding: { increment: 10 },
+      }),
+      {
+        number: "Q-20261019-003",
+        issuedAt: new Date(),
+        formulaName: "x",
+        rateSource: "api",
+        rateUpdatedAt: null,
+      }
+    );
+    expect(rounded.total).toBe(1240);
+    expect(rounded.roundingAdjustment).toBe(2.96);
+    expect(rounded.baseFee + rounded.processingCost).toBeCloseTo(1237.04, 10);
+  });
+
+  it("exports JSON that round-trips", () => {
+    expect(JSON.parse(quoteToJson(quote))).toEqual(quote);
+  });
+});
+
+describe("drawQuotePage", () => {
+  /**
+   * Creates a 2D context stand-in recording drawn text
+   * @returns {Object} Context with the drawn `texts` as `{ text, y, font }`
+   */
+  function createContext() {
+    const texts = [];
+    return {
+      texts,
+      fillRect() {},
+      beginPath() {},
+      moveTo() {},
+      lineTo() {},
+      stroke() {},
+      fillText(text, x, y) {
+        texts.push({ text, y, font: this.font });
+      },
+    };
+  }
+
+  it("keeps the total on the page for a quote with every line type", () => {
+    const quote = createQuote(
+      calculatePrice(1000, {
+        baseFee: 10,
+        currency: "UAH",
+        exchangeRate: 41.2345,
+        addons: Object.keys(ADDONS),
+        promo: {
+          code: "WELCOME10",
+          type: "percent",
+          value: 10,
+          minMinutes: 0,
+          expiresAt: null,
+          currencies: null,
+        },
+        tax: { rate: 20, inclusive: false },
+        rounding: { increment: 10 },
+      }),
+      {
+        number: "Q-20261019-007",
+        issuedAt: new Date(),
+        formulaName: "x",
+        rateSource: "api",
+        rateUpdatedAt: null,
+      }
+    );
+    expect(quote.roundingAdjustment).not.toBe(0);
+    expect(getQuoteLines(quote)).toHaveLength(19);
+
+    const ctx = createContext();
+    drawQuotePage(ctx, quote);
+    const total = ctx.texts.at(-1);
+    expect(total.font).toMatch(/^600 64px/);
+    expect(total.y).toBeLessThanOrEqual(QUOTE_PAGE.height - 64);
+
+    // Rows stay in order and clear of the total label
+    const rows = ctx.texts.slice(2, -2).map((entry) => entry.y);
+    expect(rows).toEqual([...rows].sort((a, b) => a - b));
+    expect(Math.max(...rows)).toBeLessThan(ctx.texts.at(-2).y);
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseOrdersCsv,
+  simulateRevenue,
+  findLargestChanges,
+  buildOrderHistogram,
+} from "../src/revenue.js";
+import { calculatePrice } from "../src/pricing.js";
+
+describe("parseOrdersCsv", () => {
+  it("reads orders by header name, skipping blank lines", () => {
+    const csv =
+      "id,Currency,minutes,date\r\n1,usd,120,2026-03-01\r\n\r\n2,UAH,45.5,2026-03-02T10:00:00Z\r\n";
+    expect(parseOrdersCsv(csv)).toEqual({
+      orders: [
+        { line: 2, date: "2026-03-01", minutes: 120, currency: "USD" },
+        {
+          line: 4,
+          date: "2026-03-02T10:00:00Z",
+          minutes: 45.5,
+          currency: "UAH",
+        },
+      ],
+      rejected: [],
+      missing: [],
+    });
+  });
+
+  it("accepts semicolons, decimal commas and quoted cells", () => {
+    const csv = '\uFEFFdate;minutes;currency\n2026-01-05;"12,5";EUR';
+    expect(parseOrdersCsv(csv).orders).toEqual([
+      { line: 2, date: "2026-01-05", minutes: 12.5, currency: "EUR" },
+    ]);
+  });
+
+  it("rejects invalid rows with their line numbers", () => {
+    const csv = [
+      "date,minutes,currency",
+      "yesterday,10,USD",
+      "2026-01-01,-3,USD",
+      "2026-01-01,,USD",
+      "2026-01-01,10,XYZ",
+      "2026-01-01,10,dollars",
+    ].join("\n");
+    const { orders, rejected } = parseOrdersCsv(csv, {
+      currencies: ["USD", "UAH"],
+    });
+    expect(orders).toEqual([]);
+    expect(rejected).toEqual([
+      { line: 2, code: "date" },
+      { line: 3, code: "minutes" },
+      { line: 4, code: "minutes" },
+      { line: 5, code: "currency" },
+      { line: 6, code: "currency" },
+    ]);
+  });
+
+  it("reports missing columns", () => {
+    expect(parseOrdersCsv("date,duration\n2026-01-01,5")).toEqual({
+      orders: [],
+      rejected: [],
+      missing: ["minutes", "currency"],
+    });
+    expect(parseOrdersCsv("").missing).toEqual(["date", "minutes", "currency"]);
+  });
+});
+
+describe("simulateRevenue", () => {
+  const orders = [
+    { line: 2, date: "2026-01-01", minutes: 100, currency: "USD" },
+    { line: 3, date: "2026-01-02", minutes: 3000, currency: "UAH" },
+    { line: 4, date: "2026-01-03", minutes: 500, currency: "USD" },
+  ];
+  const current = { formula: "power", baseFee: 10 };
+  const baseline = { formula: "hyperbolic", baseFee: 10 };
+  const billing = (currency) =>
+    currency === "UAH"
+      ? { currency, exchangeRate: 40, rounding: { increment: 5, mode: "up" } }
+      : { currency, exchangeRate: 1 };
+
+  it("prices each order in its currency under both configs", () => {
+    const result = simulateRevenue(orders, current, baseline, { billing });
+    const uah = result.orders[1];
+    expect(uah.current).toBe(
+      calculatePrice(3000, { ...current, ...billing("UAH") }).converted.total
+    );
+    expect(uah.baseline).toBe(
+      calculatePrice(3000, { ...baseline, ...billing("UAH") }).converted.total
+    );
+    expect(uah.current % 5).toBe(0);
+    expect(uah.difference).toBeCloseTo(uah.current - uah.baseline, 10);
+    expect(uah.percent).toBeCloseTo((uah.difference / uah.baseline) * 100, 10);
+    expect(uah.exchangeRate).toBe(40);
+  });
+
+  it("sums revenue in USD and per currency", () => {
+    const result = simulateRevenue(orders, current, baseline, { billing });
+    const usd = result.orders.filter((order) => order.currency === "USD");
+    const [uah] = result.orders.filter((order) => order.currency === "UAH");
+
+    expect(result.totals.count).toBe(3);
+    expect(result.totals.current).toBeCloseTo(
+      usd[0].current + usd[1].current + uah.current / 40,
+      10
+    );
+    expect(result.byCurrency.map((row) => row.currency)).toEqual([
+      "USD",
+      "UAH",
+    ]);
+    expect(result.byCurrency[0]).toMatchObject({ count: 2 });
+    expect(result.byCurrency[0].baseline).toBeCloseTo(
+      usd[0].baseline + usd[1].baseline,
+      10
+    );
+  });
+
+  it("finds no change against the same config", () => {
+    const result = simulateRevenue(orders, current, current, { billing });
+    expect(result.totals.difference).toBe(0);
+    expect(findLargestChanges(result.orders)).toEqual([]);
+  });
+});
+
+describe("findLargestChanges", () => {
+  it("ranks orders by absolute change in USD", () => {
+    const orders = [
+      { line: 2, difference: 10, exchangeRate: 1 },
+      { line: 3, difference: -600, exchangeRate: 40 },
+      { line: 4, difference: -20, exchangeRate: 1 },
+      { line: 5, difference: 0, exchangeRate: 1 },
+    ];
+    expect(findLargestChanges(orders).map((order) => order.line)).toEqual([
+      4, 3, 2,
+    ]);
+    expect(findLargestChanges(orders, 1)).toHaveLength(1);
+  });
+});
+
+describe("buildOrderHistogram", () => {
+  it("counts orders in round-width bins", () => {
+    const histogram = buildOrderHistogram(
+      [{ minutes: 0 }, { minutes: 120 }, { minutes: 199 }, { minutes: 950 }],
+      { bins: 10 }
+    );
+    expect(histogram).toHaveLength(10);
+    expect(histogram[0]).toEqual({ from: 0, to: 100, count: 1 });
+    expect(histogram[1]).toEqual({ from: 100, to: 200, count: 2 });
+    expect(histogram[9]).toEqual({ from: 900, to: 1000, count: 1 });
+  });
+
+  it("handles short and missing orders", () => {
+    expect(buildOrderHistogram([])).toEqual([]);
+    expect(buildOrderHistogram([{ minutes: 0 }])).toEqual([
+      { from: 0, to: 1, count: 1 },
+    ]);
+  });
+
+  it("handles more orders than fit in a call's arguments", () => {
+    const orders = Array.from({ length: 200000 }, (_, i) => ({
+      minutes: i % 1000,
+    }));
+    const histogram = buildOrderHistogram(orders, { bins: 10 });
+    expect(histogram).toHaveLength(10);
+    expect(histogram.every((bin) => bin.count === 20000)).toBe(true);
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, it, expect } from "vitest";
+import {
+  NO_ROUNDING,
+  ROUNDING_STORAGE_KEY,
+  roundPrice,
+  validateRoundingPolicy,
+  normalizeRoundingPolicy,
+  isRoundingActive,
+  loadRoundingPolicies,
+  saveRoundingPolicies,
+  getRoundingPolicy,
+} from "../src/rounding.js";
+import { calculatePrice, buildPriceCurve } from "../src/pricing.js";
+import { createStorage } from "./helpers.js";
+
+/**
+ * Rounds a value with NO_ROUNDING overridden by `policy`
+ * @param {number} value - Raw total
+ * @param {Object} policy - Policy fields to override
+ * @returns {number} Rounded total
+ */
+const round = (value, policy) =>
+  roundPrice(value, { ...NO_ROUNDING, ...policy }).rounded;
+
+describe("roundPrice", () => {
+  it("rounds to the nearest increment", () => {
+    expect(round(1234.57, { increment: 5 })).toBe(1235);
+    expect(round(1232.4, { increment: 5 })).toBe(1230);
+    expect(round(1234.57, { increment: 10 })).toBe(1230);
+    expect(round(1234.57, { increment: 50 })).toBe(1250);
+  });
+
+  it("only rounds up in up mode", () => {
+    expect(round(1230.01, { increment: 10, mode: "up" })).toBe(1240);
+    expect(round(1230, { increment: 10, mode: "up" })).toBe(1230);
+  });
+
+  it("ignores float noise at increment boundaries", () => {
+    expect(round(0.1 * 3 * 100, { increment: 10, mode: "up" })).toBe(30);
+  });
+
+  it("ends charm prices in .99", () => {
+    expect(round(1234.57, { charm: true })).toBe(1234.99);
+    expect(round(1234.2, { charm: true })).toBe(1233.99);
+    expect(round(1234.57, { charm: true, increment: 10, mode: "up" })).toBe(
+      1239.99
+    );
+    expect(round(1239.99, { charm: true, mode: "up" })).toBe(1239.99);
+  });
+
+  it("never goes below the minimum order total", () => {
+    expect(round(120.4, { increment: 5, minimumTotal: 500 })).toBe(500);
+    expect(round(620.4, { increment: 5, minimumTotal: 500 })).toBe(620);
+  });
+
+  it("reports the adjustment", () => {
+    const result = roundPrice(1232.4, { ...NO_ROUNDING, increment: 5 });
+    expect(result.raw).toBe(1232.4);
+    expect(result.adjustment).toBeCloseTo(-2.4, 10);
+  });
+});
+
+describe("policy validation", () => {
+  it.each([
+    [{ ...NO_ROUNDING, increment: 0 }, "increment"],
+    [{ ...NO_ROUNDING, mode: "down" }, "mode"],
+    [{ ...NO_ROUNDING, charm: "yes" }, "charm"],
+    [{ ...NO_ROUNDING, minimumTotal: -1 }, "minimum"],
+    [NO_ROUNDING, null],
+  ])("reports %j as %s", (policy, code) => {
+    expect(validateRoundingPolicy(policy)).toBe(code);
+  });
+
+  it("fills defaults and rejects invalid policies", () => {
+    expect(normalizeRoundingPolicy({ increment: 5 })).toEqual({
+      ...NO_ROUNDING,
+      increment: 5,
+    });
+    expect(() => normalizeRoundingPolicy({ mode: "sideways" })).toThrow(
+      "Invalid rounding policy: mode"
+    );
+  });
+
+  it("treats cent rounding as inactive", () => {
+    expect(isRoundingActive(NO_ROUNDING)).toBe(false);
+    expect(isRoundingActive({ ...NO_ROUNDING, minimumTotal: 100 })).toBe(true);
+  });
+});
+
+describe("persistence", () => {
+  it("merges saved policies over the defaults and skips invalid ones", () => {
+    const storage = createStorage();
+    saveRoundingPolicies(storage, {
+      EUR: { ...NO_ROUNDING, charm: true },
+      PLN: { increment: "5" },
+    });
+    const policies = loadRoundingPolicies(storage);
+    expect(policies.EUR.charm).toBe(true);
+    expect(policies.UAH.increment).toBe(5);
+    expect(policies).not.toHaveProperty("PLN");
+    expect(getRoundingPolicy(policies, "PLN")).toBe(NO_ROUNDING);
+  });
+
+  it("ignores corrupt storage", () => {
+    const storage = createStorage();
+    storage.setItem(ROUNDING_STORAGE_KEY, "[");
+    expect(loadRoundingPolicies(storage).UAH.increment).toBe(5);
+  });
+});
+
+describe("pricing with rounding", () => {
+  const config = {
+    baseFee: 10,
+    currency: "UAH",
+    exchangeRate: 41.2345,
+    rounding: { increment: 5 },
+  };
+
+  it("rounds the converted total and keeps the raw one", () => {
+    const price = calculatePrice(1000, config);
+    expect(price.converted.total).toBe(1235);
+    expect(price.converted.rawTotal).toBeCloseTo(1237.035, 10);
+    expect(price.converted.roundingAdjustment).toBeCloseTo(-2.035, 10);
+    expect(price.total).toBeCloseTo(30, 10);
+  });
+
+  it("leaves totals alone without a policy", () => {
+    const price = calculatePrice(1000, { ...config, rounding: undefined });
+    expect(price.converted).not.toHaveProperty("rawTotal");
+  });
+
+  it("draws rounded totals on converted curves", () => {
+    const curve = buildPriceCurve(config, {
+      max: 100,
+      step: 50,
+      converted: true,
+    });
+    expect(curve.every((point) => point.y % 5 === 0)).toBe(true);
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it, expect } from "vitest";
+import {
+  TAX_PROFILES,
+  TAX_STORAGE_KEY,
+  DEFAULT_TAX_SETTINGS,
+  validateTax,
+  validateTaxSettings,
+  applyTax,
+  loadTaxSettings,
+  saveTaxSettings,
+} from "../src/tax.js";
+import { calculatePrice, buildPriceCurve } from "../src/pricing.js";
+import { createStorage } from "./helpers.js";
+
+describe("validation", () => {
+  it.each([
+    [{ rate: 20, inclusive: false }, null],
+    [{ rate: 0, inclusive: true }, null],
+    [{ rate: -1, inclusive: false }, "rate"],
+    [{ rate: 101, inclusive: false }, "rate"],
+    [{ rate: 20 }, "inclusive"],
+  ])("reports %j as %s", (tax, field) => {
+    expect(validateTax(tax)).toBe(field);
+  });
+
+  it("requires a known profile in settings", () => {
+    expect(validateTaxSettings(DEFAULT_TAX_SETTINGS)).toBeNull();
+    expect(
+      validateTaxSettings({ ...DEFAULT_TAX_SETTINGS, profile: "mars" })
+    ).toBe("profile");
+  });
+
+  it("has valid profile rates", () => {
+    for (const { rate } of Object.values(TAX_PROFILES)) {
+      expect(validateTax({ rate, inclusive: false })).toBeNull();
+    }
+  });
+});
+
+describe("applyTax", () => {
+  it("adds tax on top of exclusive prices", () => {
+    expect(applyTax(100, { rate: 20, inclusive: false })).toEqual({
+      rate: 20,
+      inclusive: false,
+      net: 100,
+      amount: 20,
+      gross: 120,
+    });
+  });
+
+  it("splits tax out of inclusive prices", () => {
+    const split = applyTax(120, { rate: 20, inclusive: true });
+    expect(split.net).toBeCloseTo(100, 10);
+    expect(split.amount).toBeCloseTo(20, 10);
+    expect(split.gross).toBe(120);
+  });
+});
+
+describe("persistence", () => {
+  it("round-trips settings", () => {
+    const storage = createStorage();
+    const settings = { profile: "pl-individual", rate: 8, inclusive: true };
+    saveTaxSettings(storage, settings);
+    expect(loadTaxSettings(storage)).toEqual(settings);
+  });
+
+  it("falls back to the defaults", () => {
+    const storage = createStorage();
+    expect(loadTaxSettings(storage)).toEqual(DEFAULT_TAX_SETTINGS);
+    storage.setItem(TAX_STORAGE_KEY, JSON.stringify({ profile: "none" }));
+    expect(loadTaxSettings(storage)).toEqual(DEFAULT_TAX_SETTINGS);
+  });
+});
+
+describe("pricing with tax", () => {
+  const config = { baseFee: 10, currency: "PLN", exchangeRate: 4 };
+
+  it("makes the total gross and keeps the split", () => {
+    const net = calculatePrice(1000, config);
+    const price = calculatePrice(1000, {
+      ...config,
+      tax: { rate: 23, inclusive: false },
+    });
+    expect(price.total).toBeCloseTo(net.total * 1.23, 10);
+    expect(price.tax.net).toBeCloseTo(net.total, 10);
+    expect(price.converted.tax.amount).toBeCloseTo(net.total * 0.23 * 4, 10);
+    expect(price.converted.total).toBeCloseTo(price.converted.tax.gross, 10);
+  });
+
+  it("keeps inclusive totals unchanged", () => {
+    const options = { max: 100, step: 50 };
+    const curve = buildPriceCurve(
+      { ...config, tax: { rate: 23, inclusive: true } },
+      options
+    );
+    expect(curve).toEqual(buildPriceCurve(config, options));
+  });
+
+  it("taxes the discounted price and rounds the gross total", () => {
+    const price = calculatePrice(1000, {
+      ...config,
+      promo: {
+        code: "HALF",
+        type: "percent",
+        value: 50,
+        minMinutes: 0,
+        expiresAt: null,
+        currencies: null,
+      },
+      tax: { rate: 20, inclusive: false },
+      rounding: { increment: 10 },
+    });
+    expect(price.tax.net).toBeCloseTo(15, 10);
+    expect(price.converted.rawTotal).toBeCloseTo(72, 10);
+    expect(price.converted.total).toBe(70);
+  });
+
+  it("rejects invalid rates", () => {
+    expect(() =>
+      calculatePrice(10, { ...config, tax: { rate: 200, inclusive: false } })
+    ).toThrow("Invalid tax: rate");
+  });
+});
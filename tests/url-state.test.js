@@ -0,0 +1,142 @@
+import { describe, it, expect } from "vitest";
+import { serializeState, parseState, clamp } from "../src/url-state.js";
+import { FORMULAS } from "../src/pricing.js";
+
+const CURRENCIES = ["UAH", "EUR", "USD"];
+
+describe("clamp", () => {
+  it("limits values to the range", () => {
+    expect(clamp(5, { min: 0, max: 3 })).toBe(3);
+    expect(clamp(-1, { min: 0, max: 3 })).toBe(0);
+    expect(clamp(2, { min: 0, max: 3 })).toBe(2);
+  });
+});
+
+describe("serializeState / parseState", () => {
+  it("round-trips built-in formula state", () => {
+    const state = {
+      formula: "power",
+      params: { A: 2.5, B: 0.7 },
+      baseFee: 12,
+      minutes: 1500,
+      currency: "EUR",
+    };
+    expect(
+      parseState(serializeState(state), { currencies: CURRENCIES })
+    ).toEqual(state);
+  });
+
+  it("round-trips custom formula state", () => {
+    const state = {
+      formula: "custom",
+      expression: "A * exp(-k * x) + C",
+      params: { A: 0.1, k: 0.5, C: 0.01 },
+      baseFee: 5,
+      minutes: 300,
+      currency: "UAH",
+    };
+    expect(
+      parseState(serializeState(state), { currencies: CURRENCIES })
+    ).toEqual(state);
+  });
+
+  it("round-trips selected add-ons", () => {
+    const state = {
+      formula: "power",
+      params: { A: 2, B: 0.6 },
+      baseFee: 10,
+      minutes: 100,
+      currency: "USD",
+      addons: ["noise", "stems"],
+    };
+    expect(
+      parseState(serializeState(state), { currencies: CURRENCIES })
+    ).toEqual(state);
+  });
+
+  it("round-trips durations with seconds, scale and granularity", () => {
+    const state = {
+      formula: "power",
+      params: { A: 2, B: 0.6 },
+      baseFee: 10,
+      minutes: 90 + 15 / 60,
+      currency: "USD",
+      maxMinutes: 50000,
+      granularity: "exact",
+    };
+    const query = serializeState(state);
+    expect(new URLSearchParams(query).get("m")).toBe("1:30:15");
+    expect(parseState(query, { currencies: CURRENCIES })).toEqual(state);
+  });
+
+  it("round-trips tiered formula state", () => {
+    const state = {
+      formula: "tiered",
+      tiers: [
+        { upTo: 100, rate: 0.1 },
+        { upTo: null, rate: 0.05 },
+      ],
+      tierMode: "all-units",
+      params: {},
+      baseFee: 10,
+      minutes: 300,
+      currency: "USD",
+    };
+    const { params, ...expected } = state;
+    expect(
+      parseState(serializeState(state), { currencies: CURRENCIES })
+    ).toEqual(expected);
+  });
+});
+
+describe("parseState", () => {
+  it("returns an empty state for an empty query", () => {
+    expect(parseState("")).toEqual({});
+  });
+
+  it("clamps out-of-range values to formula bounds", () => {
+    const state = parseState("?f=power&m=999999&max=5&fee=50&p.A=999&p.B=-1");
+    expect(state).toEqual({
+      formula: "power",
+      minutes: 100000,
+      maxMinutes: 10,
+      baseFee: 20,
+      params: {
+        A: FORMULAS.power.params.A.max,
+        B: FORMULAS.power.params.B.min,
+      },
+    });
+  });
+
+  it("drops malformed values", () => {
+    expect(
+      parseState(
+        "f=__proto__&m=abc&max=&bill=hour&fee=&cur=XYZ&p.A=NaN&p.Z=1",
+        {
+          currencies: CURRENCIES,
+        }
+      )
+    ).toEqual({});
+  });
+
+  it("keeps the default expression when the shared one does not parse", () => {
+    const state = parseState("f=custom&expr=(((&p.C=0.01");
+    expect(state).toEqual({ formula: "custom", params: { C: 0.01 } });
+  });
+
+  it("ignores invalid tier tables", () => {
+    expect(parseState("f=tiered&tiers=500:0.04,100:0.02,:0.01")).toEqual({
+      formula: "tiered",
+    });
+  });
+
+  it("normalizes currency case", () => {
+    expect(parseState("cur=eur", { currencies: CURRENCIES })).toEqual({
+      currency: "EUR",
+    });
+  });
+
+  it("drops unknown and repeated add-ons", () => {
+    expect(parseState("addons=rush,bogus,rush")).toEqual({ addons: ["rush"] });
+  });
+});
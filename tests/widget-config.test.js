@@ -0,0 +1,108 @@
+import { describe, it, expect } from "vitest";
+import {
+  WIDGET_CONTROLS,
+  parseControlList,
+  parseWidgetAttributes,
+} from "../src/widget-config.js";
+import { serializeState } from "../src/url-state.js";
+
+const currencies = ["UAH", "USD", "EUR"];
+
+describe("parseControlList", () => {
+  it("keeps known names in control order", () => {
+    expect(parseControlList("currency, formula unknown")).toEqual([
+      "formula",
+      "currency",
+    ]);
+  });
+
+  it("expands 'all' and handles missing values", () => {
+    expect(parseControlList("ALL")).toEqual(Object.keys(WIDGET_CONTROLS));
+    expect(parseControlList(null)).toEqual([]);
+  });
+});
+
+describe("parseWidgetAttributes", () => {
+  it("reads state from attributes", () => {
+    const { state } = parseWidgetAttributes(
+      {
+        formula: "power",
+        currency: "eur",
+        "base-fee": "12",
+        minutes: "5:00:30",
+        addons: "rush,noise",
+        params: '{"A": 2.5, "B": 0.7}',
+        "max-minutes": "20000",
+        granularity: "exact",
+      },
+      { currencies }
+    );
+    expect(state).toEqual({
+      formula: "power",
+      currency: "EUR",
+      baseFee: 12,
+      minutes: 300.5,
+      maxMinutes: 20000,
+      granularity: "exact",
+      addons: ["noise", "rush"],
+      params: { A: 2.5, B: 0.7 },
+    });
+  });
+
+  it("takes a share link query as config, overridden by attributes", () => {
+    const config = serializeState({
+      formula: "logarithmic",
+      params: { A: 0.1, B: 0.01 },
+      baseFee: 5,
+      minutes: 100,
+      currency: "UAH",
+    });
+    const { state } = parseWidgetAttributes(
+      { config, minutes: "250", params: '{"B": 0.004}' },
+      { currencies }
+    );
+    expect(state).toMatchObject({
+      formula: "logarithmic",
+      baseFee: 5,
+      minutes: 250,
+      currency: "UAH",
+      params: { A: 0.1, B: 0.004 },
+    });
+  });
+
+  it("ignores invalid values like shared links do", () => {
+    const { state, exchangeRate } = parseWidgetAttributes(
+      {
+        formula: "magic",
+        currency: "XYZ",
+        params: "{broken",
+        "exchange-rate": "-1",
+      },
+      { currencies }
+    );
+    expect(state).toEqual({});
+    expect(exchangeRate).toBeNull();
+  });
+
+  it("reads the fixed rate, control lists and message origin", () => {
+    expect(
+      parseWidgetAttributes({
+        "exchange-rate": "0.9",
+        hide: "all",
+        lock: "currency",
+        "message-origin": "https://partner.example",
+      })
+    ).toMatchObject({
+      exchangeRate: 0.9,
+      hidden: Object.keys(WIDGET_CONTROLS),
+      locked: ["currency"],
+      messageOrigin: "https://partner.example",
+    });
+  });
+
+  it("matches the language, leaving it to the page when absent", () => {
+    expect(parseWidgetAttributes({ lang: "en-US" }).language).toBe("en");
+    expect(parseWidgetAttributes({ lang: "fr" }).language).toBe("uk");
+    expect(parseWidgetAttributes({}).language).toBeNull();
+  });
+});
@@ -0,0 +1,24 @@
+import { validateConfig, formatConfigErrors } from './src/config.js'
+
+// Checks src/pricing.config.json against its schema whenever it is loaded, so
+// an invalid file fails `vite build` (and shows the error overlay in dev)
+// with one line per problem instead of breaking the page at runtime
+export default function pricingConfig() {
+  return {
+    name: 'pricing-config',
+    enforce: 'pre',
+    transform(code, id) {
+      if (!id.replace(/\?.*$/, '').endsWith('/pricing.config.json')) return null
+
+      let data
+      try {
+        data = JSON.parse(code)
+      } catch (error) {
+        this.error(`Invalid pricing.config.json: ${error.message}`)
+      }
+      const errors = validateConfig(data)
+      if (errors.length > 0) this.error(formatConfigErrors(errors))
+      return null
+    }
+  }
+}
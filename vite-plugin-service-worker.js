@@ -0,0 +1,59 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { createHash } from 'node:crypto'
+import {
+  EXCHANGE_RATE_PROVIDERS,
+  CACHED_AT_HEADER
+} from './src/exchange-rates.js'
+
+// Emits sw.js from src/service-worker.js with the build's files to precache
+// and the rate endpoints to keep offline. Build only: the dev server runs
+// without a service worker.
+export default function serviceWorker({
+  source = 'src/service-worker.js',
+  fileName = 'sw.js'
+} = {}) {
+  let config
+
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(resolved) {
+      config = resolved
+    },
+    generateBundle(options, bundle) {
+      const names = Object.keys(bundle)
+        .filter((name) => !name.endsWith('.map'))
+        .sort()
+      const hash = createHash('sha256')
+      for (const name of names) {
+        const item = bundle[name]
+        hash.update(name).update(item.type === 'chunk' ? item.code : item.source)
+      }
+
+      const values = {
+        __CACHE_VERSION__: hash.digest('hex').slice(0, 12),
+        __PRECACHE_URLS__: ['./', ...names, ...listFiles(config.publicDir)],
+        __RATE_URLS__: EXCHANGE_RATE_PROVIDERS.map((provider) => provider.url),
+        __CACHED_AT_HEADER__: CACHED_AT_HEADER
+      }
+      let code = fs.readFileSync(path.resolve(config.root, source), 'utf8')
+      for (const [placeholder, value] of Object.entries(values)) {
+        code = code.replace(placeholder, JSON.stringify(value))
+      }
+
+      this.emitFile({ type: 'asset', fileName, source: code })
+    }
+  }
+}
+
+// Lists files of the public directory, which Vite copies without bundling
+function listFiles(dir, prefix = '') {
+  if (!dir || !fs.existsSync(dir)) return []
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) =>
+    entry.isDirectory()
+      ? listFiles(path.join(dir, entry.name), `${prefix}${entry.name}/`)
+      : [prefix + entry.name]
+  )
+}
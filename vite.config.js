@@ -1,12 +1,18 @@
 import { defineConfig } from 'vite'
+import pricingConfig from './vite-plugin-pricing-config.js'
+import serviceWorker from './vite-plugin-service-worker.js'
 
 export default defineConfig({
+  plugins: [pricingConfig(), serviceWorker()],
   base: process.env.NODE_ENV === 'production' ? '/audio-cleaning-pricing/' : './',
   root: '.',
   build: {
     outDir: 'dist',
     rollupOptions: {
-      input: './index.html'
+      input: {
+        main: './index.html',
+        widget: './widget.html'
+      }
     }
   },
   server: {
@@ -0,0 +1,13 @@
+import { defineConfig } from 'vite'
+import pricingConfig from './vite-plugin-pricing-config.js'
+
+// Node bundle of the quote API (src/quote-server.js), built by Vite like the
+// page and the widget so it ships with the same pricing.config.json checks.
+export default defineConfig({
+  plugins: [pricingConfig()],
+  build: {
+    ssr: './src/quote-server.js',
+    outDir: 'dist/server',
+    copyPublicDir: false
+  }
+})
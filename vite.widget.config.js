@@ -0,0 +1,18 @@
+import { defineConfig } from 'vite'
+import pricingConfig from './vite-plugin-pricing-config.js'
+
+// Self-contained widget bundle for partner sites: one script that defines
+// <audio-price-calculator>, with its styles inlined into the shadow root
+export default defineConfig({
+  plugins: [pricingConfig()],
+  build: {
+    outDir: 'dist/widget',
+    lib: {
+      entry: './src/widget.js',
+      name: 'AudioPriceCalculator',
+      formats: ['es', 'iife'],
+      fileName: (format) => `audio-price-calculator.${format}.js`
+    },
+    copyPublicDir: false
+  }
+})